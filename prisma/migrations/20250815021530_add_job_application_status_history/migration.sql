@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "job_application_status_history" (
+    "id" SERIAL NOT NULL,
+    "application_id" INTEGER NOT NULL,
+    "from_status" VARCHAR(50),
+    "to_status" VARCHAR(50) NOT NULL,
+    "note" TEXT,
+    "actor_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "job_application_status_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "job_application_status_history_application_id_created_at_idx" ON "job_application_status_history"("application_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "job_application_status_history_actor_id_idx" ON "job_application_status_history"("actor_id");
+
+-- AddForeignKey
+ALTER TABLE "job_application_status_history" ADD CONSTRAINT "job_application_status_history_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "job_applications"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "job_application_status_history" ADD CONSTRAINT "job_application_status_history_actor_id_fkey" FOREIGN KEY ("actor_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "job_alerts" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "filters" JSONB NOT NULL,
+    "frequency" VARCHAR(20) NOT NULL DEFAULT 'DAILY',
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "last_run_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "job_alert_digests" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "frequency" VARCHAR(20) NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "job_alert_digests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "job_alerts_user_id_idx" ON "job_alerts"("user_id");
+
+-- CreateIndex
+CREATE INDEX "job_alerts_frequency_is_active_idx" ON "job_alerts"("frequency", "is_active");
+
+-- CreateIndex
+CREATE INDEX "job_alert_digests_status_created_at_idx" ON "job_alert_digests"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "job_alert_digests_user_id_idx" ON "job_alert_digests"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "job_alerts" ADD CONSTRAINT "job_alerts_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "job_alert_digests" ADD CONSTRAINT "job_alert_digests_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
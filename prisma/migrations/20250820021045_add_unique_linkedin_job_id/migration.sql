@@ -0,0 +1,8 @@
+/*
+  Warnings:
+
+  - A unique constraint covering the columns `[linkedin_job_id]` on the table `jobs` will be added. If there are existing duplicate values, this will fail.
+
+*/
+-- CreateIndex
+CREATE UNIQUE INDEX "jobs_linkedin_job_id_key" ON "jobs"("linkedin_job_id");
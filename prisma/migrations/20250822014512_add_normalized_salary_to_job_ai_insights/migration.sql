@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "job_ai_insights" ADD COLUMN     "salary_annual_max_usd" INTEGER,
+ADD COLUMN     "salary_annual_min_usd" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "job_ai_insights_salary_annual_min_usd_idx" ON "job_ai_insights"("salary_annual_min_usd");
+
+-- CreateIndex
+CREATE INDEX "job_ai_insights_salary_annual_max_usd_idx" ON "job_ai_insights"("salary_annual_max_usd");
@@ -0,0 +1,81 @@
+-- AlterTable
+ALTER TABLE "jobs" ADD COLUMN     "search_vector" tsvector;
+
+-- CreateIndex
+CREATE INDEX "jobs_search_vector_idx" ON "jobs" USING GIN ("search_vector");
+
+-- Full-text document of a job
+-- Title and description are indexed with both English and Indonesian stemming so either
+-- language matches; company name and AI key skills use 'simple' to keep names like
+-- "Node.js" intact. Weights: title A, company/skills B, description C.
+CREATE OR REPLACE FUNCTION job_search_document(title TEXT, description TEXT, company_name TEXT, key_skills TEXT)
+RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('indonesian', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(company_name, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(key_skills, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C') ||
+    setweight(to_tsvector('indonesian', coalesce(description, '')), 'C')
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Jobs: rebuild on insert and when indexed columns change
+CREATE OR REPLACE FUNCTION jobs_search_vector_refresh() RETURNS trigger AS $$
+BEGIN
+  NEW."search_vector" := job_search_document(
+    NEW."title",
+    NEW."description",
+    (SELECT "name" FROM "companies" WHERE "id" = NEW."company_id"),
+    (SELECT "ai_key_skills"::text FROM "job_ai_insights" WHERE "job_id" = NEW."id")
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "jobs_search_vector_refresh"
+BEFORE INSERT OR UPDATE OF "title", "description", "company_id" ON "jobs"
+FOR EACH ROW EXECUTE FUNCTION jobs_search_vector_refresh();
+
+-- AI insights: key skills are written after the job row
+CREATE OR REPLACE FUNCTION job_ai_insights_search_vector_refresh() RETURNS trigger AS $$
+BEGIN
+  UPDATE "jobs" j
+  SET "search_vector" = job_search_document(j."title", j."description", c."name", NEW."ai_key_skills"::text)
+  FROM "companies" c
+  WHERE j."id" = NEW."job_id" AND c."id" = j."company_id";
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "job_ai_insights_search_vector_refresh"
+AFTER INSERT OR UPDATE OF "ai_key_skills" ON "job_ai_insights"
+FOR EACH ROW EXECUTE FUNCTION job_ai_insights_search_vector_refresh();
+
+-- Companies: a rename changes the document of every job of the company
+CREATE OR REPLACE FUNCTION companies_search_vector_refresh() RETURNS trigger AS $$
+BEGIN
+  UPDATE "jobs" j
+  SET "search_vector" = job_search_document(
+    j."title",
+    j."description",
+    NEW."name",
+    (SELECT "ai_key_skills"::text FROM "job_ai_insights" WHERE "job_id" = j."id")
+  )
+  WHERE j."company_id" = NEW."id";
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "companies_search_vector_refresh"
+AFTER UPDATE OF "name" ON "companies"
+FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+EXECUTE FUNCTION companies_search_vector_refresh();
+
+-- Backfill existing jobs
+UPDATE "jobs" j
+SET "search_vector" = job_search_document(
+  j."title",
+  j."description",
+  (SELECT "name" FROM "companies" WHERE "id" = j."company_id"),
+  (SELECT "ai_key_skills"::text FROM "job_ai_insights" WHERE "job_id" = j."id")
+);
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "job_daily_stats" (
+    "id" SERIAL NOT NULL,
+    "job_id" INTEGER NOT NULL,
+    "date" DATE NOT NULL,
+    "views" INTEGER NOT NULL DEFAULT 0,
+    "apply_clicks" INTEGER NOT NULL DEFAULT 0,
+    "saves" INTEGER NOT NULL DEFAULT 0,
+    "applications" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_daily_stats_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "job_daily_stats_job_id_date_key" ON "job_daily_stats"("job_id", "date");
+
+-- CreateIndex
+CREATE INDEX "job_daily_stats_date_idx" ON "job_daily_stats"("date");
+
+-- AddForeignKey
+ALTER TABLE "job_daily_stats" ADD CONSTRAINT "job_daily_stats_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
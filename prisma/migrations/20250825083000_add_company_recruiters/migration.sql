@@ -0,0 +1,24 @@
+-- AlterEnum
+ALTER TYPE "UserRole" ADD VALUE 'RECRUITER';
+
+-- CreateTable
+CREATE TABLE "company_recruiters" (
+    "id" SERIAL NOT NULL,
+    "company_id" INTEGER NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "company_recruiters_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "company_recruiters_user_id_idx" ON "company_recruiters"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "company_recruiters_company_id_user_id_key" ON "company_recruiters"("company_id", "user_id");
+
+-- AddForeignKey
+ALTER TABLE "company_recruiters" ADD CONSTRAINT "company_recruiters_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "companies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "company_recruiters" ADD CONSTRAINT "company_recruiters_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "skills" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "normalized_name" VARCHAR(100) NOT NULL,
+    "category" VARCHAR(50),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "skills_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "skill_aliases" (
+    "id" SERIAL NOT NULL,
+    "skill_id" INTEGER NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "normalized_name" VARCHAR(100) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "skill_aliases_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "skills_normalized_name_key" ON "skills"("normalized_name");
+
+-- CreateIndex
+CREATE INDEX "skills_category_idx" ON "skills"("category");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "skill_aliases_normalized_name_key" ON "skill_aliases"("normalized_name");
+
+-- CreateIndex
+CREATE INDEX "skill_aliases_skill_id_idx" ON "skill_aliases"("skill_id");
+
+-- AddForeignKey
+ALTER TABLE "skill_aliases" ADD CONSTRAINT "skill_aliases_skill_id_fkey" FOREIGN KEY ("skill_id") REFERENCES "skills"("id") ON DELETE CASCADE ON UPDATE CASCADE;
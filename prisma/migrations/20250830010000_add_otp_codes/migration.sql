@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "ryls_registrations" ADD COLUMN     "whatsapp_verified_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "otp_codes" (
+    "id" SERIAL NOT NULL,
+    "purpose" VARCHAR(50) NOT NULL,
+    "subject" VARCHAR(100) NOT NULL,
+    "phone" VARCHAR(50) NOT NULL,
+    "channel" VARCHAR(20) NOT NULL,
+    "code_hash" VARCHAR(64) NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "verified_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "otp_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "otp_codes_purpose_subject_idx" ON "otp_codes"("purpose", "subject");
+
+-- CreateIndex
+CREATE INDEX "otp_codes_expires_at_idx" ON "otp_codes"("expires_at");
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "login_lockouts" (
+    "id" SERIAL NOT NULL,
+    "scope" VARCHAR(20) NOT NULL,
+    "email" VARCHAR(255),
+    "user_id" INTEGER,
+    "ip_address" VARCHAR(45),
+    "failed_attempts" INTEGER NOT NULL,
+    "locked_until" TIMESTAMP(3) NOT NULL,
+    "unlocked_at" TIMESTAMP(3),
+    "unlocked_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_lockouts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "login_lockouts_email_idx" ON "login_lockouts"("email");
+
+-- CreateIndex
+CREATE INDEX "login_lockouts_user_id_idx" ON "login_lockouts"("user_id");
+
+-- CreateIndex
+CREATE INDEX "login_lockouts_created_at_idx" ON "login_lockouts"("created_at" DESC);
+
+-- AddForeignKey
+ALTER TABLE "login_lockouts" ADD CONSTRAINT "login_lockouts_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "file_uploads" ADD COLUMN     "uploaded_by" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "file_uploads_uploaded_by_idx" ON "file_uploads"("uploaded_by");
+
+-- AddForeignKey
+ALTER TABLE "file_uploads" ADD CONSTRAINT "file_uploads_uploaded_by_fkey" FOREIGN KEY ("uploaded_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
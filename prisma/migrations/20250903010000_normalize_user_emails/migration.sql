@@ -0,0 +1,11 @@
+-- Normalize user emails (trim + lowercase), matching normalizeEmail() at register, login and reset.
+-- Addresses that would collide with another account after normalization are left as they are
+-- and have to be merged by hand.
+UPDATE "users" AS u
+SET "email" = LOWER(TRIM(u."email"))
+WHERE u."email" <> LOWER(TRIM(u."email"))
+  AND NOT EXISTS (
+    SELECT 1 FROM "users" AS other
+    WHERE other."id" <> u."id"
+      AND LOWER(TRIM(other."email")) = LOWER(TRIM(u."email"))
+  );
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "ryls_registrations" ADD COLUMN     "submission_id" VARCHAR(100);
+
+-- Backfill existing registrations with a random submission ID (RYLS-XXXXX-XXXXX format)
+UPDATE "ryls_registrations"
+SET "submission_id" = 'RYLS-' || UPPER(TO_HEX("id")) || '-' || UPPER(REPLACE(gen_random_uuid()::TEXT, '-', ''))
+WHERE "submission_id" IS NULL;
+
+ALTER TABLE "ryls_registrations" ALTER COLUMN "submission_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ryls_registrations_submission_id_key" ON "ryls_registrations"("submission_id");
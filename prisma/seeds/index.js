@@ -4,6 +4,7 @@ import { seedBootcamps } from './bootcampSeed.js';
 import { seedJobs } from './jobsSeed.js';
 import { seedTestimonials } from './testimonialsSeed.js';
 import { seedPrograms } from './programsSeed.js';
+import { seedSkills } from './skillsSeed.js';
 
 const prisma = new PrismaClient();
 
@@ -21,6 +22,10 @@ async function main() {
     await seedBootcamps();
     console.log('✅ Bootcamps seeding completed\n');
 
+    console.log('🧠 Seeding skills...');
+    await seedSkills();
+    console.log('✅ Skills seeding completed\n');
+
     console.log('💼 Seeding jobs (Full LinkedIn API)...');
     await seedJobs();
     console.log('✅ Jobs seeding completed\n');
@@ -48,6 +53,7 @@ async function main() {
     console.log('   ✅ Complete jobs management system');
     console.log('   ✅ Testimonials management system');
     console.log('   ✅ Programs management system');
+    console.log('   ✅ Skill taxonomy with aliases');
   } catch (error) {
     console.error('❌ Error during seeding:', error);
     throw error;
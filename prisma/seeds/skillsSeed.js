@@ -0,0 +1,90 @@
+import { PrismaClient } from '@prisma/client';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeSkill } from '../../src/utils/skills.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const prisma = new PrismaClient();
+
+// Load data dari JSON file
+const loadSkillsData = () => {
+  try {
+    const dataPath = path.join(__dirname, 'data', 'skills.json');
+    const data = fs.readFileSync(dataPath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    console.error('❌ Error loading skills data:', error);
+    throw error;
+  }
+};
+
+// Validate skills data; nama dan alias tidak boleh memakai normalized name yang sama
+const validateSkillsData = (skills) => {
+  console.log('   🔍 Validating skills data...');
+
+  const keys = new Set();
+  const validSkills = skills.filter((skill) => {
+    const names = [skill.name, ...(skill.aliases || [])];
+    const skillKeys = names.map(normalizeSkill);
+    const isValid = skill.name && skillKeys.every((key) => key && !keys.has(key)) && new Set(skillKeys).size === skillKeys.length;
+
+    if (!isValid) {
+      console.warn(`⚠️  Invalid or duplicate skill data:`, skill);
+      return false;
+    }
+
+    skillKeys.forEach((key) => keys.add(key));
+    return true;
+  });
+
+  console.log(`   ✅ Validated ${validSkills.length}/${skills.length} skills`);
+  return validSkills;
+};
+
+export async function seedSkills() {
+  try {
+    console.log('🧠 Seeding skills...');
+
+    // Load dan validate data
+    const skillsData = loadSkillsData();
+    console.log(`📊 Loaded ${skillsData.length} skills from JSON`);
+
+    const validSkills = validateSkillsData(skillsData);
+
+    // Upsert berdasarkan normalized_name, jadi merge dan alias dari admin tetap tersimpan
+    console.log('🧠 Upserting skills and aliases...');
+
+    let aliasCount = 0;
+    await prisma.$transaction(async (tx) => {
+      for (const skill of validSkills) {
+        const normalized_name = normalizeSkill(skill.name);
+
+        const saved = await tx.skill.upsert({
+          where: { normalized_name },
+          update: { category: skill.category },
+          create: { name: skill.name, normalized_name, category: skill.category },
+        });
+
+        const { count } = await tx.skillAlias.createMany({
+          data: (skill.aliases || []).map((alias) => ({ skill_id: saved.id, name: alias, normalized_name: normalizeSkill(alias) })),
+          skipDuplicates: true,
+        });
+        aliasCount += count;
+      }
+    });
+
+    console.log(`   ✅ Upserted ${validSkills.length} skills and created ${aliasCount} aliases`);
+
+    // Summary
+    console.log('\n📊 Skills seeding summary:');
+    console.log(`   🧠 Skills: ${validSkills.length}`);
+    console.log(`   🔤 Aliases: ${validSkills.reduce((sum, skill) => sum + (skill.aliases || []).length, 0)}`);
+    console.log(`   🗂️  Categories: ${[...new Set(validSkills.map((skill) => skill.category))].length}`);
+  } catch (error) {
+    console.error('❌ Error seeding skills data:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,46 @@
+import 'dotenv/config';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { jobImportService } from '../services/jobImportService.js';
+import { disconnectDatabase } from '../lib/prisma.js';
+
+/**
+ * Import a LinkedIn-format job feed from the command line
+ *
+ * Usage: npm run jobs:import -- <path/to/feed.json|feed.ndjson>
+ */
+async function main() {
+  const feedPath = process.argv[2];
+
+  if (!feedPath) {
+    console.error('Usage: npm run jobs:import -- <path/to/feed.json|feed.ndjson>');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`💼 Importing job feed: ${feedPath}`);
+  const content = await readFile(feedPath, 'utf8');
+  const report = await jobImportService.importFeed(content, { filename: path.basename(feedPath) });
+
+  console.log('\n📊 Import report:');
+  console.log(`   Total records: ${report.total}`);
+  console.log(`   ✅ Created: ${report.created}`);
+  console.log(`   🔄 Updated: ${report.updated}`);
+  console.log(`   ⏭️  Skipped: ${report.skipped}`);
+  console.log(`   ❌ Invalid: ${report.invalid}`);
+  console.log(`   🏢 Companies: ${report.companies.created} created, ${report.companies.updated} updated`);
+  console.log(`   🌍 Locations: ${report.locations.created} created, ${report.locations.updated} updated`);
+
+  report.errors.forEach((error) => {
+    console.warn(`   ⚠️  Record ${error.index}${error.id ? ` (id ${error.id})` : ''}: ${error.reason}`);
+  });
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Job feed import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await disconnectDatabase();
+  });
@@ -0,0 +1,111 @@
+/**
+ * Authentication Constants
+ * Token lifetimes and session settings
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Authentication configuration
+ * @constant {Object}
+ */
+export const AUTH_CONFIG = {
+  // Access tokens are verified without a database lookup, so a revoked session
+  // keeps working until its current access token expires
+  ACCESS_TOKEN_EXPIRES_IN: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  // Absolute session lifetime; refreshing does not extend it
+  SESSION_TTL_MS: DAY_MS,
+  REMEMBER_ME_SESSION_TTL_MS: 30 * DAY_MS,
+  REFRESH_TOKEN_BYTES: 48,
+  // Ended sessions stay listed for this long before the cleanup task deletes them
+  SESSION_RETENTION_MS: 30 * DAY_MS,
+  SESSION_CLEANUP_INTERVAL_MS: Number(process.env.AUTH_SESSION_CLEANUP_INTERVAL_MS || DAY_MS),
+};
+
+/**
+ * Reasons a session was revoked (auth_sessions.revoked_reason)
+ * @constant {Object}
+ */
+export const SESSION_REVOKE_REASON = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  TOKEN_REUSE: 'token_reuse',
+  PASSWORD_RESET: 'password_reset',
+  PASSWORD_CHANGE: 'password_change',
+};
+
+/**
+ * Two-factor authentication (TOTP) configuration
+ * Secrets are encrypted with TWO_FACTOR_ENCRYPTION_KEY (JWT_SECRET when unset); changing
+ * the key makes existing secrets unreadable, so users would have to enroll again.
+ * With REQUIRED_FOR_ADMIN, admins can sign in without 2FA only to enroll: permission
+ * and role protected routes answer 403 until the session is verified with a code.
+ * @constant {Object}
+ */
+export const TWO_FACTOR_CONFIG = {
+  ISSUER: process.env.TWO_FACTOR_ISSUER || 'Rise Social',
+  REQUIRED_FOR_ADMIN: process.env.TWO_FACTOR_REQUIRED_FOR_ADMIN === 'true',
+  SECRET_BYTES: 20,
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  // Steps accepted before and after the current one (clock drift)
+  WINDOW: 1,
+  RECOVERY_CODE_COUNT: 10,
+  CHALLENGE_TOKEN_BYTES: 32,
+  CHALLENGE_TTL_MS: 5 * 60 * 1000,
+  CHALLENGE_MAX_ATTEMPTS: 5,
+  // Ended challenges are deleted by the cleanup task after this long
+  CHALLENGE_RETENTION_MS: DAY_MS,
+  CLEANUP_INTERVAL_MS: Number(process.env.TWO_FACTOR_CLEANUP_INTERVAL_MS || 60 * 60 * 1000),
+};
+
+/**
+ * Login brute-force protection
+ * Failed logins are counted per account (email) and per IP in the rate limit store.
+ * After FREE_ATTEMPTS failures each further failure makes the account wait before the
+ * next attempt (BASE_DELAY_MS, doubled per failure up to MAX_DELAY_MS); MAX_FAILURES
+ * failures lock the account for LOCKOUT_MS. An IP with IP_LIMIT.max failures is blocked
+ * until its window ends. A successful login clears the account counters only.
+ * @constant {Object}
+ */
+export const LOGIN_PROTECTION_CONFIG = {
+  FAILURE_WINDOW_MS: 15 * 60 * 1000,
+  FREE_ATTEMPTS: 3,
+  BASE_DELAY_MS: 1000,
+  MAX_DELAY_MS: 60 * 1000,
+  MAX_FAILURES: Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS || 10),
+  LOCKOUT_MS: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000,
+  IP_LIMIT: { max: 50, windowMs: 15 * 60 * 1000 },
+};
+
+/**
+ * What a login lockout blocks (login_lockouts.scope)
+ * @constant {Object}
+ */
+export const LOGIN_LOCKOUT_SCOPE = {
+  ACCOUNT: 'account',
+  IP: 'ip',
+};
+
+/**
+ * Password reset configuration
+ * @constant {Object}
+ */
+export const PASSWORD_RESET_CONFIG = {
+  TOKEN_TTL_MS: Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || 30) * 60 * 1000,
+  TOKEN_BYTES: 32,
+  // Reset emails per address, and reset requests (forgot + reset) per IP
+  EMAIL_LIMIT: { max: 3, windowMs: 60 * 60 * 1000 },
+  IP_LIMIT: { max: 20, windowMs: 60 * 60 * 1000 },
+};
+
+/**
+ * Email verification configuration
+ * @constant {Object}
+ */
+export const EMAIL_VERIFICATION_CONFIG = {
+  TOKEN_TTL_MS: Number(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS || 48) * 60 * 60 * 1000,
+  TOKEN_BYTES: 32,
+  // Resent verification emails per user
+  RESEND_LIMIT: { max: 3, windowMs: 60 * 60 * 1000 },
+};
@@ -0,0 +1,44 @@
+/**
+ * Feed Constants
+ * Sitemap and RSS/Atom feed configuration
+ */
+
+/**
+ * Sitemap configuration
+ * @constant {Object}
+ */
+export const SITEMAP_CONFIG = {
+  // Limit of the sitemap protocol; past it /sitemap.xml becomes an index of per-entity sitemaps
+  MAX_URLS: 50000,
+  // Browsers and crawlers may reuse a sitemap this long (seconds)
+  CACHE_MAX_AGE: 3600,
+};
+
+/**
+ * Job feed configuration
+ * @constant {Object}
+ */
+export const JOB_FEED_CONFIG = {
+  TITLE: 'Rise Social Jobs',
+  DESCRIPTION: 'Latest job openings on Rise Social',
+  DEFAULT_LIMIT: 50,
+  CACHE_MAX_AGE: 900,
+};
+
+/**
+ * Job feed formats and their content types
+ * @constant {Object}
+ */
+export const FEED_FORMAT = {
+  RSS: 'rss',
+  ATOM: 'atom',
+};
+
+/**
+ * Content type of each job feed format
+ * @constant {Object}
+ */
+export const FEED_CONTENT_TYPES = {
+  [FEED_FORMAT.RSS]: 'application/rss+xml; charset=utf-8',
+  [FEED_FORMAT.ATOM]: 'application/atom+xml; charset=utf-8',
+};
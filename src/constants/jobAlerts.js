@@ -0,0 +1,53 @@
+/**
+ * Job Alert Constants
+ * Centralized configuration for saved search alerts and their digests
+ */
+
+/**
+ * Alert digest frequencies
+ * Stored as plain strings in `job_alerts.frequency`
+ * @constant {Object}
+ */
+export const ALERT_FREQUENCY = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+};
+
+/**
+ * Minimum time between two digests of the same alert (in milliseconds)
+ * @constant {Object}
+ */
+export const ALERT_FREQUENCY_INTERVAL_MS = {
+  [ALERT_FREQUENCY.DAILY]: 24 * 60 * 60 * 1000,
+  [ALERT_FREQUENCY.WEEKLY]: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Digest delivery statuses
+ * Stored as plain strings in `job_alert_digests.status`
+ * @constant {Object}
+ */
+export const DIGEST_STATUS = {
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+  // Not sent because the user turned job notifications off after it was queued
+  SKIPPED: 'SKIPPED',
+};
+
+/**
+ * Job alert limits
+ * @constant {Object}
+ */
+export const JOB_ALERT_CONFIG = {
+  MAX_ALERTS_PER_USER: 20,
+  MAX_JOBS_PER_ALERT: 20, // Jobs listed per alert in one digest
+  MAX_DELIVERY_ATTEMPTS: 3,
+  DELIVERY_BATCH_SIZE: 50,
+};
+
+/**
+ * GET /api/jobs query parameters that can be saved as an alert
+ * @constant {string[]}
+ */
+export const ALERT_FILTER_KEYS = ['search', 'location', 'jobType', 'experienceLevel', 'skills', 'minSalary', 'maxSalary', 'salaryCurrency'];
@@ -0,0 +1,70 @@
+/**
+ * Job Application Constants
+ * Centralized status values for the job application lifecycle
+ */
+
+/**
+ * Job Application Statuses
+ * Stored as plain strings in `job_applications.status`
+ * @constant {Object}
+ */
+export const APPLICATION_STATUS = {
+  PENDING: 'PENDING',
+  REVIEWING: 'REVIEWING',
+  SHORTLISTED: 'SHORTLISTED',
+  INTERVIEW: 'INTERVIEW',
+  OFFERED: 'OFFERED',
+  REJECTED: 'REJECTED',
+  HIRED: 'HIRED',
+  WITHDRAWN: 'WITHDRAWN',
+};
+
+/**
+ * Statuses from which an application can no longer change
+ * @constant {string[]}
+ */
+export const FINAL_APPLICATION_STATUSES = [APPLICATION_STATUS.REJECTED, APPLICATION_STATUS.HIRED, APPLICATION_STATUS.WITHDRAWN];
+
+/**
+ * Recruiter pipeline state machine
+ * Maps each status to the statuses it may move to next
+ * @constant {Object}
+ */
+export const APPLICATION_STATUS_TRANSITIONS = {
+  [APPLICATION_STATUS.PENDING]: [APPLICATION_STATUS.REVIEWING, APPLICATION_STATUS.REJECTED],
+  [APPLICATION_STATUS.REVIEWING]: [APPLICATION_STATUS.SHORTLISTED, APPLICATION_STATUS.REJECTED],
+  [APPLICATION_STATUS.SHORTLISTED]: [APPLICATION_STATUS.INTERVIEW, APPLICATION_STATUS.REJECTED],
+  [APPLICATION_STATUS.INTERVIEW]: [APPLICATION_STATUS.OFFERED, APPLICATION_STATUS.REJECTED, APPLICATION_STATUS.HIRED],
+  [APPLICATION_STATUS.OFFERED]: [APPLICATION_STATUS.HIRED, APPLICATION_STATUS.REJECTED],
+  [APPLICATION_STATUS.REJECTED]: [],
+  [APPLICATION_STATUS.HIRED]: [],
+  [APPLICATION_STATUS.WITHDRAWN]: [],
+};
+
+/**
+ * Get statuses a recruiter may move an application to
+ * @param {string} status - Current application status
+ * @returns {string[]} Allowed next statuses
+ */
+export const getAllowedTransitions = (status) => {
+  return APPLICATION_STATUS_TRANSITIONS[status] || [];
+};
+
+/**
+ * Check if a recruiter may move an application between two statuses
+ * @param {string} fromStatus - Current application status
+ * @param {string} toStatus - Requested application status
+ * @returns {boolean}
+ */
+export const canTransitionApplication = (fromStatus, toStatus) => {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+};
+
+/**
+ * Check if an application in the given status can still be withdrawn by the candidate
+ * @param {string} status - Current application status
+ * @returns {boolean}
+ */
+export const canWithdrawApplication = (status) => {
+  return !FINAL_APPLICATION_STATUSES.includes(status);
+};
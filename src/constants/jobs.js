@@ -0,0 +1,122 @@
+/**
+ * Job Constants
+ * Centralized lifecycle values for job postings
+ */
+
+/**
+ * Job Statuses
+ * Stored as plain strings in `jobs.status`
+ * @constant {Object}
+ */
+export const JOB_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired', // valid_until has passed
+  ARCHIVED: 'archived', // no valid_until and older than the archive age
+};
+
+/**
+ * Job lifecycle configuration
+ * @constant {Object}
+ */
+export const JOB_LIFECYCLE_CONFIG = {
+  // Archive active jobs without valid_until after this many days; 0 disables archiving
+  ARCHIVE_AFTER_DAYS: Number(process.env.JOB_ARCHIVE_AFTER_DAYS ?? 90),
+};
+
+/**
+ * Salary normalization
+ * AI insights salaries are compared as annual amounts; multipliers assume
+ * a 40-hour week and 52 paid weeks per year.
+ * @constant {Object}
+ */
+export const SALARY_UNIT_MULTIPLIERS = {
+  HOUR: 2080,
+  DAY: 260,
+  WEEK: 52,
+  MONTH: 12,
+  YEAR: 1,
+};
+
+/**
+ * Salary configuration
+ * @constant {Object}
+ */
+export const SALARY_CONFIG = {
+  // Currency of minSalary/maxSalary filters when salaryCurrency is not given
+  DEFAULT_CURRENCY: process.env.DEFAULT_SALARY_CURRENCY || 'IDR',
+  // Normalized values are stored in this currency so they can be indexed
+  STORAGE_CURRENCY: 'USD',
+};
+
+/**
+ * Annual salary bounds of the salary facet per currency
+ * Consecutive bounds form a bucket, the last one is open-ended.
+ * @constant {Object}
+ */
+export const SALARY_FACET_BUCKETS = {
+  USD: [0, 25000, 50000, 75000, 100000, 150000, 200000],
+  IDR: [0, 60000000, 120000000, 180000000, 300000000, 600000000],
+};
+
+/**
+ * Job recommendation weights
+ * Components the profile has no data for (no skills, unknown seniority, no location)
+ * are left out and the remaining weights are scaled up.
+ * @constant {Object}
+ */
+export const RECOMMENDATION_WEIGHTS = {
+  SKILLS: 0.5,
+  SENIORITY: 0.2,
+  LOCATION: 0.15,
+  RECENCY: 0.15,
+};
+
+/**
+ * Job recommendation configuration
+ * @constant {Object}
+ */
+export const RECOMMENDATION_CONFIG = {
+  // Live jobs scored per request: full-text matches of the profile skills plus the newest jobs
+  CANDIDATE_LIMIT: 300,
+  RECENT_CANDIDATE_LIMIT: 100,
+  // Recency score halves every this many days since posting
+  RECENCY_HALF_LIFE_DAYS: 14,
+  // Jobs scoring below this (0..100) are not recommended
+  MIN_SCORE: 20,
+};
+
+/**
+ * Job engagement events
+ * Values are the counter columns of `job_daily_stats`
+ * @constant {Object}
+ */
+export const JOB_ENGAGEMENT_EVENT = {
+  VIEW: 'views',
+  APPLY_CLICK: 'apply_clicks',
+  SAVE: 'saves',
+  APPLICATION: 'applications',
+};
+
+/**
+ * Weight of each event in the engagement score used to rank jobs and companies
+ * @constant {Object}
+ */
+export const ENGAGEMENT_WEIGHTS = {
+  [JOB_ENGAGEMENT_EVENT.VIEW]: 1,
+  [JOB_ENGAGEMENT_EVENT.APPLY_CLICK]: 5,
+  [JOB_ENGAGEMENT_EVENT.SAVE]: 3,
+  [JOB_ENGAGEMENT_EVENT.APPLICATION]: 10,
+};
+
+/**
+ * Job analytics configuration
+ * @constant {Object}
+ */
+export const JOB_ANALYTICS_CONFIG = {
+  // Buffered counters are written at least this often, and sooner once this many job/day pairs are pending
+  FLUSH_INTERVAL_MS: Number(process.env.JOB_ANALYTICS_FLUSH_INTERVAL_MS || 60 * 1000),
+  MAX_BUFFERED_KEYS: 1000,
+  // Statistics range when from/to are not given, and the longest range allowed
+  DEFAULT_RANGE_DAYS: 30,
+  MAX_RANGE_DAYS: 366,
+};
@@ -0,0 +1,43 @@
+/**
+ * OTP Constants
+ * Purposes, channels and limits of one-time codes sent to phone numbers
+ */
+
+/**
+ * What a code verifies
+ * Stored as plain strings in `otp_codes.purpose`
+ * @constant {Object}
+ */
+export const OTP_PURPOSE = {
+  PHONE_VERIFICATION: 'PHONE_VERIFICATION',
+  RYLS_WHATSAPP: 'RYLS_WHATSAPP',
+};
+
+/**
+ * Delivery channels
+ * @constant {Object}
+ */
+export const OTP_CHANNEL = {
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp',
+};
+
+/**
+ * OTP configuration
+ * @constant {Object}
+ */
+export const OTP_CONFIG = {
+  CODE_LENGTH: 6,
+  CODE_TTL_MS: Number(process.env.OTP_CODE_TTL_MINUTES || 10) * 60 * 1000,
+  // Wrong guesses allowed per code before a new code is needed
+  MAX_ATTEMPTS: 5,
+  // Minimum time between two codes for the same subject
+  RESEND_INTERVAL_MS: 60 * 1000,
+  // Codes sent to one number, and requested from one IP
+  PHONE_LIMIT: { max: 5, windowMs: 60 * 60 * 1000 },
+  IP_LIMIT: { max: 20, windowMs: 60 * 60 * 1000 },
+  // Country code for local numbers starting with 0
+  DEFAULT_COUNTRY_CODE: process.env.OTP_DEFAULT_COUNTRY_CODE || '62',
+  RETENTION_MS: 24 * 60 * 60 * 1000,
+  CLEANUP_INTERVAL_MS: Number(process.env.OTP_CLEANUP_INTERVAL_MS || 60 * 60 * 1000),
+};
@@ -0,0 +1,48 @@
+/**
+ * Permission Constants
+ * Named permissions and the permissions granted to each `UserRole`
+ */
+
+import { USER_ROLE } from './roles.js';
+
+/**
+ * Named permissions, checked by routes with `config: { permission }` (see lib/rbac.js)
+ * @constant {Object}
+ */
+export const PERMISSION = {
+  USERS_READ: 'users:read',
+  USERS_CREATE: 'users:create',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+
+  REGISTRATIONS_READ: 'registrations:read',
+  REGISTRATIONS_UPDATE: 'registrations:update',
+  REGISTRATIONS_DELETE: 'registrations:delete',
+  REGISTRATIONS_EXPORT: 'registrations:export',
+
+  UPLOADS_READ: 'uploads:read',
+  UPLOADS_DELETE: 'uploads:delete',
+  UPLOADS_CLEANUP: 'uploads:cleanup',
+
+  PAYMENTS_READ: 'payments:read',
+  PAYMENTS_CANCEL: 'payments:cancel',
+
+  // Enroll yourself; reading your own enrollments needs no permission
+  ENROLLMENTS_CREATE: 'enrollments:create',
+  // Read every user's enrollments and enrollment reports
+  ENROLLMENTS_READ: 'enrollments:read',
+  // Enroll other users, change progress and status, delete enrollments
+  ENROLLMENTS_MANAGE: 'enrollments:manage',
+
+  BOOTCAMPS_MANAGE: 'bootcamps:manage',
+};
+
+/**
+ * Permissions of each role
+ * @constant {Object}
+ */
+export const ROLE_PERMISSIONS = {
+  [USER_ROLE.ADMIN]: Object.values(PERMISSION),
+  [USER_ROLE.RECRUITER]: [PERMISSION.ENROLLMENTS_CREATE],
+  [USER_ROLE.USER]: [PERMISSION.ENROLLMENTS_CREATE],
+};
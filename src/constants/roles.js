@@ -0,0 +1,16 @@
+/**
+ * User Role Constants
+ * Values of the `UserRole` enum, as carried in the JWT `role` claim
+ */
+
+/**
+ * User roles
+ * RECRUITER users manage the jobs and applicants of the companies they are linked to
+ * (company_recruiters); ADMIN has global access.
+ * @constant {Object}
+ */
+export const USER_ROLE = {
+  ADMIN: 'ADMIN',
+  RECRUITER: 'RECRUITER',
+  USER: 'USER',
+};
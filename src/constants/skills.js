@@ -0,0 +1,36 @@
+/**
+ * Skill Taxonomy Constants
+ * Categories and limits of the canonical skill list
+ */
+
+/**
+ * Skill categories
+ * Stored as plain strings in `skills.category`
+ * @constant {Object}
+ */
+export const SKILL_CATEGORY = {
+  PROGRAMMING_LANGUAGE: 'programming_language',
+  FRAMEWORK: 'framework',
+  DATABASE: 'database',
+  CLOUD_DEVOPS: 'cloud_devops',
+  DATA_AI: 'data_ai',
+  DESIGN: 'design',
+  TOOL: 'tool',
+  BUSINESS: 'business',
+  SOFT_SKILL: 'soft_skill',
+  LANGUAGE: 'language',
+  OTHER: 'other',
+};
+
+/**
+ * Skill taxonomy configuration
+ * @constant {Object}
+ */
+export const SKILL_TAXONOMY_CONFIG = {
+  // Instances reload the taxonomy this often, so admin changes made elsewhere are picked up
+  CACHE_TTL_MS: 5 * 60 * 1000,
+  AUTOCOMPLETE_LIMIT: 10,
+  // Trending skills are counted over live jobs posted in this many days
+  TRENDING_DAYS: 30,
+  TRENDING_LIMIT: 20,
+};
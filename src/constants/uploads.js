@@ -0,0 +1,16 @@
+/**
+ * Upload Constants
+ * Access to uploaded files through GET /api/uploads/:id
+ */
+
+/**
+ * Signed file URL configuration
+ * A signed URL opens one file without an access token until it expires.
+ * @constant {Object}
+ */
+export const UPLOAD_URL_CONFIG = {
+  // URLs returned to anonymous uploaders (RYLS essay, headshot, payment proof)
+  SIGNED_URL_TTL_MS: Number(process.env.UPLOAD_SIGNED_URL_TTL_MINUTES || 60) * 60 * 1000,
+  // URLs written into registration exports
+  EXPORT_URL_TTL_MS: Number(process.env.UPLOAD_EXPORT_URL_TTL_DAYS || 7) * 24 * 60 * 60 * 1000,
+};
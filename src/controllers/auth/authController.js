@@ -1,9 +1,21 @@
 import { userService } from '../../services/userService.js';
+import { authSessionService } from '../../services/authSessionService.js';
+import { passwordResetService } from '../../services/passwordResetService.js';
+import { emailVerificationService } from '../../services/emailVerificationService.js';
+import { phoneVerificationService } from '../../services/phoneVerificationService.js';
+import { twoFactorService } from '../../services/twoFactorService.js';
 import { successResponse, errorResponse } from '../../utils/response.js';
 
+/**
+ * Device of a session, as recorded on login and refresh
+ * @param {Object} request - Fastify request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const clientOf = (request) => ({ userAgent: request.headers['user-agent'], ipAddress: request.ip });
+
 /**
  * Authentication HTTP controllers
- * Handles login, register, and current user operations
+ * Handles login, register, sessions and current user operations
  */
 export class AuthController {
   /**
@@ -15,12 +27,20 @@ export class AuthController {
     try {
       const { email, password, rememberMe = false } = request.body;
 
-      const result = await userService.login(email, password, rememberMe, request.server);
+      const result = await userService.login(email, password, rememberMe, request.server, clientOf(request));
+
+      if (result.two_factor_required) {
+        return reply.send(successResponse(result, 'Two-factor authentication code required'));
+      }
 
       return reply.send(successResponse(result, 'Login successful'));
     } catch (error) {
       request.log.error(error);
 
+      if (error.statusCode === 429) {
+        return reply.status(429).header('Retry-After', error.retryAfter).send(errorResponse(error.message, 429));
+      }
+
       if (error.statusCode === 401) {
         return reply.status(401).send(errorResponse(error.message, 401));
       }
@@ -36,7 +56,7 @@ export class AuthController {
    */
   async register(request, reply) {
     try {
-      const result = await userService.register(request.body, request.server);
+      const result = await userService.register(request.body, request.server, clientOf(request));
 
       return reply.status(201).send(successResponse(result, 'User registered successfully'));
     } catch (error) {
@@ -71,6 +91,373 @@ export class AuthController {
       return reply.status(500).send(errorResponse('Failed to fetch user profile', 500, error.message));
     }
   }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * POST /api/auth/refresh
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async refresh(request, reply) {
+    try {
+      const result = await authSessionService.refresh(request.server, request.body.refreshToken, clientOf(request));
+
+      return reply.send(successResponse(result, 'Token refreshed successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to refresh token', 500, error.message));
+    }
+  }
+
+  /**
+   * Logout (end the session of a refresh token)
+   * POST /api/auth/logout
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async logout(request, reply) {
+    try {
+      await authSessionService.logout(request.body.refreshToken);
+
+      return reply.send(successResponse(null, 'Logged out successfully'));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to logout', 500, error.message));
+    }
+  }
+
+  /**
+   * Get active sessions of the current user (requires authentication)
+   * GET /api/auth/sessions
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getSessions(request, reply) {
+    try {
+      const { userId, sessionId } = request.user;
+      const sessions = await authSessionService.getSessions(userId, sessionId);
+
+      return reply.send(successResponse(sessions, 'Sessions retrieved successfully'));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch sessions', 500, error.message));
+    }
+  }
+
+  /**
+   * Revoke a session of the current user (requires authentication)
+   * DELETE /api/auth/sessions/:id
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async revokeSession(request, reply) {
+    try {
+      await authSessionService.revokeSession(request.user.userId, request.params.id);
+
+      return reply.send(successResponse(null, 'Session revoked successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to revoke session', 500, error.message));
+    }
+  }
+
+  /**
+   * Request a password reset email
+   * POST /api/auth/forgot-password
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async forgotPassword(request, reply) {
+    try {
+      await passwordResetService.requestReset(request.body.email, request.ip);
+
+      return reply.send(successResponse(null, 'If the email is registered, a password reset link has been sent'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 429) {
+        return reply.status(429).header('Retry-After', error.retryAfter).send(errorResponse(error.message, 429));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to request password reset', 500, error.message));
+    }
+  }
+
+  /**
+   * Set a new password with a reset token
+   * POST /api/auth/reset-password
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async resetPassword(request, reply) {
+    try {
+      const { token, password } = request.body;
+      await passwordResetService.resetPassword(token, password, request.ip);
+
+      return reply.send(successResponse(null, 'Password reset successfully, please log in again'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 429) {
+        return reply.status(429).header('Retry-After', error.retryAfter).send(errorResponse(error.message, 429));
+      }
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to reset password', 500, error.message));
+    }
+  }
+
+  /**
+   * Verify an email address with a token
+   * POST /api/auth/verify-email
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async verifyEmail(request, reply) {
+    try {
+      const result = await emailVerificationService.verifyEmail(request.body.token);
+
+      return reply.send(successResponse(result, 'Email verified successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to verify email', 500, error.message));
+    }
+  }
+
+  /**
+   * Send a new verification link to the current user
+   * POST /api/auth/resend-verification
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async resendVerification(request, reply) {
+    try {
+      await emailVerificationService.resendVerification(request.user.userId);
+
+      return reply.send(successResponse(null, 'Verification email sent'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 429) {
+        return reply.status(429).header('Retry-After', error.retryAfter).send(errorResponse(error.message, 429));
+      }
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to send verification email', 500, error.message));
+    }
+  }
+
+  /**
+   * Send a verification code to the current user's phone
+   * POST /api/auth/phone/send-otp
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async sendPhoneOtp(request, reply) {
+    try {
+      const result = await phoneVerificationService.sendCode(request.user.userId, request.body || {}, request.ip);
+
+      return reply.send(successResponse(result, 'Verification code sent'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 429) {
+        return reply.status(429).header('Retry-After', error.retryAfter).send(errorResponse(error.message, 429));
+      }
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to send verification code', 500, error.message));
+    }
+  }
+
+  /**
+   * Verify the current user's phone with a code
+   * POST /api/auth/phone/verify
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async verifyPhoneOtp(request, reply) {
+    try {
+      const result = await phoneVerificationService.verifyCode(request.user.userId, request.body.code);
+
+      return reply.send(successResponse(result, 'Phone number verified successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to verify phone number', 500, error.message));
+    }
+  }
+
+  /**
+   * Finish a two-step login with a two-factor code
+   * POST /api/auth/2fa/verify
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async verifyTwoFactor(request, reply) {
+    try {
+      const { challenge_token, code, recovery_code } = request.body;
+      const result = await twoFactorService.verifyChallenge(
+        request.server,
+        { challengeToken: challenge_token, code, recoveryCode: recovery_code },
+        clientOf(request)
+      );
+
+      return reply.send(successResponse(result, 'Login successful'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 429) {
+        return reply.status(429).header('Retry-After', error.retryAfter).send(errorResponse(error.message, 429));
+      }
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to verify two-factor code', 500, error.message));
+    }
+  }
+
+  /**
+   * Get the two-factor state of the current user
+   * GET /api/auth/2fa
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getTwoFactorStatus(request, reply) {
+    try {
+      const result = await twoFactorService.getStatus(request.user.userId);
+
+      return reply.send(successResponse(result, 'Two-factor status retrieved successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to fetch two-factor status', 500, error.message));
+    }
+  }
+
+  /**
+   * Start two-factor enrollment (secret and otpauth URI for the authenticator app)
+   * POST /api/auth/2fa/setup
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async setupTwoFactor(request, reply) {
+    try {
+      const result = await twoFactorService.setup(request.user.userId);
+
+      return reply.send(successResponse(result, 'Scan the code with your authenticator app and confirm with a code'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to start two-factor setup', 500, error.message));
+    }
+  }
+
+  /**
+   * Enable two-factor authentication with the first code
+   * POST /api/auth/2fa/confirm
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async confirmTwoFactor(request, reply) {
+    try {
+      const { userId, sessionId } = request.user;
+      const result = await twoFactorService.confirm(request.server, userId, request.body.code, sessionId);
+
+      return reply.send(successResponse(result, 'Two-factor authentication enabled. Store the recovery codes in a safe place'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to enable two-factor authentication', 500, error.message));
+    }
+  }
+
+  /**
+   * Replace the two-factor recovery codes
+   * POST /api/auth/2fa/recovery-codes
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async regenerateRecoveryCodes(request, reply) {
+    try {
+      const result = await twoFactorService.regenerateRecoveryCodes(request.user.userId, request.body.code);
+
+      return reply.send(successResponse(result, 'Recovery codes regenerated'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to regenerate recovery codes', 500, error.message));
+    }
+  }
+
+  /**
+   * Disable two-factor authentication
+   * POST /api/auth/2fa/disable
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async disableTwoFactor(request, reply) {
+    try {
+      const { password, code } = request.body;
+      await twoFactorService.disable(request.user.userId, password, code);
+
+      return reply.send(successResponse(null, 'Two-factor authentication disabled'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to disable two-factor authentication', 500, error.message));
+    }
+  }
 }
 
 // Export instance
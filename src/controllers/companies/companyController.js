@@ -0,0 +1,175 @@
+import { companyService } from '../../services/companyService.js';
+import { recruiterAccessService } from '../../services/recruiterAccessService.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+
+/**
+ * Company HTTP controllers
+ * Handles request/response only, delegates business logic to service
+ */
+export class CompanyController {
+  /**
+   * Get company directory
+   * GET /api/companies
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getCompanies(request, reply) {
+    try {
+      const result = await companyService.getCompanies(request.query);
+      return reply.send(successResponse(result.data, 'Companies retrieved successfully', result.meta));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch companies', 500, error.message));
+    }
+  }
+
+  /**
+   * Get company profile
+   * GET /api/companies/:slug
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getCompanyBySlug(request, reply) {
+    try {
+      const company = await companyService.getCompanyProfile(request.params.slug);
+      return reply.send(successResponse(company, 'Company retrieved successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to fetch company', 500, error.message));
+    }
+  }
+
+  /**
+   * Create company (Admin only)
+   * POST /api/companies
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async createCompany(request, reply) {
+    try {
+      const company = await companyService.createCompany(request.body);
+      return reply.status(201).send(successResponse(company, 'Company created successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to create company', 500, error.message));
+    }
+  }
+
+  /**
+   * Update company (Admin only)
+   * PUT /api/companies/:id
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async updateCompany(request, reply) {
+    try {
+      const company = await companyService.updateCompany(request.params.id, request.body);
+      return reply.send(successResponse(company, 'Company updated successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to update company', 500, error.message));
+    }
+  }
+
+  /**
+   * Get companies managed by the current recruiter
+   * GET /api/companies/managed
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getManagedCompanies(request, reply) {
+    try {
+      const companies = await recruiterAccessService.getManagedCompanies(request.user);
+      return reply.send(successResponse(companies, 'Managed companies retrieved successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to fetch managed companies', 500, error.message));
+    }
+  }
+
+  /**
+   * Get recruiters of a company (Admin only)
+   * GET /api/companies/:id/recruiters
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getRecruiters(request, reply) {
+    try {
+      const recruiters = await companyService.getRecruiters(request.params.id);
+      return reply.send(successResponse(recruiters, 'Company recruiters retrieved successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to fetch company recruiters', 500, error.message));
+    }
+  }
+
+  /**
+   * Link a user to a company as recruiter (Admin only)
+   * POST /api/companies/:id/recruiters
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async addRecruiter(request, reply) {
+    try {
+      const recruiter = await companyService.addRecruiter(request.params.id, request.body.user_id);
+      return reply.status(201).send(successResponse(recruiter, 'Recruiter added successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to add recruiter', 500, error.message));
+    }
+  }
+
+  /**
+   * Remove a recruiter from a company (Admin only)
+   * DELETE /api/companies/:id/recruiters/:userId
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async removeRecruiter(request, reply) {
+    try {
+      await companyService.removeRecruiter(request.params.id, request.params.userId);
+      return reply.send(successResponse(null, 'Recruiter removed successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to remove recruiter', 500, error.message));
+    }
+  }
+}
+
+// Export instance
+export const companyController = new CompanyController();
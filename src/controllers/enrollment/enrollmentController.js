@@ -1,5 +1,15 @@
 import { validationResult } from 'express-validator';
 import { successResponse, errorResponse } from '../../utils/response.js';
+import { hasPermission } from '../../lib/rbac.js';
+import { PERMISSION } from '../../constants/permissions.js';
+
+/**
+ * Cek apakah user yang login boleh melihat enrollment milik user lain
+ * @param {Object} user - Payload JWT (request.user)
+ * @param {number} userId - ID pemilik enrollment
+ * @returns {boolean}
+ */
+const canReadEnrollmentsOf = (user, userId) => user?.userId === userId || hasPermission(user, PERMISSION.ENROLLMENTS_READ);
 
 /**
  * EnrollmentController - Controller untuk mengelola enrollment bootcamp
@@ -65,6 +75,10 @@ class EnrollmentController {
         return reply.send(errorResponse('Enrollment tidak ditemukan', 404));
       }
 
+      if (!canReadEnrollmentsOf(request.user, enrollment.user_id)) {
+        return reply.status(403).send(errorResponse('Anda tidak memiliki akses ke enrollment ini', 403));
+      }
+
       return reply.send(successResponse(enrollment, 'Enrollment berhasil ditemukan'));
     } catch (error) {
       request.log.error('Error getting enrollment by ID:', error);
@@ -85,6 +99,11 @@ class EnrollmentController {
       }
 
       const { userId, bootcampId } = request.params;
+
+      if (!canReadEnrollmentsOf(request.user, parseInt(userId))) {
+        return reply.status(403).send(errorResponse('Anda tidak memiliki akses ke enrollment user ini', 403));
+      }
+
       const enrollment = await this.enrollmentService.getEnrollmentByUserAndBootcamp(parseInt(userId), parseInt(bootcampId));
 
       if (!enrollment) {
@@ -111,6 +130,11 @@ class EnrollmentController {
       }
 
       const { userId } = request.params;
+
+      if (!canReadEnrollmentsOf(request.user, parseInt(userId))) {
+        return reply.status(403).send(errorResponse('Anda tidak memiliki akses ke enrollment user ini', 403));
+      }
+
       const options = {
         enrollment_status: request.query.enrollment_status,
         progress_min: request.query.progress_min ? parseInt(request.query.progress_min) : undefined,
@@ -170,12 +194,15 @@ class EnrollmentController {
         return reply.status(400).send(errorResponse('Validation error', 400, errors.array()));
       }
 
+      // User biasa hanya bisa mendaftarkan dirinya sendiri dengan status dan progress awal
+      const canManage = hasPermission(request.user, PERMISSION.ENROLLMENTS_MANAGE);
+
       const enrollmentData = {
-        user_id: request.body.user_id,
+        user_id: canManage && request.body.user_id ? request.body.user_id : request.user.userId,
         bootcamp_id: request.body.bootcamp_id,
         pricing_tier_id: request.body.pricing_tier_id,
-        enrollment_status: request.body.enrollment_status,
-        progress_percentage: request.body.progress_percentage,
+        enrollment_status: canManage ? request.body.enrollment_status : undefined,
+        progress_percentage: canManage ? request.body.progress_percentage : undefined,
       };
 
       const enrollment = await this.enrollmentService.createEnrollment(enrollmentData);
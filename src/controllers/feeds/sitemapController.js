@@ -0,0 +1,52 @@
+import { sitemapService } from '../../services/sitemapService.js';
+import { errorResponse } from '../../utils/response.js';
+import { SITEMAP_CONFIG } from '../../constants/feeds.js';
+
+/**
+ * Sitemap HTTP controllers
+ * Handles request/response only, delegates business logic to service
+ */
+export class SitemapController {
+  /**
+   * Get the root sitemap (urlset, or sitemap index past 50,000 URLs)
+   * GET /sitemap.xml
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getSitemap(request, reply) {
+    try {
+      const xml = await sitemapService.getSitemap();
+      return sendXml(reply, xml);
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to generate sitemap', 500, error.message));
+    }
+  }
+
+  /**
+   * Get one page of an entity sitemap
+   * GET /sitemaps/:file (e.g. jobs-2.xml)
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getSitemapPage(request, reply) {
+    try {
+      // File name is validated by the route schema: <entity>-<page>.xml
+      const [, entity, page] = request.params.file.match(/^([a-z]+)-(\d+)\.xml$/);
+      const xml = await sitemapService.getSitemapPage(entity, Number(page));
+      return sendXml(reply, xml);
+    } catch (error) {
+      request.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to generate sitemap', 500, error.message));
+    }
+  }
+}
+
+const sendXml = (reply, xml) =>
+  reply.type('application/xml; charset=utf-8').header('Cache-Control', `public, max-age=${SITEMAP_CONFIG.CACHE_MAX_AGE}`).send(xml);
+
+// Export instance
+export const sitemapController = new SitemapController();
@@ -0,0 +1,94 @@
+import { jobAlertService } from '../../services/jobAlertService.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+
+/**
+ * Job alert HTTP controllers
+ * Handles request/response only, delegates business logic to service
+ */
+export class JobAlertController {
+  /**
+   * Get job alerts of the current user
+   * GET /api/users/me/job-alerts
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getMyAlerts(request, reply) {
+    try {
+      const { userId } = request.user;
+      const alerts = await jobAlertService.getUserAlerts(userId);
+      return reply.send(successResponse(alerts, 'Job alerts retrieved successfully'));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch job alerts', 500, error.message));
+    }
+  }
+
+  /**
+   * Save a job search as an alert
+   * POST /api/users/me/job-alerts
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async createAlert(request, reply) {
+    try {
+      const { userId } = request.user;
+      const alert = await jobAlertService.createAlert(userId, request.body);
+      return reply.status(201).send(successResponse(alert, 'Job alert created successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to create job alert', 500, error.message));
+    }
+  }
+
+  /**
+   * Update a job alert
+   * PATCH /api/users/me/job-alerts/:id
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async updateAlert(request, reply) {
+    try {
+      const { userId } = request.user;
+      const alert = await jobAlertService.updateAlert(userId, Number(request.params.id), request.body);
+      return reply.send(successResponse(alert, 'Job alert updated successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to update job alert', 500, error.message));
+    }
+  }
+
+  /**
+   * Delete a job alert
+   * DELETE /api/users/me/job-alerts/:id
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async deleteAlert(request, reply) {
+    try {
+      const { userId } = request.user;
+      await jobAlertService.deleteAlert(userId, Number(request.params.id));
+      return reply.send(successResponse(null, 'Job alert deleted successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to delete job alert', 500, error.message));
+    }
+  }
+}
+
+// Export instance
+export const jobAlertController = new JobAlertController();
@@ -0,0 +1,121 @@
+import { jobApplicationService } from '../../services/jobApplicationService.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+
+/**
+ * Job application HTTP controllers
+ * Handles request/response only, delegates business logic to service
+ */
+export class JobApplicationController {
+  /**
+   * Apply to a job
+   * POST /api/jobs/:id/apply
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async applyToJob(request, reply) {
+    try {
+      const { userId } = request.user;
+      const application = await jobApplicationService.applyToJob(userId, Number(request.params.id), request.body || {});
+      return reply.status(201).send(successResponse(application, 'Application submitted successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to submit application', 500, error.message));
+    }
+  }
+
+  /**
+   * Get applications of the current user
+   * GET /api/users/me/applications
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getMyApplications(request, reply) {
+    try {
+      const { userId } = request.user;
+      const result = await jobApplicationService.getUserApplications(userId, request.query);
+      return reply.send(successResponse(result.data, 'Applications retrieved successfully', result.meta));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch applications', 500, error.message));
+    }
+  }
+
+  /**
+   * Withdraw an application of the current user
+   * POST /api/users/me/applications/:id/withdraw
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async withdrawApplication(request, reply) {
+    try {
+      const { userId } = request.user;
+      const application = await jobApplicationService.withdrawApplication(userId, Number(request.params.id));
+      return reply.send(successResponse(application, 'Application withdrawn successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to withdraw application', 500, error.message));
+    }
+  }
+
+  /**
+   * Get applicant pipeline of a job (Admin, or recruiter of the company)
+   * GET /api/jobs/:id/applications
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getJobApplications(request, reply) {
+    try {
+      const result = await jobApplicationService.getJobApplications(Number(request.params.id), request.query, request.user);
+      return reply.send(successResponse(result.data, 'Job applications retrieved successfully', result.meta));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to fetch job applications', 500, error.message));
+    }
+  }
+
+  /**
+   * Move an application to another pipeline status (Admin, or recruiter of the company)
+   * PATCH /api/jobs/:id/applications/:applicationId
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async updateApplicationStatus(request, reply) {
+    try {
+      const { status, note } = request.body;
+      const application = await jobApplicationService.updateApplicationStatus(
+        Number(request.params.id),
+        Number(request.params.applicationId),
+        status,
+        request.user,
+        note
+      );
+      return reply.send(successResponse(application, 'Application status updated successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to update application status', 500, error.message));
+    }
+  }
+}
+
+// Export instance
+export const jobApplicationController = new JobApplicationController();
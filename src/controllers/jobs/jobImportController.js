@@ -0,0 +1,60 @@
+import path from 'path';
+import { jobImportService } from '../../services/jobImportService.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+
+const ALLOWED_FEED_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+
+/**
+ * Job feed import HTTP controllers
+ * Handles request/response only, delegates business logic to service
+ */
+export class JobImportController {
+  /**
+   * Import a LinkedIn-format job feed (Admin only)
+   * POST /api/jobs/import
+   * Accepts a multipart `file` (.json, .ndjson, .jsonl) or a JSON body with the jobs array
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async importFeed(request, reply) {
+    try {
+      let content;
+      let filename = '';
+
+      if (request.isMultipart()) {
+        const file = await request.file();
+
+        if (!file) {
+          return reply.status(400).send(errorResponse('No feed file uploaded', 400));
+        }
+
+        filename = file.filename;
+        if (!ALLOWED_FEED_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+          return reply.status(400).send(errorResponse(`Invalid feed file. Allowed extensions: ${ALLOWED_FEED_EXTENSIONS.join(', ')}`, 400));
+        }
+
+        content = (await file.toBuffer()).toString('utf8');
+      } else if (request.body) {
+        content = JSON.stringify(request.body);
+      } else {
+        return reply.status(400).send(errorResponse('Feed file or JSON body is required', 400));
+      }
+
+      const report = await jobImportService.importFeed(content, { filename });
+      request.log.info({ report: { ...report, errors: undefined } }, 'Job feed imported');
+
+      return reply.send(successResponse(report, 'Job feed imported successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to import job feed', 500, error.message));
+    }
+  }
+}
+
+// Export instance
+export const jobImportController = new JobImportController();
@@ -1,6 +1,10 @@
 import { JobsService } from '../../services/jobsService.js';
+import { jobRecommendationService } from '../../services/jobRecommendationService.js';
+import { jobFeedService } from '../../services/jobFeedService.js';
+import { jobAnalyticsService } from '../../services/jobAnalyticsService.js';
 import { successResponse, errorResponse } from '../../utils/response.js';
-import { validationResult } from 'express-validator';
+import { hasRole } from '../../lib/jwt.js';
+import { FEED_FORMAT, FEED_CONTENT_TYPES, JOB_FEED_CONFIG } from '../../constants/feeds.js';
 
 class JobsController {
   constructor() {
@@ -14,45 +18,130 @@ class JobsController {
    */
   async getJobs(req, reply) {
     try {
-      const {
-        page = 1,
-        limit = 10,
-        search = '',
-        location = '',
-        jobType = '',
-        experienceLevel = '',
-        minSalary = '',
-        maxSalary = '',
-        isRemote = '',
-        companyName = '',
-        skills = '',
-        sortBy = 'createdAt',
-        sortOrder = 'desc',
-      } = req.query;
-
-      const filters = {
-        search,
-        location,
-        jobType,
-        experienceLevel,
-        minSalary: minSalary ? parseInt(minSalary) : undefined,
-        maxSalary: maxSalary ? parseInt(maxSalary) : undefined,
-        isRemote: isRemote === 'true' ? true : isRemote === 'false' ? false : undefined,
-        companyName,
-        skills: skills ? skills.split(',').map((skill) => skill.trim()) : undefined,
-      };
+      const { sortBy = 'createdAt', sortOrder = sortBy === 'distance' ? 'asc' : 'desc' } = req.query;
+      const filters = this.parseListFilters(req);
 
       // For frontend pagination, fetch all jobs without backend pagination
       const allJobsFilters = { ...filters };
-      const result = await this.jobsService.searchJobs(allJobsFilters, 1, 1000, sortBy, sortOrder); // Large limit to get all
+      const result = await this.jobsService.searchJobs({ ...allJobsFilters, page: 1, limit: 1000, sortBy, sortOrder }, req.user?.userId); // Large limit to get all
       
       // Return only the jobs array, not the paginated structure
       return reply.send(successResponse(result.data, 'Jobs retrieved successfully'));
     } catch (error) {
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
       return reply.send(errorResponse(error.message, 500));
     }
   }
 
+  /**
+   * Get facet counts for the job listing sidebar
+   * Accepts the same query as getJobs
+   * @param {Object} req - Express request object
+   * @param {Object} reply - Fastify reply object
+   */
+  async getFacets(req, reply) {
+    try {
+      const facets = await this.jobsService.getFacets(this.parseListFilters(req));
+      return reply.send(successResponse(facets, 'Job facets retrieved successfully'));
+    } catch (error) {
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to retrieve job facets', 500, error.message));
+    }
+  }
+
+  /**
+   * Get the RSS feed of jobs matching the GET /api/jobs filters
+   * @param {Object} req - Express request object
+   * @param {Object} reply - Fastify reply object
+   */
+  async getRssFeed(req, reply) {
+    return this.sendJobsFeed(req, reply, FEED_FORMAT.RSS);
+  }
+
+  /**
+   * Get the Atom feed of jobs matching the GET /api/jobs filters
+   * @param {Object} req - Express request object
+   * @param {Object} reply - Fastify reply object
+   */
+  async getAtomFeed(req, reply) {
+    return this.sendJobsFeed(req, reply, FEED_FORMAT.ATOM);
+  }
+
+  /**
+   * Send a job feed
+   * @private
+   * @param {Object} req - Request with GET /api/jobs filters
+   * @param {Object} reply - Fastify reply object
+   * @param {string} format - FEED_FORMAT value
+   */
+  async sendJobsFeed(req, reply, format) {
+    try {
+      const { page = 1, limit = JOB_FEED_CONFIG.DEFAULT_LIMIT, sortBy = 'createdAt', sortOrder = sortBy === 'distance' ? 'asc' : 'desc' } = req.query;
+      const filters = this.parseListFilters(req);
+      const selfUrl = `${req.protocol}://${req.host}${req.url}`;
+
+      const feed = await jobFeedService.getJobsFeed({ ...filters, page, limit, sortBy, sortOrder }, format, selfUrl);
+
+      return reply.type(FEED_CONTENT_TYPES[format]).header('Cache-Control', `public, max-age=${JOB_FEED_CONFIG.CACHE_MAX_AGE}`).send(feed);
+    } catch (error) {
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to generate job feed', 500, error.message));
+    }
+  }
+
+  /**
+   * Parse GET /api/jobs filters from the query
+   * @private
+   * @param {Object} req - Request with query and optional user
+   * @returns {Object} Search filters
+   */
+  parseListFilters(req) {
+    const {
+      search = '',
+      location = '',
+      jobType = '',
+      experienceLevel = '',
+      minSalary = '',
+      maxSalary = '',
+      salaryCurrency,
+      isRemote = '',
+      companyName = '',
+      skills = '',
+      status,
+      lat,
+      lng,
+      radiusKm,
+      includeRemote = false,
+    } = req.query;
+
+    return {
+      search,
+      location,
+      jobType,
+      experienceLevel,
+      minSalary: minSalary ? parseInt(minSalary) : undefined,
+      maxSalary: maxSalary ? parseInt(maxSalary) : undefined,
+      salaryCurrency,
+      isRemote: typeof isRemote === 'boolean' ? isRemote : undefined, // Coerced by the route schema
+      companyName,
+      skills: skills ? skills.split(',').map((skill) => skill.trim()) : undefined,
+      // Only admins may list expired/archived jobs; everyone else sees active jobs
+      status: hasRole(req.user, ['ADMIN']) ? status : undefined,
+      lat,
+      lng,
+      radiusKm,
+      includeRemote,
+    };
+  }
+
   /**
    * Get job by ID or slug
    * @param {Object} req - Express request object
@@ -61,33 +150,57 @@ class JobsController {
   async getJobById(req, reply) {
     try {
       const { id } = req.params;
-      const job = await this.jobsService.getJobById(id);
-
-      if (!job) {
-        return reply.send(errorResponse('Job not found', 404));
-      }
+      const { structuredData } = req.query;
+      const job = await this.jobsService.getJobById(id, req.user?.userId, { structuredData });
 
       return reply.send(successResponse(job, 'Job retrieved successfully'));
     } catch (error) {
+      if (error.statusCode === 404) {
+        return reply.status(404).send(errorResponse(error.message, 404));
+      }
+
       return reply.send(errorResponse(error.message, 500));
     }
   }
 
   /**
-   * Get job recommendations for user
+   * Get jobs recommended for the logged-in user
    * @param {Object} req - Express request object
    * @param {Object} reply - Fastify reply object
    */
-  async getJobRecommendations(req, reply) {
+  async getRecommendedJobs(req, reply) {
     try {
-      const userId = req.user?.id;
-      const { limit = 10 } = req.query;
+      const { limit, remote } = req.query;
+      const jobs = await jobRecommendationService.getRecommendedJobs(req.user.userId, { limit, remote });
 
-      const recommendations = await this.jobsService.getJobRecommendations(userId, parseInt(limit));
+      return reply.send(successResponse(jobs, 'Job recommendations retrieved successfully'));
+    } catch (error) {
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to retrieve job recommendations', 500, error.message));
+    }
+  }
 
-      return reply.send(successResponse(recommendations, 'Job recommendations retrieved successfully'));
+  /**
+   * Get jobs similar to a job
+   * @param {Object} req - Express request object
+   * @param {Object} reply - Fastify reply object
+   */
+  async getSimilarJobs(req, reply) {
+    try {
+      const { id } = req.params;
+      const { limit } = req.query;
+      const jobs = await jobRecommendationService.getSimilarJobs(id, { limit }, req.user?.userId);
+
+      return reply.send(successResponse(jobs, 'Similar jobs retrieved successfully'));
     } catch (error) {
-      return reply.send(errorResponse(error.message, 500));
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to retrieve similar jobs', 500, error.message));
     }
   }
 
@@ -106,71 +219,56 @@ class JobsController {
   }
 
   /**
-   * Create new job (Admin only)
+   * Create new job (Admin, or recruiter of the company)
    * @param {Object} req - Express request object
    * @param {Object} reply - Fastify reply object
    */
   async createJob(req, reply) {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return reply.send(errorResponse('Validation failed', 400, errors.array()));
-      }
-
-      const jobData = {
-        ...req.body,
-        postedBy: req.user.id,
-      };
-
-      const job = await this.jobsService.createJob(jobData);
-      return reply.send(successResponse(job, 'Job created successfully', 201));
+      const job = await this.jobsService.createJob(req.body, req.user);
+      return reply.status(201).send(successResponse(job, 'Job created successfully'));
     } catch (error) {
-      return reply.send(errorResponse(error.message, 500));
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to create job', 500, error.message));
     }
   }
 
   /**
-   * Update job (Admin only)
+   * Update job (Admin, or recruiter of the company)
    * @param {Object} req - Express request object
    * @param {Object} reply - Fastify reply object
    */
   async updateJob(req, reply) {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return reply.send(errorResponse('Validation failed', 400, errors.array()));
-      }
-
-      const { id } = req.params;
-      const job = await this.jobsService.updateJob(id, req.body);
-
-      if (!job) {
-        return reply.send(errorResponse('Job not found', 404));
-      }
-
+      const job = await this.jobsService.updateJob(req.params.id, req.body, req.user);
       return reply.send(successResponse(job, 'Job updated successfully'));
     } catch (error) {
-      return reply.send(errorResponse(error.message, 500));
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to update job', 500, error.message));
     }
   }
 
   /**
-   * Delete job (Admin only)
+   * Delete job (Admin, or recruiter of the company)
    * @param {Object} req - Express request object
    * @param {Object} reply - Fastify reply object
    */
   async deleteJob(req, reply) {
     try {
-      const { id } = req.params;
-      const success = await this.jobsService.deleteJob(id);
-
-      if (!success) {
-        return reply.send(errorResponse('Job not found', 404));
-      }
-
+      await this.jobsService.deleteJob(req.params.id, req.user);
       return reply.send(successResponse(null, 'Job deleted successfully'));
     } catch (error) {
-      return reply.send(errorResponse(error.message, 500));
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to delete job', 500, error.message));
     }
   }
 
@@ -224,7 +322,7 @@ class JobsController {
    */
   async searchJobs(req, reply) {
     try {
-      const { q, location, jobType, experienceLevel, skills, page = 1, limit = 10 } = req.query;
+      const { q, location, jobType, experienceLevel, skills, page = 1, limit = 10, sortBy = 'relevance', sortOrder = 'desc' } = req.query;
 
       const filters = {
         search: q,
@@ -234,9 +332,12 @@ class JobsController {
         skills: skills ? skills.split(',').map((skill) => skill.trim()) : undefined,
       };
 
-      const result = await this.jobsService.searchJobs(filters, parseInt(page), parseInt(limit));
+      const result = await this.jobsService.searchJobs({ ...filters, page, limit, sortBy, sortOrder }, req.user?.userId);
       return reply.send(successResponse(result, 'Jobs search completed successfully'));
     } catch (error) {
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
       return reply.send(errorResponse(error.message, 500));
     }
   }
@@ -249,10 +350,15 @@ class JobsController {
   async getJobStatistics(req, reply) {
     try {
       const { id } = req.params;
-      const stats = await this.jobsService.getJobStatistics(id);
+      const { from, to } = req.query;
+      const stats = await jobAnalyticsService.getJobStatistics(id, { from, to });
       return reply.send(successResponse(stats, 'Job statistics retrieved successfully'));
     } catch (error) {
-      return reply.send(errorResponse(error.message, 500));
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to retrieve job statistics', 500, error.message));
     }
   }
 
@@ -263,10 +369,36 @@ class JobsController {
    */
   async getAllJobsStatistics(req, reply) {
     try {
-      const stats = await this.jobsService.getAllJobsStatistics();
-      return reply.send(successResponse(stats, 'All jobs statistics retrieved successfully'));
+      const { from, to, limit } = req.query;
+      const [overview, engagement] = await Promise.all([
+        this.jobsService.getStatistics(),
+        jobAnalyticsService.getEngagementRanking({ from, to, limit }),
+      ]);
+      return reply.send(successResponse({ overview, engagement }, 'All jobs statistics retrieved successfully'));
     } catch (error) {
-      return reply.send(errorResponse(error.message, 500));
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to retrieve jobs statistics', 500, error.message));
+    }
+  }
+
+  /**
+   * Redirect to the external apply page of a job, counting the click-through
+   * @param {Object} req - Express request object
+   * @param {Object} reply - Fastify reply object
+   */
+  async applyExternally(req, reply) {
+    try {
+      const url = await jobAnalyticsService.trackExternalApply(req.params.id);
+      return reply.header('Cache-Control', 'no-store').redirect(url, 302);
+    } catch (error) {
+      req.log.error(error);
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+      return reply.status(500).send(errorResponse('Failed to resolve external apply URL', 500, error.message));
     }
   }
 }
@@ -0,0 +1,72 @@
+import { savedJobService } from '../../services/savedJobService.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+
+/**
+ * Saved jobs (bookmarks) HTTP controllers
+ * Handles request/response only, delegates business logic to service
+ */
+export class SavedJobController {
+  /**
+   * Save a job
+   * POST /api/jobs/:id/save
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async saveJob(request, reply) {
+    try {
+      const { userId } = request.user;
+      const savedJob = await savedJobService.saveJob(userId, Number(request.params.id));
+      return reply.status(201).send(successResponse(savedJob, 'Job saved successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to save job', 500, error.message));
+    }
+  }
+
+  /**
+   * Remove a saved job
+   * DELETE /api/jobs/:id/save
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async unsaveJob(request, reply) {
+    try {
+      const { userId } = request.user;
+      await savedJobService.unsaveJob(userId, Number(request.params.id));
+      return reply.send(successResponse(null, 'Job removed from saved jobs'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to remove saved job', 500, error.message));
+    }
+  }
+
+  /**
+   * Get saved jobs of the current user
+   * GET /api/users/me/saved-jobs
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getMySavedJobs(request, reply) {
+    try {
+      const { userId } = request.user;
+      const result = await savedJobService.getSavedJobs(userId, request.query);
+      return reply.send(successResponse(result.data, 'Saved jobs retrieved successfully', result.meta));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch saved jobs', 500, error.message));
+    }
+  }
+}
+
+// Export instance
+export const savedJobController = new SavedJobController();
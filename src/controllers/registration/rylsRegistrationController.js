@@ -231,6 +231,50 @@ export class RylsRegistrationController {
     }
   }
 
+  /**
+   * Send a verification code to the registration's WhatsApp number
+   * POST /api/registrations/submission/:submissionId/whatsapp/send-otp
+   */
+  async sendWhatsappOtp(request, reply) {
+    try {
+      const result = await this.registrationService.sendWhatsappCode(request.params.submissionId, request.ip);
+
+      return reply.status(200).send(successResponse(result, 'Verification code sent'));
+    } catch (error) {
+      console.error('Error sending WhatsApp verification code:', error);
+
+      if (error.statusCode === 429) {
+        return reply.status(429).header('Retry-After', error.retryAfter).send(errorResponse(error.message, 429));
+      }
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to send verification code', 500, error.message));
+    }
+  }
+
+  /**
+   * Verify the registration's WhatsApp number with a code
+   * POST /api/registrations/submission/:submissionId/whatsapp/verify
+   */
+  async verifyWhatsappOtp(request, reply) {
+    try {
+      const result = await this.registrationService.verifyWhatsappCode(request.params.submissionId, request.body.code);
+
+      return reply.status(200).send(successResponse(result, 'WhatsApp number verified successfully'));
+    } catch (error) {
+      console.error('Error verifying WhatsApp number:', error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to verify WhatsApp number', 500, error.message));
+    }
+  }
+
   /**
    * Get registration statistics
    * GET /api/registrations/stats
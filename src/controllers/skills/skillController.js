@@ -0,0 +1,165 @@
+import { skillService } from '../../services/skillService.js';
+import { successResponse, errorResponse } from '../../utils/response.js';
+
+/**
+ * Skill taxonomy HTTP controllers
+ * Handles request/response only, delegates business logic to service
+ */
+export class SkillController {
+  /**
+   * Suggest skills for the skill picker
+   * GET /api/skills/autocomplete
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async autocomplete(request, reply) {
+    try {
+      const { q, ...options } = request.query;
+      const skills = await skillService.autocomplete(q, options);
+      return reply.send(successResponse(skills, 'Skills retrieved successfully'));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch skills', 500, error.message));
+    }
+  }
+
+  /**
+   * Get trending skills of recent job postings
+   * GET /api/skills/trending
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getTrendingSkills(request, reply) {
+    try {
+      const skills = await skillService.getTrendingSkills(request.query);
+      return reply.send(successResponse(skills, 'Trending skills retrieved successfully'));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch trending skills', 500, error.message));
+    }
+  }
+
+  /**
+   * Get skills with aliases
+   * GET /api/skills
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getSkills(request, reply) {
+    try {
+      const result = await skillService.getSkills(request.query);
+      return reply.send(successResponse(result.data, 'Skills retrieved successfully', result.meta));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch skills', 500, error.message));
+    }
+  }
+
+  /**
+   * Create skill (Admin only)
+   * POST /api/skills
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async createSkill(request, reply) {
+    try {
+      const skill = await skillService.createSkill(request.body);
+      return reply.status(201).send(successResponse(skill, 'Skill created successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to create skill', 500, error.message));
+    }
+  }
+
+  /**
+   * Update skill (Admin only)
+   * PUT /api/skills/:id
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async updateSkill(request, reply) {
+    try {
+      const skill = await skillService.updateSkill(request.params.id, request.body);
+      return reply.send(successResponse(skill, 'Skill updated successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to update skill', 500, error.message));
+    }
+  }
+
+  /**
+   * Add alias to skill (Admin only)
+   * POST /api/skills/:id/aliases
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async addAlias(request, reply) {
+    try {
+      const alias = await skillService.addAlias(request.params.id, request.body.name);
+      return reply.status(201).send(successResponse(alias, 'Skill alias added successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to add skill alias', 500, error.message));
+    }
+  }
+
+  /**
+   * Remove alias from skill (Admin only)
+   * DELETE /api/skills/:id/aliases/:aliasId
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async removeAlias(request, reply) {
+    try {
+      await skillService.removeAlias(request.params.id, request.params.aliasId);
+      return reply.send(successResponse(null, 'Skill alias removed successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to remove skill alias', 500, error.message));
+    }
+  }
+
+  /**
+   * Merge duplicate skills into a skill (Admin only)
+   * POST /api/skills/:id/merge
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async mergeSkills(request, reply) {
+    try {
+      const skill = await skillService.mergeSkills(request.params.id, request.body.source_ids);
+      return reply.send(successResponse(skill, 'Skills merged successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to merge skills', 500, error.message));
+    }
+  }
+}
+
+// Export instance
+export const skillController = new SkillController();
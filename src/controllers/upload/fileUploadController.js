@@ -72,6 +72,25 @@ export class FileUploadController {
     }
   }
 
+  /**
+   * Upload resume file (PDF only)
+   * POST /api/uploads/resume
+   */
+  async uploadResume(request, reply) {
+    try {
+      if (!request.uploadedFile) {
+        return reply.status(400).send(errorResponse('No file uploaded', 400));
+      }
+
+      const uploadResult = await this.fileUploadService.processFileUpload(request.uploadedFile, 'RESUME', request.user.userId);
+
+      return reply.status(201).send(successResponse(uploadResult, 'Resume file uploaded successfully'));
+    } catch (error) {
+      console.error('Error uploading resume:', error);
+      return reply.status(500).send(errorResponse('Failed to upload resume file', 500, error.message));
+    }
+  }
+
   /**
    * Download/view file by ID
    * GET /api/uploads/:id
@@ -87,6 +106,8 @@ export class FileUploadController {
       }
 
       const fileInfo = await this.fileUploadService.getFileDownloadInfo(parseInt(id));
+      await this.fileUploadService.assertCanRead(fileInfo, request.user, request.query);
+
       const fileExists = await fs.pathExists(fileInfo.filePath);
       if (!fileExists) {
         return reply.status(404).send(errorResponse('File not found on disk', 404));
@@ -105,6 +126,10 @@ export class FileUploadController {
         return reply.status(404).send(errorResponse('File not found', 404));
       }
 
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
+
       return reply.status(500).send(errorResponse('Failed to download file', 500, error.message));
     }
   }
@@ -127,9 +152,15 @@ export class FileUploadController {
         return reply.status(404).send(errorResponse('File not found', 404));
       }
 
+      await this.fileUploadService.assertCanRead(fileInfo, request.user, request.query);
+
       return reply.status(200).send(successResponse(fileInfo, 'File information retrieved successfully'));
     } catch (error) {
       console.error('Error getting file info:', error);
+
+      if (error.statusCode) {
+        return reply.status(error.statusCode).send(errorResponse(error.message, error.statusCode));
+      }
       return reply.status(500).send(errorResponse('Failed to get file information', 500, error.message));
     }
   }
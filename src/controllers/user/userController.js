@@ -1,4 +1,5 @@
 import { userService } from '../../services/userService.js';
+import { loginProtectionService } from '../../services/loginProtectionService.js';
 import { successResponse, errorResponse, paginationMeta } from '../../utils/response.js';
 
 /**
@@ -108,6 +109,44 @@ export class UserController {
     }
   }
 
+  /**
+   * Get login lockouts for security review
+   * GET /api/users/lockouts
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async getLoginLockouts(request, reply) {
+    try {
+      const result = await loginProtectionService.getLockouts(request.query);
+      return reply.send(successResponse(result.data, 'Login lockouts retrieved successfully', result.meta));
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send(errorResponse('Failed to fetch login lockouts', 500, error.message));
+    }
+  }
+
+  /**
+   * Unlock a user's account after failed logins
+   * POST /api/users/:id/unlock
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async unlockUser(request, reply) {
+    try {
+      const { id } = request.params;
+      const result = await loginProtectionService.unlockUser(Number(id), request.user);
+      return reply.send(successResponse(result, 'User account unlocked successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 404) {
+        return reply.status(404).send(errorResponse(error.message, 404));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to unlock user account', 500, error.message));
+    }
+  }
+
   /**
    * Get current user profile
    * @param {Object} request - Fastify request
@@ -129,6 +168,77 @@ export class UserController {
     }
   }
 
+  /**
+   * Update the profile of the current user
+   * PATCH /api/users/me
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async updateProfile(request, reply) {
+    try {
+      const { userId } = request.user;
+      const user = await userService.updateProfile(userId, request.body);
+      return reply.send(successResponse(user, 'Profile updated successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 404) {
+        return reply.status(404).send(errorResponse(error.message, 404));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to update profile', 500, error.message));
+    }
+  }
+
+  /**
+   * Change the password of the current user
+   * PUT /api/users/me/password
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async changePassword(request, reply) {
+    try {
+      const { userId, sessionId } = request.user;
+      const { current_password, new_password } = request.body;
+      const result = await userService.changePassword(userId, current_password, new_password, sessionId ?? null);
+      return reply.send(successResponse(result, 'Password changed successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 404) {
+        return reply.status(404).send(errorResponse(error.message, 404));
+      }
+
+      if (error.statusCode === 400) {
+        return reply.status(400).send(errorResponse(error.message, 400));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to change password', 500, error.message));
+    }
+  }
+
+  /**
+   * Replace the avatar of the current user
+   * PUT /api/users/me/avatar
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   */
+  async updateAvatar(request, reply) {
+    try {
+      const { userId } = request.user;
+      const user = await userService.updateAvatar(userId, request.uploadedFile);
+      return reply.send(successResponse(user, 'Avatar updated successfully'));
+    } catch (error) {
+      request.log.error(error);
+
+      if (error.statusCode === 404) {
+        return reply.status(404).send(errorResponse(error.message, 404));
+      }
+
+      return reply.status(500).send(errorResponse('Failed to update avatar', 500, error.message));
+    }
+  }
+
   /**
    * Get user settings
    * @param {Object} request - Fastify request
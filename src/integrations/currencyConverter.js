@@ -73,3 +73,82 @@ export const convertUsdToIdr = async (usdAmount, fastify) => {
     };
   }
 };
+
+// Latest rates per base currency, shared by every conversion in this process
+const ratesCache = new Map();
+const RATES_TTL_MS = 3600000; // 1 jam TTL
+
+/**
+ * Get the latest exchange rates for a base currency
+ * Rates are cached in memory (and in fastify.cache when available) for one hour.
+ * @param {string} baseCurrency - ISO 4217 code, e.g. 'USD'
+ * @param {Object} fastify - Fastify instance (optional, enables shared cache)
+ * @returns {Promise<Object>} Map of currency code to rate, e.g. { USD: 1, IDR: 16250 }
+ * @throws {Error} If the currency API is unavailable
+ */
+export const getExchangeRates = async (baseCurrency = 'USD', fastify) => {
+  const base = baseCurrency.toUpperCase();
+  const cacheKey = `currency:rates:${base}`;
+
+  const memo = ratesCache.get(base);
+  if (memo && Date.now() - memo.fetchedAt < RATES_TTL_MS) {
+    return memo.rates;
+  }
+
+  if (fastify && fastify.cache) {
+    const cached = await CacheHelper.get(fastify, cacheKey);
+    if (cached) {
+      ratesCache.set(base, { rates: cached, fetchedAt: Date.now() });
+      return cached;
+    }
+  }
+
+  const res = await currencyapi.latest({ base_currency: base });
+  const rates = res?.data;
+
+  if (!rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+    throw new Error('Invalid rates from currency API');
+  }
+
+  rates[base] = 1;
+  ratesCache.set(base, { rates, fetchedAt: Date.now() });
+
+  if (fastify && fastify.cache) {
+    try {
+      await CacheHelper.set(fastify, cacheKey, rates, RATES_TTL_MS);
+    } catch (cacheError) {
+      console.warn('[CurrencyConverter] Cache set failed:', cacheError.message);
+    }
+  }
+
+  return rates;
+};
+
+/**
+ * Convert an amount between two currencies using USD-based rates
+ * Unlike convertUsdToIdr this throws instead of returning { success: false },
+ * so callers can decide whether a missing rate is fatal.
+ * @param {number} amount - Amount in fromCurrency
+ * @param {string} fromCurrency - ISO 4217 code
+ * @param {string} toCurrency - ISO 4217 code
+ * @param {Object} fastify - Fastify instance (optional)
+ * @returns {Promise<number>} Converted amount
+ * @throws {Error} If a currency is unsupported (error.code = 'UNSUPPORTED_CURRENCY') or rates are unavailable
+ */
+export const convertCurrency = async (amount, fromCurrency, toCurrency, fastify) => {
+  const from = fromCurrency.toUpperCase();
+  const to = toCurrency.toUpperCase();
+
+  if (from === to) return amount;
+
+  const rates = await getExchangeRates('USD', fastify);
+  const unsupported = [from, to].find((code) => typeof rates[code] !== 'number' || rates[code] <= 0);
+
+  if (unsupported) {
+    const error = new Error(`Unsupported currency: ${unsupported}`);
+    error.code = 'UNSUPPORTED_CURRENCY';
+    throw error;
+  }
+
+  return (amount / rates[from]) * rates[to];
+};
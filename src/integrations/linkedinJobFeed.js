@@ -0,0 +1,212 @@
+/**
+ * LinkedIn Job Feed
+ * Parses LinkedIn jobs API exports (JSON or NDJSON) and maps each record
+ * to the Company, JobLocation, Job and JobAIInsights models.
+ *
+ * Field mapping follows prisma/seeds/jobsSeed.js.
+ */
+
+/**
+ * Normalize company name into a slug
+ * @param {string} name - Company name
+ * @returns {string} Slug
+ */
+export const normalizeSlug = (name) => {
+  return name
+    .toLowerCase()
+    .replace(/[^a-zA-Z0-9\s]/g, '') // Remove special characters
+    .replace(/\s+/g, '-') // Replace spaces with dashes
+    .trim();
+};
+
+/**
+ * Normalize job title into a slug
+ * @param {string} title - Job title
+ * @returns {string} Slug
+ */
+export const normalizeJobSlug = (title) => {
+  return normalizeSlug(title).substring(0, 200);
+};
+
+/**
+ * Parse feed content into records
+ * Accepts a JSON array, a JSON object with a `data` or `jobs` array, or NDJSON (one job per line).
+ * Lines that are not valid JSON are returned as parse errors instead of aborting the import.
+ * @param {string} content - Raw file content
+ * @param {string} filename - Original filename, `.ndjson`/`.jsonl` forces NDJSON parsing
+ * @returns {Object} { records: [{ index, data }], errors: [{ index, reason }] }
+ */
+export const parseJobFeed = (content, filename = '') => {
+  const text = content.replace(/^﻿/, '').trim();
+  const forceNdjson = /\.(ndjson|jsonl)$/i.test(filename);
+
+  if (!forceNdjson && (text.startsWith('[') || text.startsWith('{'))) {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Several objects on separate lines are NDJSON, only a broken array is fatal
+      if (text.startsWith('[')) {
+        const parseError = new Error(`Invalid JSON feed: ${error.message}`);
+        parseError.statusCode = 400;
+        throw parseError;
+      }
+    }
+
+    if (parsed !== undefined) {
+      const items = Array.isArray(parsed) ? parsed : parsed.data || parsed.jobs || [parsed];
+
+      if (!Array.isArray(items)) {
+        const error = new Error('Feed must contain an array of jobs');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return { records: items.map((data, i) => ({ index: i + 1, data })), errors: [] };
+    }
+  }
+
+  const records = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+
+    try {
+      records.push({ index: i + 1, data: JSON.parse(line) });
+    } catch (error) {
+      errors.push({ index: i + 1, reason: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  return { records, errors };
+};
+
+/**
+ * Validate a feed record
+ * @param {Object} job - Feed record
+ * @returns {string|null} Reason the record is invalid, or null if valid
+ */
+export const validateFeedJob = (job) => {
+  if (!job || typeof job !== 'object' || Array.isArray(job)) return 'Record is not an object';
+  if (!job.id) return 'Missing id';
+  if (!job.title) return 'Missing title';
+  if (!job.organization) return 'Missing organization';
+  if (!normalizeSlug(String(job.organization))) return 'Organization name has no usable characters';
+  if (!job.date_posted || Number.isNaN(new Date(job.date_posted).getTime())) return 'Missing or invalid date_posted';
+  return null;
+};
+
+const toInt = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.round(value) : null);
+
+const joinList = (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value || null);
+
+const toText = (value) => {
+  if (!value) return null;
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+/**
+ * Map feed record to Company data
+ * @param {Object} job - Feed record
+ * @returns {Object} Company data (unique by slug)
+ */
+export const mapCompany = (job) => ({
+  name: job.organization,
+  slug: normalizeSlug(job.organization),
+  logo_url: job.organization_logo || null,
+  website_url: job.linkedin_org_url || null,
+  industry: job.linkedin_org_industry || null,
+  headquarters: job.linkedin_org_headquarters || null,
+  description: job.linkedin_org_description || null,
+  linkedin_url: job.organization_url || null,
+  linkedin_slug: job.linkedin_org_slug || null,
+  linkedin_employees: toInt(job.linkedin_org_employees),
+  linkedin_size: job.linkedin_org_size || null,
+  linkedin_slogan: job.linkedin_org_slogan || null,
+  linkedin_followers: toInt(job.linkedin_org_followers),
+  linkedin_type: job.linkedin_org_type || null,
+  linkedin_founded_date: job.linkedin_org_foundeddate ? String(job.linkedin_org_foundeddate) : null,
+  linkedin_specialties: job.linkedin_org_specialties || null,
+  linkedin_locations: job.linkedin_org_locations || null,
+  linkedin_is_recruitment_agency: job.linkedin_org_recruitment_agency_derived || false,
+});
+
+/**
+ * Map feed record to JobLocation data
+ * @param {Object} job - Feed record
+ * @returns {Object} Location data (unique by city, region, country)
+ */
+export const mapLocation = (job) => ({
+  city: job.cities_derived?.[0] || null,
+  region: job.regions_derived?.[0] || null,
+  country: job.countries_derived?.[0] || 'Unknown',
+  timezone: job.timezones_derived?.[0] || null,
+  latitude: job.lats_derived?.[0] ?? null,
+  longitude: job.lngs_derived?.[0] ?? null,
+  raw_location_data: job.locations_raw || null,
+  location_type: job.location_type || null,
+  is_remote: job.remote_derived || false,
+});
+
+/**
+ * Map feed record to Job data (without company, location and slug)
+ * @param {Object} job - Feed record
+ * @returns {Object} Job data (unique by linkedin_job_id)
+ */
+export const mapJob = (job) => ({
+  title: String(job.title).substring(0, 255),
+  description: job.description_text || '',
+  employment_type: job.employment_type?.[0] || 'FULL_TIME',
+  seniority_level: job.seniority || null,
+  direct_apply: job.directapply ?? true,
+  external_url: job.url || null,
+  posted_date: new Date(job.date_posted),
+  valid_until: job.date_validthrough ? new Date(job.date_validthrough) : null,
+  source_type: job.source_type || null,
+  source: job.source || null,
+  source_domain: job.source_domain || null,
+  source_url: job.url || null,
+  linkedin_job_id: String(job.id),
+  recruiter_name: job.recruiter_name || null,
+  recruiter_title: job.recruiter_title || null,
+  recruiter_url: job.recruiter_url || null,
+  salary_raw: toText(job.salary_raw),
+  location_requirements_raw: toText(job.location_requirements_raw),
+  api_created_at: job.date_created ? new Date(job.date_created) : null,
+});
+
+/**
+ * Map feed record to JobAIInsights data
+ * @param {Object} job - Feed record
+ * @returns {Object|null} Insights data, or null when the record has no AI fields
+ */
+export const mapInsights = (job) => {
+  const hasAIData =
+    job.ai_salary_currency || job.ai_key_skills || job.ai_experience_level || job.ai_work_arrangement || job.ai_benefits || job.ai_core_responsibilities;
+
+  if (!hasAIData) return null;
+
+  return {
+    ai_salary_currency: job.ai_salary_currency || null,
+    ai_salary_value: toInt(job.ai_salary_value),
+    ai_salary_min_value: toInt(job.ai_salary_minvalue),
+    ai_salary_max_value: toInt(job.ai_salary_maxvalue),
+    ai_salary_unit_text: job.ai_salary_unittext || null,
+    ai_benefits: joinList(job.ai_benefits, '\n'),
+    ai_experience_level: job.ai_experience_level || null,
+    ai_work_arrangement: job.ai_work_arrangement || null,
+    ai_work_arrangement_days: toInt(job.ai_work_arrangement_office_days),
+    ai_remote_location: joinList(job.ai_remote_location),
+    ai_remote_location_derived: joinList(job.ai_remote_location_derived),
+    ai_key_skills: joinList(job.ai_key_skills),
+    ai_core_responsibilities: job.ai_core_responsibilities || null,
+    ai_requirements_summary: job.ai_requirements_summary || null,
+    ai_working_hours: job.ai_working_hours ? String(job.ai_working_hours) : null,
+    ai_job_language: job.ai_job_language || null,
+    ai_visa_sponsorship: job.ai_visa_sponsorship ?? null,
+    ai_hiring_manager_name: job.ai_hiring_manager_name || null,
+    ai_hiring_manager_email: job.ai_hiring_manager_email_address || null,
+  };
+};
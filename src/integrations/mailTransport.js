@@ -0,0 +1,123 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Mail Transport
+ * Pluggable email delivery, selected with MAIL_TRANSPORT
+ *
+ * - log: print the message to the console (default, development)
+ * - file: write each message as JSON into MAIL_OUTBOX_DIR (default ./uploads/mail-outbox)
+ * - smtp: send through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   (point it at MailHog or Mailpit for a local SMTP stub)
+ *
+ * Every transport exposes `send({ to, subject, text, html })`.
+ */
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Rise Social <no-reply@risesocial.org>';
+
+/**
+ * Console transport for development
+ * @returns {Object} Mail transport
+ */
+const createLogTransport = () => ({
+  name: 'log',
+  async send(message) {
+    console.log('[MailTransport] To:', message.to);
+    console.log('[MailTransport] Subject:', message.subject);
+    console.log(message.text);
+    return { messageId: `log-${Date.now()}` };
+  },
+});
+
+/**
+ * File transport, writes one JSON file per message
+ * @param {string} directory - Outbox directory
+ * @returns {Object} Mail transport
+ */
+const createFileTransport = (directory = process.env.MAIL_OUTBOX_DIR || './uploads/mail-outbox') => ({
+  name: 'file',
+  async send(message) {
+    await fs.ensureDir(directory);
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(directory, `${messageId}.json`);
+    await fs.writeJson(filePath, { from: DEFAULT_FROM, ...message, created_at: new Date().toISOString() }, { spaces: 2 });
+    return { messageId, filePath };
+  },
+});
+
+/**
+ * SMTP transport backed by nodemailer
+ * @returns {Object} Mail transport
+ */
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({ from: DEFAULT_FROM, ...message });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+const transportFactories = {
+  log: createLogTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+/**
+ * Create a mail transport by name
+ * @param {string} name - Transport name (log, file, smtp)
+ * @returns {Object} Mail transport
+ */
+export const createMailTransport = (name = process.env.MAIL_TRANSPORT || 'log') => {
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT '${name}'. Use one of: ${Object.keys(transportFactories).join(', ')}`);
+  }
+
+  return factory();
+};
+
+let activeTransport = null;
+
+/**
+ * Get the configured mail transport (created lazily)
+ * @returns {Object} Mail transport
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    activeTransport = createMailTransport();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the active mail transport (custom providers, tests)
+ * @param {Object} transport - Object exposing send({ to, subject, text, html })
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendMail = async (message) => {
+  return await getMailTransport().send(message);
+};
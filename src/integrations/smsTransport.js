@@ -0,0 +1,124 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * SMS Transport
+ * Pluggable delivery of text messages by SMS or WhatsApp, selected with SMS_TRANSPORT
+ *
+ * - log: print the message to the console (default, development)
+ * - file: write each message as JSON into SMS_OUTBOX_DIR (default ./uploads/sms-outbox)
+ * - webhook: POST { channel, to, text } as JSON to SMS_WEBHOOK_URL, with
+ *   SMS_WEBHOOK_TOKEN as bearer token if set (bridge to an SMS or WhatsApp gateway)
+ *
+ * Every transport exposes `send({ channel, to, text })`, channel being 'sms' or 'whatsapp'.
+ */
+
+/**
+ * Console transport for development
+ * @returns {Object} SMS transport
+ */
+const createLogTransport = () => ({
+  name: 'log',
+  async send(message) {
+    console.log(`[SmsTransport] ${message.channel} to ${message.to}: ${message.text}`);
+    return { messageId: `log-${Date.now()}` };
+  },
+});
+
+/**
+ * File transport, writes one JSON file per message
+ * @param {string} directory - Outbox directory
+ * @returns {Object} SMS transport
+ */
+const createFileTransport = (directory = process.env.SMS_OUTBOX_DIR || './uploads/sms-outbox') => ({
+  name: 'file',
+  async send(message) {
+    await fs.ensureDir(directory);
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(directory, `${messageId}.json`);
+    await fs.writeJson(filePath, { ...message, created_at: new Date().toISOString() }, { spaces: 2 });
+    return { messageId, filePath };
+  },
+});
+
+/**
+ * Webhook transport, hands messages to a gateway over HTTP
+ * @returns {Object} SMS transport
+ */
+const createWebhookTransport = () => {
+  if (!process.env.SMS_WEBHOOK_URL) {
+    throw new Error('SMS_WEBHOOK_URL is not set');
+  }
+
+  return {
+    name: 'webhook',
+    async send(message) {
+      const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` }),
+        },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(10000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS webhook responded with ${response.status}`);
+      }
+
+      return { messageId: response.headers.get('x-message-id') || `webhook-${Date.now()}` };
+    },
+  };
+};
+
+const transportFactories = {
+  log: createLogTransport,
+  file: createFileTransport,
+  webhook: createWebhookTransport,
+};
+
+/**
+ * Create an SMS transport by name
+ * @param {string} name - Transport name (log, file, webhook)
+ * @returns {Object} SMS transport
+ */
+export const createSmsTransport = (name = process.env.SMS_TRANSPORT || 'log') => {
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown SMS_TRANSPORT '${name}'. Use one of: ${Object.keys(transportFactories).join(', ')}`);
+  }
+
+  return factory();
+};
+
+let activeTransport = null;
+
+/**
+ * Get the configured SMS transport (created lazily)
+ * @returns {Object} SMS transport
+ */
+export const getSmsTransport = () => {
+  if (!activeTransport) {
+    activeTransport = createSmsTransport();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the active SMS transport (custom providers, tests)
+ * @param {Object} transport - Object exposing send({ channel, to, text })
+ */
+export const setSmsTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send a text message through the active transport
+ * @param {Object} message - { channel, to, text }
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendSms = async (message) => {
+  return await getSmsTransport().send(message);
+};
@@ -1,16 +1,23 @@
 // JWT utilities untuk Rise Social Backend
 // Menggunakan @fastify/jwt yang sudah terdaftar di server
 
+import { AUTH_CONFIG } from '../constants/auth.js';
+import { isTwoFactorSatisfied, TWO_FACTOR_REQUIRED_MESSAGE } from './rbac.js';
+
 /**
- * Generate JWT token dengan user info dan role menggunakan Fastify JWT
+ * Generate access token (JWT) dengan user info dan role menggunakan Fastify JWT
+ * Access token berumur pendek (AUTH_CONFIG.ACCESS_TOKEN_EXPIRES_IN), diperbarui lewat refresh token
  * @param {Object} fastify - Fastify instance
  * @param {Object} user - User object dari database
- * @param {boolean} rememberMe - True jika "Remember Me" dicentang
+ * @param {number|null} sessionId - ID auth session (lihat authSessionService)
+ * @param {boolean} twoFactor - Sesi sudah dikonfirmasi dengan kode 2FA (lihat twoFactorService)
  * @returns {string} JWT token
  */
-export function generateToken(fastify, user, rememberMe = false) {
+export function generateToken(fastify, user, sessionId = null, twoFactor = false) {
   const payload = {
     userId: user.id,
+    sessionId,
+    twoFactor,
     email: user.email,
     role: user.role,
     firstName: user.first_name,
@@ -19,7 +26,7 @@ export function generateToken(fastify, user, rememberMe = false) {
   };
 
   const options = {
-    expiresIn: rememberMe ? '30d' : '1d', // 30 hari vs 1 hari
+    expiresIn: AUTH_CONFIG.ACCESS_TOKEN_EXPIRES_IN,
   };
 
   return fastify.jwt.sign(payload, options);
@@ -64,7 +71,9 @@ export function hasRole(decodedToken, allowedRoles) {
   if (!decodedToken || !decodedToken.role) {
     return false;
   }
-  return (allowedRoles || []).includes(decodedToken.role);
+  // Role enum values are uppercase (USER_ROLE); accept 'admin' as well as 'ADMIN'
+  const role = String(decodedToken.role).toUpperCase();
+  return (allowedRoles || []).some((allowedRole) => String(allowedRole).toUpperCase() === role);
 }
 
 /**
@@ -84,6 +93,14 @@ export function requireRole(allowedRoles) {
           message: `Access denied. Required role: ${allowedRoles.join(' or ')}`,
         });
       }
+
+      // Role yang wajib 2FA harus memakai sesi yang sudah dikonfirmasi dengan kode 2FA
+      if (!isTwoFactorSatisfied(request.user)) {
+        return reply.status(403).send({
+          success: false,
+          message: TWO_FACTOR_REQUIRED_MESSAGE,
+        });
+      }
     } catch (err) {
       return reply.status(401).send({
         success: false,
@@ -0,0 +1,191 @@
+/**
+ * Rate Limiter
+ * Fixed-window counters for throttling sensitive endpoints per key (email, IP, ...).
+ *
+ * Counters live in a pluggable store exposing
+ * `increment(key, windowMs)` -> { count, resetAt }, `get(key)` -> { count, resetAt } | null
+ * and `reset(key)`.
+ * The default memory store counts per process, so every API replica has its own limits;
+ * call setRateLimitStore with a shared store (e.g. Redis) to count across replicas.
+ */
+
+// Expired windows are swept once the memory store holds this many keys
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * In-memory counter store
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  /**
+   * Count a hit in the current window of a key
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      if (this.windows.size >= SWEEP_THRESHOLD) this.sweep(now);
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Read the current window of a key without counting a hit
+   * @param {string} key - Counter key
+   * @returns {Promise<Object|null>} { count, resetAt } or null when no window is open
+   */
+  async get(key) {
+    const window = this.windows.get(key);
+
+    if (!window || window.resetAt <= Date.now()) {
+      return null;
+    }
+
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Clear the counter of a key
+   * @param {string} key - Counter key
+   */
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  /**
+   * Drop expired windows
+   * @private
+   * @param {number} now - Current time
+   */
+  sweep(now) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+let activeStore = null;
+
+/**
+ * Get the configured counter store (memory by default)
+ * @returns {Object} Rate limit store
+ */
+export const getRateLimitStore = () => {
+  if (!activeStore) {
+    activeStore = new MemoryRateLimitStore();
+  }
+  return activeStore;
+};
+
+/**
+ * Replace the counter store (shared stores, tests)
+ * @param {Object} store - Object exposing increment(key, windowMs), get(key) and reset(key)
+ */
+export const setRateLimitStore = (store) => {
+  activeStore = store;
+};
+
+/**
+ * Create a named limiter
+ * @param {Object} options - { name, max, windowMs }
+ * @returns {Object} Limiter with consume(key) and reset(key)
+ */
+export const createRateLimiter = ({ name, max, windowMs }) => ({
+  name,
+
+  /**
+   * Count a hit and tell whether it is within the limit
+   * @param {string} key - Key within this limiter (e.g. an email)
+   * @returns {Promise<Object>} { allowed, remaining, retryAfterSeconds }
+   */
+  async consume(key) {
+    const { count, resetAt } = await getRateLimitStore().increment(`${name}:${key}`, windowMs);
+
+    return {
+      allowed: count <= max,
+      remaining: Math.max(0, max - count),
+      retryAfterSeconds: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)),
+    };
+  },
+
+  /**
+   * Tell whether a key is within the limit without counting a hit
+   * @param {string} key - Key within this limiter
+   * @returns {Promise<Object>} { allowed, count, retryAfterSeconds } (retryAfterSeconds is 0 when no window is open)
+   */
+  async peek(key) {
+    const window = await getRateLimitStore().get(`${name}:${key}`);
+
+    if (!window) {
+      return { allowed: true, count: 0, retryAfterSeconds: 0 };
+    }
+
+    return {
+      allowed: window.count < max,
+      count: window.count,
+      retryAfterSeconds: Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000)),
+    };
+  },
+
+  /**
+   * Clear the counter of a key
+   * @param {string} key - Key within this limiter
+   */
+  async reset(key) {
+    await getRateLimitStore().reset(`${name}:${key}`);
+  },
+});
+
+/**
+ * Block a key for a period (lockouts, back-off delays)
+ * A hold is a window of its own length; it cannot be extended while it is open.
+ * @param {string} name - Hold name (e.g. 'login-lock')
+ * @returns {Object} Hold with start(key, ms), remainingSeconds(key) and release(key)
+ */
+export const createHold = (name) => ({
+  name,
+
+  /**
+   * Block a key for a period
+   * @param {string} key - Key within this hold
+   * @param {number} ms - Period length
+   * @returns {Promise<Date>} End of the block
+   */
+  async start(key, ms) {
+    const { resetAt } = await getRateLimitStore().increment(`${name}:${key}`, ms);
+    return new Date(resetAt);
+  },
+
+  /**
+   * Get the time left of a block
+   * @param {string} key - Key within this hold
+   * @returns {Promise<number>} Seconds until the block ends, 0 when not blocked
+   */
+  async remainingSeconds(key) {
+    const window = await getRateLimitStore().get(`${name}:${key}`);
+    return window ? Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000)) : 0;
+  },
+
+  /**
+   * End a block early
+   * @param {string} key - Key within this hold
+   * @returns {Promise<boolean>} True if the key was blocked
+   */
+  async release(key) {
+    const store = getRateLimitStore();
+    const window = await store.get(`${name}:${key}`);
+    await store.reset(`${name}:${key}`);
+    return Boolean(window);
+  },
+});
@@ -0,0 +1,78 @@
+import { authMiddleware } from '../middleware/auth.js';
+import { errorResponse } from '../utils/response.js';
+import { ROLE_PERMISSIONS } from '../constants/permissions.js';
+import { TWO_FACTOR_CONFIG } from '../constants/auth.js';
+import { USER_ROLE } from '../constants/roles.js';
+
+/**
+ * Role-based access control
+ * Routes declare what they need with `config: { permission }` (one PERMISSION value
+ * or an array, any of which is enough); registerPermissions turns that into
+ * preHandlers that authenticate the request and check the role's permissions
+ * (ROLE_PERMISSIONS) before the route's own preHandlers run.
+ */
+
+const rolePermissions = new Map(Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => [role, new Set(permissions)]));
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object} user - Decoded JWT payload ({ role })
+ * @param {string} permission - PERMISSION value
+ * @returns {boolean} True if granted
+ */
+export function hasPermission(user, permission) {
+  const role = typeof user?.role === 'string' ? user.role.toUpperCase() : null;
+  return Boolean(role && rolePermissions.get(role)?.has(permission));
+}
+
+export const TWO_FACTOR_REQUIRED_MESSAGE = 'Two-factor authentication is required for this account. Enable it or sign in with a code';
+
+/**
+ * Check whether a user meets the two-factor requirement of their role
+ * Only admins are required to use 2FA, and only with TWO_FACTOR_CONFIG.REQUIRED_FOR_ADMIN.
+ * @param {Object} user - Decoded JWT payload ({ role, twoFactor })
+ * @returns {boolean} True if the session may use role and permission protected routes
+ */
+export function isTwoFactorSatisfied(user) {
+  if (!TWO_FACTOR_CONFIG.REQUIRED_FOR_ADMIN) return true;
+
+  const role = typeof user?.role === 'string' ? user.role.toUpperCase() : null;
+  return role !== USER_ROLE.ADMIN || user.twoFactor === true;
+}
+
+/**
+ * Middleware that requires an authenticated user with one of the permissions
+ * @param {...string} permissions - PERMISSION values
+ * @returns {Function} Fastify preHandler
+ */
+export function requirePermission(...permissions) {
+  return async function (request, reply) {
+    if (!request.user) {
+      await authMiddleware(request, reply);
+      if (reply.sent) return reply;
+    }
+
+    if (!permissions.some((permission) => hasPermission(request.user, permission))) {
+      return reply.status(403).send(errorResponse(`Access denied. Missing permission: ${permissions.join(' or ')}`, 403));
+    }
+
+    if (!isTwoFactorSatisfied(request.user)) {
+      return reply.status(403).send(errorResponse(TWO_FACTOR_REQUIRED_MESSAGE, 403));
+    }
+  };
+}
+
+/**
+ * Enforce `config.permission` on every route registered after this call
+ * Call on the root instance before registering route plugins.
+ * @param {import('fastify').FastifyInstance} fastify - Fastify instance
+ */
+export function registerPermissions(fastify) {
+  fastify.addHook('onRoute', (routeOptions) => {
+    const permission = routeOptions.config?.permission;
+    if (!permission) return;
+
+    const existing = routeOptions.preHandler ? [].concat(routeOptions.preHandler) : [];
+    routeOptions.preHandler = [requirePermission(...[].concat(permission)), ...existing];
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * In-process Task Scheduler
+ * Runs registered background tasks on a fixed interval.
+ * A task never overlaps with itself: if a run is still in progress
+ * when the next tick fires, that tick is skipped.
+ */
+
+/**
+ * Scheduler with named interval tasks
+ */
+export class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.logger = console;
+  }
+
+  /**
+   * Register a task
+   * @param {string} name - Unique task name
+   * @param {number} intervalMs - Interval between runs
+   * @param {Function} handler - Async task function
+   * @param {Object} options - { runOnStart }
+   */
+  register(name, intervalMs, handler, options = {}) {
+    if (this.tasks.has(name)) {
+      throw new Error(`Scheduled task '${name}' is already registered`);
+    }
+
+    this.tasks.set(name, {
+      name,
+      intervalMs,
+      handler,
+      runOnStart: options.runOnStart ?? false,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+    });
+  }
+
+  /**
+   * Run a task immediately
+   * @param {string} name - Task name
+   * @returns {Promise<*>} Task result, or undefined if it is already running
+   */
+  async run(name) {
+    const task = this.tasks.get(name);
+    if (!task) {
+      throw new Error(`Scheduled task '${name}' is not registered`);
+    }
+
+    if (task.running) {
+      this.logger.warn(`[Scheduler] Task '${name}' is still running, skipping`);
+      return undefined;
+    }
+
+    task.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await task.handler();
+      this.logger.info({ task: name, durationMs: Date.now() - startedAt, result }, `[Scheduler] Task '${name}' completed`);
+      return result;
+    } catch (error) {
+      this.logger.error({ task: name, err: error }, `[Scheduler] Task '${name}' failed`);
+      return undefined;
+    } finally {
+      task.running = false;
+      task.lastRunAt = new Date();
+    }
+  }
+
+  /**
+   * Start all registered tasks
+   * @param {Object} logger - Logger (fastify.log or console)
+   */
+  start(logger = console) {
+    this.logger = logger;
+
+    for (const task of this.tasks.values()) {
+      if (task.timer) continue;
+
+      task.timer = setInterval(() => this.run(task.name), task.intervalMs);
+      task.timer.unref?.();
+
+      if (task.runOnStart) {
+        this.run(task.name);
+      }
+    }
+  }
+
+  /**
+   * Stop all tasks (graceful shutdown)
+   */
+  stop() {
+    for (const task of this.tasks.values()) {
+      clearInterval(task.timer);
+      task.timer = null;
+    }
+  }
+}
+
+// Export instance
+export const scheduler = new Scheduler();
@@ -1,4 +1,5 @@
 import { errorResponse } from '../utils/response.js';
+import { userRepository } from '../repositories/userRepository.js';
 
 /**
  * Authentication middleware
@@ -48,3 +49,28 @@ export async function optionalAuthMiddleware(request, reply) {
     request.log.debug('Optional auth failed:', error.message);
   }
 }
+
+/**
+ * Verified email middleware
+ * Use after authMiddleware on routes that need a confirmed address.
+ * The status is read from the database, so a fresh verification counts without a new token.
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ */
+export async function requireVerifiedEmail(request, reply) {
+  if (!request.user?.userId) {
+    return reply.status(401).send(errorResponse('Access token required', 401));
+  }
+
+  const user = await userRepository.findById(request.user.userId, {
+    select: { id: true, email_verified_at: true },
+  });
+
+  if (!user) {
+    return reply.status(401).send(errorResponse('Invalid or expired token', 401));
+  }
+
+  if (!user.email_verified_at) {
+    return reply.status(403).send(errorResponse('Email address is not verified', 403));
+  }
+}
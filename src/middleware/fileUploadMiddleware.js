@@ -22,7 +22,7 @@ fs.ensureDirSync(imagesDir);
  * @param {Object} file - File from request.file()
  * @param {Array} allowedTypes - Allowed MIME types
  * @param {number} maxSize - Maximum file size in bytes
- * @param {string} uploadType - Type of upload ('ESSAY' or 'HEADSHOT')
+ * @param {string} uploadType - Type of upload ('ESSAY', 'HEADSHOT', 'PAYMENT_PROOF', 'RESUME' or 'AVATAR')
  * @returns {Object} Processed file info
  */
 const processUploadedFile = async (file, allowedTypes, maxSize, uploadType) => {
@@ -144,6 +144,52 @@ export const uploadPaymentProof = async (request, reply) => {
   }
 };
 
+/**
+ * Resume upload handler (PDF only)
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ */
+export const uploadResume = async (request, reply) => {
+  try {
+    const file = await request.file();
+
+    const allowedTypes = ['application/pdf'];
+    const maxSize = parseInt(process.env.UPLOAD_MAX_SIZE) || 10 * 1024 * 1024; // 10MB
+
+    const processedFile = await processUploadedFile(file, allowedTypes, maxSize, 'RESUME');
+
+    request.uploadedFile = processedFile;
+  } catch (error) {
+    reply.status(400).send({
+      success: false,
+      message: error.message || 'File upload failed',
+    });
+  }
+};
+
+/**
+ * Avatar upload handler (Images only)
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ */
+export const uploadAvatar = async (request, reply) => {
+  try {
+    const file = await request.file();
+
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+    const maxSize = parseInt(process.env.AVATAR_MAX_SIZE) || 2 * 1024 * 1024; // 2MB
+
+    const processedFile = await processUploadedFile(file, allowedTypes, maxSize, 'AVATAR');
+
+    request.uploadedFile = processedFile;
+  } catch (error) {
+    reply.status(400).send({
+      success: false,
+      message: error.message || 'File upload failed',
+    });
+  }
+};
+
 /**
  * Delete physical file helper
  * Exported for reuse in services
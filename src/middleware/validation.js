@@ -1,4 +1,5 @@
 import { errorResponse } from '../utils/response.js';
+import { createRateLimiter } from '../lib/rateLimiter.js';
 
 /**
  * Validation middleware factory
@@ -50,42 +51,22 @@ export function sanitizeInput(data) {
 }
 
 /**
- * Rate limiting helper (simple in-memory implementation)
- * For production, use Redis or similar
- */
-const requestCounts = new Map();
-
-/**
- * Simple rate limiting middleware
+ * Per-IP rate limiting middleware
+ * Counts in the shared rate limit store (see src/lib/rateLimiter.js), so limits hold
+ * across API replicas once a shared store is configured.
  * @param {number} maxRequests - Maximum requests per window
  * @param {number} windowMs - Time window in milliseconds
+ * @param {string} name - Limiter name; routes with the same name share one counter per IP
  * @returns {Function} Rate limiting middleware
  */
-export function rateLimit(maxRequests = 100, windowMs = 15 * 60 * 1000) {
-  return async (request, reply) => {
-    const key = request.ip;
-    const now = Date.now();
+export function rateLimit(maxRequests = 100, windowMs = 15 * 60 * 1000, name = 'requests') {
+  const limiter = createRateLimiter({ name, max: maxRequests, windowMs });
 
-    // Clean old entries
-    for (const [ip, data] of requestCounts.entries()) {
-      if (now - data.resetTime > windowMs) {
-        requestCounts.delete(ip);
-      }
-    }
-
-    // Get or create counter for this IP
-    let requestData = requestCounts.get(key);
-    if (!requestData || now - requestData.resetTime > windowMs) {
-      requestData = { count: 0, resetTime: now };
-      requestCounts.set(key, requestData);
-    }
+  return async (request, reply) => {
+    const { allowed, retryAfterSeconds } = await limiter.consume(request.ip);
 
-    // Check if limit exceeded
-    if (requestData.count >= maxRequests) {
-      return reply.status(429).send(errorResponse('Too many requests, please try again later', 429));
+    if (!allowed) {
+      return reply.status(429).header('Retry-After', retryAfterSeconds).send(errorResponse('Too many requests, please try again later', 429));
     }
-
-    // Increment counter
-    requestData.count++;
   };
 }
@@ -0,0 +1,138 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Auth session and refresh token repository for data access operations
+ */
+export class AuthSessionRepository extends BaseRepository {
+  constructor() {
+    super(prisma.authSession);
+  }
+
+  /**
+   * Create a session with its first refresh token
+   * @param {Object} data - { user_id, user_agent, ip_address, remember_me, expires_at }
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object>} Created session
+   */
+  async createWithToken(data, tokenHash) {
+    return await this.model.create({
+      data: {
+        ...data,
+        refresh_tokens: { create: { token_hash: tokenHash, expires_at: data.expires_at } },
+      },
+    });
+  }
+
+  /**
+   * Find a refresh token by hash
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object|null>} Token with session or null
+   */
+  async findTokenByHash(tokenHash) {
+    return await prisma.refreshToken.findUnique({
+      where: { token_hash: tokenHash },
+      include: { session: true },
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new one in one transaction
+   * The old token is marked used only if nobody used it first, so two concurrent
+   * refreshes with one token cannot both succeed.
+   * @param {Object} token - Refresh token being used ({ id, session_id, expires_at })
+   * @param {string} newTokenHash - SHA-256 hash of the new refresh token
+   * @param {Object} sessionData - Session fields to update ({ last_used_at, ip_address, user_agent })
+   * @returns {Promise<boolean>} False if the token was already used
+   */
+  async rotateToken(token, newTokenHash, sessionData) {
+    return await prisma.$transaction(async (tx) => {
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: token.id, used_at: null },
+        data: { used_at: new Date() },
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      await tx.refreshToken.create({
+        data: { session_id: token.session_id, token_hash: newTokenHash, expires_at: token.expires_at },
+      });
+      await tx.authSession.update({ where: { id: token.session_id }, data: sessionData });
+
+      return true;
+    });
+  }
+
+  /**
+   * Get the active sessions of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async findActiveByUser(userId) {
+    return await this.model.findMany({
+      where: { user_id: userId, revoked_at: null, expires_at: { gt: new Date() } },
+      orderBy: { last_used_at: 'desc' },
+    });
+  }
+
+  /**
+   * Mark an active session as confirmed with a two-factor code
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Owner of the session
+   * @returns {Promise<boolean>} True if the session was updated
+   */
+  async markTwoFactorVerified(sessionId, userId) {
+    const { count } = await this.model.updateMany({
+      where: { id: sessionId, user_id: userId, revoked_at: null },
+      data: { two_factor_verified: true },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Revoke a session
+   * @param {number} sessionId - Session ID
+   * @param {string} reason - SESSION_REVOKE_REASON value
+   * @param {number|null} userId - Only revoke if the session belongs to this user
+   * @returns {Promise<boolean>} True if an active session was revoked
+   */
+  async revoke(sessionId, reason, userId = null) {
+    const { count } = await this.model.updateMany({
+      where: { id: sessionId, revoked_at: null, ...(userId !== null && { user_id: userId }) },
+      data: { revoked_at: new Date(), revoked_reason: reason },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - SESSION_REVOKE_REASON value
+   * @param {number|null} exceptSessionId - Session kept active
+   * @returns {Promise<number>} Revoked sessions
+   */
+  async revokeAllByUser(userId, reason, exceptSessionId = null) {
+    const { count } = await this.model.updateMany({
+      where: { user_id: userId, revoked_at: null, ...(exceptSessionId !== null && { id: { not: exceptSessionId } }) },
+      data: { revoked_at: new Date(), revoked_reason: reason },
+    });
+    return count;
+  }
+
+  /**
+   * Delete sessions that expired or were revoked before a date (tokens cascade)
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Deleted sessions
+   */
+  async deleteEndedBefore(before) {
+    const { count } = await this.model.deleteMany({
+      where: { OR: [{ expires_at: { lt: before } }, { revoked_at: { lt: before } }] },
+    });
+    return count;
+  }
+}
+
+// Export instance
+export const authSessionRepository = new AuthSessionRepository();
@@ -96,4 +96,25 @@ export class BaseRepository {
     const count = await this.count(where);
     return count > 0;
   }
+
+  /**
+   * Get the latest updated_at of one page of records ordered by ID
+   * Only the page boundaries are read, so large pages stay cheap.
+   * @param {Object} where - Filter conditions
+   * @param {number} skip - Records to skip
+   * @param {number} take - Page size
+   * @returns {Promise<Date|null>} Latest updated_at, null for an empty page
+   */
+  async findPageLastUpdated(where, skip, take) {
+    const [first] = await this.model.findMany({ where, select: { id: true }, orderBy: { id: 'asc' }, skip, take: 1 });
+    if (!first) return null;
+
+    const [last] = await this.model.findMany({ where, select: { id: true }, orderBy: { id: 'asc' }, skip: skip + take - 1, take: 1 });
+    const { _max } = await this.model.aggregate({
+      where: { AND: [where, { id: { gte: first.id, ...(last && { lte: last.id }) } }] },
+      _max: { updated_at: true },
+    });
+
+    return _max.updated_at;
+  }
 }
@@ -160,6 +160,40 @@ export class BootcampRepository extends BaseRepository {
     return result.map((item) => item.category).filter(Boolean);
   }
 
+  /**
+   * Get active bootcamps for the sitemap
+   * @param {number} skip - Entries to skip
+   * @param {number} take - Entries to return
+   * @returns {Promise<Array>} [{ path_slug, updated_at }]
+   */
+  async findSitemapEntries(skip, take) {
+    return await this.model.findMany({
+      where: { status: 'ACTIVE' },
+      select: { path_slug: true, updated_at: true },
+      orderBy: { id: 'asc' },
+      skip,
+      take,
+    });
+  }
+
+  /**
+   * Get the latest update of one page of active bootcamps, for the sitemap index
+   * @param {number} skip - Entries to skip
+   * @param {number} take - Page size
+   * @returns {Promise<Date|null>} Latest updated_at
+   */
+  async findSitemapPageLastmod(skip, take) {
+    return await this.findPageLastUpdated({ status: 'ACTIVE' }, skip, take);
+  }
+
+  /**
+   * Count active bootcamps for the sitemap
+   * @returns {Promise<number>} Number of active bootcamps
+   */
+  async countSitemapEntries() {
+    return await this.count({ status: 'ACTIVE' });
+  }
+
   /**
    * Get featured bootcamps
    * @param {number} limit - Number of bootcamps to return
@@ -0,0 +1,99 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Company recruiter links repository for data access operations
+ */
+export class CompanyRecruiterRepository extends BaseRepository {
+  constructor() {
+    super(prisma.companyRecruiter);
+  }
+
+  /**
+   * Check whether a user is a recruiter of a company
+   * @param {number} userId - User ID
+   * @param {number} companyId - Company ID
+   * @returns {Promise<boolean>} True if linked
+   */
+  async isLinked(userId, companyId) {
+    return await this.exists({ user_id: userId, company_id: companyId });
+  }
+
+  /**
+   * Get the IDs of the companies a user recruits for
+   * @param {number} userId - User ID
+   * @returns {Promise<number[]>} Company IDs
+   */
+  async findCompanyIds(userId) {
+    const rows = await this.model.findMany({
+      where: { user_id: userId },
+      select: { company_id: true },
+    });
+
+    return rows.map((row) => row.company_id);
+  }
+
+  /**
+   * Get the companies a user recruits for
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Companies
+   */
+  async findCompaniesByUser(userId) {
+    const rows = await this.model.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'asc' },
+      include: {
+        company: { select: { id: true, name: true, slug: true, logo_url: true } },
+      },
+    });
+
+    return rows.map((row) => row.company);
+  }
+
+  /**
+   * Get the recruiters of a company
+   * @param {number} companyId - Company ID
+   * @returns {Promise<Array>} Links with user
+   */
+  async findByCompany(companyId) {
+    return await this.model.findMany({
+      where: { company_id: companyId },
+      orderBy: { created_at: 'asc' },
+      include: {
+        user: { select: { id: true, first_name: true, last_name: true, email: true, role: true } },
+      },
+    });
+  }
+
+  /**
+   * Link a user to a company (idempotent)
+   * @param {number} companyId - Company ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Link record
+   */
+  async link(companyId, userId) {
+    return await this.model.upsert({
+      where: {
+        company_id_user_id: { company_id: companyId, user_id: userId },
+      },
+      update: {},
+      create: { company_id: companyId, user_id: userId },
+    });
+  }
+
+  /**
+   * Remove the link between a user and a company
+   * @param {number} companyId - Company ID
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if a link was removed
+   */
+  async unlink(companyId, userId) {
+    const { count } = await this.model.deleteMany({
+      where: { company_id: companyId, user_id: userId },
+    });
+    return count > 0;
+  }
+}
+
+// Export instance
+export const companyRecruiterRepository = new CompanyRecruiterRepository();
@@ -0,0 +1,131 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+import { jobsRepository } from './jobsRepository.js';
+
+/**
+ * Company repository for data access operations
+ */
+export class CompanyRepository extends BaseRepository {
+  constructor() {
+    super(prisma.company);
+  }
+
+  /**
+   * Find company by slug
+   * @param {string} slug - Company slug
+   * @returns {Promise<Object|null>} Company or null
+   */
+  async findBySlug(slug) {
+    return await this.model.findUnique({
+      where: { slug },
+    });
+  }
+
+  /**
+   * Get companies for the directory with their active job counts
+   * @param {Object} options - Filters, sorting and pagination
+   * @returns {Promise<Object>} Paginated result with data and meta
+   */
+  async findDirectory(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      search, // Company name
+      industry, // Industry (partial match)
+      size, // LinkedIn size label, e.g. "51-200 employees"
+      isRecruitmentAgency,
+      sortBy = 'name', // name, followers, employees, createdAt
+      sortOrder = 'asc',
+    } = options;
+
+    const skip = (page - 1) * limit;
+    const conditions = [];
+
+    if (search) {
+      conditions.push({ name: { contains: search, mode: 'insensitive' } });
+    }
+    if (industry) {
+      conditions.push({ industry: { contains: industry, mode: 'insensitive' } });
+    }
+    if (size) {
+      conditions.push({ linkedin_size: size });
+    }
+    if (isRecruitmentAgency !== undefined) {
+      conditions.push({ linkedin_is_recruitment_agency: isRecruitmentAgency });
+    }
+
+    const where = conditions.length > 0 ? { AND: conditions } : {};
+
+    const orderByField = {
+      followers: 'linkedin_followers',
+      employees: 'linkedin_employees',
+      createdAt: 'created_at',
+    }[sortBy];
+    const orderBy = orderByField ? { [orderByField]: { sort: sortOrder, nulls: 'last' } } : { name: sortOrder };
+
+    const [rows, total] = await Promise.all([
+      this.model.findMany({
+        where,
+        skip,
+        take: Number(limit),
+        orderBy,
+        include: {
+          _count: { select: { jobs: { where: jobsRepository.buildLiveWhere() } } },
+        },
+      }),
+      this.model.count({ where }),
+    ]);
+
+    return {
+      data: rows.map(({ _count, ...company }) => ({ ...company, active_jobs_count: _count.jobs })),
+      meta: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a company profile with its active job count and latest open jobs
+   * @param {string} slug - Company slug
+   * @param {number} jobsLimit - Number of latest jobs to include
+   * @returns {Promise<Object|null>} Company profile or null
+   */
+  async findProfileBySlug(slug, jobsLimit = 10) {
+    const liveWhere = jobsRepository.buildLiveWhere();
+
+    const company = await this.model.findUnique({
+      where: { slug },
+      include: {
+        jobs: {
+          where: liveWhere,
+          orderBy: { posted_date: 'desc' },
+          take: jobsLimit,
+          select: {
+            id: true,
+            title: true,
+            slug: true,
+            employment_type: true,
+            seniority_level: true,
+            posted_date: true,
+            valid_until: true,
+            location: { select: { id: true, city: true, region: true, country: true, is_remote: true } },
+          },
+        },
+        _count: { select: { jobs: { where: liveWhere } } },
+      },
+    });
+
+    if (!company) {
+      return null;
+    }
+
+    const { jobs, _count, ...profile } = company;
+    return { ...profile, active_jobs_count: _count.jobs, latest_jobs: jobs };
+  }
+}
+
+// Export instance
+export const companyRepository = new CompanyRepository();
@@ -0,0 +1,71 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Email verification token repository for data access operations
+ */
+export class EmailVerificationTokenRepository extends BaseRepository {
+  constructor() {
+    super(prisma.emailVerificationToken);
+  }
+
+  /**
+   * Issue a token for a user, replacing the user's unused tokens
+   * so only the link of the latest email works
+   * @param {Object} data - { user_id, email, token_hash, expires_at }
+   * @returns {Promise<Object>} Created token
+   */
+  async replaceForUser(data) {
+    return await prisma.$transaction(async (tx) => {
+      await tx.emailVerificationToken.deleteMany({ where: { user_id: data.user_id, used_at: null } });
+      return await tx.emailVerificationToken.create({ data });
+    });
+  }
+
+  /**
+   * Find a token by hash
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<Object|null>} Token with user or null
+   */
+  async findByHash(tokenHash) {
+    return await this.model.findUnique({
+      where: { token_hash: tokenHash },
+      include: { user: { select: { id: true, email: true, email_verified_at: true } } },
+    });
+  }
+
+  /**
+   * Use a token and mark the user's email verified in one transaction
+   * The user is only updated while their email is still the one the token was sent to.
+   * @param {Object} token - Token ({ id, user_id, email })
+   * @returns {Promise<Date|null>} Verification time, null if the token or email changed in the meantime
+   */
+  async verify(token) {
+    return await prisma.$transaction(async (tx) => {
+      const verifiedAt = new Date();
+
+      const used = await tx.emailVerificationToken.updateMany({
+        where: { id: token.id, used_at: null, expires_at: { gt: verifiedAt } },
+        data: { used_at: verifiedAt },
+      });
+      if (used.count === 0) {
+        return null;
+      }
+
+      const updated = await tx.user.updateMany({
+        where: { id: token.user_id, email: token.email },
+        data: { email_verified_at: verifiedAt },
+      });
+      if (updated.count === 0) {
+        return null;
+      }
+
+      await tx.emailVerificationToken.deleteMany({ where: { user_id: token.user_id, used_at: null } });
+
+      return verifiedAt;
+    });
+  }
+}
+
+// Export instance
+export const emailVerificationTokenRepository = new EmailVerificationTokenRepository();
@@ -25,6 +25,7 @@ export class FileUploadRepository extends BaseRepository {
           file_size: fileData.size,
           mime_type: fileData.mimeType,
           upload_type: fileData.uploadType,
+          uploaded_by: fileData.uploadedBy ?? null,
         },
       });
 
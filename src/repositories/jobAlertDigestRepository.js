@@ -0,0 +1,89 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+import { DIGEST_STATUS } from '../constants/jobAlerts.js';
+
+/**
+ * Job alert digest (mail queue) repository for data access operations
+ */
+export class JobAlertDigestRepository extends BaseRepository {
+  constructor() {
+    super(prisma.jobAlertDigest);
+  }
+
+  /**
+   * Get digests waiting for delivery, oldest first
+   * @param {number} maxAttempts - Skip digests that already failed this many times
+   * @param {number} limit - Batch size
+   * @returns {Promise<Array>} Pending digests with recipient
+   */
+  async findPending(maxAttempts, limit = 50) {
+    return await this.model.findMany({
+      where: {
+        status: DIGEST_STATUS.PENDING,
+        attempts: { lt: maxAttempts },
+      },
+      orderBy: { created_at: 'asc' },
+      take: limit,
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            first_name: true,
+            user_setting: { select: { job_notification: true } },
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Mark digests as skipped without sending them
+   * @param {number[]} ids - Digest IDs
+   * @returns {Promise<Object>} Update result with count
+   */
+  async markSkipped(ids) {
+    return await this.model.updateMany({
+      where: { id: { in: ids }, status: DIGEST_STATUS.PENDING },
+      data: { status: DIGEST_STATUS.SKIPPED },
+    });
+  }
+
+  /**
+   * Mark digest as delivered
+   * @param {number} id - Digest ID
+   * @returns {Promise<Object>} Updated digest
+   */
+  async markSent(id) {
+    return await this.model.update({
+      where: { id },
+      data: {
+        status: DIGEST_STATUS.SENT,
+        sent_at: new Date(),
+        attempts: { increment: 1 },
+        error: null,
+      },
+    });
+  }
+
+  /**
+   * Record a failed delivery attempt
+   * @param {number} id - Digest ID
+   * @param {string} error - Error message
+   * @param {boolean} giveUp - Stop retrying this digest
+   * @returns {Promise<Object>} Updated digest
+   */
+  async markAttemptFailed(id, error, giveUp = false) {
+    return await this.model.update({
+      where: { id },
+      data: {
+        status: giveUp ? DIGEST_STATUS.FAILED : DIGEST_STATUS.PENDING,
+        attempts: { increment: 1 },
+        error,
+      },
+    });
+  }
+}
+
+// Export instance
+export const jobAlertDigestRepository = new JobAlertDigestRepository();
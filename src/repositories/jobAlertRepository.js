@@ -0,0 +1,79 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Job alert (saved search) repository for data access operations
+ */
+export class JobAlertRepository extends BaseRepository {
+  constructor() {
+    super(prisma.jobAlert);
+  }
+
+  /**
+   * Get all alerts of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Alerts, newest first
+   */
+  async findByUserId(userId) {
+    return await this.model.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'desc' },
+    });
+  }
+
+  /**
+   * Find alert owned by a user
+   * @param {number} id - Alert ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Alert or null
+   */
+  async findByIdAndUser(id, userId) {
+    return await this.model.findFirst({
+      where: { id, user_id: userId },
+    });
+  }
+
+  /**
+   * Get active alerts whose previous run is older than dueBefore
+   * Alerts that never ran are measured from their creation date
+   * @param {string} frequency - Alert frequency
+   * @param {Date} dueBefore - Last run cut-off
+   * @returns {Promise<Array>} Due alerts with user and notification setting
+   */
+  async findDueAlerts(frequency, dueBefore) {
+    return await this.model.findMany({
+      where: {
+        frequency,
+        is_active: true,
+        OR: [{ last_run_at: null, created_at: { lte: dueBefore } }, { last_run_at: { lte: dueBefore } }],
+      },
+      orderBy: { user_id: 'asc' },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            first_name: true,
+            user_setting: { select: { job_notification: true } },
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Mark alerts as processed
+   * @param {number[]} ids - Alert IDs
+   * @param {Date} runAt - Run timestamp
+   * @returns {Promise<Object>} Update count
+   */
+  async markRun(ids, runAt) {
+    return await this.model.updateMany({
+      where: { id: { in: ids } },
+      data: { last_run_at: runAt },
+    });
+  }
+}
+
+// Export instance
+export const jobAlertRepository = new JobAlertRepository();
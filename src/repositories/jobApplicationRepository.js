@@ -0,0 +1,227 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Job application repository for data access operations
+ */
+export class JobApplicationRepository extends BaseRepository {
+  constructor() {
+    super(prisma.jobApplication);
+  }
+
+  /**
+   * Find application by user and job
+   * @param {number} userId - User ID
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object|null>} Application or null
+   */
+  async findByUserAndJob(userId, jobId) {
+    return await this.model.findUnique({
+      where: {
+        user_id_job_id: { user_id: userId, job_id: jobId },
+      },
+    });
+  }
+
+  /**
+   * Get the companies whose jobs received a resume
+   * @param {string} resumeUrl - Resume file URL as stored on the application
+   * @returns {Promise<number[]>} Company IDs
+   */
+  async findCompanyIdsByResumeUrl(resumeUrl) {
+    const applications = await this.model.findMany({
+      where: { resume_url: resumeUrl },
+      select: { job: { select: { company_id: true } } },
+    });
+    return [...new Set(applications.map((application) => application.job.company_id))];
+  }
+
+  /**
+   * Get IDs of the jobs a user has applied to
+   * @param {number} userId - User ID
+   * @returns {Promise<number[]>} Job IDs
+   */
+  async findAppliedJobIds(userId) {
+    const applications = await this.model.findMany({
+      where: { user_id: userId },
+      select: { job_id: true },
+    });
+
+    return applications.map((application) => application.job_id);
+  }
+
+  /**
+   * Get applications of a user with pagination
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Paginated applications with their jobs
+   */
+  async findByUserId(userId, options = {}) {
+    const { page = 1, limit = 10, status } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { user_id: userId };
+    if (status) where.status = status;
+
+    const [data, total] = await Promise.all([
+      this.model.findMany({
+        where,
+        skip,
+        take: Number(limit),
+        orderBy: { applied_at: 'desc' },
+        include: {
+          job: {
+            select: {
+              id: true,
+              title: true,
+              slug: true,
+              status: true,
+              employment_type: true,
+              valid_until: true,
+              company: {
+                select: { id: true, name: true, slug: true, logo_url: true },
+              },
+              location: {
+                select: { id: true, city: true, region: true, country: true, is_remote: true },
+              },
+            },
+          },
+        },
+      }),
+      this.model.count({ where }),
+    ]);
+
+    return {
+      data,
+      meta: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get applications of a job with pagination (recruiter pipeline)
+   * @param {number} jobId - Job ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Paginated applications with applicant and status history
+   */
+  async findByJobId(jobId, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { job_id: jobId };
+    if (status) where.status = status;
+
+    const [data, total, statusCounts] = await Promise.all([
+      this.model.findMany({
+        where,
+        skip,
+        take: Number(limit),
+        orderBy: { applied_at: 'desc' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              first_name: true,
+              last_name: true,
+              email: true,
+              phone: true,
+              avatar: true,
+              current_job: true,
+              current_company: true,
+              skills: true,
+            },
+          },
+          status_history: {
+            orderBy: { created_at: 'asc' },
+          },
+        },
+      }),
+      this.model.count({ where }),
+      this.model.groupBy({
+        by: ['status'],
+        where: { job_id: jobId },
+        _count: { status: true },
+      }),
+    ]);
+
+    return {
+      data,
+      meta: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / limit),
+        statusCounts: Object.fromEntries(statusCounts.map((item) => [item.status, item._count.status])),
+      },
+    };
+  }
+
+  /**
+   * Create application together with its first history entry
+   * @param {Object} data - Application data
+   * @param {Object} history - History entry (actor_id, note)
+   * @returns {Promise<Object>} Created application
+   */
+  async createWithHistory(data, history = {}) {
+    return await this.model.create({
+      data: {
+        ...data,
+        status_history: {
+          create: {
+            from_status: null,
+            to_status: data.status,
+            actor_id: history.actor_id ?? null,
+            note: history.note ?? null,
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Change application status and append a history entry in one transaction
+   * @param {number} id - Application ID
+   * @param {string} fromStatus - Current status (used as optimistic lock)
+   * @param {Object} data - Update data, must include status
+   * @param {Object} history - History entry (actor_id, note)
+   * @returns {Promise<Object|null>} Updated application with history, or null if status changed concurrently
+   */
+  async transitionStatus(id, fromStatus, data, history = {}) {
+    return await prisma.$transaction(async (tx) => {
+      const { count } = await tx.jobApplication.updateMany({
+        where: { id, status: fromStatus },
+        data,
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      await tx.jobApplicationStatusHistory.create({
+        data: {
+          application_id: id,
+          from_status: fromStatus,
+          to_status: data.status,
+          actor_id: history.actor_id ?? null,
+          note: history.note ?? null,
+        },
+      });
+
+      return await tx.jobApplication.findUnique({
+        where: { id },
+        include: {
+          status_history: {
+            orderBy: { created_at: 'asc' },
+          },
+        },
+      });
+    });
+  }
+}
+
+// Export instance
+export const jobApplicationRepository = new JobApplicationRepository();
@@ -0,0 +1,124 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+import { ENGAGEMENT_WEIGHTS, JOB_ENGAGEMENT_EVENT } from '../constants/jobs.js';
+
+const { VIEW, APPLY_CLICK, SAVE, APPLICATION } = JOB_ENGAGEMENT_EVENT;
+
+// Summed counters and weighted engagement score of grouped job_daily_stats rows (alias s)
+const summedCounters = Prisma.sql`
+  SUM(s."views")::int AS views,
+  SUM(s."apply_clicks")::int AS apply_clicks,
+  SUM(s."saves")::int AS saves,
+  SUM(s."applications")::int AS applications,
+  (SUM(s."views") * ${ENGAGEMENT_WEIGHTS[VIEW]} + SUM(s."apply_clicks") * ${ENGAGEMENT_WEIGHTS[APPLY_CLICK]}
+    + SUM(s."saves") * ${ENGAGEMENT_WEIGHTS[SAVE]} + SUM(s."applications") * ${ENGAGEMENT_WEIGHTS[APPLICATION]})::float8 AS score
+`;
+
+/**
+ * Job daily engagement statistics repository
+ */
+export class JobDailyStatRepository extends BaseRepository {
+  constructor() {
+    super(prisma.jobDailyStat);
+  }
+
+  /**
+   * Add buffered counters to the daily rows in one statement
+   * Counters of jobs deleted in the meantime are dropped instead of failing the batch.
+   * @param {Array} rows - [{ job_id, date: 'YYYY-MM-DD', views, apply_clicks, saves, applications }]
+   * @returns {Promise<number>} Written rows
+   */
+  async incrementMany(rows) {
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    const values = rows.map(
+      (row) =>
+        Prisma.sql`(${row.job_id}::int, ${row.date}::date, ${row.views}::int, ${row.apply_clicks}::int, ${row.saves}::int, ${row.applications}::int)`
+    );
+
+    return await prisma.$executeRaw`
+      INSERT INTO "job_daily_stats" ("job_id", "date", "views", "apply_clicks", "saves", "applications", "updated_at")
+      SELECT v.job_id, v.date, v.views, v.apply_clicks, v.saves, v.applications, NOW()
+      FROM (VALUES ${Prisma.join(values)}) AS v(job_id, date, views, apply_clicks, saves, applications)
+      WHERE EXISTS (SELECT 1 FROM "jobs" j WHERE j."id" = v.job_id)
+      ON CONFLICT ("job_id", "date") DO UPDATE SET
+        "views" = "job_daily_stats"."views" + EXCLUDED."views",
+        "apply_clicks" = "job_daily_stats"."apply_clicks" + EXCLUDED."apply_clicks",
+        "saves" = "job_daily_stats"."saves" + EXCLUDED."saves",
+        "applications" = "job_daily_stats"."applications" + EXCLUDED."applications",
+        "updated_at" = NOW()
+    `;
+  }
+
+  /**
+   * Get the daily rows of a job in a date range
+   * @param {number} jobId - Job ID
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Array>} Rows ordered by date
+   */
+  async findByJobInRange(jobId, from, to) {
+    return await this.model.findMany({
+      where: { job_id: jobId, date: { gte: new Date(from), lte: new Date(to) } },
+      orderBy: { date: 'asc' },
+    });
+  }
+
+  /**
+   * Get the jobs with the highest engagement score in a date range
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} limit - Number of jobs
+   * @returns {Promise<Array>} [{ job_id, views, apply_clicks, saves, applications, score }]
+   */
+  async findTopJobs(from, to, limit) {
+    return await prisma.$queryRaw`
+      SELECT s."job_id", ${summedCounters}
+      FROM "job_daily_stats" s
+      WHERE s."date" BETWEEN ${from}::date AND ${to}::date
+      GROUP BY s."job_id"
+      ORDER BY score DESC, s."job_id"
+      LIMIT ${Number(limit)}
+    `;
+  }
+
+  /**
+   * Get the companies with the highest engagement score in a date range
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+   * @param {number} limit - Number of companies
+   * @returns {Promise<Array>} [{ company_id, jobs_count, views, apply_clicks, saves, applications, score }]
+   */
+  async findTopCompanies(from, to, limit) {
+    return await prisma.$queryRaw`
+      SELECT j."company_id", COUNT(DISTINCT s."job_id")::int AS jobs_count, ${summedCounters}
+      FROM "job_daily_stats" s
+      JOIN "jobs" j ON j."id" = s."job_id"
+      WHERE s."date" BETWEEN ${from}::date AND ${to}::date
+      GROUP BY j."company_id"
+      ORDER BY score DESC, j."company_id"
+      LIMIT ${Number(limit)}
+    `;
+  }
+
+  /**
+   * Sum the counters of all jobs in a date range
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Object>} Summed counters (null when there are no rows)
+   */
+  async sumInRange(from, to) {
+    const result = await this.model.aggregate({
+      where: { date: { gte: new Date(from), lte: new Date(to) } },
+      _sum: { views: true, apply_clicks: true, saves: true, applications: true },
+    });
+
+    return result._sum;
+  }
+}
+
+// Export instance
+export const jobDailyStatRepository = new JobDailyStatRepository();
@@ -0,0 +1,57 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Job AI insights repository for data access operations
+ */
+export class JobInsightsRepository extends BaseRepository {
+  constructor() {
+    super(prisma.jobAIInsights);
+  }
+
+  /**
+   * Get the distinct (currency, unit) pairs of salaries
+   * @returns {Promise<Array>} [{ ai_salary_currency, ai_salary_unit_text }]
+   */
+  async findSalaryGroups() {
+    return await this.model.groupBy({
+      by: ['ai_salary_currency', 'ai_salary_unit_text'],
+      where: { ai_salary_currency: { not: null } },
+    });
+  }
+
+  /**
+   * Recompute the normalized annual salary of every row in a (currency, unit) group
+   * Runs as one set-based UPDATE because every row of the group shares the same factor;
+   * a single ai_salary_value fills whichever bound is missing.
+   * @param {string} currency - ai_salary_currency
+   * @param {string|null} unitText - ai_salary_unit_text
+   * @param {number|null} factor - Annual multiplier times exchange rate, null clears the values
+   * @returns {Promise<number>} Updated rows
+   */
+  async updateNormalizedSalaries(currency, unitText, factor) {
+    const where = { ai_salary_currency: currency, ai_salary_unit_text: unitText };
+
+    if (factor === null) {
+      const { count } = await this.model.updateMany({
+        where,
+        data: { salary_annual_min_usd: null, salary_annual_max_usd: null },
+      });
+      return count;
+    }
+
+    const unitCondition = unitText === null ? Prisma.sql`"ai_salary_unit_text" IS NULL` : Prisma.sql`"ai_salary_unit_text" = ${unitText}`;
+
+    return await prisma.$executeRaw`
+      UPDATE "job_ai_insights"
+      SET
+        "salary_annual_min_usd" = ROUND(COALESCE("ai_salary_min_value", "ai_salary_value", "ai_salary_max_value") * ${factor}::float8),
+        "salary_annual_max_usd" = ROUND(COALESCE("ai_salary_max_value", "ai_salary_value", "ai_salary_min_value") * ${factor}::float8)
+      WHERE "ai_salary_currency" = ${currency} AND ${unitCondition}
+    `;
+  }
+}
+
+// Export instance
+export const jobInsightsRepository = new JobInsightsRepository();
@@ -0,0 +1,60 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+import { getBoundingBox, haversineDistanceKm } from '../utils/geo.js';
+
+/**
+ * Job location repository for data access operations
+ */
+export class JobLocationRepository extends BaseRepository {
+  constructor() {
+    super(prisma.jobLocation);
+  }
+
+  /**
+   * Find location by its (city, region, country) key
+   * City and region may be null, so this uses findFirst instead of the compound unique input
+   * @param {Object} key - { city, region, country }
+   * @returns {Promise<Object|null>} Location or null
+   */
+  async findByKey({ city, region, country }) {
+    return await this.model.findFirst({
+      where: { city, region, country },
+    });
+  }
+
+  /**
+   * Get locations within a great-circle radius of a point
+   * Pre-filters on the indexed latitude/longitude columns with a bounding box,
+   * then keeps locations whose exact distance is within the radius.
+   * @param {number} lat - Center latitude
+   * @param {number} lng - Center longitude
+   * @param {number} radiusKm - Radius in kilometers
+   * @returns {Promise<Map<number, number>>} Location ID to distance in km
+   */
+  async findWithinRadius(lat, lng, radiusKm) {
+    const { minLat, maxLat, minLng, maxLng } = getBoundingBox(lat, lng, radiusKm);
+
+    const where = {
+      latitude: { gte: minLat, lte: maxLat },
+      longitude: minLng === null ? { not: null } : { gte: minLng, lte: maxLng },
+    };
+
+    const locations = await this.model.findMany({
+      where,
+      select: { id: true, latitude: true, longitude: true },
+    });
+
+    const distances = new Map();
+    for (const location of locations) {
+      const distance = haversineDistanceKm(lat, lng, Number(location.latitude), Number(location.longitude));
+      if (distance <= radiusKm) {
+        distances.set(location.id, distance);
+      }
+    }
+
+    return distances;
+  }
+}
+
+// Export instance
+export const jobLocationRepository = new JobLocationRepository();
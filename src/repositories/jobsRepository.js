@@ -1,5 +1,75 @@
+import { Prisma } from '@prisma/client';
 import prisma from '../lib/prisma.js';
 import { BaseRepository } from './base/BaseRepository.js';
+import { JOB_STATUS } from '../constants/jobs.js';
+import { jobLocationRepository } from './jobLocationRepository.js';
+import { roundDistance } from '../utils/geo.js';
+
+// Relations returned with every job search result
+const searchInclude = {
+  company: true, // Include all company fields
+  location: {
+    select: {
+      id: true,
+      city: true,
+      region: true,
+      country: true,
+      timezone: true,
+      latitude: true,
+      longitude: true,
+      raw_location_data: true,
+      location_type: true,
+      is_remote: true,
+    },
+  },
+  ai_insights: {
+    select: {
+      ai_salary_currency: true,
+      ai_salary_value: true,
+      ai_salary_min_value: true,
+      ai_salary_max_value: true,
+      ai_salary_unit_text: true,
+      salary_annual_min_usd: true,
+      salary_annual_max_usd: true,
+    },
+  },
+  _count: {
+    select: {
+      applications: true,
+    },
+  },
+};
+
+// Job search relations plus the AI insights used to score recommendations
+const recommendationInclude = {
+  ...searchInclude,
+  ai_insights: {
+    select: {
+      ...searchInclude.ai_insights.select,
+      ai_key_skills: true,
+      ai_experience_level: true,
+      ai_work_arrangement: true,
+    },
+  },
+};
+
+// Full-text query in websearch syntax ("exact phrase", or, -exclude), matched in every
+// language of jobs.search_vector (see migration add_job_full_text_search)
+const fullTextQuery = (search) =>
+  Prisma.sql`websearch_to_tsquery('english', ${search}) || websearch_to_tsquery('indonesian', ${search}) || websearch_to_tsquery('simple', ${search})`;
+
+// Text is HTML-escaped before highlighting so only the <mark> tags are markup
+const escapedColumn = (column) => Prisma.sql`replace(replace(replace(${Prisma.raw(column)}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+const TITLE_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const DESCRIPTION_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=35, MinWords=15, FragmentDelimiter=" ... "';
+
+// [value, count] pairs to facet values, most common first; empty values are left out
+const toFacetValues = (pairs) =>
+  pairs
+    .filter(([value]) => value !== null && value !== '')
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
 
 /**
  * Jobs repository for data access operations
@@ -11,90 +81,181 @@ export class JobsRepository extends BaseRepository {
   }
 
   /**
-   * Full-text search jobs with advanced filtering
-   * @param {Object} options - Search and filter options
-   * @returns {Promise<Object>} Paginated result with data and meta
+   * Where clause of jobs shown publicly
+   * Active and not past valid_until, even before the expiry task has run
+   * @returns {Object} Prisma where clause
    */
-  async searchJobs(options = {}) {
+  buildLiveWhere() {
+    return { status: JOB_STATUS.ACTIVE, OR: [{ valid_until: null }, { valid_until: { gt: new Date() } }] };
+  }
+
+  /**
+   * Build Prisma where clause from job search filters
+   * Shared by job search and saved search alerts so both match the same jobs.
+   * The full-text `search` is resolved beforehand with findSearchRanks and passed as searchMatchIds.
+   * @param {Object} filters - Search filters (same keys as GET /api/jobs)
+   * @returns {Object} Prisma where clause
+   */
+  buildSearchWhere(filters = {}) {
     const {
-      page = 1,
-      limit = 20,
-      query, // Full-text search query
-      location, // Location filter
-      jobType, // Job type filter
-      experienceLevel, // Experience level filter
-      salaryMin, // Minimum salary
-      salaryMax, // Maximum salary
-      company, // Company filter
+      searchMatchIds, // Job IDs matching the full-text search
+      location, // Location filter (city, region or country)
+      jobType, // Employment type filter
+      experienceLevel, // Seniority level filter
+      minSalaryUsd, // Minimum annual salary in USD (see salaryNormalizationService)
+      maxSalaryUsd, // Maximum annual salary in USD
+      companyName, // Company name filter
       skills, // Skills array
+      skillVariants, // Spellings of each skill (see skillService.resolveSkillFilters)
       isRemote, // Remote work filter
-      sortBy = 'postedDate', // Sort by: postedDate, salary, relevance
-      sortOrder = 'desc', // asc or desc
-    } = options;
-
-    const skip = (page - 1) * limit;
+      createdAfter, // Only jobs created after this date
+      status, // Job status, 'all' for every status (admin only); defaults to live jobs
+      nearLocationIds, // Location IDs inside the geo radius
+      includeRemote, // Also match remote jobs outside the geo radius
+    } = filters;
+
+    const conditions = [];
+
+    if (!status) {
+      conditions.push(this.buildLiveWhere());
+    } else if (status !== 'all') {
+      conditions.push({ status });
+    }
 
-    // Build where conditions
-    const where = {};
-
-    // Full-text search across multiple fields
-    if (query) {
-      where.OR = [
-        { title: { contains: query, mode: 'insensitive' } },
-        { description: { contains: query, mode: 'insensitive' } },
-        { company: { contains: query, mode: 'insensitive' } },
-        { skills: { has: query } }, // Assuming skills is a JSON array
-        { location: { contains: query, mode: 'insensitive' } },
-      ];
+    if (searchMatchIds) {
+      conditions.push({ id: { in: searchMatchIds } });
     }
 
-    // Location filter
     if (location) {
-      where.location = { contains: location, mode: 'insensitive' };
+      conditions.push({
+        location: {
+          OR: [
+            { city: { contains: location, mode: 'insensitive' } },
+            { region: { contains: location, mode: 'insensitive' } },
+            { country: { contains: location, mode: 'insensitive' } },
+          ],
+        },
+      });
     }
 
-    // Job type filter
     if (jobType && jobType !== 'all') {
-      where.job_type = jobType;
+      conditions.push({ employment_type: jobType });
     }
 
-    // Experience level filter
     if (experienceLevel && experienceLevel !== 'all') {
-      where.experience_level = experienceLevel;
+      conditions.push({
+        seniority_level: { contains: experienceLevel.replace(/_/g, ' '), mode: 'insensitive' },
+      });
     }
 
-    // Salary range filter
-    if (salaryMin || salaryMax) {
-      where.salary_min = {};
-      if (salaryMin) where.salary_min.gte = Number(salaryMin);
-      if (salaryMax) where.salary_max = { lte: Number(salaryMax) };
+    // Salary range filter (overlap with the normalized annual salary range)
+    if (minSalaryUsd !== undefined) {
+      conditions.push({ ai_insights: { salary_annual_max_usd: { gte: minSalaryUsd } } });
     }
-
-    // Company filter
-    if (company) {
-      where.company = { contains: company, mode: 'insensitive' };
+    if (maxSalaryUsd !== undefined) {
+      conditions.push({ ai_insights: { salary_annual_min_usd: { lte: maxSalaryUsd } } });
     }
 
-    // Skills filter (if skills is a JSON array field)
-    if (skills && Array.isArray(skills) && skills.length > 0) {
-      where.AND = skills.map((skill) => ({
-        skills: { array_contains: skill },
-      }));
+    if (companyName) {
+      conditions.push({ company: { name: { contains: companyName, mode: 'insensitive' } } });
     }
 
-    // Remote work filter
+    // ai_key_skills is stored either as a JSON array or a comma separated string.
+    // Every skill has to match, by any of its spellings.
+    const skillGroups = skillVariants || (Array.isArray(skills) ? skills.map((skill) => [skill]) : []);
+    skillGroups.forEach((variants) => {
+      conditions.push({
+        ai_insights: {
+          OR: variants.flatMap((variant) => [
+            { ai_key_skills: { array_contains: [variant] } },
+            { ai_key_skills: { string_contains: variant } },
+          ]),
+        },
+      });
+    });
+
     if (isRemote !== undefined) {
-      where.is_remote = Boolean(isRemote);
+      conditions.push({ location: { is_remote: Boolean(isRemote) } });
     }
 
+    if (createdAfter) {
+      conditions.push({ created_at: { gt: new Date(createdAfter) } });
+    }
+
+    // Geo radius: remote jobs are only included when explicitly requested
+    if (nearLocationIds) {
+      const nearby = { location_id: { in: nearLocationIds }, location: { is_remote: false } };
+      conditions.push(includeRemote ? { OR: [nearby, { location: { is_remote: true } }] } : nearby);
+    }
+
+    return conditions.length > 0 ? { AND: conditions } : {};
+  }
+
+  /**
+   * Resolve the full-text and geo parts of search filters to matching IDs
+   * @param {Object} options - Search filters (same keys as GET /api/jobs)
+   * @returns {Promise<Object>} { filters (with searchMatchIds/nearLocationIds), geo, distances, ranks }
+   */
+  async resolveMatches(options = {}) {
+    const { search, lat, lng, radiusKm, includeRemote = false } = options;
+
+    // Geo radius search, distances are keyed by location ID
+    const geo = lat !== undefined && lng !== undefined && radiusKm !== undefined ? { lat, lng, radiusKm, includeRemote } : null;
+    const distances = geo ? await jobLocationRepository.findWithinRadius(lat, lng, radiusKm) : null;
+
+    // Full-text relevance, keyed by job ID
+    const ranks = search ? await this.findSearchRanks(search) : null;
+
+    const filters = {
+      ...options,
+      searchMatchIds: ranks ? [...ranks.keys()] : undefined,
+      nearLocationIds: distances ? [...distances.keys()] : undefined,
+    };
+
+    return { filters, geo, distances, ranks };
+  }
+
+  /**
+   * Full-text search jobs with advanced filtering
+   * @param {Object} options - Search and filter options
+   * @returns {Promise<Object>} Paginated result with data and meta
+   */
+  async searchJobs(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      location,
+      jobType,
+      experienceLevel,
+      minSalary,
+      maxSalary,
+      salaryCurrency,
+      companyName,
+      skills,
+      isRemote,
+      status,
+      sortBy = 'postedDate', // Sort by: postedDate, relevance, minSalary, maxSalary, company, title, distance
+      sortOrder = 'desc', // asc or desc
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const { filters, geo, distances, ranks } = await this.resolveMatches(options);
+    const where = this.buildSearchWhere(filters);
+
     // Build order by
     let orderBy = {};
     switch (sortBy) {
-      case 'salary':
-        orderBy = { salary_max: sortOrder };
+      // Jobs without a normalized salary go last either way
+      case 'minSalary':
+        orderBy = { ai_insights: { salary_annual_min_usd: { sort: sortOrder, nulls: 'last' } } };
+        break;
+      case 'maxSalary':
+        orderBy = { ai_insights: { salary_annual_max_usd: { sort: sortOrder, nulls: 'last' } } };
         break;
       case 'company':
-        orderBy = { company: sortOrder };
+        orderBy = { company: { name: sortOrder } };
         break;
       case 'title':
         orderBy = { title: sortOrder };
@@ -105,37 +266,39 @@ export class JobsRepository extends BaseRepository {
         break;
     }
 
-    const [data, total] = await Promise.all([
-      this.model.findMany({
-        where,
-        skip,
-        take: Number(limit),
-        orderBy,
-        include: {
-          company: true, // Include all company fields
-          location: {
-            select: {
-              id: true,
-              city: true,
-              region: true,
-              country: true,
-              timezone: true,
-              latitude: true,
-              longitude: true,
-              raw_location_data: true,
-              location_type: true,
-              is_remote: true,
-            }
-          },
-          _count: {
-            select: {
-              applications: true,
-            },
-          },
-        },
-      }),
-      this.model.count({ where }),
-    ]);
+    let data;
+    let total;
+
+    if (geo && sortBy === 'distance') {
+      // Jobs without a distance (remote outside the radius) come last
+      ({ data, total } = await this.findPageByScore(where, (job) => distances.get(job.location_id) ?? null, skip, Number(limit), sortOrder));
+    } else if (ranks && sortBy === 'relevance') {
+      ({ data, total } = await this.findPageByScore(where, (job) => ranks.get(job.id) ?? null, skip, Number(limit), sortOrder));
+    } else {
+      [data, total] = await Promise.all([
+        this.model.findMany({
+          where,
+          skip,
+          take: Number(limit),
+          orderBy,
+          include: searchInclude,
+        }),
+        this.model.count({ where }),
+      ]);
+    }
+
+    if (geo) {
+      // Remote jobs matched outside the radius have no distance
+      data = data.map((job) => ({ ...job, distance_km: roundDistance(distances.get(job.location_id) ?? null) }));
+    }
+
+    if (ranks) {
+      const highlights = await this.findHighlights(
+        data.map((job) => job.id),
+        search
+      );
+      data = data.map((job) => ({ ...job, relevance: ranks.get(job.id) ?? null, highlight: highlights.get(job.id) || null }));
+    }
 
     return {
       data,
@@ -146,101 +309,217 @@ export class JobsRepository extends BaseRepository {
         totalPages: Math.ceil(total / limit),
         hasNext: page * limit < total,
         hasPrev: page > 1,
-        searchQuery: query || null,
+        searchQuery: search || null,
         appliedFilters: {
           location,
           jobType,
           experienceLevel,
-          salaryRange: salaryMin || salaryMax ? { min: salaryMin, max: salaryMax } : null,
-          company,
+          salaryRange: minSalary || maxSalary ? { min: minSalary, max: maxSalary, currency: salaryCurrency, period: 'YEAR' } : null,
+          companyName,
           skills,
           isRemote,
+          status: status || JOB_STATUS.ACTIVE,
+          geo,
         },
       },
     };
   }
 
   /**
-   * Get job recommendations for a user based on skills and preferences
-   * @param {Object} userProfile - User profile with skills and preferences
-   * @param {number} limit - Number of recommendations
-   * @returns {Promise<Array>} Recommended jobs
+   * Get one page of jobs ordered by a computed score (distance, relevance)
+   * The score is not a column, so matching IDs are sorted in memory before loading the page.
+   * Ties keep the newest job first.
+   * @private
+   * @param {Object} where - Prisma where clause
+   * @param {Function} scoreOf - ({ id, location_id }) => number|null, null scores always come last
+   * @param {number} skip - Offset
+   * @param {number} limit - Page size
+   * @param {string} sortOrder - asc or desc
+   * @returns {Promise<Object>} { data, total }
    */
-  async getRecommendations(userProfile, limit = 10) {
-    const { skills = [], preferredLocation, experienceLevel } = userProfile;
+  async findPageByScore(where, scoreOf, skip, limit, sortOrder) {
+    const candidates = await this.model.findMany({
+      where,
+      select: { id: true, location_id: true },
+      orderBy: { posted_date: 'desc' },
+    });
 
-    const where = {};
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    const ordered = candidates
+      .map((job) => ({ id: job.id, score: scoreOf(job) }))
+      .sort((a, b) => {
+        if (a.score === null) return b.score === null ? 0 : 1;
+        if (b.score === null) return -1;
+        return (a.score - b.score) * direction;
+      });
+
+    const pageIds = ordered.slice(skip, skip + limit).map((job) => job.id);
+    const rows = await this.model.findMany({
+      where: { id: { in: pageIds } },
+      include: searchInclude,
+    });
+    const rowsById = new Map(rows.map((row) => [row.id, row]));
 
-    // Match skills (if user has skills)
-    if (skills.length > 0) {
-      where.OR = skills.map((skill) => ({
-        skills: { array_contains: skill },
-      }));
-    }
+    return {
+      data: pageIds.map((id) => rowsById.get(id)).filter(Boolean),
+      total: candidates.length,
+    };
+  }
 
-    // Preferred location
-    if (preferredLocation) {
-      where.location = { contains: preferredLocation, mode: 'insensitive' };
-    }
+  /**
+   * Get jobs matching a full-text search with their relevance
+   * Uses the GIN index on jobs.search_vector; rank is normalized to 0..1.
+   * @param {string} search - Search query (websearch syntax)
+   * @returns {Promise<Map<number, number>>} Job ID to rank
+   */
+  async findSearchRanks(search) {
+    const rows = await prisma.$queryRaw`
+      WITH q AS (SELECT ${fullTextQuery(search)} AS query)
+      SELECT j."id", ts_rank_cd(j."search_vector", q.query, 32) AS rank
+      FROM "jobs" j, q
+      WHERE j."search_vector" @@ q.query
+    `;
+
+    return new Map(rows.map((row) => [row.id, Math.round(Number(row.rank) * 10000) / 10000]));
+  }
 
-    // Experience level match
-    if (experienceLevel) {
-      where.experience_level = experienceLevel;
+  /**
+   * Get highlighted title and description snippets for jobs
+   * Matches are wrapped in <mark>; the rest of the text is HTML-escaped.
+   * Indonesian postings are highlighted with Indonesian stemming, others with English.
+   * @param {number[]} ids - Job IDs
+   * @param {string} search - Search query
+   * @returns {Promise<Map<number, Object>>} Job ID to { title, description }
+   */
+  async findHighlights(ids, search) {
+    if (ids.length === 0) {
+      return new Map();
     }
 
-    return await this.model.findMany({
-      where,
-      take: Number(limit),
-      orderBy: [{ posted_date: 'desc' }, { salary_max: 'desc' }],
-      include: {
-        company: true, 
-        location: true, 
-        _count: {
-          select: {
-            applications: true,
-          },
-        },
-      },
-    });
+    const rows = await prisma.$queryRaw`
+      WITH q AS (SELECT ${fullTextQuery(search)} AS query)
+      SELECT j."id",
+        ts_headline(c.config, ${escapedColumn('j."title"')}, q.query, ${TITLE_HEADLINE_OPTIONS}) AS title,
+        ts_headline(c.config, ${escapedColumn('j."description"')}, q.query, ${DESCRIPTION_HEADLINE_OPTIONS}) AS description
+      FROM "jobs" j
+      LEFT JOIN "job_ai_insights" i ON i."job_id" = j."id"
+      CROSS JOIN q
+      CROSS JOIN LATERAL (
+        SELECT CASE WHEN i."ai_job_language" ILIKE ANY (ARRAY['indonesia%', 'bahasa%']) THEN 'indonesian'::regconfig ELSE 'english'::regconfig END AS config
+      ) c
+      WHERE j."id" IN (${Prisma.join(ids)})
+    `;
+
+    return new Map(rows.map((row) => [row.id, { title: row.title, description: row.description }]));
   }
 
   /**
-   * Get popular job categories with counts
-   * @returns {Promise<Array>} Job categories with counts
+   * Get live jobs to score for recommendations
+   * Returns the given jobs (e.g. full-text matches of the profile skills) plus the newest jobs,
+   * so profiles without skills still get candidates.
+   * @param {number[]} ids - Preselected job IDs
+   * @param {number[]} excludeIds - Job IDs never to return
+   * @param {number} recentLimit - Number of newest jobs to add
+   * @returns {Promise<Array>} Jobs with company, location and ai_insights skills
    */
-  async getPopularCategories() {
-    const result = await this.model.groupBy({
-      by: ['job_type'],
-      _count: { job_type: true },
-      orderBy: {
-        _count: { job_type: 'desc' },
-      },
-    });
+  async findRecommendationCandidates(ids, excludeIds = [], recentLimit = 100) {
+    const where = (extra) => ({ AND: [this.buildLiveWhere(), { id: { notIn: excludeIds } }, extra] });
 
-    return result.map((item) => ({
-      category: item.job_type,
-      count: item._count.job_type,
-    }));
+    const [matched, recent] = await Promise.all([
+      ids.length > 0 ? this.model.findMany({ where: where({ id: { in: ids } }), include: recommendationInclude }) : [],
+      this.model.findMany({ where: where({}), orderBy: { posted_date: 'desc' }, take: Number(recentLimit), include: recommendationInclude }),
+    ]);
+
+    const byId = new Map([...matched, ...recent].map((job) => [job.id, job]));
+    return [...byId.values()];
   }
 
   /**
-   * Get popular locations with job counts
-   * @returns {Promise<Array>} Locations with job counts
+   * Get facet counts for the job listing sidebar
+   * Each facet is counted with every applied filter except its own, so the other
+   * values of a selected facet stay visible with the count they would give.
+   * @param {Object} options - Search filters (same keys as GET /api/jobs, salary already resolved to USD)
+   * @param {Array|null} salaryBuckets - [{ min, max, minUsd, maxUsd }], null skips the salary facet
+   * @returns {Promise<Object>} Facet values with counts
    */
-  async getPopularLocations() {
-    const result = await this.model.groupBy({
-      by: ['location'],
-      _count: { location: true },
-      orderBy: {
-        _count: { location: 'desc' },
-      },
-      take: 10,
+  async getFacets(options = {}, salaryBuckets = null) {
+    const { filters } = await this.resolveMatches(options);
+
+    const where = this.buildSearchWhere(filters);
+    const whereWithout = (...keys) => this.buildSearchWhere({ ...filters, ...Object.fromEntries(keys.map((key) => [key, undefined])) });
+
+    const countBy = async (field, facetWhere) => {
+      const rows = await this.model.groupBy({ by: [field], where: facetWhere, _count: { _all: true } });
+      return toFacetValues(rows.map((row) => [row[field], row._count._all]));
+    };
+
+    const countInsightsBy = async (field) => {
+      const rows = await prisma.jobAIInsights.groupBy({ by: [field], where: { job: where }, _count: { _all: true } });
+      return toFacetValues(rows.map((row) => [row[field], row._count._all]));
+    };
+
+    const countLocations = (facetWhere) =>
+      this.model.groupBy({ by: ['location_id'], where: { AND: [facetWhere, { location_id: { not: null } }] }, _count: { _all: true } });
+
+    const salaryWhere = whereWithout('minSalaryUsd', 'maxSalaryUsd');
+
+    const [total, employmentType, seniorityLevel, workArrangement, experienceLevel, countryRows, remoteRows, salaryCounts] = await Promise.all([
+      this.model.count({ where }),
+      countBy('employment_type', whereWithout('jobType')),
+      countBy('seniority_level', whereWithout('experienceLevel')),
+      countInsightsBy('ai_work_arrangement'),
+      countInsightsBy('ai_experience_level'),
+      countLocations(where),
+      countLocations(whereWithout('isRemote')),
+      Promise.all(
+        (salaryBuckets || []).map((bucket) =>
+          this.model.count({
+            where: {
+              AND: [
+                salaryWhere,
+                { ai_insights: { salary_annual_max_usd: { gte: bucket.minUsd } } },
+                bucket.maxUsd === null ? {} : { ai_insights: { salary_annual_min_usd: { lte: bucket.maxUsd } } },
+              ],
+            },
+          })
+        )
+      ),
+    ]);
+
+    // Country and remote are attributes of the location, so counts per location are rolled up
+    const locationIds = [...new Set([...countryRows, ...remoteRows].map((row) => row.location_id))];
+    const locations = await jobLocationRepository.findMany({
+      where: { id: { in: locationIds } },
+      select: { id: true, country: true, is_remote: true },
     });
+    const locationsById = new Map(locations.map((location) => [location.id, location]));
+
+    const sumBy = (rows, keyOf) => {
+      const counts = new Map();
+      for (const row of rows) {
+        const location = locationsById.get(row.location_id);
+        if (!location) continue;
+        const key = keyOf(location);
+        counts.set(key, (counts.get(key) || 0) + row._count._all);
+      }
+      return counts;
+    };
 
-    return result.map((item) => ({
-      location: item.location,
-      count: item._count.location,
-    }));
+    const remoteCounts = sumBy(remoteRows, (location) => (location.is_remote ? 'remote' : 'on_site'));
+
+    return {
+      total,
+      employment_type: employmentType,
+      seniority_level: seniorityLevel,
+      ai_work_arrangement: workArrangement,
+      ai_experience_level: experienceLevel,
+      country: toFacetValues([...sumBy(countryRows, (location) => location.country)]),
+      remote: [
+        { value: 'remote', count: remoteCounts.get('remote') || 0 },
+        { value: 'on_site', count: remoteCounts.get('on_site') || 0 },
+      ],
+      salary: salaryBuckets ? salaryBuckets.map((bucket, i) => ({ min: bucket.min, max: bucket.max, count: salaryCounts[i] })) : null,
+    };
   }
 
   /**
@@ -264,89 +543,77 @@ export class JobsRepository extends BaseRepository {
   }
 
   /**
-   * Get trending skills from job postings
-   * @returns {Promise<Array>} Trending skills
+   * Get the key skills of live jobs posted since a date
+   * Counting happens in skillService, where spellings are merged through the taxonomy.
+   * @param {Date} since - Earliest posted date
+   * @returns {Promise<Array>} ai_key_skills values (JSON arrays or comma separated strings)
    */
-  async getTrendingSkills() {
-    // This would require a more complex query to extract skills from JSON arrays
-    // For now, return a simple aggregation based on recent jobs
-    const recentJobs = await this.model.findMany({
-      where: {
-        posted_date: {
-          gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // Last 30 days
-        },
-      },
-      select: {
-        skills: true,
-      },
+  async findRecentSkillLists(since) {
+    const rows = await prisma.jobAIInsights.findMany({
+      where: { job: { AND: [this.buildLiveWhere(), { posted_date: { gte: since } }] } },
+      select: { ai_key_skills: true },
     });
 
-    // Flatten and count skills
-    const skillCounts = {};
-    recentJobs.forEach((job) => {
-      if (job.skills && Array.isArray(job.skills)) {
-        job.skills.forEach((skill) => {
-          skillCounts[skill] = (skillCounts[skill] || 0) + 1;
-        });
-      }
-    });
-
-    // Sort by count and return top skills
-    return Object.entries(skillCounts)
-      .sort(([, a], [, b]) => b - a)
-      .slice(0, 20)
-      .map(([skill, count]) => ({ skill, count }));
+    return rows.map((row) => row.ai_key_skills);
   }
 
   /**
-   * Get job statistics
+   * Get statistics of live jobs
    * @returns {Promise<Object>} Job statistics
    */
   async getStatistics() {
+    const liveWhere = this.buildLiveWhere();
     const [total, recentCount, averageSalary, remoteCount, topCompany] = await Promise.all([
-      this.model.count(),
+      this.model.count({ where: liveWhere }),
       this.model.count({
         where: {
+          ...liveWhere,
           posted_date: {
             gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // Last 7 days
           },
         },
       }),
-      this.model.aggregate({
+      prisma.jobAIInsights.aggregate({
+        where: { job: liveWhere },
         _avg: {
-          salary_max: true,
-          salary_min: true,
+          salary_annual_min_usd: true,
+          salary_annual_max_usd: true,
         },
       }),
       this.model.count({
-        where: { is_remote: true },
+        where: { ...liveWhere, location: { is_remote: true } },
       }),
       this.model.groupBy({
-        by: ['company'],
-        _count: { company: true },
+        by: ['company_id'],
+        where: liveWhere,
+        _count: { company_id: true },
         orderBy: {
-          _count: { company: 'desc' },
+          _count: { company_id: 'desc' },
         },
         take: 1,
       }),
     ]);
 
+    const company = topCompany.length > 0 ? await prisma.company.findUnique({ where: { id: topCompany[0].company_id }, select: { id: true, name: true, slug: true } }) : null;
+
     return {
       total,
       recent: recentCount,
+      // Annual USD amounts (see salaryNormalizationService)
       averageSalary: {
-        min: Math.round(averageSalary._avg.salary_min || 0),
-        max: Math.round(averageSalary._avg.salary_max || 0),
+        currency: 'USD',
+        period: 'YEAR',
+        min: Math.round(averageSalary._avg.salary_annual_min_usd || 0),
+        max: Math.round(averageSalary._avg.salary_annual_max_usd || 0),
       },
       remote: remoteCount,
       remotePercentage: total > 0 ? Math.round((remoteCount / total) * 100) : 0,
-      topCompany:
-        topCompany.length > 0
-          ? {
-              name: topCompany[0].company,
-              jobCount: topCompany[0]._count.company,
-            }
-          : null,
+      topCompany: company
+        ? {
+            ...company,
+            jobCount: topCompany[0]._count.company_id,
+          }
+        : null,
     };
   }
 
@@ -364,17 +631,186 @@ export class JobsRepository extends BaseRepository {
     return await this.exists(where);
   }
 
+  /**
+   * Get active jobs matching search filters that were created within a time window
+   * Used by saved search alerts
+   * @param {Object} filters - Search filters (same keys as GET /api/jobs)
+   * @param {Date} since - Window start (exclusive)
+   * @param {Date} until - Window end (inclusive)
+   * @param {number} limit - Max job IDs to return
+   * @returns {Promise<Object>} Matching job IDs and total count
+   */
+  async findNewMatches(filters, since, until, limit = 20) {
+    const { filters: resolved } = await this.resolveMatches(filters);
+    const where = {
+      AND: [this.buildSearchWhere({ ...resolved, createdAfter: since }), { created_at: { lte: until } }],
+    };
+
+    const [rows, total] = await Promise.all([
+      this.model.findMany({
+        where,
+        take: limit,
+        orderBy: { posted_date: 'desc' },
+        select: { id: true },
+      }),
+      this.model.count({ where }),
+    ]);
+
+    return { jobIds: rows.map((row) => row.id), total };
+  }
+
+  /**
+   * Get jobs by IDs with company and location
+   * @param {number[]} ids - Job IDs
+   * @returns {Promise<Array>} Jobs
+   */
+  async findByIds(ids) {
+    return await this.model.findMany({
+      where: { id: { in: ids } },
+      include: {
+        company: { select: { id: true, name: true, slug: true } },
+        location: { select: { id: true, city: true, region: true, country: true, is_remote: true } },
+      },
+    });
+  }
+
+  /**
+   * Mark active jobs whose valid_until has passed as expired
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of expired jobs
+   */
+  async expirePastValidUntil(now = new Date()) {
+    const { count } = await this.model.updateMany({
+      where: {
+        status: JOB_STATUS.ACTIVE,
+        valid_until: { lt: now },
+      },
+      data: { status: JOB_STATUS.EXPIRED },
+    });
+    return count;
+  }
+
+  /**
+   * Archive active jobs without valid_until that were posted before a cut-off
+   * @param {Date} postedBefore - Cut-off date
+   * @returns {Promise<number>} Number of archived jobs
+   */
+  async archivePostedBefore(postedBefore) {
+    const { count } = await this.model.updateMany({
+      where: {
+        status: JOB_STATUS.ACTIVE,
+        valid_until: null,
+        posted_date: { lt: postedBefore },
+      },
+      data: { status: JOB_STATUS.ARCHIVED },
+    });
+    return count;
+  }
+
+  /**
+   * Find job by LinkedIn job ID with its AI insights
+   * @param {string} linkedinJobId - LinkedIn job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async findByLinkedinJobId(linkedinJobId) {
+    return await this.model.findUnique({
+      where: { linkedin_job_id: linkedinJobId },
+      include: { ai_insights: true },
+    });
+  }
+
+  /**
+   * Create or update a job together with its AI insights in one transaction
+   * @param {number|null} id - Existing job ID, or null to create
+   * @param {Object} data - Job data
+   * @param {Object|null} insights - AI insights data, null leaves insights untouched
+   * @returns {Promise<Object>} Saved job
+   */
+  async saveWithInsights(id, data, insights = null) {
+    return await prisma.$transaction(async (tx) => {
+      const job = id ? await tx.job.update({ where: { id }, data }) : await tx.job.create({ data });
+
+      if (insights) {
+        await tx.jobAIInsights.upsert({
+          where: { job_id: job.id },
+          update: insights,
+          create: { ...insights, job_id: job.id },
+        });
+      }
+
+      return job;
+    });
+  }
+
+  /**
+   * Get live jobs for the sitemap
+   * Ordered by ID so a sitemap page keeps its URLs as new jobs are added.
+   * @param {number} skip - Entries to skip
+   * @param {number} take - Entries to return
+   * @returns {Promise<Array>} [{ id, updated_at }]
+   */
+  async findSitemapEntries(skip, take) {
+    return await this.model.findMany({
+      where: this.buildLiveWhere(),
+      select: { id: true, updated_at: true },
+      orderBy: { id: 'asc' },
+      skip,
+      take,
+    });
+  }
+
+  /**
+   * Get the latest update of one page of live jobs, for the sitemap index
+   * @param {number} skip - Entries to skip
+   * @param {number} take - Page size
+   * @returns {Promise<Date|null>} Latest updated_at
+   */
+  async findSitemapPageLastmod(skip, take) {
+    return await this.findPageLastUpdated(this.buildLiveWhere(), skip, take);
+  }
+
+  /**
+   * Count live jobs for the sitemap
+   * @returns {Promise<number>} Number of live jobs
+   */
+  async countSitemapEntries() {
+    return await this.count(this.buildLiveWhere());
+  }
+
   /**
    * Find job by slug
    * @param {string} slug - Job slug
    * @returns {Promise<Object|null>} Job or null
    */
   async findBySlug(slug) {
-    return await this.model.findUnique({
+    // Slug is only unique per company, so take the first match
+    return await this.model.findFirst({
       where: { slug },
       include: {
         company: true, // Include all company fields
         location: true, // Include all location fields
+        ai_insights: true,
+        _count: {
+          select: {
+            applications: true,
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Find job by ID with its details
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async findDetailById(id) {
+    return await this.model.findUnique({
+      where: { id: Number(id) },
+      include: {
+        company: true, // Include all company fields
+        location: true, // Include all location fields
+        ai_insights: true,
         _count: {
           select: {
             applications: true,
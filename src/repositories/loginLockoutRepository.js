@@ -0,0 +1,66 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+import { LOGIN_LOCKOUT_SCOPE } from '../constants/auth.js';
+
+/**
+ * Login lockout repository for data access operations
+ */
+export class LoginLockoutRepository extends BaseRepository {
+  constructor() {
+    super(prisma.loginLockout);
+  }
+
+  /**
+   * Get lockouts for security review, newest first
+   * @param {Object} options - { page, limit, email, userId, active }
+   * @returns {Promise<Object>} Paginated result with data and meta
+   */
+  async findList(options = {}) {
+    const { page = 1, limit = 20, email, userId, active } = options;
+
+    const skip = (page - 1) * limit;
+    const where = {
+      ...(email && { email: email.toLowerCase() }),
+      ...(userId && { user_id: Number(userId) }),
+      ...(active && { unlocked_at: null, locked_until: { gt: new Date() } }),
+    };
+
+    const [data, total] = await Promise.all([
+      this.model.findMany({
+        where,
+        skip,
+        take: Number(limit),
+        orderBy: { created_at: 'desc' },
+        include: { user: { select: { id: true, first_name: true, last_name: true, email: true } } },
+      }),
+      this.model.count({ where }),
+    ]);
+
+    return {
+      data,
+      meta: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Record that the active account lockouts of an email were ended by an admin
+   * @param {string} email - Account email (lowercase)
+   * @param {number} adminId - User ID of the admin
+   * @returns {Promise<number>} Updated lockouts
+   */
+  async markUnlocked(email, adminId) {
+    const { count } = await this.model.updateMany({
+      where: { scope: LOGIN_LOCKOUT_SCOPE.ACCOUNT, email, unlocked_at: null, locked_until: { gt: new Date() } },
+      data: { unlocked_at: new Date(), unlocked_by: adminId },
+    });
+    return count;
+  }
+}
+
+// Export instance
+export const loginLockoutRepository = new LoginLockoutRepository();
@@ -0,0 +1,81 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * One-time code repository for data access operations
+ */
+export class OtpCodeRepository extends BaseRepository {
+  constructor() {
+    super(prisma.otpCode);
+  }
+
+  /**
+   * Issue a code for a subject, replacing its unverified codes
+   * @param {Object} data - { purpose, subject, phone, channel, code_hash, expires_at }
+   * @returns {Promise<Object>} Created code
+   */
+  async replaceForSubject(data) {
+    return await prisma.$transaction(async (tx) => {
+      await tx.otpCode.deleteMany({
+        where: { purpose: data.purpose, subject: data.subject, verified_at: null },
+      });
+      return await tx.otpCode.create({ data });
+    });
+  }
+
+  /**
+   * Find the most recent code of a subject
+   * @param {string} purpose - OTP_PURPOSE value
+   * @param {string} subject - Subject key (e.g. user:7)
+   * @returns {Promise<Object|null>} Code or null
+   */
+  async findLatest(purpose, subject) {
+    return await this.model.findFirst({
+      where: { purpose, subject },
+      orderBy: { created_at: 'desc' },
+    });
+  }
+
+  /**
+   * Count a verification attempt while the code is still usable
+   * @param {number} id - Code ID
+   * @param {number} maxAttempts - Attempts allowed per code
+   * @returns {Promise<boolean>} False if the code is used, expired or out of attempts
+   */
+  async recordAttempt(id, maxAttempts) {
+    const { count } = await this.model.updateMany({
+      where: { id, verified_at: null, attempts: { lt: maxAttempts }, expires_at: { gt: new Date() } },
+      data: { attempts: { increment: 1 } },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Mark a code verified unless it already was
+   * @param {number} id - Code ID
+   * @param {Date} verifiedAt - Verification time
+   * @returns {Promise<boolean>} True if this call verified the code
+   */
+  async markVerified(id, verifiedAt) {
+    const { count } = await this.model.updateMany({
+      where: { id, verified_at: null },
+      data: { verified_at: verifiedAt },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Delete codes that expired before a date
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Deleted codes
+   */
+  async deleteExpiredBefore(before) {
+    const { count } = await this.model.deleteMany({
+      where: { expires_at: { lt: before } },
+    });
+    return count;
+  }
+}
+
+// Export instance
+export const otpCodeRepository = new OtpCodeRepository();
@@ -0,0 +1,61 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Password reset token repository for data access operations
+ */
+export class PasswordResetTokenRepository extends BaseRepository {
+  constructor() {
+    super(prisma.passwordResetToken);
+  }
+
+  /**
+   * Issue a token for a user, replacing the user's unused tokens
+   * so only the link of the latest email works
+   * @param {Object} data - { user_id, token_hash, expires_at, requested_ip }
+   * @returns {Promise<Object>} Created token
+   */
+  async replaceForUser(data) {
+    return await prisma.$transaction(async (tx) => {
+      await tx.passwordResetToken.deleteMany({ where: { user_id: data.user_id, used_at: null } });
+      return await tx.passwordResetToken.create({ data });
+    });
+  }
+
+  /**
+   * Find a token by hash
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<Object|null>} Token or null
+   */
+  async findByHash(tokenHash) {
+    return await this.model.findUnique({ where: { token_hash: tokenHash } });
+  }
+
+  /**
+   * Use a token and set the new password in one transaction
+   * The token is only used if it is still unused and unexpired, so it works exactly once.
+   * @param {Object} token - Token ({ id, user_id })
+   * @param {string} passwordHash - bcrypt hash of the new password
+   * @returns {Promise<boolean>} False if the token was used or expired in the meantime
+   */
+  async resetPassword(token, passwordHash) {
+    return await prisma.$transaction(async (tx) => {
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: token.id, used_at: null, expires_at: { gt: new Date() } },
+        data: { used_at: new Date() },
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      await tx.user.update({ where: { id: token.user_id }, data: { password: passwordHash } });
+      await tx.passwordResetToken.deleteMany({ where: { user_id: token.user_id, used_at: null } });
+
+      return true;
+    });
+  }
+}
+
+// Export instance
+export const passwordResetTokenRepository = new PasswordResetTokenRepository();
@@ -1,3 +1,4 @@
+import prisma from '../lib/prisma.js';
 import { BaseRepository } from './base/BaseRepository.js';
 
 /**
@@ -6,7 +7,8 @@ import { BaseRepository } from './base/BaseRepository.js';
  */
 class ProgramsRepository extends BaseRepository {
   constructor() {
-    super('program');
+    super(prisma.program);
+    this.prisma = prisma;
   }
 
   /**
@@ -284,6 +286,52 @@ class ProgramsRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Get active programs for the sitemap
+   * @param {number} skip - Entries to skip
+   * @param {number} take - Entries to return
+   * @returns {Promise<Array>} [{ slug, updated_at }]
+   */
+  async findSitemapEntries(skip, take) {
+    try {
+      return await this.prisma.program.findMany({
+        where: { status: 'ACTIVE' },
+        select: { slug: true, updated_at: true },
+        orderBy: { id: 'asc' },
+        skip,
+        take,
+      });
+    } catch (error) {
+      throw new Error(`Failed to get sitemap programs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the latest update of one page of active programs, for the sitemap index
+   * @param {number} skip - Entries to skip
+   * @param {number} take - Page size
+   * @returns {Promise<Date|null>} Latest updated_at
+   */
+  async findSitemapPageLastmod(skip, take) {
+    try {
+      return await this.findPageLastUpdated({ status: 'ACTIVE' }, skip, take);
+    } catch (error) {
+      throw new Error(`Failed to get sitemap programs lastmod: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count active programs for the sitemap
+   * @returns {Promise<number>} Number of active programs
+   */
+  async countSitemapEntries() {
+    try {
+      return await this.prisma.program.count({ where: { status: 'ACTIVE' } });
+    } catch (error) {
+      throw new Error(`Failed to count sitemap programs: ${error.message}`);
+    }
+  }
+
   /**
    * Get program by ID or slug
    * @param {string} identifier - Program ID or slug
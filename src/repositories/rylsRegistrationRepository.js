@@ -20,6 +20,7 @@ export class RylsRegistrationRepository extends BaseRepository {
     try {
       const registration = await this.model.create({
         data: {
+          submission_id: registrationData.submissionId,
           full_name: registrationData.fullName,
           email: registrationData.email,
           residence: registrationData.residence,
@@ -258,6 +259,35 @@ export class RylsRegistrationRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Find registration by submission ID
+   * @param {string} submissionId - Submission ID
+   * @returns {Promise<Object|null>} Registration record with relations
+   */
+  async findBySubmissionId(submissionId) {
+    try {
+      return await this.model.findUnique({
+        where: { submission_id: submissionId },
+        include: {
+          fully_funded_submission: true,
+          self_funded_submission: true,
+          payments: {
+            include: {
+              midtrans: true,
+              payment_proof: true,
+            },
+            orderBy: {
+              created_at: 'desc',
+            },
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Error finding registration by submission ID:', error);
+      throw new Error('Failed to find registration by submission ID');
+    }
+  }
+
   /**
    * Get registrations with pagination and filters
    * @param {Object} options - Query options
@@ -392,6 +422,32 @@ export class RylsRegistrationRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Get the WhatsApp number of a registration
+   * @param {string} submissionId - Submission ID
+   * @returns {Promise<Object|null>} { id, whatsapp, whatsapp_verified_at } or null
+   */
+  async findWhatsappBySubmissionId(submissionId) {
+    return await this.model.findUnique({
+      where: { submission_id: submissionId },
+      select: { id: true, whatsapp: true, whatsapp_verified_at: true },
+    });
+  }
+
+  /**
+   * Mark the WhatsApp number of a registration verified
+   * @param {number} id - Registration ID
+   * @param {Date} verifiedAt - Verification time
+   * @returns {Promise<Object>} { id, whatsapp, whatsapp_verified_at }
+   */
+  async markWhatsappVerified(id, verifiedAt) {
+    return await this.model.update({
+      where: { id },
+      data: { whatsapp_verified_at: verifiedAt },
+      select: { id: true, whatsapp: true, whatsapp_verified_at: true },
+    });
+  }
+
   /**
    * Get registration statistics
    * @returns {Promise<Object>} Registration statistics
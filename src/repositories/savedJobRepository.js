@@ -0,0 +1,104 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Saved jobs (bookmarks) repository for data access operations
+ */
+export class SavedJobRepository extends BaseRepository {
+  constructor() {
+    super(prisma.userSavedJob);
+  }
+
+  /**
+   * Save a job for a user (idempotent)
+   * @param {number} userId - User ID
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Saved job record
+   */
+  async saveJob(userId, jobId) {
+    return await this.model.upsert({
+      where: {
+        user_id_job_id: { user_id: userId, job_id: jobId },
+      },
+      update: {},
+      create: { user_id: userId, job_id: jobId },
+    });
+  }
+
+  /**
+   * Remove a saved job of a user
+   * @param {number} userId - User ID
+   * @param {number} jobId - Job ID
+   * @returns {Promise<boolean>} True if a bookmark was removed
+   */
+  async unsaveJob(userId, jobId) {
+    const { count } = await this.model.deleteMany({
+      where: { user_id: userId, job_id: jobId },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Get the subset of job IDs saved by a user in a single query
+   * @param {number} userId - User ID
+   * @param {number[]} jobIds - Job IDs to check
+   * @returns {Promise<Set<number>>} Saved job IDs
+   */
+  async findSavedJobIds(userId, jobIds = []) {
+    if (jobIds.length === 0) {
+      return new Set();
+    }
+
+    const rows = await this.model.findMany({
+      where: { user_id: userId, job_id: { in: jobIds } },
+      select: { job_id: true },
+    });
+
+    return new Set(rows.map((row) => row.job_id));
+  }
+
+  /**
+   * Get saved jobs of a user with pagination
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Paginated saved jobs
+   */
+  async findByUserId(userId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { user_id: userId };
+
+    const [data, total] = await Promise.all([
+      this.model.findMany({
+        where,
+        skip,
+        take: Number(limit),
+        orderBy: { saved_at: 'desc' },
+        include: {
+          job: {
+            include: {
+              company: true,
+              location: true,
+              ai_insights: true,
+            },
+          },
+        },
+      }),
+      this.model.count({ where }),
+    ]);
+
+    return {
+      data,
+      meta: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+// Export instance
+export const savedJobRepository = new SavedJobRepository();
@@ -0,0 +1,172 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+const aliasSelect = { id: true, name: true, normalized_name: true };
+
+/**
+ * Canonical skill and skill alias repository for data access operations
+ */
+export class SkillRepository extends BaseRepository {
+  constructor() {
+    super(prisma.skill);
+  }
+
+  /**
+   * Get every skill with its aliases (the whole taxonomy)
+   * @returns {Promise<Array>} Skills with aliases
+   */
+  async findAllWithAliases() {
+    return await this.model.findMany({
+      orderBy: { name: 'asc' },
+      include: { aliases: { select: aliasSelect, orderBy: { name: 'asc' } } },
+    });
+  }
+
+  /**
+   * Get a skill with its aliases
+   * @param {number} id - Skill ID
+   * @returns {Promise<Object|null>} Skill or null
+   */
+  async findWithAliases(id) {
+    return await this.model.findUnique({
+      where: { id },
+      include: { aliases: { select: aliasSelect, orderBy: { name: 'asc' } } },
+    });
+  }
+
+  /**
+   * Get skills for the admin list
+   * @param {Object} options - { page, limit, search, category }
+   * @returns {Promise<Object>} Paginated result with data and meta
+   */
+  async findList(options = {}) {
+    const { page = 1, limit = 50, search, category } = options;
+
+    const skip = (page - 1) * limit;
+    const conditions = [];
+
+    if (search) {
+      conditions.push({
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { aliases: { some: { name: { contains: search, mode: 'insensitive' } } } },
+        ],
+      });
+    }
+    if (category) {
+      conditions.push({ category });
+    }
+
+    const where = conditions.length > 0 ? { AND: conditions } : {};
+
+    const [data, total] = await Promise.all([
+      this.model.findMany({
+        where,
+        skip,
+        take: Number(limit),
+        orderBy: { name: 'asc' },
+        include: { aliases: { select: aliasSelect, orderBy: { name: 'asc' } } },
+      }),
+      this.model.count({ where }),
+    ]);
+
+    return {
+      data,
+      meta: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Find the skill or alias using a comparison key
+   * @param {string} normalizedName - Comparison key (see normalizeSkill)
+   * @returns {Promise<Object|null>} { skill_id, alias_id } or null when the key is free
+   */
+  async findByKey(normalizedName) {
+    const [skill, alias] = await Promise.all([
+      this.model.findUnique({ where: { normalized_name: normalizedName }, select: { id: true } }),
+      prisma.skillAlias.findUnique({ where: { normalized_name: normalizedName }, select: { id: true, skill_id: true } }),
+    ]);
+
+    if (skill) return { skill_id: skill.id, alias_id: null };
+    if (alias) return { skill_id: alias.skill_id, alias_id: alias.id };
+    return null;
+  }
+
+  /**
+   * Create a skill with aliases
+   * @param {Object} data - { name, normalized_name, category }
+   * @param {Array} aliases - [{ name, normalized_name }]
+   * @returns {Promise<Object>} Created skill with aliases
+   */
+  async createWithAliases(data, aliases = []) {
+    return await this.model.create({
+      data: { ...data, aliases: { create: aliases } },
+      include: { aliases: { select: aliasSelect, orderBy: { name: 'asc' } } },
+    });
+  }
+
+  /**
+   * Add an alias to a skill
+   * @param {number} skillId - Skill ID
+   * @param {Object} alias - { name, normalized_name }
+   * @returns {Promise<Object>} Created alias
+   */
+  async createAlias(skillId, alias) {
+    return await prisma.skillAlias.create({
+      data: { ...alias, skill_id: skillId },
+      select: aliasSelect,
+    });
+  }
+
+  /**
+   * Remove an alias from a skill
+   * @param {number} skillId - Skill ID
+   * @param {number} aliasId - Alias ID
+   * @returns {Promise<boolean>} True if an alias was removed
+   */
+  async deleteAlias(skillId, aliasId) {
+    const { count } = await prisma.skillAlias.deleteMany({
+      where: { id: aliasId, skill_id: skillId },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Merge skills into a target skill in one transaction
+   * The aliases of the sources move to the target and the source names become aliases of it.
+   * @param {number} targetId - Skill ID kept
+   * @param {Array} sources - Skills merged away ({ id, name, normalized_name })
+   * @returns {Promise<Object>} Target skill with aliases
+   */
+  async merge(targetId, sources) {
+    const sourceIds = sources.map((source) => source.id);
+
+    return await prisma.$transaction(async (tx) => {
+      // Aliases move before the sources are deleted, which would cascade to them
+      await tx.skillAlias.updateMany({
+        where: { skill_id: { in: sourceIds } },
+        data: { skill_id: targetId },
+      });
+
+      await tx.skill.deleteMany({ where: { id: { in: sourceIds } } });
+
+      await tx.skillAlias.createMany({
+        data: sources.map((source) => ({ skill_id: targetId, name: source.name, normalized_name: source.normalized_name })),
+        skipDuplicates: true,
+      });
+
+      return await tx.skill.findUnique({
+        where: { id: targetId },
+        include: { aliases: { select: aliasSelect, orderBy: { name: 'asc' } } },
+      });
+    });
+  }
+}
+
+// Export instance
+export const skillRepository = new SkillRepository();
@@ -0,0 +1,65 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Two-factor login challenge repository for data access operations
+ */
+export class TwoFactorChallengeRepository extends BaseRepository {
+  constructor() {
+    super(prisma.twoFactorChallenge);
+  }
+
+  /**
+   * Find a challenge by hash
+   * @param {string} tokenHash - SHA-256 hash of the challenge token
+   * @returns {Promise<Object|null>} Challenge with user or null
+   */
+  async findByHash(tokenHash) {
+    return await this.model.findUnique({
+      where: { token_hash: tokenHash },
+      include: { user: true },
+    });
+  }
+
+  /**
+   * Count a code attempt while the challenge is still usable
+   * @param {number} id - Challenge ID
+   * @param {number} maxAttempts - Attempts allowed per challenge
+   * @returns {Promise<boolean>} False if the challenge is used, expired or out of attempts
+   */
+  async recordAttempt(id, maxAttempts) {
+    const { count } = await this.model.updateMany({
+      where: { id, used_at: null, attempts: { lt: maxAttempts }, expires_at: { gt: new Date() } },
+      data: { attempts: { increment: 1 } },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Mark a challenge used unless it already was
+   * @param {number} id - Challenge ID
+   * @returns {Promise<boolean>} True if this call used the challenge
+   */
+  async markUsed(id) {
+    const { count } = await this.model.updateMany({
+      where: { id, used_at: null, expires_at: { gt: new Date() } },
+      data: { used_at: new Date() },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Delete challenges that expired or were used before a date
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Deleted challenges
+   */
+  async deleteEndedBefore(before) {
+    const { count } = await this.model.deleteMany({
+      where: { OR: [{ expires_at: { lt: before } }, { used_at: { lt: before } }] },
+    });
+    return count;
+  }
+}
+
+// Export instance
+export const twoFactorChallengeRepository = new TwoFactorChallengeRepository();
@@ -0,0 +1,86 @@
+import prisma from '../lib/prisma.js';
+import { BaseRepository } from './base/BaseRepository.js';
+
+/**
+ * Two-factor recovery code repository for data access operations
+ * Also switches the user's two-factor state, so codes and state change together.
+ */
+export class TwoFactorRecoveryCodeRepository extends BaseRepository {
+  constructor() {
+    super(prisma.twoFactorRecoveryCode);
+  }
+
+  /**
+   * Turn two-factor authentication on with a fresh set of recovery codes
+   * @param {number} userId - User ID
+   * @param {number} step - Time step of the confirming code (it cannot be used again)
+   * @param {string[]} codeHashes - SHA-256 hashes of the recovery codes
+   * @returns {Promise<Date>} Enabled time
+   */
+  async enable(userId, step, codeHashes) {
+    const enabledAt = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: { two_factor_enabled_at: enabledAt, two_factor_last_step: step },
+      });
+      await tx.twoFactorRecoveryCode.deleteMany({ where: { user_id: userId } });
+      await tx.twoFactorRecoveryCode.createMany({ data: codeHashes.map((codeHash) => ({ user_id: userId, code_hash: codeHash })) });
+    });
+
+    return enabledAt;
+  }
+
+  /**
+   * Replace all recovery codes of a user
+   * @param {number} userId - User ID
+   * @param {string[]} codeHashes - SHA-256 hashes of the new codes
+   */
+  async replaceForUser(userId, codeHashes) {
+    await prisma.$transaction(async (tx) => {
+      await tx.twoFactorRecoveryCode.deleteMany({ where: { user_id: userId } });
+      await tx.twoFactorRecoveryCode.createMany({ data: codeHashes.map((codeHash) => ({ user_id: userId, code_hash: codeHash })) });
+    });
+  }
+
+  /**
+   * Count the recovery codes a user has left
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Unused codes
+   */
+  async countUnused(userId) {
+    return await this.count({ user_id: userId, used_at: null });
+  }
+
+  /**
+   * Use a recovery code unless it already was
+   * @param {number} userId - User ID
+   * @param {string} codeHash - SHA-256 hash of the code
+   * @returns {Promise<boolean>} True if this call used the code
+   */
+  async use(userId, codeHash) {
+    const { count } = await this.model.updateMany({
+      where: { user_id: userId, code_hash: codeHash, used_at: null },
+      data: { used_at: new Date() },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Turn two-factor authentication off and drop the secret and recovery codes
+   * @param {number} userId - User ID
+   */
+  async disable(userId) {
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: { two_factor_secret: null, two_factor_enabled_at: null, two_factor_last_step: null },
+      });
+      await tx.twoFactorRecoveryCode.deleteMany({ where: { user_id: userId } });
+    });
+  }
+}
+
+// Export instance
+export const twoFactorRecoveryCodeRepository = new TwoFactorRecoveryCodeRepository();
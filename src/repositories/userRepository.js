@@ -136,6 +136,21 @@ export class UserRepository extends BaseRepository {
   async emailExists(email) {
     return await this.exists({ email });
   }
+
+  /**
+   * Record the time step of an accepted two-factor code
+   * Only later steps are recorded, so each code works once.
+   * @param {number} id - User ID
+   * @param {number} step - TOTP time step
+   * @returns {Promise<boolean>} False if this or a later step was already used
+   */
+  async claimTwoFactorStep(id, step) {
+    const { count } = await this.model.updateMany({
+      where: { id, OR: [{ two_factor_last_step: null }, { two_factor_last_step: { lt: step } }] },
+      data: { two_factor_last_step: step },
+    });
+    return count > 0;
+  }
 }
 
 // Export instance
@@ -1,7 +1,23 @@
 // src/routes/authRoutes.js
 import { authController } from '../controllers/auth/authController.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { loginSchema, registerSchema, getCurrentUserSchema } from '../schemas/userSchemas.js';
+import {
+  loginSchema,
+  registerSchema,
+  getCurrentUserSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  revokeSessionSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  sendPhoneOtpSchema,
+  verifyPhoneOtpSchema,
+  confirmTwoFactorSchema,
+  verifyTwoFactorSchema,
+  regenerateRecoveryCodesSchema,
+  disableTwoFactorSchema,
+} from '../schemas/userSchemas.js';
 
 /**
  * Plugin Fastify untuk mendaftarkan semua route terkait Autentikasi.
@@ -26,6 +42,103 @@ async function authRoutes(fastify, options) {
     },
     authController.getCurrentUser
   );
+
+  // POST /api/auth/refresh - Tukar refresh token dengan access token dan refresh token baru
+  fastify.post('/refresh', { schema: { ...refreshTokenSchema, ...authTag } }, authController.refresh);
+
+  // POST /api/auth/logout - Akhiri sesi dari refresh token
+  fastify.post('/logout', { schema: { ...logoutSchema, ...authTag } }, authController.logout);
+
+  // GET /api/auth/sessions - Daftar sesi aktif per perangkat (protected)
+  fastify.get('/sessions', { schema: authTag, preHandler: authMiddleware }, authController.getSessions);
+
+  // DELETE /api/auth/sessions/:id - Akhiri sesi perangkat lain (protected)
+  fastify.delete(
+    '/sessions/:id',
+    {
+      schema: { ...revokeSessionSchema, ...authTag },
+      preHandler: authMiddleware,
+    },
+    authController.revokeSession
+  );
+
+  // POST /api/auth/forgot-password - Kirim email reset password (response sama untuk email tidak terdaftar)
+  fastify.post('/forgot-password', { schema: { ...forgotPasswordSchema, ...authTag } }, authController.forgotPassword);
+
+  // POST /api/auth/reset-password - Ganti password dengan token reset, semua sesi diakhiri
+  fastify.post('/reset-password', { schema: { ...resetPasswordSchema, ...authTag } }, authController.resetPassword);
+
+  // POST /api/auth/verify-email - Verifikasi email dengan token dari email verifikasi
+  fastify.post('/verify-email', { schema: { ...verifyEmailSchema, ...authTag } }, authController.verifyEmail);
+
+  // POST /api/auth/resend-verification - Kirim ulang email verifikasi (protected)
+  fastify.post(
+    '/resend-verification',
+    {
+      schema: authTag,
+      preHandler: authMiddleware,
+    },
+    authController.resendVerification
+  );
+
+  // POST /api/auth/phone/send-otp - Kirim kode OTP lewat SMS/WhatsApp ke nomor telepon (protected)
+  fastify.post(
+    '/phone/send-otp',
+    {
+      schema: { ...sendPhoneOtpSchema, ...authTag },
+      preHandler: authMiddleware,
+    },
+    authController.sendPhoneOtp
+  );
+
+  // POST /api/auth/phone/verify - Verifikasi nomor telepon dengan kode OTP (protected)
+  fastify.post(
+    '/phone/verify',
+    {
+      schema: { ...verifyPhoneOtpSchema, ...authTag },
+      preHandler: authMiddleware,
+    },
+    authController.verifyPhoneOtp
+  );
+
+  // POST /api/auth/2fa/verify - Langkah kedua login dengan kode 2FA atau recovery code
+  fastify.post('/2fa/verify', { schema: { ...verifyTwoFactorSchema, ...authTag } }, authController.verifyTwoFactor);
+
+  // GET /api/auth/2fa - Status 2FA user yang sedang login (protected)
+  fastify.get('/2fa', { schema: authTag, preHandler: authMiddleware }, authController.getTwoFactorStatus);
+
+  // POST /api/auth/2fa/setup - Mulai aktivasi 2FA, mengembalikan secret dan otpauth URI (protected)
+  fastify.post('/2fa/setup', { schema: authTag, preHandler: authMiddleware }, authController.setupTwoFactor);
+
+  // POST /api/auth/2fa/confirm - Aktifkan 2FA dengan kode pertama, mengembalikan recovery code (protected)
+  fastify.post(
+    '/2fa/confirm',
+    {
+      schema: { ...confirmTwoFactorSchema, ...authTag },
+      preHandler: authMiddleware,
+    },
+    authController.confirmTwoFactor
+  );
+
+  // POST /api/auth/2fa/recovery-codes - Buat ulang recovery code 2FA (protected)
+  fastify.post(
+    '/2fa/recovery-codes',
+    {
+      schema: { ...regenerateRecoveryCodesSchema, ...authTag },
+      preHandler: authMiddleware,
+    },
+    authController.regenerateRecoveryCodes
+  );
+
+  // POST /api/auth/2fa/disable - Nonaktifkan 2FA dengan password dan kode (protected)
+  fastify.post(
+    '/2fa/disable',
+    {
+      schema: { ...disableTwoFactorSchema, ...authTag },
+      preHandler: authMiddleware,
+    },
+    authController.disableTwoFactor
+  );
 }
 
 export default authRoutes;
@@ -1,6 +1,6 @@
 import { bootcampController } from '../../controllers/bootcamp/bootcampController.js';
-import { requireRole } from '../../lib/jwt.js';
 import { optionalAuthMiddleware } from '../../middleware/auth.js';
+import { PERMISSION } from '../../constants/permissions.js';
 
 /**
  * Bootcamp routes plugin
@@ -161,7 +161,7 @@ export default async function bootcampRoutes(fastify) {
             },
           },
         },
-        preHandler: requireRole(['admin']),
+        config: { permission: PERMISSION.BOOTCAMPS_MANAGE },
       },
       bootcampController.createBootcamp
     );
@@ -197,7 +197,7 @@ export default async function bootcampRoutes(fastify) {
             },
           },
         },
-        preHandler: requireRole(['admin']),
+        config: { permission: PERMISSION.BOOTCAMPS_MANAGE },
       },
       bootcampController.updateBootcamp
     );
@@ -216,7 +216,7 @@ export default async function bootcampRoutes(fastify) {
             required: ['id'],
           },
         },
-        preHandler: requireRole(['admin']),
+        config: { permission: PERMISSION.BOOTCAMPS_MANAGE },
       },
       bootcampController.deleteBootcamp
     );
@@ -246,7 +246,7 @@ export default async function bootcampRoutes(fastify) {
             },
           },
         },
-        preHandler: requireRole(['admin']),
+        config: { permission: PERMISSION.BOOTCAMPS_MANAGE },
       },
       bootcampController.getStatistics
     );
@@ -0,0 +1,90 @@
+import { companyController } from '../../controllers/companies/companyController.js';
+import {
+  companyDirectorySchema,
+  companyProfileSchema,
+  createCompanySchema,
+  updateCompanySchema,
+  companyRecruitersSchema,
+  addCompanyRecruiterSchema,
+  removeCompanyRecruiterSchema,
+} from '../../schemas/companySchemas.js';
+import { requireRole } from '../../lib/jwt.js';
+
+/**
+ * Companies routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+export async function companiesRoutes(fastify) {
+  const companiesTag = { tags: ['Companies'] };
+
+  // ================================
+  // PUBLIC ROUTES
+  // ================================
+
+  // GET /api/companies - Company directory with filtering
+  fastify.get('/', { schema: { ...companyDirectorySchema, ...companiesTag } }, companyController.getCompanies);
+
+  // GET /api/companies/:slug - Company profile with active jobs
+  fastify.get('/:slug', { schema: { ...companyProfileSchema, ...companiesTag } }, companyController.getCompanyBySlug);
+
+  // ================================
+  // RECRUITER ROUTES
+  // ================================
+
+  // GET /api/companies/managed - Companies the current recruiter manages
+  fastify.get('/managed', { schema: companiesTag, preHandler: requireRole(['RECRUITER']) }, companyController.getManagedCompanies);
+
+  // ================================
+  // ADMIN ROUTES
+  // ================================
+
+  // POST /api/companies - Create company (Admin only)
+  fastify.post(
+    '/',
+    {
+      schema: { ...createCompanySchema, ...companiesTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    companyController.createCompany
+  );
+
+  // PUT /api/companies/:id - Update company (Admin only)
+  fastify.put(
+    '/:id',
+    {
+      schema: { ...updateCompanySchema, ...companiesTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    companyController.updateCompany
+  );
+
+  // GET /api/companies/:id/recruiters - Recruiters of a company (Admin only)
+  fastify.get(
+    '/:id/recruiters',
+    {
+      schema: { ...companyRecruitersSchema, ...companiesTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    companyController.getRecruiters
+  );
+
+  // POST /api/companies/:id/recruiters - Link a user to a company as recruiter (Admin only)
+  fastify.post(
+    '/:id/recruiters',
+    {
+      schema: { ...addCompanyRecruiterSchema, ...companiesTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    companyController.addRecruiter
+  );
+
+  // DELETE /api/companies/:id/recruiters/:userId - Remove a recruiter from a company (Admin only)
+  fastify.delete(
+    '/:id/recruiters/:userId',
+    {
+      schema: { ...removeCompanyRecruiterSchema, ...companiesTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    companyController.removeRecruiter
+  );
+}
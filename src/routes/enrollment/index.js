@@ -2,6 +2,8 @@ import { EnrollmentRepository } from '../../repositories/enrollmentRepository.js
 import { EnrollmentService } from '../../services/enrollmentService.js';
 import { EnrollmentController } from '../../controllers/enrollment/enrollmentController.js';
 import { EnrollmentSchemas } from '../../schemas/enrollmentSchemas.js';
+import { authMiddleware, requireVerifiedEmail } from '../../middleware/auth.js';
+import { PERMISSION } from '../../constants/permissions.js';
 import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
@@ -18,6 +20,7 @@ const enrollmentController = new EnrollmentController(enrollmentService);
 async function enrollmentRoutes(app, options) {
   // Mendapatkan semua enrollment
   app.get('/', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan semua enrollment dengan filter dan pagination',
       tags: ['Enrollments'],
@@ -74,6 +77,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment berdasarkan ID
   app.get('/:id', {
+    preHandler: authMiddleware,
     schema: {
       description: 'Mendapatkan enrollment berdasarkan ID',
       tags: ['Enrollments'],
@@ -110,6 +114,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment berdasarkan user dan bootcamp
   app.get('/user/:userId/bootcamp/:bootcampId', {
+    preHandler: authMiddleware,
     schema: {
       description: 'Mendapatkan enrollment berdasarkan user dan bootcamp',
       tags: ['Enrollments'],
@@ -147,6 +152,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment berdasarkan user
   app.get('/user/:userId', {
+    preHandler: authMiddleware,
     schema: {
       description: 'Mendapatkan semua enrollment berdasarkan user ID',
       tags: ['Enrollments'],
@@ -196,6 +202,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment berdasarkan bootcamp
   app.get('/bootcamp/:bootcampId', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan semua enrollment berdasarkan bootcamp ID',
       tags: ['Enrollments'],
@@ -245,14 +252,16 @@ async function enrollmentRoutes(app, options) {
 
   // Membuat enrollment baru
   app.post('/', {
+    config: { permission: PERMISSION.ENROLLMENTS_CREATE },
+    preHandler: requireVerifiedEmail,
     schema: {
       description: 'Membuat enrollment baru',
       tags: ['Enrollments'],
       body: {
         type: 'object',
-        required: ['user_id', 'bootcamp_id'],
+        required: ['bootcamp_id'],
         properties: {
-          user_id: { type: 'integer', description: 'ID user' },
+          user_id: { type: 'integer', description: 'ID user (hanya dengan permission enrollments:manage, default user yang login)' },
           bootcamp_id: { type: 'integer', description: 'ID bootcamp' },
           pricing_tier_id: { type: 'integer', description: 'ID pricing tier (optional)' },
           enrollment_status: {
@@ -290,6 +299,7 @@ async function enrollmentRoutes(app, options) {
 
   // Update enrollment
   app.put('/:id', {
+    config: { permission: PERMISSION.ENROLLMENTS_MANAGE },
     schema: {
       description: 'Update enrollment',
       tags: ['Enrollments'],
@@ -330,6 +340,7 @@ async function enrollmentRoutes(app, options) {
 
   // Update progress enrollment
   app.put('/:id/progress', {
+    config: { permission: PERMISSION.ENROLLMENTS_MANAGE },
     schema: {
       description: 'Update progress enrollment',
       tags: ['Enrollments'],
@@ -365,6 +376,7 @@ async function enrollmentRoutes(app, options) {
 
   // Update status enrollment
   app.put('/:id/status', {
+    config: { permission: PERMISSION.ENROLLMENTS_MANAGE },
     schema: {
       description: 'Update status enrollment',
       tags: ['Enrollments'],
@@ -404,6 +416,7 @@ async function enrollmentRoutes(app, options) {
 
   // Bulk update status enrollment
   app.put('/bulk-status', {
+    config: { permission: PERMISSION.ENROLLMENTS_MANAGE },
     schema: {
       description: 'Bulk update status enrollment',
       tags: ['Enrollments'],
@@ -441,6 +454,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan statistik enrollment
   app.get('/stats', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan statistik enrollment',
       tags: ['Enrollment Analytics'],
@@ -471,6 +485,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment yang akan berakhir
   app.get('/expiring', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan enrollment yang akan berakhir',
       tags: ['Enrollment Analytics'],
@@ -498,6 +513,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan top learners
   app.get('/top-learners', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan top learners berdasarkan progress',
       tags: ['Enrollment Analytics'],
@@ -526,6 +542,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan dashboard overview
   app.get('/dashboard', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan dashboard overview enrollment',
       tags: ['Enrollment Analytics'],
@@ -556,6 +573,7 @@ async function enrollmentRoutes(app, options) {
 
   // Search enrollments
   app.get('/search', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mencari enrollment berdasarkan kriteria',
       tags: ['Enrollments'],
@@ -595,6 +613,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment overview
   app.get('/overview', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan enrollment overview',
       tags: ['Enrollment Analytics'],
@@ -625,6 +644,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment analysis
   app.get('/analysis', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan enrollment analysis',
       tags: ['Enrollment Analytics'],
@@ -659,6 +679,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment trends
   app.get('/trends', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan enrollment trends',
       tags: ['Enrollment Analytics'],
@@ -696,6 +717,7 @@ async function enrollmentRoutes(app, options) {
 
   // Mendapatkan enrollment reports
   app.get('/reports', {
+    config: { permission: PERMISSION.ENROLLMENTS_READ },
     schema: {
       description: 'Mendapatkan enrollment reports',
       tags: ['Enrollment Analytics'],
@@ -736,6 +758,7 @@ async function enrollmentRoutes(app, options) {
 
   // Delete enrollment (soft delete)
   app.delete('/:id', {
+    config: { permission: PERMISSION.ENROLLMENTS_MANAGE },
     schema: {
       description: 'Menghapus enrollment (soft delete - mengubah status menjadi CANCELLED)',
       tags: ['Enrollments'],
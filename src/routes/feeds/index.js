@@ -0,0 +1,51 @@
+import { JobsController } from '../../controllers/jobs/jobsController.js';
+import { sitemapController } from '../../controllers/feeds/sitemapController.js';
+import { jobListQuerystring } from '../../schemas/jobsSchemas.js';
+import { JOB_FEED_CONFIG } from '../../constants/feeds.js';
+
+const jobsController = new JobsController();
+
+/**
+ * Sitemap and feed routes plugin
+ * Registered without prefix: crawlers expect /sitemap.xml at the root
+ * @param {Object} fastify - Fastify instance
+ */
+export async function feedRoutes(fastify) {
+  const feedsTag = { tags: ['Feeds'] };
+
+  // Same filters as GET /api/jobs; a feed lists the newest jobs by default
+  const jobFeedQuerystring = {
+    ...jobListQuerystring,
+    properties: {
+      ...jobListQuerystring.properties,
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: JOB_FEED_CONFIG.DEFAULT_LIMIT },
+    },
+  };
+
+  // GET /sitemap.xml - Jobs, bootcamps and programs (sitemap index past 50,000 URLs)
+  fastify.get('/sitemap.xml', { schema: { ...feedsTag } }, sitemapController.getSitemap);
+
+  // GET /sitemaps/:file - One page of an entity sitemap, e.g. jobs-2.xml
+  fastify.get(
+    '/sitemaps/:file',
+    {
+      schema: {
+        ...feedsTag,
+        params: {
+          type: 'object',
+          properties: {
+            file: { type: 'string', pattern: '^(jobs|bootcamps|programs)-[1-9][0-9]*\\.xml$' },
+          },
+          required: ['file'],
+        },
+      },
+    },
+    sitemapController.getSitemapPage
+  );
+
+  // GET /feeds/jobs.rss - RSS 2.0 feed of jobs, filtered like GET /api/jobs
+  fastify.get('/feeds/jobs.rss', { schema: { ...feedsTag, querystring: jobFeedQuerystring } }, jobsController.getRssFeed.bind(jobsController));
+
+  // GET /feeds/jobs.atom - Atom feed of jobs, filtered like GET /api/jobs
+  fastify.get('/feeds/jobs.atom', { schema: { ...feedsTag, querystring: jobFeedQuerystring } }, jobsController.getAtomFeed.bind(jobsController));
+}
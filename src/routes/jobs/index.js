@@ -1,8 +1,22 @@
 import { JobsController } from '../../controllers/jobs/jobsController.js';
+import { jobApplicationController } from '../../controllers/jobs/jobApplicationController.js';
+import { savedJobController } from '../../controllers/jobs/savedJobController.js';
+import { jobImportController } from '../../controllers/jobs/jobImportController.js';
 
 const jobsController = new JobsController();
-import { authMiddleware, optionalAuthMiddleware } from '../../middleware/auth.js';
-import { createJobSchema, updateJobSchema, searchJobsSchema, jobRecommendationsSchema, jobIdSchema } from '../../schemas/jobsSchemas.js';
+import { authMiddleware, optionalAuthMiddleware, requireVerifiedEmail } from '../../middleware/auth.js';
+import {
+  searchJobsSchema,
+  jobRecommendationsSchema,
+  jobIdSchema,
+  jobListQuerystring,
+  statisticsRangeQuerystring,
+  createJobBody,
+  updateJobBody,
+} from '../../schemas/jobsSchemas.js';
+import { applyToJobSchema, jobApplicationsSchema, updateApplicationStatusSchema } from '../../schemas/jobApplicationSchemas.js';
+import { saveJobSchema } from '../../schemas/savedJobSchemas.js';
+import { requireRole } from '../../lib/jwt.js';
 
 /**
  * Jobs routes plugin
@@ -10,6 +24,7 @@ import { createJobSchema, updateJobSchema, searchJobsSchema, jobRecommendationsS
  */
 export async function jobsRoutes(fastify) {
   const jobsTag = { tags: ['Jobs'] };
+  const savedJobsTag = { tags: ['Saved Jobs'] };
 
   // ================================
   // PUBLIC ROUTES
@@ -21,30 +36,26 @@ export async function jobsRoutes(fastify) {
     {
       schema: {
         ...jobsTag,
-        querystring: {
-          type: 'object',
-          properties: {
-            page: { type: 'integer', minimum: 1, default: 1 },
-            limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
-            search: { type: 'string' },
-            location: { type: 'string' },
-            jobType: { type: 'string', enum: ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERNSHIP', 'FREELANCE', 'REMOTE'] },
-            experienceLevel: { type: 'string', enum: ['ENTRY_LEVEL', 'JUNIOR', 'MID_LEVEL', 'SENIOR', 'LEAD', 'MANAGER', 'DIRECTOR'] },
-            minSalary: { type: 'integer' },
-            maxSalary: { type: 'integer' },
-            isRemote: { type: 'boolean' },
-            companyName: { type: 'string' },
-            skills: { type: 'string' },
-            sortBy: { type: 'string', enum: ['createdAt', 'title', 'company', 'location', 'minSalary', 'maxSalary'], default: 'createdAt' },
-            sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
-          },
-        },
+        querystring: jobListQuerystring,
       },
       preHandler: optionalAuthMiddleware,
     },
     jobsController.getJobs.bind(jobsController)
   );
 
+  // GET /api/jobs/facets - Facet counts for the listing sidebar, same query as GET /api/jobs
+  fastify.get(
+    '/facets',
+    {
+      schema: {
+        ...jobsTag,
+        querystring: jobListQuerystring,
+      },
+      preHandler: optionalAuthMiddleware,
+    },
+    jobsController.getFacets.bind(jobsController)
+  );
+
   // GET /api/jobs/featured - Get featured jobs
   fastify.get(
     '/featured',
@@ -87,6 +98,25 @@ export async function jobsRoutes(fastify) {
     jobsController.getJobCategories.bind(jobsController)
   );
 
+  // GET /api/jobs/recommended - Jobs recommended for the logged-in user, with why they match
+  fastify.get(
+    '/recommended',
+    {
+      schema: {
+        ...jobsTag,
+        querystring: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+            remote: { type: 'boolean', default: false, description: 'Only score remote jobs as a location match' },
+          },
+        },
+      },
+      preHandler: authMiddleware,
+    },
+    jobsController.getRecommendedJobs.bind(jobsController)
+  );
+
   // GET /api/jobs/search - Search jobs
   fastify.get(
     '/search',
@@ -96,16 +126,19 @@ export async function jobsRoutes(fastify) {
         querystring: {
           type: 'object',
           properties: {
-            q: { type: 'string' },
+            q: { type: 'string', description: 'Full-text query: words, "exact phrase", or, -exclude' },
             location: { type: 'string' },
             jobType: { type: 'string' },
             experienceLevel: { type: 'string' },
             skills: { type: 'string' },
             page: { type: 'integer', minimum: 1, default: 1 },
             limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+            sortBy: { type: 'string', enum: ['relevance', 'createdAt'], default: 'relevance' },
+            sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
           },
         },
       },
+      preHandler: optionalAuthMiddleware,
     },
     jobsController.searchJobs.bind(jobsController)
   );
@@ -123,13 +156,19 @@ export async function jobsRoutes(fastify) {
           },
           required: ['id'],
         },
+        querystring: {
+          type: 'object',
+          properties: {
+            structuredData: { type: 'boolean', default: false, description: 'Include schema.org JobPosting JSON-LD as structured_data' },
+          },
+        },
       },
       preHandler: optionalAuthMiddleware,
     },
     jobsController.getJobById.bind(jobsController)
   );
 
-  // GET /api/jobs/:id/recommendations - Get job recommendations
+  // GET /api/jobs/:id/recommendations - Jobs similar to a job, with why they match
   fastify.get(
     '/:id/recommendations',
     {
@@ -149,53 +188,83 @@ export async function jobsRoutes(fastify) {
           },
         },
       },
+      preHandler: optionalAuthMiddleware,
     },
-    jobsController.getJobRecommendations
+    jobsController.getSimilarJobs.bind(jobsController)
+  );
+
+  // GET /api/jobs/:id/apply-external - Redirect to the external apply page, counting the click-through
+  fastify.get(
+    '/:id/apply-external',
+    {
+      schema: {
+        ...jobsTag,
+        params: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+          },
+          required: ['id'],
+        },
+      },
+    },
+    jobsController.applyExternally.bind(jobsController)
   );
 
   // ================================
-  // PROTECTED ROUTES (Admin only)
+  // CANDIDATE ROUTES (Authenticated Users)
+  // ================================
+
+  // POST /api/jobs/:id/apply - Apply to a job
+  fastify.post(
+    '/:id/apply',
+    {
+      schema: { ...applyToJobSchema, ...jobsTag },
+      preHandler: [authMiddleware, requireVerifiedEmail],
+    },
+    jobApplicationController.applyToJob
+  );
+
+  // POST /api/jobs/:id/save - Save (bookmark) a job
+  fastify.post(
+    '/:id/save',
+    {
+      schema: { ...saveJobSchema, ...savedJobsTag },
+      preHandler: authMiddleware,
+    },
+    savedJobController.saveJob
+  );
+
+  // DELETE /api/jobs/:id/save - Remove a saved job
+  fastify.delete(
+    '/:id/save',
+    {
+      schema: { ...saveJobSchema, ...savedJobsTag },
+      preHandler: authMiddleware,
+    },
+    savedJobController.unsaveJob
+  );
+
+  // ================================
+  // PROTECTED ROUTES (Admin and recruiters)
   // ================================
 
   // Register protected routes
   fastify.register(async function (protectedRoutes) {
-    // POST /api/jobs - Create new job (Admin only)
+    // POST /api/jobs - Create new job (Admin, or recruiter of the company)
     protectedRoutes.post(
       '/',
       {
         schema: {
           ...jobsTag,
-          body: {
-            type: 'object',
-            required: ['title', 'description', 'company', 'location', 'jobType', 'experienceLevel'],
-            properties: {
-              title: { type: 'string', minLength: 3, maxLength: 255 },
-              description: { type: 'string', minLength: 10 },
-              company: { type: 'string', minLength: 2, maxLength: 255 },
-              location: { type: 'string', minLength: 2, maxLength: 255 },
-              jobType: { type: 'string', enum: ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERNSHIP', 'FREELANCE', 'REMOTE'] },
-              experienceLevel: { type: 'string', enum: ['ENTRY_LEVEL', 'JUNIOR', 'MID_LEVEL', 'SENIOR', 'LEAD', 'MANAGER', 'DIRECTOR'] },
-              minSalary: { type: 'integer', minimum: 0 },
-              maxSalary: { type: 'integer', minimum: 0 },
-              skills: { type: 'array', items: { type: 'string' } },
-              requirements: { type: 'array', items: { type: 'string' } },
-              benefits: { type: 'array', items: { type: 'string' } },
-              isRemote: { type: 'boolean', default: false },
-              applicationDeadline: { type: 'string', format: 'date-time' },
-              applicationUrl: { type: 'string', format: 'uri' },
-              contactEmail: { type: 'string', format: 'email' },
-              companyDescription: { type: 'string' },
-              companyWebsite: { type: 'string', format: 'uri' },
-              companySize: { type: 'string' },
-            },
-          },
+          body: createJobBody,
         },
-        preHandler: authMiddleware,
+        preHandler: requireRole(['ADMIN', 'RECRUITER']),
       },
-      jobsController.createJob
+      jobsController.createJob.bind(jobsController)
     );
 
-    // PUT /api/jobs/:id - Update job (Admin only)
+    // PUT /api/jobs/:id - Update job (Admin, or recruiter of the company)
     protectedRoutes.put(
       '/:id',
       {
@@ -204,40 +273,18 @@ export async function jobsRoutes(fastify) {
           params: {
             type: 'object',
             properties: {
-              id: { type: 'string' },
+              id: { type: 'integer', minimum: 1 },
             },
             required: ['id'],
           },
-          body: {
-            type: 'object',
-            properties: {
-              title: { type: 'string', minLength: 3, maxLength: 255 },
-              description: { type: 'string', minLength: 10 },
-              company: { type: 'string', minLength: 2, maxLength: 255 },
-              location: { type: 'string', minLength: 2, maxLength: 255 },
-              jobType: { type: 'string', enum: ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERNSHIP', 'FREELANCE', 'REMOTE'] },
-              experienceLevel: { type: 'string', enum: ['ENTRY_LEVEL', 'JUNIOR', 'MID_LEVEL', 'SENIOR', 'LEAD', 'MANAGER', 'DIRECTOR'] },
-              minSalary: { type: 'integer', minimum: 0 },
-              maxSalary: { type: 'integer', minimum: 0 },
-              skills: { type: 'array', items: { type: 'string' } },
-              requirements: { type: 'array', items: { type: 'string' } },
-              benefits: { type: 'array', items: { type: 'string' } },
-              isRemote: { type: 'boolean' },
-              applicationDeadline: { type: 'string', format: 'date-time' },
-              applicationUrl: { type: 'string', format: 'uri' },
-              contactEmail: { type: 'string', format: 'email' },
-              companyDescription: { type: 'string' },
-              companyWebsite: { type: 'string', format: 'uri' },
-              companySize: { type: 'string' },
-            },
-          },
+          body: updateJobBody,
         },
-        preHandler: authMiddleware,
+        preHandler: requireRole(['ADMIN', 'RECRUITER']),
       },
-      jobsController.updateJob
+      jobsController.updateJob.bind(jobsController)
     );
 
-    // DELETE /api/jobs/:id - Delete job (Admin only)
+    // DELETE /api/jobs/:id - Delete job (Admin, or recruiter of the company)
     protectedRoutes.delete(
       '/:id',
       {
@@ -246,17 +293,17 @@ export async function jobsRoutes(fastify) {
           params: {
             type: 'object',
             properties: {
-              id: { type: 'string' },
+              id: { type: 'integer', minimum: 1 },
             },
             required: ['id'],
           },
         },
-        preHandler: authMiddleware,
+        preHandler: requireRole(['ADMIN', 'RECRUITER']),
       },
-      jobsController.deleteJob
+      jobsController.deleteJob.bind(jobsController)
     );
 
-    // GET /api/jobs/:id/statistics - Get job statistics (Admin only)
+    // GET /api/jobs/:id/statistics - Daily engagement series and conversion rates of a job (Admin only)
     protectedRoutes.get(
       '/:id/statistics',
       {
@@ -269,22 +316,63 @@ export async function jobsRoutes(fastify) {
             },
             required: ['id'],
           },
+          querystring: statisticsRangeQuerystring,
         },
-        preHandler: authMiddleware,
+        preHandler: requireRole(['ADMIN']),
       },
-      jobsController.getJobStatistics
+      jobsController.getJobStatistics.bind(jobsController)
     );
 
-    // GET /api/jobs/admin/statistics - Get all jobs statistics (Admin only)
+    // GET /api/jobs/:id/applications - Applicant pipeline of a job (Admin, or recruiter of the company)
+    protectedRoutes.get(
+      '/:id/applications',
+      {
+        schema: { ...jobApplicationsSchema, ...jobsTag },
+        preHandler: requireRole(['ADMIN', 'RECRUITER']),
+      },
+      jobApplicationController.getJobApplications
+    );
+
+    // PATCH /api/jobs/:id/applications/:applicationId - Move application through the pipeline (Admin, or recruiter of the company)
+    protectedRoutes.patch(
+      '/:id/applications/:applicationId',
+      {
+        schema: { ...updateApplicationStatusSchema, ...jobsTag },
+        preHandler: requireRole(['ADMIN', 'RECRUITER']),
+      },
+      jobApplicationController.updateApplicationStatus
+    );
+
+    // POST /api/jobs/import - Import LinkedIn-format job feed (Admin only)
+    protectedRoutes.post(
+      '/import',
+      {
+        schema: {
+          ...jobsTag,
+          consumes: ['multipart/form-data', 'application/json'],
+        },
+        preHandler: requireRole(['ADMIN']),
+      },
+      jobImportController.importFeed
+    );
+
+    // GET /api/jobs/admin/statistics - Job overview with jobs and companies ranked by engagement (Admin only)
     protectedRoutes.get(
       '/admin/statistics',
       {
         schema: {
           ...jobsTag,
+          querystring: {
+            type: 'object',
+            properties: {
+              ...statisticsRangeQuerystring.properties,
+              limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+            },
+          },
         },
-        preHandler: authMiddleware,
+        preHandler: requireRole(['ADMIN']),
       },
-      jobsController.getAllJobsStatistics
+      jobsController.getAllJobsStatistics.bind(jobsController)
     );
   });
 }
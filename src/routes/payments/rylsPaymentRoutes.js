@@ -6,6 +6,7 @@ import {
   paymentStatisticsSchema,
   cancelPaymentSchema,
 } from '../../schemas/rylsPaymentSchemas.js';
+import { PERMISSION } from '../../constants/permissions.js';
 
 /**
  * RYLS Payment Routes
@@ -91,6 +92,7 @@ async function rylsPaymentRoutes(fastify, options) {
    */
   fastify.get('/ryls/statistics', {
     schema: paymentStatisticsSchema,
+    config: { permission: PERMISSION.PAYMENTS_READ },
     handler: async (request, reply) => {
       console.log('[PaymentRoutes] GET /api/payments/ryls/statistics called');
       console.log('[PaymentRoutes] Query params:', JSON.stringify(request.query, null, 2));
@@ -111,6 +113,7 @@ async function rylsPaymentRoutes(fastify, options) {
    */
   fastify.post('/ryls/:orderId/cancel', {
     schema: cancelPaymentSchema,
+    config: { permission: PERMISSION.PAYMENTS_CANCEL },
     handler: async (request, reply) => {
       console.log('[PaymentRoutes] POST /api/payments/ryls/:orderId/cancel called');
       console.log('[PaymentRoutes] Order ID:', request.params.orderId);
@@ -1,6 +1,6 @@
 import { RylsRegistrationController } from '../../controllers/registration/rylsRegistrationController.js';
 import { rylsRegistrationSchemas } from '../../schemas/rylsRegistrationSchemas.js';
-import { authMiddleware } from '../../middleware/auth.js';
+import { PERMISSION } from '../../constants/permissions.js';
 
 /**
  * RYLS Registration Routes
@@ -56,11 +56,10 @@ export async function rylsRegistrationRoutes(fastify) {
   /**
    * Get registration statistics
    * GET /api/registrations/stats
-   * Note: Should be protected with admin authentication in production
    */
   fastify.get('/stats', {
     schema: rylsRegistrationSchemas.getRegistrationStatistics,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.REGISTRATIONS_READ },
     handler: async (request, reply) => {
       return registrationController.getRegistrationStatistics(request, reply);
     },
@@ -69,11 +68,10 @@ export async function rylsRegistrationRoutes(fastify) {
   /**
    * Get registrations by date range
    * GET /api/registrations/date-range
-   * Note: Should be protected with admin authentication in production
    */
   fastify.get('/date-range', {
     schema: rylsRegistrationSchemas.getRegistrationsByDateRange,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.REGISTRATIONS_READ },
     handler: async (request, reply) => {
       return registrationController.getRegistrationsByDateRange(request, reply);
     },
@@ -82,11 +80,10 @@ export async function rylsRegistrationRoutes(fastify) {
   /**
    * Export registrations to CSV
    * GET /api/registrations/export
-   * Note: Should be protected with admin authentication in production
    */
   fastify.get('/export', {
     schema: rylsRegistrationSchemas.exportRegistrations,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.REGISTRATIONS_EXPORT },
     handler: async (request, reply) => {
       return registrationController.exportRegistrations(request, reply);
     },
@@ -95,11 +92,10 @@ export async function rylsRegistrationRoutes(fastify) {
   /**
    * Export registrations to Excel with multiple sheets
    * GET /api/registrations/export-excel
-   * Note: Should be protected with admin authentication in production
    */
   fastify.get('/export-excel', {
     schema: rylsRegistrationSchemas.exportRegistrationsExcel,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.REGISTRATIONS_EXPORT },
     handler: async (request, reply) => {
       return registrationController.exportRegistrationsExcel(request, reply);
     },
@@ -119,11 +115,10 @@ export async function rylsRegistrationRoutes(fastify) {
   /**
    * Get all registrations with pagination and filters
    * GET /api/registrations
-   * Note: Should be protected with admin authentication in production
    */
   fastify.get('/', {
     // schema: rylsRegistrationSchemas.getRegistrations, // Temporarily disabled for debugging
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.REGISTRATIONS_READ },
     handler: async (request, reply) => {
       console.log('[RylsRoutes] GET /api/registrations called');
       console.log('[RylsRoutes] Request query params:', request.query);
@@ -141,11 +136,10 @@ export async function rylsRegistrationRoutes(fastify) {
   /**
    * Get registration by ID
    * GET /api/registrations/:id
-   * Note: Should be protected with admin authentication in production
    */
   fastify.get('/:id', {
     // schema: rylsRegistrationSchemas.getRegistrationById,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.REGISTRATIONS_READ },
     handler: async (request, reply) => {
       console.log('[RylsRoutes] GET /api/registrations/:id called');
       console.log('[RylsRoutes] Registration ID:', request.params.id);
@@ -163,24 +157,44 @@ export async function rylsRegistrationRoutes(fastify) {
   /**
    * Update registration status
    * PATCH /api/registrations/:id/status
-   * Note: Should be protected with admin authentication in production
    */
   fastify.patch('/:id/status', {
     // schema: rylsRegistrationSchemas.updateRegistrationStatus,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.REGISTRATIONS_UPDATE },
     handler: async (request, reply) => {
       return registrationController.updateRegistrationStatus(request, reply);
     },
   });
 
+  /**
+   * Send WhatsApp verification code
+   * POST /api/registrations/submission/:submissionId/whatsapp/send-otp
+   */
+  fastify.post('/submission/:submissionId/whatsapp/send-otp', {
+    schema: rylsRegistrationSchemas.sendWhatsappOtp,
+    handler: async (request, reply) => {
+      return registrationController.sendWhatsappOtp(request, reply);
+    },
+  });
+
+  /**
+   * Verify WhatsApp number with the code
+   * POST /api/registrations/submission/:submissionId/whatsapp/verify
+   */
+  fastify.post('/submission/:submissionId/whatsapp/verify', {
+    schema: rylsRegistrationSchemas.verifyWhatsappOtp,
+    handler: async (request, reply) => {
+      return registrationController.verifyWhatsappOtp(request, reply);
+    },
+  });
+
   /**
    * Delete registration
    * DELETE /api/registrations/:id
-   * Note: Should be protected with admin authentication in production
    */
   fastify.delete('/:id', {
     // schema: rylsRegistrationSchemas.deleteRegistration,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.REGISTRATIONS_DELETE },
     handler: async (request, reply) => {
       return registrationController.deleteRegistration(request, reply);
     },
@@ -0,0 +1,87 @@
+import { skillController } from '../../controllers/skills/skillController.js';
+import {
+  skillAutocompleteSchema,
+  skillListSchema,
+  trendingSkillsSchema,
+  createSkillSchema,
+  updateSkillSchema,
+  addSkillAliasSchema,
+  removeSkillAliasSchema,
+  mergeSkillsSchema,
+} from '../../schemas/skillSchemas.js';
+import { requireRole } from '../../lib/jwt.js';
+
+/**
+ * Skills routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+export async function skillsRoutes(fastify) {
+  const skillsTag = { tags: ['Skills'] };
+
+  // ================================
+  // PUBLIC ROUTES
+  // ================================
+
+  // GET /api/skills/autocomplete - Skill suggestions for the skill picker
+  fastify.get('/autocomplete', { schema: { ...skillAutocompleteSchema, ...skillsTag } }, skillController.autocomplete);
+
+  // GET /api/skills/trending - Most requested skills of recent job postings
+  fastify.get('/trending', { schema: { ...trendingSkillsSchema, ...skillsTag } }, skillController.getTrendingSkills);
+
+  // GET /api/skills - Canonical skills with aliases
+  fastify.get('/', { schema: { ...skillListSchema, ...skillsTag } }, skillController.getSkills);
+
+  // ================================
+  // ADMIN ROUTES
+  // ================================
+
+  // POST /api/skills - Create skill (Admin only)
+  fastify.post(
+    '/',
+    {
+      schema: { ...createSkillSchema, ...skillsTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    skillController.createSkill
+  );
+
+  // PUT /api/skills/:id - Update skill name or category (Admin only)
+  fastify.put(
+    '/:id',
+    {
+      schema: { ...updateSkillSchema, ...skillsTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    skillController.updateSkill
+  );
+
+  // POST /api/skills/:id/aliases - Add an alternative spelling (Admin only)
+  fastify.post(
+    '/:id/aliases',
+    {
+      schema: { ...addSkillAliasSchema, ...skillsTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    skillController.addAlias
+  );
+
+  // DELETE /api/skills/:id/aliases/:aliasId - Remove an alternative spelling (Admin only)
+  fastify.delete(
+    '/:id/aliases/:aliasId',
+    {
+      schema: { ...removeSkillAliasSchema, ...skillsTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    skillController.removeAlias
+  );
+
+  // POST /api/skills/:id/merge - Merge duplicate skills into this skill (Admin only)
+  fastify.post(
+    '/:id/merge',
+    {
+      schema: { ...mergeSkillsSchema, ...skillsTag },
+      preHandler: requireRole(['ADMIN']),
+    },
+    skillController.mergeSkills
+  );
+}
@@ -1,7 +1,8 @@
 import { FileUploadController } from '../../controllers/upload/fileUploadController.js';
 import { fileUploadSchemas } from '../../schemas/fileUploadSchemas.js';
-import { uploadEssay, uploadHeadshot, uploadPaymentProof } from '../../middleware/fileUploadMiddleware.js';
-import { authMiddleware } from '../../middleware/auth.js';
+import { uploadEssay, uploadHeadshot, uploadPaymentProof, uploadResume } from '../../middleware/fileUploadMiddleware.js';
+import { authMiddleware, optionalAuthMiddleware } from '../../middleware/auth.js';
+import { PERMISSION } from '../../constants/permissions.js';
 
 /**
  * File Upload Routes
@@ -50,21 +51,35 @@ export async function fileUploadRoutes(fastify) {
   });
 
   /**
-   * Download/view file by ID
+   * Upload resume file (PDF only)
+   * POST /api/uploads/resume
+   */
+  fastify.post('/resume', {
+    schema: fileUploadSchemas.uploadResume,
+    preHandler: [authMiddleware, uploadResume],
+    handler: async (request, reply) => {
+      return fileUploadController.uploadResume(request, reply);
+    },
+  });
+
+  /**
+   * Download/view file by ID (avatars and signed URLs are public; other files need access, see FileUploadService.assertCanRead)
    * GET /api/uploads/:id
    */
   fastify.get('/:id', {
+    preHandler: [optionalAuthMiddleware],
     handler: async (request, reply) => {
       return fileUploadController.downloadFile(request, reply);
     },
   });
 
   /**
-   * Get file information by ID
+   * Get file information by ID (same access as the download)
    * GET /api/uploads/:id/info
    */
   fastify.get('/:id/info', {
     schema: fileUploadSchemas.getFileInfo,
+    preHandler: [optionalAuthMiddleware],
     handler: async (request, reply) => {
       return fileUploadController.getFileInfo(request, reply);
     },
@@ -73,11 +88,10 @@ export async function fileUploadRoutes(fastify) {
   /**
    * Delete file by ID
    * DELETE /api/uploads/:id
-   * Note: Should be protected with authentication in production
    */
   fastify.delete('/:id', {
     schema: fileUploadSchemas.deleteFile,
-    // preHandler: [authMiddleware], // Uncomment for authentication
+    config: { permission: PERMISSION.UPLOADS_DELETE },
     handler: async (request, reply) => {
       return fileUploadController.deleteFile(request, reply);
     },
@@ -89,6 +103,7 @@ export async function fileUploadRoutes(fastify) {
    */
   fastify.get('/type/:uploadType', {
     schema: fileUploadSchemas.getFilesByType,
+    config: { permission: PERMISSION.UPLOADS_READ },
     handler: async (request, reply) => {
       return fileUploadController.getFilesByType(request, reply);
     },
@@ -97,11 +112,10 @@ export async function fileUploadRoutes(fastify) {
   /**
    * Get upload statistics
    * GET /api/uploads/stats
-   * Note: Should be protected with admin authentication in production
    */
   fastify.get('/stats', {
     schema: fileUploadSchemas.getUploadStats,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.UPLOADS_READ },
     handler: async (request, reply) => {
       return fileUploadController.getUploadStats(request, reply);
     },
@@ -121,11 +135,10 @@ export async function fileUploadRoutes(fastify) {
   /**
    * Cleanup orphaned files
    * POST /api/uploads/cleanup
-   * Note: Should be protected with admin authentication in production
    */
   fastify.post('/cleanup', {
     schema: fileUploadSchemas.cleanupOrphanedFiles,
-    // preHandler: [authMiddleware], // Add admin role check
+    config: { permission: PERMISSION.UPLOADS_CLEANUP },
     handler: async (request, reply) => {
       return fileUploadController.cleanupOrphanedFiles(request, reply);
     },
@@ -1,7 +1,24 @@
 // src/routes/userRoutes.js
 import { userController } from '../controllers/user/userController.js';
-import { createUserSchema, updateUserSchema } from '../schemas/userSchemas.js';
-// import { requireRole } from '../lib/jwt.js';
+import { jobApplicationController } from '../controllers/jobs/jobApplicationController.js';
+import { savedJobController } from '../controllers/jobs/savedJobController.js';
+import { jobAlertController } from '../controllers/jobs/jobAlertController.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { uploadAvatar } from '../middleware/fileUploadMiddleware.js';
+import {
+  createUserSchema,
+  updateUserSchema,
+  getCurrentUserSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  updateAvatarSchema,
+  loginLockoutListSchema,
+  unlockUserSchema,
+} from '../schemas/userSchemas.js';
+import { myApplicationsSchema, withdrawApplicationSchema } from '../schemas/jobApplicationSchemas.js';
+import { mySavedJobsSchema } from '../schemas/savedJobSchemas.js';
+import { createJobAlertSchema, updateJobAlertSchema, deleteJobAlertSchema } from '../schemas/jobAlertSchemas.js';
+import { PERMISSION } from '../constants/permissions.js';
 
 /**
  * Plugin Fastify untuk mendaftarkan semua route terkait User.
@@ -10,34 +27,104 @@ import { createUserSchema, updateUserSchema } from '../schemas/userSchemas.js';
  */
 async function userRoutes(fastify, options) {
   const userTag = { tags: ['User'] };
+  const profileTag = { tags: ['User Profile'] };
   const settingsTag = { tags: ['User Settings'] };
   const utilityTag = { tags: ['Utilities'] };
+  const applicationsTag = { tags: ['Job Applications'] };
+  const savedJobsTag = { tags: ['Saved Jobs'] };
+  const jobAlertsTag = { tags: ['Job Alerts'] };
 
   // ================================
   // USER MANAGEMENT ROUTES (Admin Only)
   // ================================
 
   // GET /api/users - Mengambil semua user (Admin only)
-  fastify.get('/', { schema: userTag }, userController.getAllUsers);
+  fastify.get('/', { schema: userTag, config: { permission: PERMISSION.USERS_READ } }, userController.getAllUsers);
 
   // GET /api/users/:id - Mengambil user berdasarkan ID (Admin only)
-  fastify.get('/:id', { schema: userTag }, userController.getUserById);
+  fastify.get('/:id', { schema: userTag, config: { permission: PERMISSION.USERS_READ } }, userController.getUserById);
 
   // POST /api/users - Membuat user baru (Admin only)
-  fastify.post('/', { schema: { ...createUserSchema, ...userTag } }, userController.createUser);
+  fastify.post(
+    '/',
+    { schema: { ...createUserSchema, ...userTag }, config: { permission: PERMISSION.USERS_CREATE } },
+    userController.createUser
+  );
 
   // PUT /api/users/:id - Memperbarui user (Admin only)
-  fastify.put('/:id', { schema: { ...updateUserSchema, ...userTag } }, userController.updateUser);
+  fastify.put(
+    '/:id',
+    { schema: { ...updateUserSchema, ...userTag }, config: { permission: PERMISSION.USERS_UPDATE } },
+    userController.updateUser
+  );
 
   // DELETE /api/users/:id - Menghapus user (Admin only)
-  fastify.delete('/:id', { schema: userTag }, userController.deleteUser);
+  fastify.delete('/:id', { schema: userTag, config: { permission: PERMISSION.USERS_DELETE } }, userController.deleteUser);
+
+  // GET /api/users/lockouts - Riwayat lockout login untuk review keamanan (Admin only)
+  fastify.get(
+    '/lockouts',
+    { schema: { ...loginLockoutListSchema, ...userTag }, config: { permission: PERMISSION.USERS_READ } },
+    userController.getLoginLockouts
+  );
+
+  // POST /api/users/:id/unlock - Membuka kunci akun setelah gagal login berulang (Admin only)
+  fastify.post(
+    '/:id/unlock',
+    { schema: { ...unlockUserSchema, ...userTag }, config: { permission: PERMISSION.USERS_UPDATE } },
+    userController.unlockUser
+  );
+
+  // ================================
+  // PROFILE ROUTES (Authenticated Users)
+  // ================================
+
+  // GET /api/users/me - Profil user yang sedang login
+  fastify.get(
+    '/me',
+    {
+      schema: { ...getCurrentUserSchema, ...profileTag },
+      preHandler: authMiddleware,
+    },
+    userController.getCurrentUser
+  );
+
+  // PATCH /api/users/me - Memperbarui profil sendiri (nama, gender, lokasi, pendidikan, pekerjaan, skill)
+  fastify.patch(
+    '/me',
+    {
+      schema: { ...updateProfileSchema, ...profileTag },
+      preHandler: authMiddleware,
+    },
+    userController.updateProfile
+  );
+
+  // PUT /api/users/me/password - Mengganti password (wajib password lama)
+  fastify.put(
+    '/me/password',
+    {
+      schema: { ...changePasswordSchema, ...profileTag },
+      preHandler: authMiddleware,
+    },
+    userController.changePassword
+  );
+
+  // PUT /api/users/me/avatar - Mengganti avatar (upload gambar JPG/PNG)
+  fastify.put(
+    '/me/avatar',
+    {
+      schema: { ...updateAvatarSchema, ...profileTag },
+      preHandler: [authMiddleware, uploadAvatar],
+    },
+    userController.updateAvatar
+  );
 
   // ================================
   // USER SETTINGS ROUTES (Authenticated Users)
   // ================================
 
   // GET /api/users/settings - Get user notification settings
-  fastify.get('/settings', { schema: settingsTag }, userController.getUserSettings);
+  fastify.get('/settings', { schema: settingsTag, preHandler: authMiddleware }, userController.getUserSettings);
 
   // PUT /api/users/settings - Update user notification settings
   fastify.put(
@@ -54,10 +141,93 @@ async function userRoutes(fastify, options) {
           },
         },
       },
+      preHandler: authMiddleware,
     },
     userController.updateUserSettings
   );
 
+  // ================================
+  // JOB APPLICATION ROUTES (Authenticated Users)
+  // ================================
+
+  // GET /api/users/me/applications - Daftar lamaran milik user yang sedang login
+  fastify.get(
+    '/me/applications',
+    {
+      schema: { ...myApplicationsSchema, ...applicationsTag },
+      preHandler: authMiddleware,
+    },
+    jobApplicationController.getMyApplications
+  );
+
+  // POST /api/users/me/applications/:id/withdraw - Menarik lamaran
+  fastify.post(
+    '/me/applications/:id/withdraw',
+    {
+      schema: { ...withdrawApplicationSchema, ...applicationsTag },
+      preHandler: authMiddleware,
+    },
+    jobApplicationController.withdrawApplication
+  );
+
+  // ================================
+  // SAVED JOB ROUTES (Authenticated Users)
+  // ================================
+
+  // GET /api/users/me/saved-jobs - Daftar job yang disimpan user yang sedang login
+  fastify.get(
+    '/me/saved-jobs',
+    {
+      schema: { ...mySavedJobsSchema, ...savedJobsTag },
+      preHandler: authMiddleware,
+    },
+    savedJobController.getMySavedJobs
+  );
+
+  // ================================
+  // JOB ALERT ROUTES (Authenticated Users)
+  // ================================
+
+  // GET /api/users/me/job-alerts - Daftar pencarian job yang disimpan sebagai alert
+  fastify.get(
+    '/me/job-alerts',
+    {
+      schema: jobAlertsTag,
+      preHandler: authMiddleware,
+    },
+    jobAlertController.getMyAlerts
+  );
+
+  // POST /api/users/me/job-alerts - Menyimpan pencarian job sebagai alert
+  fastify.post(
+    '/me/job-alerts',
+    {
+      schema: { ...createJobAlertSchema, ...jobAlertsTag },
+      preHandler: authMiddleware,
+    },
+    jobAlertController.createAlert
+  );
+
+  // PATCH /api/users/me/job-alerts/:id - Memperbarui alert
+  fastify.patch(
+    '/me/job-alerts/:id',
+    {
+      schema: { ...updateJobAlertSchema, ...jobAlertsTag },
+      preHandler: authMiddleware,
+    },
+    jobAlertController.updateAlert
+  );
+
+  // DELETE /api/users/me/job-alerts/:id - Menghapus alert
+  fastify.delete(
+    '/me/job-alerts/:id',
+    {
+      schema: { ...deleteJobAlertSchema, ...jobAlertsTag },
+      preHandler: authMiddleware,
+    },
+    jobAlertController.deleteAlert
+  );
+
   // ================================
   // UTILITY ROUTES (Public/Authenticated)
   // ================================
@@ -0,0 +1,129 @@
+/**
+ * Company Validation Schemas
+ * Fastify JSON schemas for company directory and admin endpoints
+ */
+
+/**
+ * Field company yang boleh diisi admin (nama kolom sama dengan model Company).
+ */
+const companyFields = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  slug: { type: 'string', minLength: 1, maxLength: 255 },
+  logo_url: { type: ['string', 'null'], format: 'uri', maxLength: 500 },
+  website_url: { type: ['string', 'null'], format: 'uri', maxLength: 500 },
+  industry: { type: ['string', 'null'], maxLength: 255 },
+  headquarters: { type: ['string', 'null'], maxLength: 255 },
+  description: { type: ['string', 'null'] },
+  linkedin_url: { type: ['string', 'null'], format: 'uri', maxLength: 500 },
+  linkedin_slug: { type: ['string', 'null'], maxLength: 255 },
+  linkedin_employees: { type: ['integer', 'null'], minimum: 0 },
+  linkedin_size: { type: ['string', 'null'], maxLength: 100 },
+  linkedin_slogan: { type: ['string', 'null'], maxLength: 500 },
+  linkedin_followers: { type: ['integer', 'null'], minimum: 0 },
+  linkedin_type: { type: ['string', 'null'], maxLength: 100 },
+  linkedin_founded_date: { type: ['string', 'null'], pattern: '^[0-9]{4}$' },
+  linkedin_specialties: { type: ['array', 'null'], items: { type: 'string' } },
+  linkedin_locations: { type: ['array', 'null'] },
+  linkedin_is_recruitment_agency: { type: 'boolean' },
+};
+
+const idParamSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+  },
+  required: ['id'],
+};
+
+/**
+ * Skema untuk direktori company.
+ */
+export const companyDirectorySchema = {
+  querystring: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      search: { type: 'string', maxLength: 255 },
+      industry: { type: 'string', maxLength: 255 },
+      size: { type: 'string', maxLength: 100, description: 'LinkedIn size label, e.g. "51-200 employees"' },
+      isRecruitmentAgency: { type: 'boolean' },
+      sortBy: { type: 'string', enum: ['name', 'followers', 'employees', 'createdAt'], default: 'name' },
+      sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+    },
+  },
+};
+
+/**
+ * Skema untuk profil company berdasarkan slug.
+ */
+export const companyProfileSchema = {
+  params: {
+    type: 'object',
+    properties: {
+      slug: { type: 'string', minLength: 1, maxLength: 255 },
+    },
+    required: ['slug'],
+  },
+};
+
+/**
+ * Skema untuk membuat company (Admin).
+ */
+export const createCompanySchema = {
+  body: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: companyFields,
+  },
+};
+
+/**
+ * Skema untuk memperbarui company (Admin).
+ */
+export const updateCompanySchema = {
+  params: idParamSchema,
+  body: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: companyFields,
+  },
+};
+
+/**
+ * Skema untuk daftar recruiter company (Admin).
+ */
+export const companyRecruitersSchema = {
+  params: idParamSchema,
+};
+
+/**
+ * Skema untuk menambahkan recruiter ke company (Admin).
+ */
+export const addCompanyRecruiterSchema = {
+  params: idParamSchema,
+  body: {
+    type: 'object',
+    required: ['user_id'],
+    additionalProperties: false,
+    properties: {
+      user_id: { type: 'integer', minimum: 1 },
+    },
+  },
+};
+
+/**
+ * Skema untuk menghapus recruiter dari company (Admin).
+ */
+export const removeCompanyRecruiterSchema = {
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      userId: { type: 'integer', minimum: 1 },
+    },
+    required: ['id', 'userId'],
+  },
+};
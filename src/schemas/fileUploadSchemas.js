@@ -205,6 +205,14 @@ const fileIdParamSchema = {
   required: ['id'],
 };
 
+const signedUrlQuerySchema = {
+  type: 'object',
+  properties: {
+    expires: { type: 'integer', description: 'Expiry of a signed URL (Unix seconds)' },
+    signature: { type: 'string', pattern: '^[0-9a-f]{64}$', description: 'Signature of a signed URL' },
+  },
+};
+
 const uploadTypeParamSchema = {
   type: 'object',
   properties: {
@@ -279,12 +287,21 @@ export const fileUploadSchemas = {
     consumes: ['multipart/form-data'],
   },
 
+  // POST /api/uploads/resume
+  uploadResume: {
+    summary: 'Upload resume file',
+    description: 'Upload a PDF file to attach to job applications',
+    tags: ['File Upload'],
+    consumes: ['multipart/form-data'],
+  },
+
   // GET /api/uploads/:id
   downloadFile: {
     summary: 'Download file by ID',
-    description: 'Download or view uploaded file',
+    description: 'Download or view uploaded file. Avatars are public; other files need an access token or a signed URL',
     tags: ['File Upload'],
     params: fileIdParamSchema,
+    querystring: signedUrlQuerySchema,
     response: {
       200: {
         description: 'File content',
@@ -303,6 +320,7 @@ export const fileUploadSchemas = {
     description: 'Get detailed information about uploaded file',
     tags: ['File Upload'],
     params: fileIdParamSchema,
+    querystring: signedUrlQuerySchema,
     response: {
       200: fileInfoResponseSchema,
       400: errorResponseSchema,
@@ -0,0 +1,71 @@
+/**
+ * Job Alert Validation Schemas
+ * Fastify JSON schemas for saved job search alert endpoints
+ */
+
+const ALERT_FREQUENCIES = ['DAILY', 'WEEKLY'];
+
+const idParamSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+  },
+  required: ['id'],
+};
+
+/**
+ * Filter yang sama dengan query GET /api/jobs.
+ */
+const alertFiltersSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    search: { type: 'string', maxLength: 255 },
+    location: { type: 'string', maxLength: 255 },
+    jobType: { type: 'string', enum: ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERNSHIP', 'FREELANCE', 'REMOTE'] },
+    experienceLevel: { type: 'string', enum: ['ENTRY_LEVEL', 'JUNIOR', 'MID_LEVEL', 'SENIOR', 'LEAD', 'MANAGER', 'DIRECTOR'] },
+    skills: { type: 'string', maxLength: 500 },
+    minSalary: { type: 'integer', minimum: 0 },
+    maxSalary: { type: 'integer', minimum: 0 },
+    salaryCurrency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+  },
+};
+
+/**
+ * Skema untuk menyimpan pencarian job sebagai alert.
+ */
+export const createJobAlertSchema = {
+  body: {
+    type: 'object',
+    required: ['name', 'filters'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255 },
+      frequency: { type: 'string', enum: ALERT_FREQUENCIES, default: 'DAILY' },
+      filters: alertFiltersSchema,
+    },
+  },
+};
+
+/**
+ * Skema untuk memperbarui alert.
+ */
+export const updateJobAlertSchema = {
+  params: idParamSchema,
+  body: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 255 },
+      frequency: { type: 'string', enum: ALERT_FREQUENCIES },
+      is_active: { type: 'boolean' },
+      filters: alertFiltersSchema,
+    },
+  },
+};
+
+/**
+ * Skema untuk menghapus alert.
+ */
+export const deleteJobAlertSchema = {
+  params: idParamSchema,
+};
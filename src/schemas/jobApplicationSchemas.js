@@ -0,0 +1,87 @@
+/**
+ * Job Application Validation Schemas
+ * Fastify JSON schemas for job application endpoints
+ */
+
+const APPLICATION_STATUSES = ['PENDING', 'REVIEWING', 'SHORTLISTED', 'INTERVIEW', 'OFFERED', 'REJECTED', 'HIRED', 'WITHDRAWN'];
+
+const idParamSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+  },
+  required: ['id'],
+};
+
+/**
+ * Skema untuk melamar pekerjaan.
+ * Resume di-upload terlebih dahulu lewat POST /api/uploads/resume.
+ */
+export const applyToJobSchema = {
+  params: idParamSchema,
+  body: {
+    type: 'object',
+    properties: {
+      cover_letter: { type: 'string', maxLength: 10000 },
+      resume_file_id: { type: 'integer', minimum: 1 },
+    },
+  },
+};
+
+/**
+ * Skema untuk daftar lamaran milik user yang sedang login.
+ */
+export const myApplicationsSchema = {
+  querystring: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+      status: { type: 'string', enum: APPLICATION_STATUSES },
+    },
+  },
+};
+
+/**
+ * Skema untuk menarik (withdraw) lamaran.
+ */
+export const withdrawApplicationSchema = {
+  params: idParamSchema,
+};
+
+/**
+ * Skema untuk pipeline pelamar per job (Admin).
+ */
+export const jobApplicationsSchema = {
+  params: idParamSchema,
+  querystring: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      status: { type: 'string', enum: APPLICATION_STATUSES },
+    },
+  },
+};
+
+/**
+ * Skema untuk memindahkan status lamaran di pipeline (Admin).
+ */
+export const updateApplicationStatusSchema = {
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      applicationId: { type: 'integer', minimum: 1 },
+    },
+    required: ['id', 'applicationId'],
+  },
+  body: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string', enum: APPLICATION_STATUSES.filter((status) => status !== 'WITHDRAWN') },
+      note: { type: 'string', maxLength: 5000 },
+    },
+  },
+};
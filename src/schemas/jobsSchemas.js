@@ -1,4 +1,5 @@
 import { body, query, param } from 'express-validator';
+import { JOB_STATUS } from '../constants/jobs.js';
 
 // Job Types enum
 const JOB_TYPES = ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERNSHIP', 'FREELANCE', 'REMOTE'];
@@ -236,3 +237,91 @@ export const jobIdSchema = [
     .withMessage('Job ID must be between 1 and 100 characters')
     .trim(),
 ];
+
+/**
+ * Fastify querystring schema of GET /api/jobs
+ * Shared with GET /api/jobs/facets and the job RSS/Atom feeds
+ */
+export const jobListQuerystring = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer', minimum: 1, default: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+    search: { type: 'string' },
+    location: { type: 'string' },
+    jobType: { type: 'string', enum: ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERNSHIP', 'FREELANCE', 'REMOTE'] },
+    experienceLevel: { type: 'string', enum: ['ENTRY_LEVEL', 'JUNIOR', 'MID_LEVEL', 'SENIOR', 'LEAD', 'MANAGER', 'DIRECTOR'] },
+    minSalary: { type: 'integer', minimum: 0, description: 'Annual amount in salaryCurrency' },
+    maxSalary: { type: 'integer', minimum: 0, description: 'Annual amount in salaryCurrency' },
+    salaryCurrency: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO 4217 code for salary filters and salary_normalized, defaults to IDR' },
+    isRemote: { type: 'boolean' },
+    companyName: { type: 'string' },
+    skills: { type: 'string' },
+    sortBy: {
+      type: 'string',
+      enum: ['createdAt', 'relevance', 'title', 'company', 'location', 'minSalary', 'maxSalary', 'distance'],
+      default: 'createdAt',
+      description: 'relevance applies when search is given',
+    },
+    sortOrder: { type: 'string', enum: ['asc', 'desc'], description: 'Defaults to asc for distance, desc otherwise' },
+    status: { type: 'string', enum: ['active', 'expired', 'archived', 'all'], description: 'Admin only, defaults to active' },
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lng: { type: 'number', minimum: -180, maximum: 180 },
+    radiusKm: { type: 'number', exclusiveMinimum: 0, maximum: 20000 },
+    includeRemote: { type: 'boolean', default: false, description: 'Include remote jobs outside the radius' },
+  },
+  // Geo radius search needs all three parameters
+  dependencies: {
+    lat: ['lng', 'radiusKm'],
+    lng: ['lat', 'radiusKm'],
+    radiusKm: ['lat', 'lng'],
+  },
+};
+
+/**
+ * Fastify querystring schema of the job engagement statistics date range
+ */
+export const statisticsRangeQuerystring = {
+  type: 'object',
+  properties: {
+    from: { type: 'string', format: 'date', description: 'First day (UTC), defaults to 29 days before to' },
+    to: { type: 'string', format: 'date', description: 'Last day (UTC, inclusive), defaults to today' },
+  },
+};
+
+// Writable job fields, shared by the create and update bodies
+const jobBodyProperties = {
+  title: { type: 'string', minLength: 3, maxLength: 255 },
+  slug: { type: 'string', pattern: '^[a-z0-9-]+$', minLength: 3, maxLength: 100 },
+  description: { type: 'string', minLength: 50 },
+  company_id: { type: 'integer', minimum: 1 },
+  location_id: { type: ['integer', 'null'], minimum: 1 },
+  employment_type: { type: 'string', minLength: 1, maxLength: 50, description: 'e.g. FULL_TIME, PART_TIME, CONTRACT, INTERNSHIP' },
+  seniority_level: { type: ['string', 'null'], maxLength: 100 },
+  status: { type: 'string', enum: Object.values(JOB_STATUS) },
+  direct_apply: { type: 'boolean' },
+  external_url: { type: ['string', 'null'], format: 'uri', maxLength: 500 },
+  valid_until: { type: ['string', 'null'], format: 'date-time' },
+  meta_title: { type: ['string', 'null'], maxLength: 255 },
+  meta_description: { type: ['string', 'null'], maxLength: 500 },
+};
+
+/**
+ * Fastify body schema of POST /api/jobs
+ */
+export const createJobBody = {
+  type: 'object',
+  required: ['title', 'description', 'company_id', 'employment_type'],
+  additionalProperties: false,
+  properties: jobBodyProperties,
+};
+
+/**
+ * Fastify body schema of PUT /api/jobs/:id
+ */
+export const updateJobBody = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: jobBodyProperties,
+};
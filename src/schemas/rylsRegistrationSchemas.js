@@ -523,6 +523,29 @@ export const rylsRegistrationSchemas = {
     body: statusUpdateSchema,
   },
 
+  // POST /api/registrations/submission/:submissionId/whatsapp/send-otp
+  sendWhatsappOtp: {
+    summary: 'Send WhatsApp verification code',
+    description: 'Send a one-time code to the WhatsApp number of a registration',
+    tags: ['RYLS Registration'],
+    params: submissionIdParamSchema,
+  },
+
+  // POST /api/registrations/submission/:submissionId/whatsapp/verify
+  verifyWhatsappOtp: {
+    summary: 'Verify WhatsApp number',
+    description: 'Verify the WhatsApp number of a registration with the one-time code',
+    tags: ['RYLS Registration'],
+    params: submissionIdParamSchema,
+    body: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', pattern: '^[0-9]{4,8}$' },
+      },
+      required: ['code'],
+    },
+  },
+
   // GET /api/registrations/stats
   getRegistrationStatistics: {
     summary: 'Get registration statistics',
@@ -0,0 +1,32 @@
+/**
+ * Saved Job Validation Schemas
+ * Fastify JSON schemas for saved job (bookmark) endpoints
+ */
+
+const idParamSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+  },
+  required: ['id'],
+};
+
+/**
+ * Skema untuk menyimpan / menghapus bookmark job.
+ */
+export const saveJobSchema = {
+  params: idParamSchema,
+};
+
+/**
+ * Skema untuk daftar job yang disimpan user yang sedang login.
+ */
+export const mySavedJobsSchema = {
+  querystring: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+    },
+  },
+};
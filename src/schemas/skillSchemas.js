@@ -0,0 +1,135 @@
+/**
+ * Skill Validation Schemas
+ * Fastify JSON schemas for the skill picker and skill taxonomy admin endpoints
+ */
+
+import { SKILL_CATEGORY, SKILL_TAXONOMY_CONFIG } from '../constants/skills.js';
+
+const skillName = { type: 'string', minLength: 1, maxLength: 100 };
+const category = { type: ['string', 'null'], enum: [...Object.values(SKILL_CATEGORY), null] };
+
+const idParamSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+  },
+  required: ['id'],
+};
+
+/**
+ * Skema untuk autocomplete skill (skill picker frontend).
+ */
+export const skillAutocompleteSchema = {
+  querystring: {
+    type: 'object',
+    required: ['q'],
+    properties: {
+      q: { type: 'string', minLength: 1, maxLength: 100, description: 'Typed text, matched against skill names and aliases' },
+      limit: { type: 'integer', minimum: 1, maximum: 50, default: SKILL_TAXONOMY_CONFIG.AUTOCOMPLETE_LIMIT },
+      category: { type: 'string', enum: Object.values(SKILL_CATEGORY) },
+    },
+  },
+};
+
+/**
+ * Skema untuk daftar skill beserta alias.
+ */
+export const skillListSchema = {
+  querystring: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+      search: { type: 'string', maxLength: 100 },
+      category: { type: 'string', enum: Object.values(SKILL_CATEGORY) },
+    },
+  },
+};
+
+/**
+ * Skema untuk skill yang paling banyak diminta lowongan aktif.
+ */
+export const trendingSkillsSchema = {
+  querystring: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: SKILL_TAXONOMY_CONFIG.TRENDING_LIMIT },
+    },
+  },
+};
+
+/**
+ * Skema untuk membuat skill kanonik (Admin).
+ */
+export const createSkillSchema = {
+  body: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: skillName,
+      category,
+      aliases: { type: 'array', maxItems: 50, items: skillName },
+    },
+  },
+};
+
+/**
+ * Skema untuk memperbarui skill (Admin).
+ */
+export const updateSkillSchema = {
+  params: idParamSchema,
+  body: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+      name: skillName,
+      category,
+    },
+  },
+};
+
+/**
+ * Skema untuk menambahkan alias ke skill (Admin).
+ */
+export const addSkillAliasSchema = {
+  params: idParamSchema,
+  body: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: skillName,
+    },
+  },
+};
+
+/**
+ * Skema untuk menghapus alias dari skill (Admin).
+ */
+export const removeSkillAliasSchema = {
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      aliasId: { type: 'integer', minimum: 1 },
+    },
+    required: ['id', 'aliasId'],
+  },
+};
+
+/**
+ * Skema untuk menggabungkan skill duplikat ke skill ini (Admin).
+ */
+export const mergeSkillsSchema = {
+  params: idParamSchema,
+  body: {
+    type: 'object',
+    required: ['source_ids'],
+    additionalProperties: false,
+    properties: {
+      source_ids: { type: 'array', minItems: 1, maxItems: 50, items: { type: 'integer', minimum: 1 } },
+    },
+  },
+};
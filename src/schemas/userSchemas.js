@@ -11,12 +11,32 @@ export const userResponseSchema = {
     email: { type: 'string', format: 'email' },
     phone: { type: ['string', 'null'] },
     avatar: { type: ['string', 'null'] },
-    role: { type: 'string', enum: ['USER', 'ADMIN'] },
+    role: { type: 'string', enum: ['USER', 'RECRUITER', 'ADMIN'] },
+    gender: { type: ['string', 'null'], enum: ['MALE', 'FEMALE', 'PREFER_NOT_TO_SAY', null] },
+    country: { type: ['string', 'null'] },
+    province: { type: ['string', 'null'] },
+    city: { type: ['string', 'null'] },
+    last_education: { type: ['string', 'null'] },
+    current_job: { type: ['string', 'null'] },
+    current_company: { type: ['string', 'null'] },
+    skills: { type: 'array', items: { type: 'string' } },
+    email_verified_at: { type: ['string', 'null'], format: 'date-time' },
+    phone_verified_at: { type: ['string', 'null'], format: 'date-time' },
     created_at: { type: 'string', format: 'date-time' },
     updated_at: { type: 'string', format: 'date-time' },
   },
 };
 
+/**
+ * Skema daftar skill user.
+ * Nama skill disimpan dalam bentuk kanonik (lihat skillService.normalizeSkills).
+ */
+const skillListSchema = {
+  type: 'array',
+  maxItems: 50,
+  items: { type: 'string', minLength: 1, maxLength: 100 },
+};
+
 /**
  * Skema untuk membuat user baru.
  * Memvalidasi body request dan mendefinisikan format response sukses.
@@ -32,7 +52,8 @@ export const createUserSchema = {
       phone: { type: 'string' },
       password: { type: 'string', minLength: 6 },
       avatar: { type: 'string' },
-      role: { type: 'string', enum: ['USER', 'ADMIN'] },
+      role: { type: 'string', enum: ['USER', 'RECRUITER', 'ADMIN'] },
+      skills: skillListSchema,
     },
   },
   response: {
@@ -59,8 +80,9 @@ export const updateUserSchema = {
       email: { type: 'string', format: 'email' },
       phone: { type: 'string' },
       avatar: { type: 'string' },
-      role: { type: 'string', enum: ['USER', 'ADMIN'] },
+      role: { type: 'string', enum: ['USER', 'RECRUITER', 'ADMIN'] },
       password: { type: 'string', minLength: 6 },
+      skills: skillListSchema,
     },
   },
   response: {
@@ -75,6 +97,29 @@ export const updateUserSchema = {
   },
 };
 
+/**
+ * Token sesi yang dikirim saat login, register dan refresh.
+ * `token` adalah access token berumur pendek; `refreshToken` hanya bisa dipakai sekali.
+ */
+const sessionTokensProperties = {
+  token: { type: 'string' },
+  expiresIn: { type: 'string' },
+  refreshToken: { type: 'string' },
+  refreshExpiresAt: { type: 'string', format: 'date-time' },
+  sessionId: { type: 'integer' },
+};
+
+/**
+ * Langkah kedua login untuk user dengan 2FA aktif.
+ * Jika `two_factor_required` true, login belum menghasilkan token; `challenge_token`
+ * ditukar dengan sesi lewat POST /api/auth/2fa/verify.
+ */
+const twoFactorChallengeProperties = {
+  two_factor_required: { type: 'boolean' },
+  challenge_token: { type: 'string' },
+  challenge_expires_at: { type: 'string', format: 'date-time' },
+};
+
 /**
  * Skema untuk login.
  */
@@ -98,8 +143,9 @@ export const loginSchema = {
           type: 'object',
           properties: {
             user: userResponseSchema,
-            token: { type: 'string' },
-            expiresIn: { type: 'string' },
+            ...sessionTokensProperties,
+            two_factor_setup_required: { type: 'boolean' },
+            ...twoFactorChallengeProperties,
           },
         },
       },
@@ -133,8 +179,7 @@ export const registerSchema = {
           type: 'object',
           properties: {
             user: userResponseSchema,
-            token: { type: 'string' },
-            expiresIn: { type: 'string' },
+            ...sessionTokensProperties,
           },
         },
       },
@@ -142,17 +187,311 @@ export const registerSchema = {
   },
 };
 
+/**
+ * Skema response profil user yang sedang login.
+ */
+const profileResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    data: {
+      type: 'object',
+      properties: {
+        ...userResponseSchema.properties,
+        email_verified: { type: 'boolean' },
+        phone_verified: { type: 'boolean' },
+        two_factor_enabled: { type: 'boolean' },
+      },
+    },
+  },
+};
+
 /**
  * Skema untuk get current user.
  */
 export const getCurrentUserSchema = {
+  response: {
+    200: profileResponseSchema,
+  },
+};
+
+/**
+ * Skema untuk memperbarui profil sendiri.
+ * Email, telepon, role dan password punya endpoint sendiri, jadi tidak diterima di sini.
+ */
+export const updateProfileSchema = {
+  body: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+      first_name: { type: 'string', minLength: 1, maxLength: 100 },
+      last_name: { type: 'string', minLength: 1, maxLength: 100 },
+      gender: { type: ['string', 'null'], enum: ['MALE', 'FEMALE', 'PREFER_NOT_TO_SAY', null] },
+      country: { type: ['string', 'null'], maxLength: 100 },
+      province: { type: ['string', 'null'], maxLength: 100 },
+      city: { type: ['string', 'null'], maxLength: 100 },
+      last_education: { type: ['string', 'null'], maxLength: 255 },
+      current_job: { type: ['string', 'null'], maxLength: 255 },
+      current_company: { type: ['string', 'null'], maxLength: 255 },
+      skills: skillListSchema,
+    },
+  },
+  response: {
+    200: profileResponseSchema,
+  },
+};
+
+/**
+ * Skema untuk mengganti password sendiri.
+ * Password lama wajib diisi; sesi di perangkat lain akan diakhiri.
+ */
+export const changePasswordSchema = {
+  body: {
+    type: 'object',
+    required: ['current_password', 'new_password'],
+    properties: {
+      current_password: { type: 'string', minLength: 1 },
+      new_password: { type: 'string', minLength: 6 },
+    },
+  },
+};
+
+/**
+ * Skema untuk mengganti avatar sendiri (multipart, field file gambar).
+ */
+export const updateAvatarSchema = {
+  consumes: ['multipart/form-data'],
+  response: {
+    200: profileResponseSchema,
+  },
+};
+
+/**
+ * Skema untuk menukar refresh token dengan token baru.
+ */
+export const refreshTokenSchema = {
+  body: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+      refreshToken: { type: 'string', minLength: 1, maxLength: 200 },
+    },
+  },
   response: {
     200: {
       type: 'object',
       properties: {
         success: { type: 'boolean' },
-        data: userResponseSchema,
+        message: { type: 'string' },
+        data: {
+          type: 'object',
+          properties: sessionTokensProperties,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Skema untuk logout (mengakhiri sesi dari refresh token).
+ */
+export const logoutSchema = {
+  body: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+      refreshToken: { type: 'string', minLength: 1, maxLength: 200 },
+    },
+  },
+};
+
+/**
+ * Skema untuk menghapus sesi perangkat.
+ */
+export const revokeSessionSchema = {
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+    },
+    required: ['id'],
+  },
+};
+
+/**
+ * Skema untuk meminta email reset password.
+ * Response selalu sama, baik email terdaftar maupun tidak.
+ */
+export const forgotPasswordSchema = {
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email' },
+    },
+  },
+};
+
+/**
+ * Skema untuk mengganti password dengan token dari email reset.
+ */
+export const resetPasswordSchema = {
+  body: {
+    type: 'object',
+    required: ['token', 'password'],
+    properties: {
+      token: { type: 'string', minLength: 1, maxLength: 200 },
+      password: { type: 'string', minLength: 6 },
+    },
+  },
+};
+
+/**
+ * Skema untuk verifikasi email dengan token dari email verifikasi.
+ */
+export const verifyEmailSchema = {
+  body: {
+    type: 'object',
+    required: ['token'],
+    properties: {
+      token: { type: 'string', minLength: 1, maxLength: 200 },
+    },
+  },
+};
+
+/**
+ * Skema untuk mengirim kode OTP ke nomor telepon.
+ * Tanpa phone, kode dikirim ke nomor yang tersimpan di profil.
+ */
+export const sendPhoneOtpSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      phone: { type: 'string', minLength: 5, maxLength: 30 },
+      channel: { type: 'string', enum: ['sms', 'whatsapp'], default: 'sms' },
+    },
+  },
+};
+
+/**
+ * Skema untuk verifikasi nomor telepon dengan kode OTP.
+ */
+export const verifyPhoneOtpSchema = {
+  body: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', pattern: '^[0-9]{4,8}$' },
+    },
+  },
+};
+
+/**
+ * Kode dari aplikasi authenticator (TOTP).
+ */
+const twoFactorCodeSchema = { type: 'string', pattern: '^[0-9]{6}$' };
+
+/**
+ * Skema untuk mengaktifkan 2FA dengan kode pertama dari aplikasi authenticator.
+ */
+export const confirmTwoFactorSchema = {
+  body: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: twoFactorCodeSchema,
+    },
+  },
+};
+
+/**
+ * Skema untuk langkah kedua login (kode authenticator atau recovery code).
+ */
+export const verifyTwoFactorSchema = {
+  body: {
+    type: 'object',
+    required: ['challenge_token'],
+    oneOf: [{ required: ['code'] }, { required: ['recovery_code'] }],
+    properties: {
+      challenge_token: { type: 'string', minLength: 1, maxLength: 200 },
+      code: twoFactorCodeSchema,
+      recovery_code: { type: 'string', minLength: 1, maxLength: 50 },
+    },
+  },
+  response: {
+    200: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        data: {
+          type: 'object',
+          properties: {
+            user: userResponseSchema,
+            ...sessionTokensProperties,
+            recovery_codes_remaining: { type: 'integer' },
+          },
+        },
       },
     },
   },
 };
+
+/**
+ * Skema untuk membuat ulang recovery code 2FA.
+ */
+export const regenerateRecoveryCodesSchema = {
+  body: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: twoFactorCodeSchema,
+    },
+  },
+};
+
+/**
+ * Skema untuk menonaktifkan 2FA.
+ * Butuh password dan kode authenticator atau recovery code.
+ */
+export const disableTwoFactorSchema = {
+  body: {
+    type: 'object',
+    required: ['password', 'code'],
+    properties: {
+      password: { type: 'string', minLength: 1 },
+      code: { type: 'string', minLength: 1, maxLength: 50 },
+    },
+  },
+};
+
+/**
+ * Skema untuk daftar lockout login (review keamanan, admin).
+ */
+export const loginLockoutListSchema = {
+  querystring: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      email: { type: 'string', format: 'email' },
+      user_id: { type: 'integer', minimum: 1 },
+      active: { type: 'boolean' },
+    },
+  },
+};
+
+/**
+ * Skema untuk membuka kunci akun user setelah gagal login berulang (admin).
+ */
+export const unlockUserSchema = {
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+    },
+    required: ['id'],
+  },
+};
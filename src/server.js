@@ -3,17 +3,16 @@ import cors from '@fastify/cors';
 import jwt from '@fastify/jwt';
 import multipart from '@fastify/multipart';
 import fastifyCaching from '@fastify/caching';
-import fastifyStatic from '@fastify/static';
 import dotenv from 'dotenv';
 import { disconnectDatabase } from './lib/prisma.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs-extra';
+import { startScheduledTasks, stopScheduledTasks } from './tasks/index.js';
+import { jobAnalyticsService } from './services/jobAnalyticsService.js';
 
 import swagger from '@fastify/swagger';
 import swaggerUi from '@fastify/swagger-ui';
 
 import { errorHandler, notFoundHandler } from './middleware/index.js';
+import { registerPermissions } from './lib/rbac.js';
 
 import userRoutes from './routes/userRoutes.js';
 import authRoutes from './routes/authRoutes.js';
@@ -22,6 +21,9 @@ import bootcampRelatedRoutes from './routes/bootcamp/bootcampRelatedRoutes.js';
 import instructorRoutes from './routes/instructor/instructorRoutes.js';
 import enrollmentRoutes from './routes/enrollment/index.js';
 import { jobsRoutes } from './routes/jobs/index.js';
+import { companiesRoutes } from './routes/companies/index.js';
+import { skillsRoutes } from './routes/skills/index.js';
+import { feedRoutes } from './routes/feeds/index.js';
 import { programsRoutes } from './routes/programs/index.js';
 import { testimonialsRoutes } from './routes/testimonials/index.js';
 import { fileUploadRoutes } from './routes/upload/fileUploadRoutes.js';
@@ -54,27 +56,7 @@ await fastify.register(multipart, {
   },
 });
 
-// Register static file serving for uploads folder
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const uploadsPath = path.join(__dirname, '..', 'uploads');
-
-console.log('[Server] Static file serving setup:');
-console.log('[Server] __dirname:', __dirname);
-console.log('[Server] Uploads path:', uploadsPath);
-console.log('[Server] Uploads path exists:', await fs.pathExists(uploadsPath));
-
-await fastify.register(fastifyStatic, {
-  root: uploadsPath,
-  prefix: '/uploads/',
-  decorateReply: false,
-  // Remove host constraints to allow all hosts
-  // constraints: {
-  //   host: 'localhost',
-  // },
-});
-
-console.log('[Server] Static file serving registered for /uploads/');
+// Uploaded files are not served statically: GET /api/uploads/:id checks access (FileUploadService.assertCanRead)
 
 await fastify.register(jwt, {
   secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-for-development',
@@ -118,6 +100,12 @@ await fastify.register(swagger, {
       { name: 'Enrollments', description: 'Enrollment management endpoints' },
       { name: 'Enrollment Analytics', description: 'Enrollment analytics and reporting endpoints' },
       { name: 'Jobs', description: 'Job-related endpoints' },
+      { name: 'Job Applications', description: 'Job application submission and tracking endpoints' },
+      { name: 'Saved Jobs', description: 'Saved job (bookmark) endpoints' },
+      { name: 'Job Alerts', description: 'Saved job search alert endpoints' },
+      { name: 'Companies', description: 'Company directory and profile endpoints' },
+      { name: 'Skills', description: 'Skill taxonomy, autocomplete and alias management endpoints' },
+      { name: 'Feeds', description: 'Sitemap and job RSS/Atom feed endpoints' },
       { name: 'Programs', description: 'Program-related endpoints' },
       { name: 'Testimonials', description: 'Testimonial-related endpoints' },
       { name: 'File Upload', description: 'File upload and management endpoints' },
@@ -148,6 +136,9 @@ fastify.get('/health', async (request, reply) => {
   };
 });
 
+// Routes declare required permissions with config.permission (see lib/rbac.js)
+registerPermissions(fastify);
+
 fastify.register(userRoutes, { prefix: '/api/users' });
 fastify.register(authRoutes, { prefix: '/api/auth' });
 fastify.register(bootcampRoutes, { prefix: '/api/bootcamps' });
@@ -155,6 +146,9 @@ fastify.register(bootcampRelatedRoutes, { prefix: '/api/bootcamp-related' });
 fastify.register(instructorRoutes, { prefix: '/api/instructors' });
 fastify.register(enrollmentRoutes, { prefix: '/api/enrollments' });
 fastify.register(jobsRoutes, { prefix: '/api/jobs' });
+fastify.register(companiesRoutes, { prefix: '/api/companies' });
+fastify.register(skillsRoutes, { prefix: '/api/skills' });
+fastify.register(feedRoutes);
 fastify.register(programsRoutes, { prefix: '/api/programs' });
 fastify.register(testimonialsRoutes, { prefix: '/api/testimonials' });
 fastify.register(fileUploadRoutes, { prefix: '/api/uploads' });
@@ -165,7 +159,10 @@ const gracefulShutdown = async (signal) => {
   console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
 
   try {
+    stopScheduledTasks();
     await fastify.close();
+    // Write job engagement counters still buffered in memory
+    await jobAnalyticsService.flush().catch((error) => console.error('Error flushing job analytics:', error));
     await disconnectDatabase();
     console.log('Graceful shutdown completed.');
     process.exit(0);
@@ -184,6 +181,7 @@ const start = async () => {
     const host = process.env.HOST || '0.0.0.0';
 
     await fastify.listen({ port: Number(port), host });
+    startScheduledTasks(fastify.log);
 
     console.log('Rise Social Backend Server Started!');
     console.log(`📡 Server running on http://localhost:${port}`);
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { authSessionRepository } from '../repositories/authSessionRepository.js';
+import { userRepository } from '../repositories/userRepository.js';
+import { generateToken } from '../lib/jwt.js';
+import { hashToken } from '../utils/crypto.js';
+import { AUTH_CONFIG, SESSION_REVOKE_REASON } from '../constants/auth.js';
+
+/**
+ * Auth session service
+ * A login opens a session per device. The client gets a short-lived access token (JWT
+ * with `sessionId`) and a refresh token that is exchanged for a new pair once. Only
+ * SHA-256 hashes of refresh tokens are stored. A refresh token used a second time means
+ * it was copied, so the whole session (token family) is revoked.
+ */
+export class AuthSessionService {
+  /**
+   * Open a session and issue its first tokens
+   * @param {Object} server - Fastify server instance for JWT
+   * @param {Object} user - User
+   * @param {Object} options - { rememberMe, userAgent, ipAddress, twoFactorVerified }
+   * @returns {Promise<Object>} { token, expiresIn, refreshToken, refreshExpiresAt, sessionId }
+   */
+  async createSession(server, user, options = {}) {
+    const { rememberMe = false, userAgent, ipAddress, twoFactorVerified = false } = options;
+    const refreshToken = crypto.randomBytes(AUTH_CONFIG.REFRESH_TOKEN_BYTES).toString('base64url');
+    const ttl = rememberMe ? AUTH_CONFIG.REMEMBER_ME_SESSION_TTL_MS : AUTH_CONFIG.SESSION_TTL_MS;
+
+    const session = await authSessionRepository.createWithToken(
+      {
+        user_id: user.id,
+        user_agent: userAgent?.slice(0, 500) || null,
+        ip_address: ipAddress || null,
+        remember_me: rememberMe,
+        two_factor_verified: twoFactorVerified,
+        expires_at: new Date(Date.now() + ttl),
+      },
+      hashToken(refreshToken)
+    );
+
+    return this.issueTokens(server, user, session, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * @param {Object} server - Fastify server instance for JWT
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} options - { userAgent, ipAddress }
+   * @returns {Promise<Object>} { token, expiresIn, refreshToken, refreshExpiresAt, sessionId }
+   * @throws {Error} 401 if the token is unknown, expired, revoked or reused
+   */
+  async refresh(server, refreshToken, options = {}) {
+    const token = await authSessionRepository.findTokenByHash(hashToken(refreshToken));
+    const session = token?.session;
+
+    if (!session || session.revoked_at || session.expires_at <= new Date()) {
+      throw this.invalidTokenError();
+    }
+
+    if (token.used_at) {
+      await this.revokeForReuse(session);
+      throw this.invalidTokenError();
+    }
+
+    const user = await userRepository.findById(session.user_id);
+    if (!user) {
+      throw this.invalidTokenError();
+    }
+
+    const nextToken = crypto.randomBytes(AUTH_CONFIG.REFRESH_TOKEN_BYTES).toString('base64url');
+    const rotated = await authSessionRepository.rotateToken(token, hashToken(nextToken), {
+      last_used_at: new Date(),
+      ...(options.userAgent && { user_agent: options.userAgent.slice(0, 500) }),
+      ...(options.ipAddress && { ip_address: options.ipAddress }),
+    });
+
+    // Another request used the token in the meantime
+    if (!rotated) {
+      await this.revokeForReuse(session);
+      throw this.invalidTokenError();
+    }
+
+    return this.issueTokens(server, user, session, nextToken);
+  }
+
+  /**
+   * End the session of a refresh token
+   * Unknown or already ended tokens are ignored, so logging out twice is harmless.
+   * @param {string} refreshToken - Refresh token
+   */
+  async logout(refreshToken) {
+    const token = await authSessionRepository.findTokenByHash(hashToken(refreshToken));
+
+    if (token) {
+      await authSessionRepository.revoke(token.session_id, SESSION_REVOKE_REASON.LOGOUT);
+    }
+  }
+
+  /**
+   * Get the active sessions of a user
+   * @param {number} userId - User ID
+   * @param {number|null} currentSessionId - Session of the request's access token
+   * @returns {Promise<Array>} [{ id, user_agent, ip_address, remember_me, created_at, last_used_at, expires_at, current }]
+   */
+  async getSessions(userId, currentSessionId = null) {
+    const sessions = await authSessionRepository.findActiveByUser(userId);
+
+    return sessions.map((session) => ({
+      id: session.id,
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      remember_me: session.remember_me,
+      created_at: session.created_at,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoke one of the user's sessions (sign out a device)
+   * @param {number} userId - User ID
+   * @param {number} sessionId - Session ID
+   * @throws {Error} 404 if the user has no such active session
+   */
+  async revokeSession(userId, sessionId) {
+    const revoked = await authSessionRepository.revoke(sessionId, SESSION_REVOKE_REASON.REVOKED, userId);
+
+    if (!revoked) {
+      const error = new Error('Session not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - SESSION_REVOKE_REASON value
+   * @param {number|null} exceptSessionId - Session kept signed in (e.g. the device making the change)
+   * @returns {Promise<number>} Revoked sessions
+   */
+  async revokeAllSessions(userId, reason = SESSION_REVOKE_REASON.REVOKED, exceptSessionId = null) {
+    return await authSessionRepository.revokeAllByUser(userId, reason, exceptSessionId);
+  }
+
+  /**
+   * Mark a session as confirmed with a two-factor code and issue an access token saying so
+   * @param {Object} server - Fastify server instance for JWT
+   * @param {Object} user - User
+   * @param {number} sessionId - Session of the request's access token
+   * @returns {Promise<string|null>} New access token, null if the session is no longer active
+   */
+  async confirmTwoFactor(server, user, sessionId) {
+    const updated = await authSessionRepository.markTwoFactorVerified(sessionId, user.id);
+    return updated ? generateToken(server, user, sessionId, true) : null;
+  }
+
+  /**
+   * Delete sessions that ended more than SESSION_RETENTION_MS ago
+   * @returns {Promise<Object>} { deleted }
+   */
+  async cleanup() {
+    const deleted = await authSessionRepository.deleteEndedBefore(new Date(Date.now() - AUTH_CONFIG.SESSION_RETENTION_MS));
+    return { deleted };
+  }
+
+  /**
+   * Build the token response of a session
+   * @private
+   * @param {Object} server - Fastify server instance for JWT
+   * @param {Object} user - User
+   * @param {Object} session - Session
+   * @param {string} refreshToken - Plain refresh token
+   * @returns {Object} { token, expiresIn, refreshToken, refreshExpiresAt, sessionId }
+   */
+  issueTokens(server, user, session, refreshToken) {
+    return {
+      token: generateToken(server, user, session.id, session.two_factor_verified),
+      expiresIn: AUTH_CONFIG.ACCESS_TOKEN_EXPIRES_IN,
+      refreshToken,
+      refreshExpiresAt: session.expires_at,
+      sessionId: session.id,
+    };
+  }
+
+  /**
+   * Revoke a session whose refresh token was used twice
+   * @private
+   * @param {Object} session - Session
+   */
+  async revokeForReuse(session) {
+    await authSessionRepository.revoke(session.id, SESSION_REVOKE_REASON.TOKEN_REUSE);
+    console.warn('[AuthSession] Refresh token reuse detected, session revoked', { sessionId: session.id, userId: session.user_id });
+  }
+
+  /**
+   * Error for any refresh token that cannot be used
+   * @private
+   * @returns {Error} 401 error
+   */
+  invalidTokenError() {
+    const error = new Error('Invalid or expired refresh token');
+    error.statusCode = 401;
+    return error;
+  }
+}
+
+// Export instance
+export const authSessionService = new AuthSessionService();
@@ -0,0 +1,232 @@
+import { companyRepository } from '../repositories/companyRepository.js';
+import { companyRecruiterRepository } from '../repositories/companyRecruiterRepository.js';
+import { userRepository } from '../repositories/userRepository.js';
+import { USER_ROLE } from '../constants/roles.js';
+import { normalizeSlug } from '../integrations/linkedinJobFeed.js';
+
+// Open jobs listed on a company profile
+const PROFILE_JOBS_LIMIT = 10;
+
+/**
+ * Company business logic service
+ * Handles the public company directory, admin company management and recruiter links
+ */
+export class CompanyService {
+  /**
+   * Get companies for the directory
+   * @param {Object} options - Filters, sorting and pagination
+   * @returns {Promise<Object>} Paginated companies with active job counts
+   */
+  async getCompanies(options = {}) {
+    return await companyRepository.findDirectory(options);
+  }
+
+  /**
+   * Get a company profile by slug
+   * @param {string} slug - Company slug
+   * @returns {Promise<Object>} Company with active_jobs_count and latest_jobs
+   * @throws {Error} If company not found
+   */
+  async getCompanyProfile(slug) {
+    const company = await companyRepository.findProfileBySlug(slug, PROFILE_JOBS_LIMIT);
+
+    if (!company) {
+      const error = new Error('Company not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return company;
+  }
+
+  /**
+   * Create a company (admin)
+   * Without an explicit slug one is generated from the name and suffixed until unique;
+   * an explicit slug that is already taken is rejected.
+   * @param {Object} data - Company data
+   * @returns {Promise<Object>} Created company
+   * @throws {Error} If the slug is invalid or taken
+   */
+  async createCompany(data) {
+    const slug = data.slug ? await this.requireAvailableSlug(data.slug) : await this.generateUniqueSlug(data.name);
+
+    return await this.withSlugConflictHandling(() => companyRepository.create({ ...data, slug }));
+  }
+
+  /**
+   * Update a company (admin)
+   * The slug only changes when given explicitly, so renaming a company keeps its URLs.
+   * @param {number} id - Company ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated company
+   * @throws {Error} If company not found or the slug is taken
+   */
+  async updateCompany(id, data) {
+    await this.requireCompany(id);
+
+    const updateData = { ...data };
+    if (data.slug !== undefined) {
+      updateData.slug = await this.requireAvailableSlug(data.slug, id);
+    }
+
+    return await this.withSlugConflictHandling(() => companyRepository.update(id, updateData));
+  }
+
+  /**
+   * Get the recruiters of a company (admin)
+   * @param {number} companyId - Company ID
+   * @returns {Promise<Array>} Recruiter users with linked_at
+   * @throws {Error} If company not found
+   */
+  async getRecruiters(companyId) {
+    await this.requireCompany(companyId);
+
+    const links = await companyRecruiterRepository.findByCompany(companyId);
+    return links.map((link) => ({ ...link.user, linked_at: link.created_at }));
+  }
+
+  /**
+   * Link a user to a company as recruiter (admin)
+   * A USER is promoted to RECRUITER; admins keep their role. The new role is
+   * carried by the next token the user gets, so they have to log in again.
+   * @param {number} companyId - Company ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Recruiter user
+   * @throws {Error} If company or user not found
+   */
+  async addRecruiter(companyId, userId) {
+    await this.requireCompany(companyId);
+
+    const user = await userRepository.findById(userId, { select: { id: true, first_name: true, last_name: true, email: true, role: true } });
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await companyRecruiterRepository.link(companyId, userId);
+
+    if (user.role === USER_ROLE.USER) {
+      await userRepository.update(userId, { role: USER_ROLE.RECRUITER });
+      user.role = USER_ROLE.RECRUITER;
+    }
+
+    return user;
+  }
+
+  /**
+   * Remove a recruiter from a company (admin)
+   * A RECRUITER left without companies goes back to USER.
+   * @param {number} companyId - Company ID
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the user is not a recruiter of the company
+   */
+  async removeRecruiter(companyId, userId) {
+    const removed = await companyRecruiterRepository.unlink(companyId, userId);
+    if (!removed) {
+      const error = new Error('Recruiter not found for this company');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const remaining = await companyRecruiterRepository.count({ user_id: userId });
+    const user = await userRepository.findById(userId, { select: { role: true } });
+
+    if (remaining === 0 && user?.role === USER_ROLE.RECRUITER) {
+      await userRepository.update(userId, { role: USER_ROLE.USER });
+    }
+  }
+
+  /**
+   * Require an existing company
+   * @private
+   * @param {number} id - Company ID
+   * @returns {Promise<Object>} Company
+   * @throws {Error} If company not found
+   */
+  async requireCompany(id) {
+    const company = await companyRepository.findById(id);
+
+    if (!company) {
+      const error = new Error('Company not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return company;
+  }
+
+  /**
+   * Normalize a requested slug and make sure no other company uses it
+   * @private
+   * @param {string} requested - Requested slug
+   * @param {number|null} companyId - Company being updated (its own slug is allowed)
+   * @returns {Promise<string>} Normalized slug
+   * @throws {Error} If the slug is empty after normalization or taken
+   */
+  async requireAvailableSlug(requested, companyId = null) {
+    const slug = normalizeSlug(requested);
+
+    if (!slug) {
+      const error = new Error('Slug must contain letters or numbers');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const existing = await companyRepository.findBySlug(slug);
+    if (existing && existing.id !== companyId) {
+      const error = new Error(`Company slug "${slug}" is already in use`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return slug;
+  }
+
+  /**
+   * Generate a unique slug from a company name (acme, acme-2, acme-3, ...)
+   * @private
+   * @param {string} name - Company name
+   * @returns {Promise<string>} Unique slug
+   * @throws {Error} If the name has no usable characters
+   */
+  async generateUniqueSlug(name) {
+    const base = normalizeSlug(name);
+
+    if (!base) {
+      const error = new Error('Company name must contain letters or numbers');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let slug = base;
+    for (let suffix = 2; await companyRepository.exists({ slug }); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+
+    return slug;
+  }
+
+  /**
+   * Turn a unique constraint race on slug into a 409
+   * @private
+   * @param {Function} write - Create or update call
+   * @returns {Promise<Object>} Written company
+   */
+  async withSlugConflictHandling(write) {
+    try {
+      return await write();
+    } catch (error) {
+      if (error.code === 'P2002') {
+        const conflict = new Error('Company slug is already in use');
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+  }
+}
+
+// Export instance
+export const companyService = new CompanyService();
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { emailVerificationTokenRepository } from '../repositories/emailVerificationTokenRepository.js';
+import { userRepository } from '../repositories/userRepository.js';
+import { sendMail } from '../integrations/mailTransport.js';
+import { createRateLimiter } from '../lib/rateLimiter.js';
+import { hashToken } from '../utils/crypto.js';
+import { escapeHtml } from '../utils/xml.js';
+import { EMAIL_VERIFICATION_CONFIG } from '../constants/auth.js';
+
+const resendLimiter = createRateLimiter({ name: 'email-verification-resend', ...EMAIL_VERIFICATION_CONFIG.RESEND_LIMIT });
+
+/**
+ * Email verification service
+ * Sends a verification link after registration and on request. Tokens are stored hashed,
+ * work once, expire after TOKEN_TTL_MS and verify only the address they were sent to,
+ * so changing the email (which clears email_verified_at) needs a new link.
+ */
+export class EmailVerificationService {
+  /**
+   * Email a verification link to the user's current address
+   * The link replaces earlier ones; the email is sent in the background.
+   * @param {Object} user - User ({ id, email, first_name, email_verified_at })
+   */
+  async sendVerification(user) {
+    if (user.email_verified_at) {
+      return;
+    }
+
+    const token = crypto.randomBytes(EMAIL_VERIFICATION_CONFIG.TOKEN_BYTES).toString('base64url');
+    await emailVerificationTokenRepository.replaceForUser({
+      user_id: user.id,
+      email: user.email,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + EMAIL_VERIFICATION_CONFIG.TOKEN_TTL_MS),
+    });
+
+    sendMail(this.renderVerificationEmail(user, token)).catch((error) =>
+      console.error('[EmailVerification] Error sending verification email:', error)
+    );
+  }
+
+  /**
+   * Verify an email address with a token
+   * @param {string} token - Verification token from the email
+   * @returns {Promise<Object>} { email, email_verified_at }
+   * @throws {Error} 400 if the token is invalid, used, expired or for a previous address
+   */
+  async verifyEmail(token) {
+    const verificationToken = await emailVerificationTokenRepository.findByHash(hashToken(token));
+
+    if (
+      !verificationToken ||
+      verificationToken.used_at ||
+      verificationToken.expires_at <= new Date() ||
+      verificationToken.email !== verificationToken.user.email
+    ) {
+      throw this.invalidTokenError();
+    }
+
+    const verifiedAt = await emailVerificationTokenRepository.verify(verificationToken);
+
+    if (!verifiedAt) {
+      throw this.invalidTokenError();
+    }
+
+    console.log('[EmailVerification] Email verified', { userId: verificationToken.user_id });
+    return { email: verificationToken.email, email_verified_at: verifiedAt };
+  }
+
+  /**
+   * Send a new verification link to a signed-in user
+   * @param {number} userId - User ID from JWT
+   * @throws {Error} 404 if user not found; 409 if already verified; 429 with retryAfter when over RESEND_LIMIT
+   */
+  async resendVerification(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (user.email_verified_at) {
+      const error = new Error('Email address is already verified');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const { allowed, retryAfterSeconds } = await resendLimiter.consume(String(userId));
+
+    if (!allowed) {
+      const error = new Error('Too many verification emails requested, please try again later');
+      error.statusCode = 429;
+      error.retryAfter = retryAfterSeconds;
+      throw error;
+    }
+
+    await this.sendVerification(user);
+  }
+
+  /**
+   * Error for any verification token that cannot be used
+   * @private
+   * @returns {Error} 400 error
+   */
+  invalidTokenError() {
+    const error = new Error('Invalid or expired verification token');
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Build the verification email
+   * @private
+   * @param {Object} user - User
+   * @param {string} token - Plain verification token
+   * @returns {Object} Mail message
+   */
+  renderVerificationEmail(user, token) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const url = `${frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    const hours = Math.round(EMAIL_VERIFICATION_CONFIG.TOKEN_TTL_MS / 3600000);
+
+    const greeting = `Hi ${user.first_name || 'there'},`;
+    const intro = 'Please confirm that this is the email address of your Rise Social account.';
+    const action = `Use this link within ${hours} hours to verify it.`;
+    const footer = "If you didn't create an account, you can ignore this email.";
+
+    return {
+      to: user.email,
+      subject: 'Verify your Rise Social email address',
+      text: [greeting, intro, `${action}\n${url}`, footer].join('\n\n'),
+      html: `<p>${escapeHtml(greeting)}</p><p>${intro}</p><p>${action}</p><p><a href="${url}">Verify email</a></p><p>${footer}</p>`,
+    };
+  }
+}
+
+// Export instance
+export const emailVerificationService = new EmailVerificationService();
@@ -1,8 +1,26 @@
 import { FileUploadRepository } from '../repositories/fileUploadRepository.js';
+import { jobApplicationRepository } from '../repositories/jobApplicationRepository.js';
+import { recruiterAccessService } from './recruiterAccessService.js';
+import { hasPermission, isTwoFactorSatisfied } from '../lib/rbac.js';
+import { PERMISSION } from '../constants/permissions.js';
+import { UPLOAD_URL_CONFIG } from '../constants/uploads.js';
 import { deleteFile } from '../middleware/fileUploadMiddleware.js';
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
 
+/**
+ * Sign a file ID and expiry for a signed file URL
+ * @param {number} fileId - File ID
+ * @param {number} expires - Expiry (Unix seconds)
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+const signFileUrl = (fileId, expires) =>
+  crypto
+    .createHmac('sha256', process.env.UPLOAD_URL_SECRET || process.env.JWT_SECRET)
+    .update(`${fileId}:${expires}`)
+    .digest('hex');
+
 /**
  * FileUpload Service
  * Business logic for file upload operations
@@ -15,12 +33,13 @@ export class FileUploadService {
   /**
    * Process and save uploaded file
    * @param {Object} fileData - File data from multer
-   * @param {string} uploadType - Upload type (ESSAY, HEADSHOT)
-   * @returns {Promise<Object>} Saved file record
+   * @param {string} uploadType - Upload type (ESSAY, HEADSHOT, PAYMENT_PROOF, RESUME, AVATAR)
+   * @param {number|null} uploadedBy - ID of the authenticated uploader (null for public uploads)
+   * @returns {Promise<Object>} Saved file record; public uploads get a signed fileUrl, as their uploader has no token
    */
-  async processFileUpload(fileData, uploadType) {
+  async processFileUpload(fileData, uploadType, uploadedBy = null) {
     try {
-      const validTypes = ['ESSAY', 'HEADSHOT', 'PAYMENT_PROOF'];
+      const validTypes = ['ESSAY', 'HEADSHOT', 'PAYMENT_PROOF', 'RESUME', 'AVATAR'];
       if (!validTypes.includes(uploadType)) {
         throw new Error(`Invalid upload type: ${uploadType}`);
       }
@@ -31,6 +50,7 @@ export class FileUploadService {
         size: fileData.size,
         mimeType: fileData.mimetype,
         uploadType: uploadType,
+        uploadedBy,
       };
 
       const savedFile = await this.fileUploadRepository.createFileUpload(fileUploadData);
@@ -42,8 +62,9 @@ export class FileUploadService {
         fileSize: savedFile.file_size,
         mimeType: savedFile.mime_type,
         uploadType: savedFile.upload_type,
+        uploadedBy: savedFile.uploaded_by,
         uploadDate: savedFile.created_at,
-        fileUrl: this.generateFileUrl(savedFile.id),
+        fileUrl: uploadedBy === null ? this.generateSignedFileUrl(savedFile.id) : this.generateFileUrl(savedFile.id),
       };
     } catch (error) {
       if (fileData && fileData.path) {
@@ -101,6 +122,7 @@ export class FileUploadService {
         mimeType: file.mime_type,
         fileSize: file.file_size,
         uploadType: file.upload_type,
+        uploadedBy: file.uploaded_by,
       };
     } catch (error) {
       console.error('Error getting file download info:', error);
@@ -108,6 +130,48 @@ export class FileUploadService {
     }
   }
 
+  /**
+   * Require that a user may read a file
+   * Avatars and signed URLs are public. Other files can be read by their uploader, by
+   * users with uploads:read, and resumes also by recruiters of a company the resume was sent to.
+   * @param {Object} file - File from getFileById or getFileDownloadInfo ({ id, uploadType, uploadedBy })
+   * @param {Object|undefined} user - Authenticated user ({ userId, role }), undefined without a token
+   * @param {Object} query - Query string of the request ({ expires, signature } for signed URLs)
+   * @throws {Error} 401 without a token, 403 if not allowed
+   */
+  async assertCanRead(file, user, query = {}) {
+    if (file.uploadType === 'AVATAR' || this.hasValidSignature(file.id, query)) {
+      return;
+    }
+
+    if (!user) {
+      const error = new Error('Access token required');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    if (file.uploadedBy === user.userId) {
+      return;
+    }
+
+    if (hasPermission(user, PERMISSION.UPLOADS_READ) && isTwoFactorSatisfied(user)) {
+      return;
+    }
+
+    if (file.uploadType === 'RESUME') {
+      const companyIds = await jobApplicationRepository.findCompanyIdsByResumeUrl(this.generateFileUrl(file.id));
+      for (const companyId of companyIds) {
+        if (await recruiterAccessService.canManageCompany(user, companyId)) {
+          return;
+        }
+      }
+    }
+
+    const error = new Error('You do not have access to this file');
+    error.statusCode = 403;
+    throw error;
+  }
+
   /**
    * Delete file and its record
    * @param {number} fileId - File ID
@@ -192,6 +256,36 @@ export class FileUploadService {
     return `${baseUrl}/api/uploads/${fileId}`;
   }
 
+  /**
+   * Generate a file URL that can be opened without an access token until it expires
+   * @param {number} fileId - File ID
+   * @param {number} ttlMs - Validity of the URL
+   * @returns {string} Signed file URL
+   */
+  generateSignedFileUrl(fileId, ttlMs = UPLOAD_URL_CONFIG.SIGNED_URL_TTL_MS) {
+    const expires = Math.floor((Date.now() + ttlMs) / 1000);
+    return `${this.generateFileUrl(fileId)}?expires=${expires}&signature=${signFileUrl(fileId, expires)}`;
+  }
+
+  /**
+   * Check the signature of a signed file URL
+   * @private
+   * @param {number} fileId - File ID
+   * @param {Object} query - { expires, signature }
+   * @returns {boolean} True if the signature matches and has not expired
+   */
+  hasValidSignature(fileId, { expires, signature } = {}) {
+    const expiresAt = Number(expires);
+    if (!signature || !Number.isInteger(expiresAt) || expiresAt * 1000 <= Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(signFileUrl(fileId, expiresAt), 'hex');
+    const actual = Buffer.from(String(signature), 'hex');
+
+    return actual.length === expected.length && crypto.timingSafeEqual(expected, actual);
+  }
+
   /**
    * Enhance file object with additional properties
    * @private
@@ -207,6 +301,7 @@ export class FileUploadService {
       fileSizeFormatted: this.formatFileSize(file.file_size),
       mimeType: file.mime_type,
       uploadType: file.upload_type,
+      uploadedBy: file.uploaded_by,
       uploadDate: file.created_at,
       fileUrl: this.generateFileUrl(file.id),
       fileExtension: path.extname(file.original_name),
@@ -0,0 +1,297 @@
+import { jobAlertRepository } from '../repositories/jobAlertRepository.js';
+import { jobAlertDigestRepository } from '../repositories/jobAlertDigestRepository.js';
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { salaryNormalizationService } from './salaryNormalizationService.js';
+import { skillService } from './skillService.js';
+import { sendMail } from '../integrations/mailTransport.js';
+import { escapeHtml } from '../utils/xml.js';
+import { ALERT_FILTER_KEYS, ALERT_FREQUENCY, ALERT_FREQUENCY_INTERVAL_MS, JOB_ALERT_CONFIG } from '../constants/jobAlerts.js';
+
+/**
+ * Job alert business logic service
+ * Handles saved searches and their periodic digests
+ */
+export class JobAlertService {
+  /**
+   * Get alerts of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Alerts
+   */
+  async getUserAlerts(userId) {
+    return await jobAlertRepository.findByUserId(userId);
+  }
+
+  /**
+   * Save a job search as an alert
+   * @param {number} userId - User ID
+   * @param {Object} data - { name, frequency, filters }
+   * @returns {Promise<Object>} Created alert
+   * @throws {Error} If the user reached the alert limit
+   */
+  async createAlert(userId, data) {
+    const alertCount = await jobAlertRepository.count({ user_id: userId });
+    if (alertCount >= JOB_ALERT_CONFIG.MAX_ALERTS_PER_USER) {
+      const error = new Error(`You can save up to ${JOB_ALERT_CONFIG.MAX_ALERTS_PER_USER} job alerts`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return await jobAlertRepository.create({
+      user_id: userId,
+      name: data.name,
+      frequency: data.frequency || ALERT_FREQUENCY.DAILY,
+      filters: this.normalizeFilters(data.filters),
+    });
+  }
+
+  /**
+   * Update an alert of a user
+   * @param {number} userId - User ID
+   * @param {number} alertId - Alert ID
+   * @param {Object} data - { name, frequency, filters, is_active }
+   * @returns {Promise<Object>} Updated alert
+   * @throws {Error} If alert not found
+   */
+  async updateAlert(userId, alertId, data) {
+    await this.getOwnedAlert(userId, alertId);
+
+    const updateData = {};
+    if (data.name !== undefined) updateData.name = data.name;
+    if (data.frequency !== undefined) updateData.frequency = data.frequency;
+    if (data.is_active !== undefined) updateData.is_active = data.is_active;
+    if (data.filters !== undefined) updateData.filters = this.normalizeFilters(data.filters);
+
+    return await jobAlertRepository.update(alertId, updateData);
+  }
+
+  /**
+   * Delete an alert of a user
+   * @param {number} userId - User ID
+   * @param {number} alertId - Alert ID
+   * @returns {Promise<void>}
+   * @throws {Error} If alert not found
+   */
+  async deleteAlert(userId, alertId) {
+    await this.getOwnedAlert(userId, alertId);
+    await jobAlertRepository.delete(alertId);
+  }
+
+  /**
+   * Queue digests for all due alerts of a frequency
+   * Jobs are matched from the previous run (or alert creation) up to now.
+   * Users with job notifications turned off are skipped, but their alerts
+   * still advance so they don't receive a backlog once they opt in again.
+   * Alerts whose salary filter cannot be converted right now are left due
+   * and picked up by the next run.
+   * @param {string} frequency - Alert frequency
+   * @param {Date} now - Run timestamp
+   * @returns {Promise<Object>} Run summary
+   */
+  async queueDigests(frequency, now = new Date()) {
+    const dueBefore = new Date(now.getTime() - ALERT_FREQUENCY_INTERVAL_MS[frequency]);
+    const alerts = await jobAlertRepository.findDueAlerts(frequency, dueBefore);
+
+    const sectionsByUser = new Map();
+    const processedIds = [];
+    let skipped = 0;
+    let deferred = 0;
+
+    for (const alert of alerts) {
+      // Missing settings fall back to the schema default (notifications on)
+      if (alert.user.user_setting && !alert.user.user_setting.job_notification) {
+        processedIds.push(alert.id);
+        skipped++;
+        continue;
+      }
+
+      let filters;
+      try {
+        filters = await skillService.resolveSkillFilters(await salaryNormalizationService.resolveSalaryFilters(alert.filters));
+      } catch {
+        deferred++;
+        continue;
+      }
+
+      processedIds.push(alert.id);
+
+      const since = alert.last_run_at || alert.created_at;
+      const { jobIds, total } = await jobsRepository.findNewMatches(filters, since, now, JOB_ALERT_CONFIG.MAX_JOBS_PER_ALERT);
+
+      if (total === 0) continue;
+
+      const sections = sectionsByUser.get(alert.user_id) || [];
+      sections.push({ alert_id: alert.id, name: alert.name, job_ids: jobIds, total });
+      sectionsByUser.set(alert.user_id, sections);
+    }
+
+    for (const [userId, sections] of sectionsByUser) {
+      await jobAlertDigestRepository.create({
+        user_id: userId,
+        frequency,
+        payload: { sections },
+      });
+    }
+
+    if (processedIds.length > 0) {
+      await jobAlertRepository.markRun(processedIds, now);
+    }
+
+    return { frequency, alerts: alerts.length, skipped, deferred, queued: sectionsByUser.size };
+  }
+
+  /**
+   * Deliver queued digests through the configured mail transport
+   * Digests of users who turned job notifications off since queueing are skipped, not sent.
+   * @returns {Promise<Object>} Delivery summary
+   */
+  async deliverPendingDigests() {
+    const pending = await jobAlertDigestRepository.findPending(JOB_ALERT_CONFIG.MAX_DELIVERY_ATTEMPTS, JOB_ALERT_CONFIG.DELIVERY_BATCH_SIZE);
+
+    // Missing settings fall back to the schema default (notifications on)
+    const optedOut = (digest) => digest.user.user_setting && !digest.user.user_setting.job_notification;
+    const skippedIds = pending.filter(optedOut).map((digest) => digest.id);
+    const digests = pending.filter((digest) => !optedOut(digest));
+
+    if (skippedIds.length > 0) {
+      await jobAlertDigestRepository.markSkipped(skippedIds);
+    }
+
+    const jobIds = [...new Set(digests.flatMap((digest) => digest.payload.sections.flatMap((section) => section.job_ids)))];
+    const jobs = jobIds.length > 0 ? await jobsRepository.findByIds(jobIds) : [];
+    const jobsById = new Map(jobs.map((job) => [job.id, job]));
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const digest of digests) {
+      try {
+        await sendMail(this.renderDigest(digest, jobsById));
+        await jobAlertDigestRepository.markSent(digest.id);
+        sent++;
+      } catch (error) {
+        const giveUp = digest.attempts + 1 >= JOB_ALERT_CONFIG.MAX_DELIVERY_ATTEMPTS;
+        await jobAlertDigestRepository.markAttemptFailed(digest.id, error.message, giveUp);
+        failed++;
+      }
+    }
+
+    return { sent, failed, skipped: skippedIds.length };
+  }
+
+  /**
+   * Run the whole alert pipeline: queue daily and weekly digests, then deliver
+   * @param {Date} now - Run timestamp
+   * @returns {Promise<Object>} Run summary
+   */
+  async runDigests(now = new Date()) {
+    const daily = await this.queueDigests(ALERT_FREQUENCY.DAILY, now);
+    const weekly = await this.queueDigests(ALERT_FREQUENCY.WEEKLY, now);
+    const delivery = await this.deliverPendingDigests();
+
+    return { daily, weekly, delivery };
+  }
+
+  /**
+   * Get alert owned by user
+   * @private
+   * @param {number} userId - User ID
+   * @param {number} alertId - Alert ID
+   * @returns {Promise<Object>} Alert
+   * @throws {Error} If alert not found
+   */
+  async getOwnedAlert(userId, alertId) {
+    const alert = await jobAlertRepository.findByIdAndUser(alertId, userId);
+
+    if (!alert) {
+      const error = new Error('Job alert not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return alert;
+  }
+
+  /**
+   * Keep only supported GET /api/jobs filters in their stored shape
+   * @private
+   * @param {Object} filters - Raw filters
+   * @returns {Object} Normalized filters
+   */
+  normalizeFilters(filters = {}) {
+    const normalized = {};
+
+    for (const key of ALERT_FILTER_KEYS) {
+      const value = filters[key];
+      if (value === undefined || value === null || value === '') continue;
+
+      if (key === 'skills') {
+        const skills = (Array.isArray(value) ? value : String(value).split(',')).map((skill) => skill.trim()).filter(Boolean);
+        if (skills.length > 0) normalized.skills = skills;
+      } else if (key === 'minSalary' || key === 'maxSalary') {
+        normalized[key] = Number(value);
+      } else if (key === 'salaryCurrency') {
+        normalized.salaryCurrency = String(value).toUpperCase();
+      } else {
+        normalized[key] = value;
+      }
+    }
+
+    if (normalized.minSalary && normalized.maxSalary && normalized.minSalary > normalized.maxSalary) {
+      const error = new Error('Minimum salary cannot be greater than maximum salary');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Build the digest email
+   * @private
+   * @param {Object} digest - Digest with recipient and payload
+   * @param {Map} jobsById - Jobs referenced by the digest
+   * @returns {Object} Mail message
+   */
+  renderDigest(digest, jobsById) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const period = digest.frequency === ALERT_FREQUENCY.WEEKLY ? 'this week' : 'today';
+    const totalJobs = digest.payload.sections.reduce((sum, section) => sum + section.total, 0);
+
+    const textSections = [];
+    const htmlSections = [];
+
+    for (const section of digest.payload.sections) {
+      const jobs = section.job_ids.map((id) => jobsById.get(id)).filter(Boolean);
+      const lines = jobs.map((job) => {
+        const place = job.location ? [job.location.city, job.location.country].filter(Boolean).join(', ') : '';
+        return { job, label: [job.title, job.company?.name, place].filter(Boolean).join(' - '), url: `${frontendUrl}/jobs/${job.id}` };
+      });
+      const more = section.total > jobs.length ? section.total - jobs.length : 0;
+
+      textSections.push(
+        [`${section.name} (${section.total} new)`, ...lines.map((line) => `- ${line.label}: ${line.url}`), more ? `...and ${more} more` : null]
+          .filter(Boolean)
+          .join('\n')
+      );
+      htmlSections.push(
+        `<h3>${escapeHtml(section.name)} (${section.total} new)</h3><ul>${lines
+          .map((line) => `<li><a href="${line.url}">${escapeHtml(line.label)}</a></li>`)
+          .join('')}</ul>${more ? `<p>...and ${more} more</p>` : ''}`
+      );
+    }
+
+    const greeting = `Hi ${digest.user.first_name || 'there'},`;
+    const intro = `We found ${totalJobs} new job${totalJobs === 1 ? '' : 's'} matching your alerts ${period}.`;
+    const footer = 'You can turn off job alerts anytime from your notification settings.';
+
+    return {
+      to: digest.user.email,
+      subject: `${totalJobs} new job${totalJobs === 1 ? '' : 's'} matching your alerts`,
+      text: [greeting, intro, ...textSections, footer].join('\n\n'),
+      html: `<p>${escapeHtml(greeting)}</p><p>${intro}</p>${htmlSections.join('')}<p>${footer}</p>`,
+    };
+  }
+}
+
+// Export instance
+export const jobAlertService = new JobAlertService();
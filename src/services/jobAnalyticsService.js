@@ -0,0 +1,251 @@
+import { jobDailyStatRepository } from '../repositories/jobDailyStatRepository.js';
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { companyRepository } from '../repositories/companyRepository.js';
+import { JOB_ANALYTICS_CONFIG, JOB_ENGAGEMENT_EVENT } from '../constants/jobs.js';
+import { toDateKey, emptyCounters, sumCounters, fillDailySeries, conversionRates } from '../utils/analytics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EVENTS = new Set(Object.values(JOB_ENGAGEMENT_EVENT));
+
+/**
+ * Job analytics service
+ * Counts views, external apply click-throughs, saves and applications per job and day.
+ * Events are added to an in-memory buffer and written in one upsert per flush, so
+ * recording never waits on the database. Buffered counts of a crashed process are lost.
+ */
+export class JobAnalyticsService {
+  constructor() {
+    this.buffer = new Map();
+    this.lastFlushAt = Date.now();
+    this.flushing = null;
+  }
+
+  /**
+   * Record an engagement event
+   * @param {number} jobId - Job ID
+   * @param {string} event - JOB_ENGAGEMENT_EVENT value
+   */
+  record(jobId, event) {
+    if (!EVENTS.has(event) || !Number.isInteger(jobId)) {
+      return;
+    }
+
+    const date = toDateKey(new Date());
+    const key = `${jobId}:${date}`;
+    let counters = this.buffer.get(key);
+
+    if (!counters) {
+      counters = { job_id: jobId, date, ...emptyCounters() };
+      this.buffer.set(key, counters);
+    }
+
+    counters[event] += 1;
+
+    // The scheduled flush may be disabled on this instance, so a busy buffer flushes itself
+    if (this.buffer.size >= JOB_ANALYTICS_CONFIG.MAX_BUFFERED_KEYS || Date.now() - this.lastFlushAt >= JOB_ANALYTICS_CONFIG.FLUSH_INTERVAL_MS) {
+      this.flush().catch((error) => console.error('[JobAnalytics] Error flushing counters:', error));
+    }
+  }
+
+  /**
+   * Write buffered counters to job_daily_stats
+   * Counters are put back into the buffer when the write fails.
+   * @returns {Promise<Object>} { rows, events } written
+   */
+  async flush() {
+    if (this.flushing) {
+      return await this.flushing;
+    }
+
+    this.lastFlushAt = Date.now();
+    if (this.buffer.size === 0) {
+      return { rows: 0, events: 0 };
+    }
+
+    const pending = this.buffer;
+    this.buffer = new Map();
+
+    this.flushing = (async () => {
+      const rows = [...pending.values()];
+
+      try {
+        await jobDailyStatRepository.incrementMany(rows);
+      } catch (error) {
+        this.restore(pending);
+        throw error;
+      }
+
+      return { rows: rows.length, events: Object.values(sumCounters(rows)).reduce((sum, count) => sum + count, 0) };
+    })();
+
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * Resolve the external apply URL of a job and count the click-through
+   * @param {string|number} idOrSlug - Job ID or slug
+   * @returns {Promise<string>} External apply URL
+   * @throws {Error} If job not found or it has no external apply URL
+   */
+  async trackExternalApply(idOrSlug) {
+    const job = await this.findJob(idOrSlug, { id: true, external_url: true });
+
+    if (!job.external_url) {
+      const error = new Error('Job has no external apply URL');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    this.record(job.id, JOB_ENGAGEMENT_EVENT.APPLY_CLICK);
+
+    return job.external_url;
+  }
+
+  /**
+   * Get the daily engagement series and conversion rates of a job
+   * Counters still in the buffer are not included until the next flush.
+   * @param {string|number} idOrSlug - Job ID or slug
+   * @param {Object} options - { from, to } as YYYY-MM-DD, last DEFAULT_RANGE_DAYS days by default
+   * @returns {Promise<Object>} { job, range, totals, conversion, series }
+   * @throws {Error} If job not found or the range is invalid
+   */
+  async getJobStatistics(idOrSlug, options = {}) {
+    const range = this.resolveRange(options);
+    const job = await this.findJob(idOrSlug, { id: true, title: true, slug: true, status: true, company_id: true, posted_date: true });
+    const rows = await jobDailyStatRepository.findByJobInRange(job.id, range.from, range.to);
+    const totals = sumCounters(rows);
+
+    return {
+      job,
+      range,
+      totals,
+      conversion: conversionRates(totals),
+      series: fillDailySeries(rows, range.from, range.to),
+    };
+  }
+
+  /**
+   * Rank jobs and companies by engagement score (ENGAGEMENT_WEIGHTS)
+   * @param {Object} options - { from, to, limit }
+   * @returns {Promise<Object>} { range, totals, conversion, top_jobs, top_companies }
+   * @throws {Error} If the range is invalid
+   */
+  async getEngagementRanking(options = {}) {
+    const range = this.resolveRange(options);
+    const limit = options.limit || 10;
+
+    const [sums, topJobs, topCompanies] = await Promise.all([
+      jobDailyStatRepository.sumInRange(range.from, range.to),
+      jobDailyStatRepository.findTopJobs(range.from, range.to, limit),
+      jobDailyStatRepository.findTopCompanies(range.from, range.to, limit),
+    ]);
+
+    const [jobs, companies] = await Promise.all([
+      jobsRepository.findByIds(topJobs.map((row) => row.job_id)),
+      companyRepository.findMany({
+        where: { id: { in: topCompanies.map((row) => row.company_id) } },
+        select: { id: true, name: true, slug: true, logo_url: true },
+      }),
+    ]);
+
+    const jobsById = new Map(jobs.map((job) => [job.id, job]));
+    const companiesById = new Map(companies.map((company) => [company.id, company]));
+    const totals = sumCounters([sums]);
+
+    return {
+      range,
+      totals,
+      conversion: conversionRates(totals),
+      top_jobs: topJobs.map(({ job_id, score, ...counters }) => {
+        const job = jobsById.get(job_id);
+        return {
+          job: job ? { id: job.id, title: job.title, slug: job.slug, status: job.status, company: job.company } : { id: job_id },
+          totals: counters,
+          conversion: conversionRates(counters),
+          score,
+        };
+      }),
+      top_companies: topCompanies.map(({ company_id, jobs_count, score, ...counters }) => ({
+        company: companiesById.get(company_id) || { id: company_id },
+        jobs_count,
+        totals: counters,
+        conversion: conversionRates(counters),
+        score,
+      })),
+    };
+  }
+
+  /**
+   * Find a job by ID or slug
+   * @private
+   * @param {string|number} idOrSlug - Job ID or slug
+   * @param {Object} select - Fields to select
+   * @returns {Promise<Object>} Job
+   * @throws {Error} If job not found
+   */
+  async findJob(idOrSlug, select) {
+    const where = /^\d+$/.test(String(idOrSlug)) ? { id: Number(idOrSlug) } : { slug: idOrSlug };
+    const job = await jobsRepository.findFirst(where, { select });
+
+    if (!job) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return job;
+  }
+
+  /**
+   * Resolve a statistics date range
+   * @private
+   * @param {Object} options - { from, to } as YYYY-MM-DD
+   * @returns {Object} { from, to, days }
+   * @throws {Error} If the range is reversed or longer than MAX_RANGE_DAYS
+   */
+  resolveRange({ from, to } = {}) {
+    const end = to ? toDateKey(to) : toDateKey(new Date());
+    const start = from ? toDateKey(from) : toDateKey(Date.parse(end) - (JOB_ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    const days = (Date.parse(end) - Date.parse(start)) / DAY_MS + 1;
+
+    if (days < 1) {
+      const error = new Error('from must not be after to');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (days > JOB_ANALYTICS_CONFIG.MAX_RANGE_DAYS) {
+      const error = new Error(`Date range cannot be longer than ${JOB_ANALYTICS_CONFIG.MAX_RANGE_DAYS} days`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { from: start, to: end, days };
+  }
+
+  /**
+   * Add counters back into the buffer after a failed write
+   * @private
+   * @param {Map} pending - Counters that were not written
+   */
+  restore(pending) {
+    for (const [key, counters] of pending) {
+      const current = this.buffer.get(key);
+
+      if (!current) {
+        this.buffer.set(key, counters);
+        continue;
+      }
+
+      for (const event of EVENTS) current[event] += counters[event];
+    }
+  }
+}
+
+// Export instance
+export const jobAnalyticsService = new JobAnalyticsService();
@@ -0,0 +1,224 @@
+import { jobApplicationRepository } from '../repositories/jobApplicationRepository.js';
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { FileUploadService } from './fileUploadService.js';
+import { jobAnalyticsService } from './jobAnalyticsService.js';
+import { recruiterAccessService } from './recruiterAccessService.js';
+import { APPLICATION_STATUS, canWithdrawApplication, canTransitionApplication, getAllowedTransitions } from '../constants/jobApplications.js';
+import { JOB_STATUS, JOB_ENGAGEMENT_EVENT } from '../constants/jobs.js';
+
+/**
+ * Job application business logic service
+ * Handles candidate-side submission and the recruiter pipeline
+ */
+export class JobApplicationService {
+  constructor() {
+    this.fileUploadService = new FileUploadService();
+  }
+
+  /**
+   * Apply to a job
+   * @param {number} userId - Applicant user ID
+   * @param {number} jobId - Job ID
+   * @param {Object} applicationData - Application data (cover_letter, resume_file_id)
+   * @returns {Promise<Object>} Created application
+   * @throws {Error} If job not found, closed, or already applied
+   */
+  async applyToJob(userId, jobId, applicationData = {}) {
+    const job = await jobsRepository.findById(jobId);
+    if (!job) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    this.assertJobAcceptsApplications(job);
+
+    const resumeUrl = applicationData.resume_file_id ? await this.resolveResumeUrl(applicationData.resume_file_id, userId) : null;
+
+    const existing = await jobApplicationRepository.findByUserAndJob(userId, jobId);
+    if (existing && existing.status !== APPLICATION_STATUS.WITHDRAWN) {
+      const error = new Error('You have already applied to this job');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const data = {
+      status: APPLICATION_STATUS.PENDING,
+      cover_letter: applicationData.cover_letter || null,
+      resume_url: resumeUrl,
+    };
+
+    // A withdrawn application is reopened instead of creating a second row (unique per user/job)
+    const application = existing
+      ? await this.changeStatus(existing, { ...data, applied_at: new Date() }, { actor_id: userId, note: 'Re-applied' })
+      : await jobApplicationRepository.createWithHistory({ ...data, user_id: userId, job_id: jobId }, { actor_id: userId });
+
+    jobAnalyticsService.record(jobId, JOB_ENGAGEMENT_EVENT.APPLICATION);
+
+    return application;
+  }
+
+  /**
+   * Get applications submitted by a user
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options (page, limit, status)
+   * @returns {Promise<Object>} Paginated applications
+   */
+  async getUserApplications(userId, options = {}) {
+    return await jobApplicationRepository.findByUserId(userId, options);
+  }
+
+  /**
+   * Withdraw an application owned by the user
+   * @param {number} userId - User ID
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Object>} Updated application
+   * @throws {Error} If application not found or can no longer be withdrawn
+   */
+  async withdrawApplication(userId, applicationId) {
+    const application = await jobApplicationRepository.findById(applicationId);
+
+    if (!application || application.user_id !== userId) {
+      const error = new Error('Application not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!canWithdrawApplication(application.status)) {
+      const error = new Error(`Application with status ${application.status} cannot be withdrawn`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return await this.changeStatus(application, { status: APPLICATION_STATUS.WITHDRAWN }, { actor_id: userId, note: 'Withdrawn by applicant' });
+  }
+
+  /**
+   * Get applications of a job for the recruiter pipeline
+   * @param {number} jobId - Job ID
+   * @param {Object} options - Query options (page, limit, status)
+   * @param {Object} actor - Authenticated user ({ userId, role })
+   * @returns {Promise<Object>} Paginated applications with allowed next statuses
+   * @throws {Error} If job not found or the actor cannot manage it
+   */
+  async getJobApplications(jobId, options = {}, actor) {
+    await recruiterAccessService.assertCanManageJob(actor, jobId);
+
+    const result = await jobApplicationRepository.findByJobId(jobId, options);
+    result.data = result.data.map((application) => ({
+      ...application,
+      allowedTransitions: getAllowedTransitions(application.status),
+    }));
+
+    return result;
+  }
+
+  /**
+   * Move an application through the recruiter pipeline
+   * @param {number} jobId - Job ID the application belongs to
+   * @param {number} applicationId - Application ID
+   * @param {string} status - Target status
+   * @param {Object} actor - User performing the change ({ userId, role })
+   * @param {string} [note] - Optional note stored in the history entry
+   * @returns {Promise<Object>} Updated application with history
+   * @throws {Error} If the actor cannot manage the job, application not found or transition is not allowed
+   */
+  async updateApplicationStatus(jobId, applicationId, status, actor, note = null) {
+    await recruiterAccessService.assertCanManageJob(actor, jobId);
+
+    const application = await jobApplicationRepository.findById(applicationId);
+
+    if (!application || application.job_id !== jobId) {
+      const error = new Error('Application not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!canTransitionApplication(application.status, status)) {
+      const allowed = getAllowedTransitions(application.status);
+      const error = new Error(
+        `Cannot move application from ${application.status} to ${status}` + (allowed.length ? `. Allowed: ${allowed.join(', ')}` : '')
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return await this.changeStatus(application, { status }, { actor_id: actor.userId, note });
+  }
+
+  /**
+   * Apply a status change and record it in the history
+   * @private
+   * @param {Object} application - Current application record
+   * @param {Object} data - Update data including the new status
+   * @param {Object} history - History entry (actor_id, note)
+   * @returns {Promise<Object>} Updated application
+   * @throws {Error} If the application was changed by someone else in the meantime
+   */
+  async changeStatus(application, data, history) {
+    const updated = await jobApplicationRepository.transitionStatus(application.id, application.status, data, history);
+
+    if (!updated) {
+      const error = new Error('Application status was changed by another request, please reload and try again');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Ensure a job is open for direct applications
+   * @private
+   * @param {Object} job - Job record
+   * @throws {Error} If job is closed, expired, or external-apply only
+   */
+  assertJobAcceptsApplications(job) {
+    if (job.status !== JOB_STATUS.ACTIVE) {
+      const error = new Error('This job is no longer accepting applications');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (job.valid_until && new Date(job.valid_until) < new Date()) {
+      const error = new Error('This job posting has expired');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!job.direct_apply) {
+      const error = new Error('This job only accepts applications through the employer website');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve uploaded resume file into a URL
+   * @private
+   * @param {number} fileId - FileUpload ID
+   * @param {number} userId - Applicant user ID
+   * @returns {Promise<string>} Resume file URL
+   * @throws {Error} If file not found or not a resume upload, or 403 if another user uploaded it
+   */
+  async resolveResumeUrl(fileId, userId) {
+    const file = await this.fileUploadService.getFileById(Number(fileId));
+
+    if (!file || file.uploadType !== 'RESUME') {
+      const error = new Error('Resume file not found');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (file.uploadedBy !== userId) {
+      const error = new Error('You can only attach a resume you uploaded');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return file.fileUrl;
+  }
+}
+
+// Export instance
+export const jobApplicationService = new JobApplicationService();
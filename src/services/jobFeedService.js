@@ -0,0 +1,136 @@
+import { jobsService } from './jobsService.js';
+import { buildJobMeta } from '../utils/jobSeo.js';
+import { escapeXml } from '../utils/xml.js';
+import { JOB_FEED_CONFIG, FEED_FORMAT } from '../constants/feeds.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Job feed service
+ * RSS 2.0 and Atom feeds of the job listing, filtered like GET /api/jobs,
+ * so partners can subscribe to a search.
+ */
+export class JobFeedService {
+  /**
+   * Get a feed of the newest jobs matching the filters
+   * @param {Object} options - GET /api/jobs filters with page, limit, sortBy and sortOrder
+   * @param {string} format - FEED_FORMAT.RSS or FEED_FORMAT.ATOM
+   * @param {string} selfUrl - URL the feed was requested with
+   * @returns {Promise<string>} Feed XML
+   * @throws {Error} If salary filters cannot be converted (400 unsupported currency, 503 rates unavailable)
+   */
+  async getJobsFeed(options, format, selfUrl) {
+    const { data: jobs } = await jobsService.searchJobs(options);
+    const items = jobs.map((job) => this.toFeedItem(job));
+
+    return format === FEED_FORMAT.ATOM ? this.renderAtom(items, selfUrl) : this.renderRss(items, selfUrl);
+  }
+
+  /**
+   * Map a job to the fields shared by RSS items and Atom entries
+   * @private
+   * @param {Object} job - Job with company and location
+   * @returns {Object} Feed item
+   */
+  toFeedItem(job) {
+    return {
+      title: job.company?.name ? `${job.title} at ${job.company.name}` : job.title,
+      url: `${frontendUrl()}/jobs/${job.id}`,
+      summary: job.meta_description || buildJobMeta(job).meta_description,
+      author: job.company?.name,
+      categories: [job.employment_type, job.location?.country].filter(Boolean),
+      published: new Date(job.posted_date),
+      updated: new Date(job.updated_at || job.posted_date),
+    };
+  }
+
+  /**
+   * Render an RSS 2.0 feed
+   * @private
+   * @param {Array} items - Feed items
+   * @param {string} selfUrl - Feed URL
+   * @returns {string} XML
+   */
+  renderRss(items, selfUrl) {
+    const entries = items.map((item) =>
+      [
+        '    <item>',
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(item.url)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+        `      <description>${escapeXml(item.summary)}</description>`,
+        ...item.categories.map((category) => `      <category>${escapeXml(category)}</category>`),
+        `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+        '    </item>',
+      ].join('\n')
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXml(JOB_FEED_CONFIG.TITLE)}</title>`,
+      `    <link>${escapeXml(`${frontendUrl()}/jobs`)}</link>`,
+      `    <description>${escapeXml(JOB_FEED_CONFIG.DESCRIPTION)}</description>`,
+      `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />`,
+      `    <lastBuildDate>${this.lastUpdated(items).toUTCString()}</lastBuildDate>`,
+      ...entries,
+      '  </channel>',
+      '</rss>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Render an Atom feed
+   * @private
+   * @param {Array} items - Feed items
+   * @param {string} selfUrl - Feed URL
+   * @returns {string} XML
+   */
+  renderAtom(items, selfUrl) {
+    const entries = items.map((item) =>
+      [
+        '  <entry>',
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <id>${escapeXml(item.url)}</id>`,
+        `    <link rel="alternate" href="${escapeXml(item.url)}" />`,
+        `    <published>${item.published.toISOString()}</published>`,
+        `    <updated>${item.updated.toISOString()}</updated>`,
+        ...(item.author ? [`    <author><name>${escapeXml(item.author)}</name></author>`] : []),
+        ...item.categories.map((category) => `    <category term="${escapeXml(category)}" />`),
+        `    <summary>${escapeXml(item.summary)}</summary>`,
+        '  </entry>',
+      ].join('\n')
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <title>${escapeXml(JOB_FEED_CONFIG.TITLE)}</title>`,
+      `  <subtitle>${escapeXml(JOB_FEED_CONFIG.DESCRIPTION)}</subtitle>`,
+      `  <id>${escapeXml(selfUrl)}</id>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}" />`,
+      `  <link rel="alternate" href="${escapeXml(`${frontendUrl()}/jobs`)}" />`,
+      `  <updated>${this.lastUpdated(items).toISOString()}</updated>`,
+      // Feed level author covers entries without a company
+      `  <author><name>${escapeXml(JOB_FEED_CONFIG.TITLE)}</name></author>`,
+      ...entries,
+      '</feed>',
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * Latest update of the feed items
+   * @private
+   * @param {Array} items - Feed items
+   * @returns {Date} Latest item update, now for an empty feed
+   */
+  lastUpdated(items) {
+    return items.length > 0 ? new Date(Math.max(...items.map((item) => item.updated.getTime()))) : new Date();
+  }
+}
+
+// Export instance
+export const jobFeedService = new JobFeedService();
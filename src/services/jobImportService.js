@@ -0,0 +1,267 @@
+import { companyRepository } from '../repositories/companyRepository.js';
+import { jobLocationRepository } from '../repositories/jobLocationRepository.js';
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { salaryNormalizationService } from './salaryNormalizationService.js';
+import { skillService } from './skillService.js';
+import { JOB_STATUS } from '../constants/jobs.js';
+import { parseJobFeed, validateFeedJob, mapCompany, mapLocation, mapJob, mapInsights, normalizeJobSlug } from '../integrations/linkedinJobFeed.js';
+import { buildJobMeta } from '../utils/jobSeo.js';
+
+// Invalid records listed in the report; the counter still covers all of them
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Job feed import service
+ * Ingests LinkedIn-format job feeds with upsert and dedupe:
+ * companies by slug, locations by (city, region, country),
+ * jobs by linkedin_job_id and AI insights by job.
+ */
+export class JobImportService {
+  /**
+   * Import a JSON/NDJSON job feed
+   * @param {string} content - Raw feed content
+   * @param {Object} options - { filename }
+   * @returns {Promise<Object>} Import report
+   * @throws {Error} If the feed cannot be parsed at all
+   */
+  async importFeed(content, options = {}) {
+    const { records, errors } = parseJobFeed(content, options.filename);
+
+    const report = {
+      total: records.length + errors.length,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      invalid: 0,
+      companies: { created: 0, updated: 0 },
+      locations: { created: 0, updated: 0 },
+      salaries: null,
+      errors: [],
+    };
+
+    errors.forEach((error) => this.addInvalid(report, error));
+
+    // Per-run caches so a company or location shared by many jobs is written once
+    const context = { companies: new Map(), locations: new Map(), seenJobIds: new Set() };
+
+    for (const record of records) {
+      const reason = validateFeedJob(record.data);
+      if (reason) {
+        this.addInvalid(report, { index: record.index, id: record.data?.id ?? null, reason });
+        continue;
+      }
+
+      const linkedinJobId = String(record.data.id);
+      if (context.seenJobIds.has(linkedinJobId)) {
+        // Duplicate within the same feed, first occurrence wins
+        report.skipped++;
+        continue;
+      }
+      context.seenJobIds.add(linkedinJobId);
+
+      try {
+        const result = await this.importJob(record.data, context, report);
+        report[result]++;
+      } catch (error) {
+        this.addInvalid(report, { index: record.index, id: linkedinJobId, reason: error.message });
+      }
+    }
+
+    if (report.created > 0 || report.updated > 0) {
+      report.salaries = await this.normalizeSalaries();
+    }
+
+    return report;
+  }
+
+  /**
+   * Upsert one feed record
+   * @private
+   * @param {Object} feedJob - Valid feed record
+   * @param {Object} context - Per-run caches
+   * @param {Object} report - Import report (company/location counters)
+   * @returns {Promise<string>} 'created', 'updated' or 'skipped'
+   */
+  async importJob(feedJob, context, report) {
+    const company = mapCompany(feedJob);
+    const location = mapLocation(feedJob);
+    const companyId = await this.upsertCompany(company, context, report);
+    const locationId = await this.upsertLocation(location, context, report);
+
+    const jobData = { ...mapJob(feedJob), company_id: companyId, location_id: locationId };
+    const insights = mapInsights(feedJob);
+    // Key skills are stored under their canonical names, still comma separated
+    if (insights?.ai_key_skills) {
+      insights.ai_key_skills = (await skillService.normalizeSkills(insights.ai_key_skills)).join(', ');
+    }
+    const meta = buildJobMeta({ ...jobData, company, location, ai_insights: insights });
+
+    const existing = await jobsRepository.findByLinkedinJobId(jobData.linkedin_job_id);
+
+    if (!existing) {
+      const slug = await this.generateJobSlug(jobData.title, companyId, jobData.linkedin_job_id);
+      await jobsRepository.saveWithInsights(null, { ...jobData, ...meta, slug, status: JOB_STATUS.ACTIVE }, insights);
+      return 'created';
+    }
+
+    // Meta tags are only filled when empty, so ones edited by an admin are kept
+    if (!existing.meta_title) jobData.meta_title = meta.meta_title;
+    if (!existing.meta_description) jobData.meta_description = meta.meta_description;
+
+    const jobChanged = this.hasChanges(existing, jobData);
+    const insightsChanged = insights !== null && (!existing.ai_insights || this.hasChanges(existing.ai_insights, insights));
+
+    if (!jobChanged && !insightsChanged) {
+      return 'skipped';
+    }
+
+    // Keep the existing slug so public URLs stay stable; a renewed posting becomes active again
+    if (existing.status === JOB_STATUS.EXPIRED && jobData.valid_until > new Date()) {
+      jobData.status = JOB_STATUS.ACTIVE;
+    }
+
+    await jobsRepository.saveWithInsights(existing.id, jobData, insightsChanged ? insights : null);
+    return 'updated';
+  }
+
+  /**
+   * Normalize imported salaries so they are searchable right away
+   * Failing here doesn't fail the import, the scheduled refresh catches up.
+   * @private
+   * @returns {Promise<Object>} Normalization summary, or { error } if rates are unavailable
+   */
+  async normalizeSalaries() {
+    try {
+      return await salaryNormalizationService.refreshAll();
+    } catch (error) {
+      return { error: `Salary normalization skipped: ${error.message}` };
+    }
+  }
+
+  /**
+   * Upsert company by slug
+   * @private
+   * @param {Object} data - Company data
+   * @param {Object} context - Per-run caches
+   * @param {Object} report - Import report
+   * @returns {Promise<number>} Company ID
+   */
+  async upsertCompany(data, context, report) {
+    if (context.companies.has(data.slug)) {
+      return context.companies.get(data.slug);
+    }
+
+    const existing = await companyRepository.findBySlug(data.slug);
+    let companyId;
+
+    if (!existing) {
+      companyId = (await companyRepository.create(data)).id;
+      report.companies.created++;
+    } else {
+      companyId = existing.id;
+      if (this.hasChanges(existing, data)) {
+        await companyRepository.update(existing.id, data);
+        report.companies.updated++;
+      }
+    }
+
+    context.companies.set(data.slug, companyId);
+    return companyId;
+  }
+
+  /**
+   * Upsert location by (city, region, country)
+   * @private
+   * @param {Object} data - Location data
+   * @param {Object} context - Per-run caches
+   * @param {Object} report - Import report
+   * @returns {Promise<number>} Location ID
+   */
+  async upsertLocation(data, context, report) {
+    const key = `${data.city}-${data.region}-${data.country}`;
+    if (context.locations.has(key)) {
+      return context.locations.get(key);
+    }
+
+    const existing = await jobLocationRepository.findByKey(data);
+    let locationId;
+
+    if (!existing) {
+      locationId = (await jobLocationRepository.create(data)).id;
+      report.locations.created++;
+    } else {
+      locationId = existing.id;
+      if (this.hasChanges(existing, data)) {
+        await jobLocationRepository.update(existing.id, data);
+        report.locations.updated++;
+      }
+    }
+
+    context.locations.set(key, locationId);
+    return locationId;
+  }
+
+  /**
+   * Generate a job slug that is unique within its company
+   * @private
+   * @param {string} title - Job title
+   * @param {number} companyId - Company ID
+   * @param {string} linkedinJobId - LinkedIn job ID, used as suffix on collision
+   * @returns {Promise<string>} Slug
+   */
+  async generateJobSlug(title, companyId, linkedinJobId) {
+    const slug = normalizeJobSlug(title) || 'job';
+    const taken = await jobsRepository.exists({ company_id: companyId, slug });
+    return taken ? `${slug}-${normalizeJobSlug(linkedinJobId)}` : slug;
+  }
+
+  /**
+   * Check whether incoming data differs from the stored row
+   * @private
+   * @param {Object} existing - Stored row
+   * @param {Object} data - Incoming data
+   * @returns {boolean} True if any field differs
+   */
+  hasChanges(existing, data) {
+    return Object.entries(data).some(([field, value]) => !this.isSameValue(existing[field], value));
+  }
+
+  /**
+   * Compare a stored value (Date, Decimal, Json) with an incoming one
+   * @private
+   * @param {*} stored - Stored value
+   * @param {*} incoming - Incoming value
+   * @returns {boolean} True if equal
+   */
+  isSameValue(stored, incoming) {
+    if (stored === null || stored === undefined || incoming === null || incoming === undefined) {
+      return (stored ?? null) === (incoming ?? null);
+    }
+    if (stored instanceof Date || incoming instanceof Date) {
+      return new Date(stored).getTime() === new Date(incoming).getTime();
+    }
+    if (typeof stored.toNumber === 'function') {
+      return stored.toNumber() === Number(incoming);
+    }
+    if (typeof stored === 'object' || typeof incoming === 'object') {
+      return JSON.stringify(stored) === JSON.stringify(incoming);
+    }
+    return stored === incoming;
+  }
+
+  /**
+   * Record an invalid feed record
+   * @private
+   * @param {Object} report - Import report
+   * @param {Object} error - { index, id, reason }
+   */
+  addInvalid(report, error) {
+    report.invalid++;
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push(error);
+    }
+  }
+}
+
+// Export instance
+export const jobImportService = new JobImportService();
@@ -0,0 +1,130 @@
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { userRepository } from '../repositories/userRepository.js';
+import { jobApplicationRepository } from '../repositories/jobApplicationRepository.js';
+import { jobsService } from './jobsService.js';
+import { skillService } from './skillService.js';
+import { resolveSeniorityRank, isRemoteJob, scoreJobMatch } from '../utils/recommendation.js';
+import { parseSkillList, canonicalizeSkills } from '../utils/skills.js';
+import { RECOMMENDATION_CONFIG } from '../constants/jobs.js';
+
+/**
+ * Job recommendation service
+ * Scores live jobs against a profile by skill overlap (User.skills vs ai_key_skills),
+ * seniority fit, location/remote preference and recency. The profile is either the
+ * logged-in user or a job, for "similar jobs".
+ */
+export class JobRecommendationService {
+  /**
+   * Get jobs recommended for a user
+   * Jobs the user already applied to are left out.
+   * @param {number} userId - User ID
+   * @param {Object} options - { limit, remote }
+   * @returns {Promise<Array>} Jobs with `match` { score, matched_skills, missing_skills, reasons, components }
+   * @throws {Error} If user not found
+   */
+  async getRecommendedJobs(userId, options = {}) {
+    const { limit = 10, remote = false } = options;
+
+    const user = await userRepository.findById(userId, {
+      select: { id: true, skills: true, current_job: true, city: true, province: true, country: true },
+    });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const profile = {
+      skills: parseSkillList(user.skills),
+      seniorityRank: resolveSeniorityRank({ title: user.current_job }),
+      location: { city: user.city, region: user.province, country: user.country },
+      remote,
+    };
+
+    const appliedIds = await jobApplicationRepository.findAppliedJobIds(userId);
+    const jobs = await this.recommend(profile, appliedIds, limit);
+
+    return await jobsService.attachSavedStatus(jobs, userId);
+  }
+
+  /**
+   * Get jobs similar to a job
+   * @param {string|number} idOrSlug - Job ID or slug
+   * @param {Object} options - { limit }
+   * @param {number|null} userId - Current user ID (optional)
+   * @returns {Promise<Array>} Jobs with `match` explaining the similarity
+   * @throws {Error} If job not found
+   */
+  async getSimilarJobs(idOrSlug, options = {}, userId = null) {
+    const { limit = 5 } = options;
+
+    const job = /^\d+$/.test(String(idOrSlug))
+      ? await jobsRepository.findDetailById(Number(idOrSlug))
+      : await jobsRepository.findBySlug(idOrSlug);
+
+    if (!job) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const profile = {
+      skills: parseSkillList(job.ai_insights?.ai_key_skills),
+      seniorityRank: resolveSeniorityRank({
+        experienceLevel: job.ai_insights?.ai_experience_level,
+        seniorityLevel: job.seniority_level,
+        title: job.title,
+      }),
+      location: { city: job.location?.city, region: job.location?.region, country: job.location?.country },
+      remote: isRemoteJob(job),
+    };
+
+    const jobs = await this.recommend(profile, [job.id], limit);
+
+    return await jobsService.attachSavedStatus(jobs, userId);
+  }
+
+  /**
+   * Score candidate jobs against a profile and keep the best ones
+   * Candidates are the full-text matches of the profile skills (best ranked first)
+   * plus the newest jobs.
+   * @private
+   * @param {Object} profile - { skills, seniorityRank, location, remote }
+   * @param {number[]} excludeIds - Job IDs never to recommend
+   * @param {number} limit - Number of jobs to return
+   * @returns {Promise<Array>} Enhanced jobs with `match`, best match first
+   */
+  async recommend(profile, excludeIds, limit) {
+    // Skills are compared by canonical name, so "JS" in a profile matches "JavaScript" in a job
+    const { index } = await skillService.getTaxonomy();
+    const withCanonicalSkills = (job) =>
+      job.ai_insights ? { ...job, ai_insights: { ...job.ai_insights, ai_key_skills: canonicalizeSkills(job.ai_insights.ai_key_skills, index) } } : job;
+
+    const canonicalProfile = { ...profile, skills: canonicalizeSkills(profile.skills, index) };
+    let matchIds = [];
+
+    if (canonicalProfile.skills.length > 0) {
+      const query = canonicalProfile.skills.map((skill) => `"${skill.replace(/"/g, ' ')}"`).join(' or ');
+      const ranks = await jobsRepository.findSearchRanks(query);
+
+      matchIds = [...ranks.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, RECOMMENDATION_CONFIG.CANDIDATE_LIMIT)
+        .map(([id]) => id);
+    }
+
+    const candidates = await jobsRepository.findRecommendationCandidates(matchIds, excludeIds, RECOMMENDATION_CONFIG.RECENT_CANDIDATE_LIMIT);
+    const now = new Date();
+
+    return candidates
+      .map((job) => ({ job, match: scoreJobMatch(canonicalProfile, withCanonicalSkills(job), now) }))
+      .filter(({ match }) => match.score >= RECOMMENDATION_CONFIG.MIN_SCORE)
+      .sort((a, b) => b.match.score - a.match.score || new Date(b.job.posted_date) - new Date(a.job.posted_date))
+      .slice(0, Number(limit))
+      .map(({ job, match }) => ({ ...jobsService.enhanceJob(job), match }));
+  }
+}
+
+// Export instance
+export const jobRecommendationService = new JobRecommendationService();
@@ -1,4 +1,12 @@
 import { jobsRepository } from '../repositories/jobsRepository.js';
+import { savedJobRepository } from '../repositories/savedJobRepository.js';
+import { salaryNormalizationService } from './salaryNormalizationService.js';
+import { jobAnalyticsService } from './jobAnalyticsService.js';
+import { recruiterAccessService } from './recruiterAccessService.js';
+import { skillService } from './skillService.js';
+import { companyRepository } from '../repositories/companyRepository.js';
+import { JOB_STATUS, JOB_LIFECYCLE_CONFIG, JOB_ENGAGEMENT_EVENT } from '../constants/jobs.js';
+import { buildJobMeta, buildJobPosting, validateJobPosting } from '../utils/jobSeo.js';
 
 /**
  * Jobs business logic service
@@ -9,16 +17,58 @@ export class JobsService {
    * Search jobs with full-text search and filtering
    * @param {Object} options - Search options
    * @returns {Promise<Object>} Search results with enhanced data
+   * @throws {Error} If salary filters cannot be converted (400 unsupported currency, 503 rates unavailable)
    */
-  async searchJobs(options = {}) {
-    const result = await jobsRepository.searchJobs(options);
+  async searchJobs(options = {}, userId = null) {
+    // Salary filters are given in salaryCurrency and matched against annual USD amounts,
+    // skill filters match every spelling of the skill
+    const searchOptions = await skillService.resolveSkillFilters(await salaryNormalizationService.resolveSalaryFilters(options));
+    const result = await jobsRepository.searchJobs(searchOptions);
 
     // Enhance each job with computed fields
     result.data = result.data.map((job) => this.enhanceJob(job));
+    result.data = await salaryNormalizationService.attachNormalizedSalary(result.data, options.salaryCurrency);
+    result.data = await this.attachSavedStatus(result.data, userId);
 
     return result;
   }
 
+  /**
+   * Get job by ID or slug
+   * With `structuredData` the job carries its schema.org JobPosting as `structured_data`
+   * (null when Google's required fields are missing) and the problems as `structured_data_errors`.
+   * @param {string|number} idOrSlug - Job ID or slug
+   * @param {number|null} userId - Current user ID (optional)
+   * @param {Object} options - { structuredData }
+   * @returns {Promise<Object>} Job details
+   * @throws {Error} If job not found
+   */
+  async getJobById(idOrSlug, userId = null, options = {}) {
+    const job = /^\d+$/.test(String(idOrSlug))
+      ? await jobsRepository.findDetailById(Number(idOrSlug))
+      : await jobsRepository.findBySlug(idOrSlug);
+
+    if (!job) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    jobAnalyticsService.record(job.id, JOB_ENGAGEMENT_EVENT.VIEW);
+
+    const [enhanced] = await this.attachSavedStatus([this.enhanceJobDetails(job)], userId);
+
+    if (options.structuredData) {
+      const posting = buildJobPosting(job, this.getJobUrl(job));
+      const errors = validateJobPosting(posting);
+
+      enhanced.structured_data = errors.length === 0 ? posting : null;
+      enhanced.structured_data_errors = errors;
+    }
+
+    return enhanced;
+  }
+
   /**
    * Get job by slug
    * @param {string} slug - Job slug
@@ -38,87 +88,60 @@ export class JobsService {
   }
 
   /**
-   * Get job recommendations for a user
-   * @param {number} userId - User ID (for future user profile integration)
-   * @param {Object} preferences - User preferences
-   * @returns {Promise<Array>} Recommended jobs
-   */
-  async getJobRecommendations(userId, preferences = {}) {
-    // For now, use simple preferences matching
-    // In the future, this could integrate with user profile and ML algorithms
-    const userProfile = {
-      skills: preferences.skills || [],
-      preferredLocation: preferences.location,
-      experienceLevel: preferences.experienceLevel,
-    };
-
-    const jobs = await jobsRepository.getRecommendations(userProfile, preferences.limit || 10);
-    return jobs.map((job) => this.enhanceJob(job));
-  }
-
-  /**
-   * Create new job posting (Admin only)
-   * @param {Object} jobData - Job data
-   * @param {number} userId - Creator user ID
+   * Create a job posting
+   * Admins can post for any company, recruiters only for the companies they manage.
+   * @param {Object} jobData - Job data (company_id required)
+   * @param {Object} actor - Authenticated user ({ userId, role })
    * @returns {Promise<Object>} Created job
-   * @throws {Error} If validation fails
+   * @throws {Error} If validation fails, the company does not exist or the actor cannot manage it
    */
-  async createJob(jobData, userId) {
-    // Validate job data
+  async createJob(jobData, actor) {
+    await recruiterAccessService.assertCanManageCompany(actor, jobData.company_id);
     await this.validateJobData(jobData);
+    await this.requireCompany(jobData.company_id);
 
     // Generate slug if not provided
-    if (!jobData.slug) {
-      jobData.slug = await this.generateUniqueSlug(jobData.title);
-    } else {
-      // Validate slug format and uniqueness
-      this.validateSlug(jobData.slug);
-      const slugExists = await jobsRepository.slugExists(jobData.slug);
-      if (slugExists) {
-        const error = new Error('Job with this slug already exists');
-        error.statusCode = 400;
-        throw error;
-      }
+    let slug = jobData.slug;
+    if (!slug) {
+      slug = await this.generateUniqueSlug(jobData.title);
+    } else if (await jobsRepository.slugExists(slug)) {
+      const error = new Error('Job with this slug already exists');
+      error.statusCode = 400;
+      throw error;
     }
 
-    // Set defaults and metadata
-    const jobDataWithDefaults = {
+    const job = await jobsRepository.create({
       ...jobData,
+      slug,
+      status: jobData.status || JOB_STATUS.ACTIVE,
       posted_date: new Date(),
-      application_deadline: jobData.application_deadline ? new Date(jobData.application_deadline) : null,
-      created_by: userId,
-      // Ensure skills is an array
-      skills: Array.isArray(jobData.skills) ? jobData.skills : [],
-    };
-
-    const job = await jobsRepository.create(jobDataWithDefaults);
+      valid_until: jobData.valid_until ? new Date(jobData.valid_until) : null,
+    });
     return this.enhanceJob(job);
   }
 
   /**
    * Update job by ID
+   * Moving a job to another company requires access to both companies.
    * @param {number} id - Job ID
    * @param {Object} updateData - Update data
+   * @param {Object} actor - Authenticated user ({ userId, role })
    * @returns {Promise<Object>} Updated job
-   * @throws {Error} If job not found or validation fails
+   * @throws {Error} If job not found, the actor cannot manage it or validation fails
    */
-  async updateJob(id, updateData) {
-    // Check if job exists
-    const existingJob = await jobsRepository.findById(id);
-    if (!existingJob) {
-      const error = new Error('Job not found');
-      error.statusCode = 404;
-      throw error;
-    }
+  async updateJob(id, updateData, actor) {
+    const existingJob = await recruiterAccessService.assertCanManageJob(actor, id);
 
-    // Validate update data
-    if (updateData.title || updateData.description) {
-      await this.validateJobData(updateData, true);
+    if (updateData.company_id !== undefined && updateData.company_id !== existingJob.company_id) {
+      await recruiterAccessService.assertCanManageCompany(actor, updateData.company_id);
+      await this.requireCompany(updateData.company_id);
     }
 
+    // The apply settings are validated together, so the stored values fill in the one not being changed
+    await this.validateJobData({ direct_apply: existingJob.direct_apply, external_url: existingJob.external_url, ...updateData }, true);
+
     // Handle slug update
     if (updateData.slug && updateData.slug !== existingJob.slug) {
-      this.validateSlug(updateData.slug);
       const slugExists = await jobsRepository.slugExists(updateData.slug, id);
       if (slugExists) {
         const error = new Error('Job with this slug already exists');
@@ -127,51 +150,61 @@ export class JobsService {
       }
     }
 
-    // Handle date fields
-    if (updateData.application_deadline) {
-      updateData.application_deadline = new Date(updateData.application_deadline);
+    const data = { ...updateData };
+    if (data.valid_until) {
+      data.valid_until = new Date(data.valid_until);
     }
 
-    // Ensure skills is an array
-    if (updateData.skills) {
-      updateData.skills = Array.isArray(updateData.skills) ? updateData.skills : [];
-    }
-
-    const job = await jobsRepository.update(id, updateData);
+    const job = await jobsRepository.update(id, data);
     return this.enhanceJob(job);
   }
 
   /**
    * Delete job by ID
    * @param {number} id - Job ID
+   * @param {Object} actor - Authenticated user ({ userId, role })
    * @returns {Promise<void>}
-   * @throws {Error} If job not found
+   * @throws {Error} If job not found or the actor cannot manage it
    */
-  async deleteJob(id) {
-    const job = await jobsRepository.findById(id);
-    if (!job) {
-      const error = new Error('Job not found');
-      error.statusCode = 404;
-      throw error;
-    }
-
+  async deleteJob(id, actor) {
+    await recruiterAccessService.assertCanManageJob(actor, id);
     await jobsRepository.delete(id);
   }
 
   /**
-   * Get popular job categories
-   * @returns {Promise<Array>} Popular categories
+   * Close stale postings: expire jobs past valid_until and archive old jobs without one
+   * @param {Date} now - Reference time
+   * @param {number} archiveAfterDays - Archive age in days, 0 disables archiving
+   * @returns {Promise<Object>} Number of expired and archived jobs
    */
-  async getPopularCategories() {
-    return await jobsRepository.getPopularCategories();
+  async runLifecycle(now = new Date(), archiveAfterDays = JOB_LIFECYCLE_CONFIG.ARCHIVE_AFTER_DAYS) {
+    const expired = await jobsRepository.expirePastValidUntil(now);
+
+    let archived = 0;
+    if (archiveAfterDays > 0) {
+      const postedBefore = new Date(now.getTime() - archiveAfterDays * 24 * 60 * 60 * 1000);
+      archived = await jobsRepository.archivePostedBefore(postedBefore);
+    }
+
+    return { expired, archived };
   }
 
   /**
-   * Get popular locations
-   * @returns {Promise<Array>} Popular locations
+   * Get facet counts for the job listing sidebar
+   * @param {Object} options - Search filters (same keys as GET /api/jobs)
+   * @returns {Promise<Object>} Facet values with counts, salary buckets in salaryCurrency
+   * @throws {Error} If salary filters cannot be converted (400 unsupported currency, 503 rates unavailable)
    */
-  async getPopularLocations() {
-    return await jobsRepository.getPopularLocations();
+  async getFacets(options = {}) {
+    const searchOptions = await skillService.resolveSkillFilters(await salaryNormalizationService.resolveSalaryFilters(options));
+    const salaryBuckets = await salaryNormalizationService.getSalaryBuckets(options.salaryCurrency);
+
+    const facets = await jobsRepository.getFacets(searchOptions, salaryBuckets?.buckets || null);
+
+    return {
+      ...facets,
+      salary: facets.salary ? { currency: salaryBuckets.currency, period: 'YEAR', buckets: facets.salary } : null,
+    };
   }
 
   /**
@@ -183,11 +216,11 @@ export class JobsService {
   }
 
   /**
-   * Get trending skills
-   * @returns {Promise<Array>} Trending skills
+   * Get trending skills, spellings of one skill counted together
+   * @returns {Promise<Array>} [{ skill, category, count }]
    */
   async getTrendingSkills() {
-    return await jobsRepository.getTrendingSkills();
+    return await skillService.getTrendingSkills();
   }
 
   /**
@@ -203,23 +236,38 @@ export class JobsService {
    * @returns {Promise<Object>} Market insights
    */
   async getMarketInsights() {
-    const [statistics, popularCategories, popularLocations, trendingSkills, popularCompanies] = await Promise.all([
+    const [statistics, facets, trendingSkills, popularCompanies] = await Promise.all([
       this.getStatistics(),
-      this.getPopularCategories(),
-      this.getPopularLocations(),
+      jobsRepository.getFacets(),
       this.getTrendingSkills(),
       this.getPopularCompanies(),
     ]);
 
     return {
       overview: statistics,
-      categories: popularCategories.slice(0, 10),
-      locations: popularLocations.slice(0, 10),
+      categories: facets.employment_type.slice(0, 10).map(({ value, count }) => ({ category: value, count })),
+      locations: facets.country.slice(0, 10).map(({ value, count }) => ({ location: value, count })),
       skills: trendingSkills.slice(0, 15),
       companies: popularCompanies.slice(0, 15),
     };
   }
 
+  /**
+   * Attach is_saved flag to jobs using a single lookup for the whole page
+   * @private
+   * @param {Array} jobs - Jobs to flag
+   * @param {number|null} userId - Current user ID (optional)
+   * @returns {Promise<Array>} Jobs with is_saved flag
+   */
+  async attachSavedStatus(jobs, userId = null) {
+    const savedIds = userId ? await savedJobRepository.findSavedJobIds(userId, jobs.map((job) => job.id)) : new Set();
+
+    return jobs.map((job) => ({
+      ...job,
+      is_saved: savedIds.has(job.id),
+    }));
+  }
+
   /**
    * Enhance job object with computed fields
    * @private
@@ -258,9 +306,13 @@ export class JobsService {
    */
   enhanceJobDetails(job) {
     const enhanced = this.enhanceJob(job);
+    // Jobs saved before meta tags were generated get them on the fly
+    const meta = job.meta_title && job.meta_description ? null : buildJobMeta(job);
 
     return {
       ...enhanced,
+      meta_title: job.meta_title || meta.meta_title,
+      meta_description: job.meta_description || meta.meta_description,
       // Additional detail-specific enhancements
       descriptionWordCount: job.description ? job.description.split(' ').length : 0,
       estimatedReadTime: job.description
@@ -300,31 +352,21 @@ export class JobsService {
       errors.push('Description must be at least 50 characters long');
     }
 
-    if (!isUpdate && !data.company) {
+    if (!isUpdate && !data.company_id) {
       errors.push('Company is required');
     }
 
-    if (!isUpdate && !data.location) {
-      errors.push('Location is required');
+    if (!isUpdate && !data.employment_type) {
+      errors.push('Employment type is required');
     }
 
-    if (data.salary_min && data.salary_max && data.salary_min > data.salary_max) {
-      errors.push('Minimum salary cannot be greater than maximum salary');
+    if (data.valid_until && new Date(data.valid_until) < new Date()) {
+      errors.push('valid_until cannot be in the past');
     }
 
-    if (data.application_deadline) {
-      const deadline = new Date(data.application_deadline);
-      if (deadline < new Date()) {
-        errors.push('Application deadline cannot be in the past');
-      }
-    }
-
-    if (data.job_type && !this.isValidJobType(data.job_type)) {
-      errors.push('Invalid job type');
-    }
-
-    if (data.experience_level && !this.isValidExperienceLevel(data.experience_level)) {
-      errors.push('Invalid experience level');
+    // Jobs without direct apply send candidates to the company's own application page
+    if (data.direct_apply === false && !data.external_url) {
+      errors.push('External URL is required when direct apply is disabled');
     }
 
     if (data.slug) {
@@ -338,6 +380,20 @@ export class JobsService {
     }
   }
 
+  /**
+   * Require an existing company for a job
+   * @private
+   * @param {number} companyId - Company ID
+   * @throws {Error} If company not found
+   */
+  async requireCompany(companyId) {
+    if (!(await companyRepository.exists({ id: companyId }))) {
+      const error = new Error('Company not found');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
   /**
    * Generate unique slug from title
    * @private
@@ -383,28 +439,6 @@ export class JobsService {
     }
   }
 
-  /**
-   * Check if job type is valid
-   * @private
-   * @param {string} jobType - Job type to validate
-   * @returns {boolean} Is valid job type
-   */
-  isValidJobType(jobType) {
-    const validTypes = ['full-time', 'part-time', 'contract', 'internship', 'freelance', 'temporary'];
-    return validTypes.includes(jobType.toLowerCase());
-  }
-
-  /**
-   * Check if experience level is valid
-   * @private
-   * @param {string} experienceLevel - Experience level to validate
-   * @returns {boolean} Is valid experience level
-   */
-  isValidExperienceLevel(experienceLevel) {
-    const validLevels = ['entry-level', 'junior', 'mid-level', 'senior', 'lead', 'executive'];
-    return validLevels.includes(experienceLevel.toLowerCase());
-  }
-
   /**
    * Format salary range
    * @private
@@ -468,6 +502,17 @@ export class JobsService {
     }
   }
 
+  /**
+   * Public URL of a job page
+   * @private
+   * @param {Object} job - Job
+   * @returns {string} URL on the frontend
+   */
+  getJobUrl(job) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${frontendUrl}/jobs/${job.id}`;
+  }
+
   /**
    * Generate query for finding similar jobs
    * @private
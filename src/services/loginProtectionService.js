@@ -0,0 +1,209 @@
+import { loginLockoutRepository } from '../repositories/loginLockoutRepository.js';
+import { userRepository } from '../repositories/userRepository.js';
+import { createRateLimiter, createHold } from '../lib/rateLimiter.js';
+import { LOGIN_PROTECTION_CONFIG, LOGIN_LOCKOUT_SCOPE } from '../constants/auth.js';
+import { normalizeEmail } from '../utils/email.js';
+
+const accountFailures = createRateLimiter({
+  name: 'login-failures-account',
+  max: LOGIN_PROTECTION_CONFIG.MAX_FAILURES,
+  windowMs: LOGIN_PROTECTION_CONFIG.FAILURE_WINDOW_MS,
+});
+const ipFailures = createRateLimiter({ name: 'login-failures-ip', ...LOGIN_PROTECTION_CONFIG.IP_LIMIT });
+const accountLock = createHold('login-lock');
+const accountDelay = createHold('login-delay');
+
+/**
+ * Login protection service
+ * Counts failed logins per account and per IP in the rate limit store, so limits hold
+ * across API replicas once a shared store is configured. Accounts are keyed by email,
+ * whether or not an account exists, so lockouts do not reveal which emails are registered.
+ * Lockouts are logged to login_lockouts for security review.
+ */
+export class LoginProtectionService {
+  /**
+   * Require that a login attempt may be made
+   * @param {string} email - Email of the attempt
+   * @param {string|null} ipAddress - Client IP
+   * @throws {Error} 429 with retryAfter if the account is locked or waiting, or the IP is blocked
+   */
+  async assertCanAttempt(email, ipAddress) {
+    const key = this.accountKey(email);
+
+    const [lockedFor, ipStatus, delayedFor] = await Promise.all([
+      accountLock.remainingSeconds(key),
+      ipAddress ? ipFailures.peek(ipAddress) : null,
+      accountDelay.remainingSeconds(key),
+    ]);
+
+    if (lockedFor > 0) {
+      throw this.tooManyAttemptsError('Account temporarily locked after too many failed login attempts', lockedFor);
+    }
+
+    if (ipStatus && !ipStatus.allowed) {
+      throw this.tooManyAttemptsError('Too many failed login attempts from this network', ipStatus.retryAfterSeconds);
+    }
+
+    if (delayedFor > 0) {
+      throw this.tooManyAttemptsError(`Too many failed login attempts. Please wait ${delayedFor}s before trying again`, delayedFor);
+    }
+  }
+
+  /**
+   * Count a failed login and start the delay or lockout it earns
+   * @param {string} email - Email of the attempt
+   * @param {Object} context - { ipAddress, userId } (userId is null for unknown emails)
+   */
+  async recordFailure(email, { ipAddress = null, userId = null } = {}) {
+    const key = this.accountKey(email);
+
+    const [account, ip] = await Promise.all([accountFailures.consume(key), ipAddress ? ipFailures.consume(ipAddress) : null]);
+
+    // The IP is blocked from the failure that reaches the limit until its window ends
+    if (ip && ip.allowed && ip.remaining === 0) {
+      await this.logLockout({
+        scope: LOGIN_LOCKOUT_SCOPE.IP,
+        ip_address: ipAddress,
+        failed_attempts: LOGIN_PROTECTION_CONFIG.IP_LIMIT.max,
+        locked_until: new Date(Date.now() + ip.retryAfterSeconds * 1000),
+      });
+    }
+
+    if (account.remaining === 0) {
+      await this.lockAccount(key, { ipAddress, userId });
+      return;
+    }
+
+    const failures = LOGIN_PROTECTION_CONFIG.MAX_FAILURES - account.remaining;
+    const delayMs = this.delayFor(failures);
+
+    if (delayMs > 0) {
+      await accountDelay.start(key, delayMs);
+    }
+  }
+
+  /**
+   * Clear the account counters after a successful login
+   * IP counters are kept, so one valid account cannot reset an IP that is guessing others.
+   * @param {string} email - Email of the login
+   */
+  async recordSuccess(email) {
+    const key = this.accountKey(email);
+    await Promise.all([accountFailures.reset(key), accountDelay.release(key)]);
+  }
+
+  /**
+   * Unlock a user's account (admin)
+   * @param {number} userId - User ID
+   * @param {Object} admin - Authenticated admin ({ userId })
+   * @returns {Promise<Object>} { user_id, email, was_locked }
+   * @throws {Error} If user not found
+   */
+  async unlockUser(userId, admin) {
+    const user = await userRepository.findById(userId, { select: { id: true, email: true } });
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const key = this.accountKey(user.email);
+    const [wasLocked] = await Promise.all([accountLock.release(key), accountDelay.release(key), accountFailures.reset(key)]);
+    await loginLockoutRepository.markUnlocked(key, admin.userId);
+
+    console.warn('[LoginProtection] Account unlocked by admin', { userId: user.id, adminId: admin.userId, wasLocked });
+
+    return { user_id: user.id, email: user.email, was_locked: wasLocked };
+  }
+
+  /**
+   * Get logged lockouts for security review (admin)
+   * @param {Object} options - { page, limit, email, user_id, active }
+   * @returns {Promise<Object>} Paginated lockouts
+   */
+  async getLockouts(options = {}) {
+    const { user_id, ...rest } = options;
+    return await loginLockoutRepository.findList({ ...rest, userId: user_id });
+  }
+
+  /**
+   * Lock an account for LOCKOUT_MS and log it
+   * The failure counter starts over, so the account gets a full set of attempts after the lock.
+   * @private
+   * @param {string} key - Account key
+   * @param {Object} context - { ipAddress, userId }
+   */
+  async lockAccount(key, { ipAddress, userId }) {
+    const lockedUntil = await accountLock.start(key, LOGIN_PROTECTION_CONFIG.LOCKOUT_MS);
+    await Promise.all([accountFailures.reset(key), accountDelay.release(key)]);
+
+    await this.logLockout({
+      scope: LOGIN_LOCKOUT_SCOPE.ACCOUNT,
+      email: key,
+      user_id: userId,
+      ip_address: ipAddress,
+      failed_attempts: LOGIN_PROTECTION_CONFIG.MAX_FAILURES,
+      locked_until: lockedUntil,
+    });
+  }
+
+  /**
+   * Write a lockout to the log table and the application log
+   * A failed write does not undo the lockout.
+   * @private
+   * @param {Object} data - Lockout row
+   */
+  async logLockout(data) {
+    console.warn('[LoginProtection] Login lockout', data);
+
+    try {
+      await loginLockoutRepository.create(data);
+    } catch (error) {
+      console.error('[LoginProtection] Error logging lockout:', error);
+    }
+  }
+
+  /**
+   * Get the wait after a number of failures
+   * @private
+   * @param {number} failures - Failures in the current window
+   * @returns {number} Delay in ms, 0 within FREE_ATTEMPTS
+   */
+  delayFor(failures) {
+    const { FREE_ATTEMPTS, BASE_DELAY_MS, MAX_DELAY_MS } = LOGIN_PROTECTION_CONFIG;
+
+    if (failures <= FREE_ATTEMPTS) {
+      return 0;
+    }
+
+    return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+  }
+
+  /**
+   * Get the counter key of an account
+   * @private
+   * @param {string} email - Email address
+   * @returns {string} Lowercase email
+   */
+  accountKey(email) {
+    return normalizeEmail(email);
+  }
+
+  /**
+   * Error for a blocked login attempt
+   * @private
+   * @param {string} message - Error message
+   * @param {number} retryAfter - Seconds until the next attempt
+   * @returns {Error} 429 error
+   */
+  tooManyAttemptsError(message, retryAfter) {
+    const error = new Error(message);
+    error.statusCode = 429;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+}
+
+// Export instance
+export const loginProtectionService = new LoginProtectionService();
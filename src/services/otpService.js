@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { otpCodeRepository } from '../repositories/otpCodeRepository.js';
+import { sendSms } from '../integrations/smsTransport.js';
+import { createRateLimiter } from '../lib/rateLimiter.js';
+import { normalizePhone, maskPhone } from '../utils/phone.js';
+import { OTP_CHANNEL, OTP_CONFIG } from '../constants/otp.js';
+
+const phoneLimiter = createRateLimiter({ name: 'otp-phone', ...OTP_CONFIG.PHONE_LIMIT });
+const ipLimiter = createRateLimiter({ name: 'otp-ip', ...OTP_CONFIG.IP_LIMIT });
+
+/**
+ * Hash a code with the server secret
+ * Codes have few digits, so a plain hash could be reversed by trying them all.
+ * @param {string} purpose - OTP_PURPOSE value
+ * @param {string} subject - Subject key
+ * @param {string} code - Plain code
+ * @returns {string} Hex HMAC
+ */
+const hashCode = (purpose, subject, code) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${purpose}:${subject}:${code}`)
+    .digest('hex');
+
+/**
+ * One-time code service
+ * Sends numeric codes to a phone number by SMS or WhatsApp and checks them. Callers
+ * name what is verified with a purpose (OTP_PURPOSE) and a subject key such as
+ * `user:7` or `ryls-registration:12`; each subject has one active code at a time.
+ * Codes are stored hashed, expire after CODE_TTL_MS and allow MAX_ATTEMPTS guesses.
+ */
+export class OtpService {
+  /**
+   * Send a new code, replacing the subject's previous one
+   * @param {Object} params - { purpose, subject, phone, channel, ipAddress }
+   * @returns {Promise<Object>} { phone (masked), channel, expires_at }
+   * @throws {Error} 400 if the number is invalid; 429 with retryAfter when sending too often; 502 if delivery fails
+   */
+  async send({ purpose, subject, phone, channel = OTP_CHANNEL.SMS, ipAddress }) {
+    const normalizedPhone = normalizePhone(phone, OTP_CONFIG.DEFAULT_COUNTRY_CODE);
+
+    if (!normalizedPhone) {
+      const error = new Error('Invalid phone number');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (ipAddress) {
+      const { allowed, retryAfterSeconds } = await ipLimiter.consume(ipAddress);
+      if (!allowed) throw this.tooManyRequestsError(retryAfterSeconds);
+    }
+
+    const latest = await otpCodeRepository.findLatest(purpose, subject);
+    const waitMs = latest && !latest.verified_at ? latest.created_at.getTime() + OTP_CONFIG.RESEND_INTERVAL_MS - Date.now() : 0;
+
+    if (waitMs > 0) {
+      throw this.tooManyRequestsError(Math.ceil(waitMs / 1000));
+    }
+
+    const { allowed, retryAfterSeconds } = await phoneLimiter.consume(normalizedPhone);
+    if (!allowed) throw this.tooManyRequestsError(retryAfterSeconds);
+
+    const code = crypto.randomInt(0, 10 ** OTP_CONFIG.CODE_LENGTH).toString().padStart(OTP_CONFIG.CODE_LENGTH, '0');
+    const otp = await otpCodeRepository.replaceForSubject({
+      purpose,
+      subject,
+      phone: normalizedPhone,
+      channel,
+      code_hash: hashCode(purpose, subject, code),
+      expires_at: new Date(Date.now() + OTP_CONFIG.CODE_TTL_MS),
+    });
+
+    try {
+      await sendSms({ channel, to: normalizedPhone, text: this.renderCodeMessage(code) });
+    } catch (sendError) {
+      console.error('[Otp] Error sending code:', sendError);
+      await otpCodeRepository.delete(otp.id).catch(() => {});
+
+      const error = new Error('Failed to send verification code, please try again');
+      error.statusCode = 502;
+      throw error;
+    }
+
+    return { phone: maskPhone(normalizedPhone), channel, expires_at: otp.expires_at };
+  }
+
+  /**
+   * Check a code; a correct code works once
+   * @param {Object} params - { purpose, subject, code }
+   * @returns {Promise<Object>} { phone, channel, verified_at } of the verified code
+   * @throws {Error} 400 if the code is wrong, used, expired or out of attempts
+   */
+  async verify({ purpose, subject, code }) {
+    const otp = await otpCodeRepository.findLatest(purpose, subject);
+
+    if (!otp || otp.verified_at || otp.expires_at <= new Date()) {
+      throw this.invalidCodeError('Invalid or expired code');
+    }
+
+    const counted = await otpCodeRepository.recordAttempt(otp.id, OTP_CONFIG.MAX_ATTEMPTS);
+    if (!counted) {
+      throw this.invalidCodeError(
+        otp.attempts >= OTP_CONFIG.MAX_ATTEMPTS ? 'Too many incorrect attempts, please request a new code' : 'Invalid or expired code'
+      );
+    }
+
+    const expected = Buffer.from(otp.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(purpose, subject, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const remaining = OTP_CONFIG.MAX_ATTEMPTS - otp.attempts - 1;
+      throw this.invalidCodeError(
+        remaining > 0 ? `Invalid code, ${remaining} attempt(s) left` : 'Too many incorrect attempts, please request a new code'
+      );
+    }
+
+    const verifiedAt = new Date();
+    if (!(await otpCodeRepository.markVerified(otp.id, verifiedAt))) {
+      throw this.invalidCodeError('Invalid or expired code');
+    }
+
+    return { phone: otp.phone, channel: otp.channel, verified_at: verifiedAt };
+  }
+
+  /**
+   * Delete codes that expired more than RETENTION_MS ago
+   * @returns {Promise<Object>} { deleted }
+   */
+  async cleanup() {
+    const deleted = await otpCodeRepository.deleteExpiredBefore(new Date(Date.now() - OTP_CONFIG.RETENTION_MS));
+    return { deleted };
+  }
+
+  /**
+   * 400 error for a code that cannot be used
+   * @private
+   * @param {string} message - Error message
+   * @returns {Error} 400 error
+   */
+  invalidCodeError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * 429 error for sending codes too often
+   * @private
+   * @param {number} retryAfter - Seconds until the next code can be sent
+   * @returns {Error} 429 error with retryAfter
+   */
+  tooManyRequestsError(retryAfter) {
+    const error = new Error('Too many verification codes requested, please try again later');
+    error.statusCode = 429;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  /**
+   * Build the code message
+   * @private
+   * @param {string} code - Plain code
+   * @returns {string} Message text
+   */
+  renderCodeMessage(code) {
+    const minutes = Math.round(OTP_CONFIG.CODE_TTL_MS / 60000);
+    return `Your Rise Social verification code is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`;
+  }
+}
+
+// Export instance
+export const otpService = new OtpService();
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { passwordResetTokenRepository } from '../repositories/passwordResetTokenRepository.js';
+import { userRepository } from '../repositories/userRepository.js';
+import { authSessionService } from './authSessionService.js';
+import { sendMail } from '../integrations/mailTransport.js';
+import { createRateLimiter } from '../lib/rateLimiter.js';
+import { hashToken } from '../utils/crypto.js';
+import { escapeHtml } from '../utils/xml.js';
+import { normalizeEmail } from '../utils/email.js';
+import { PASSWORD_RESET_CONFIG, SESSION_REVOKE_REASON } from '../constants/auth.js';
+
+const emailLimiter = createRateLimiter({ name: 'password-reset-email', ...PASSWORD_RESET_CONFIG.EMAIL_LIMIT });
+const ipLimiter = createRateLimiter({ name: 'password-reset-ip', ...PASSWORD_RESET_CONFIG.IP_LIMIT });
+
+/**
+ * Password reset service
+ * Forgot-password answers the same way whether or not the email belongs to an account,
+ * and the email is sent in the background so response times do not tell either.
+ * Tokens are stored hashed, work once and expire after TOKEN_TTL_MS. A reset signs the
+ * user out of every device.
+ */
+export class PasswordResetService {
+  /**
+   * Email a reset link if the address belongs to an account
+   * Requests over the per-email limit are dropped silently, so the limit does not reveal accounts either.
+   * @param {string} email - Email address
+   * @param {string} ipAddress - Client IP
+   * @throws {Error} 429 if the IP sent too many requests
+   */
+  async requestReset(email, ipAddress) {
+    await this.assertIpAllowed(ipAddress);
+
+    const normalizedEmail = normalizeEmail(email);
+
+    const { allowed } = await emailLimiter.consume(normalizedEmail);
+    if (!allowed) {
+      return;
+    }
+
+    const user = await userRepository.findByEmail(normalizedEmail);
+    if (!user) {
+      return;
+    }
+
+    const token = crypto.randomBytes(PASSWORD_RESET_CONFIG.TOKEN_BYTES).toString('base64url');
+    await passwordResetTokenRepository.replaceForUser({
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + PASSWORD_RESET_CONFIG.TOKEN_TTL_MS),
+      requested_ip: ipAddress || null,
+    });
+
+    sendMail(this.renderResetEmail(user, token)).catch((error) => console.error('[PasswordReset] Error sending reset email:', error));
+  }
+
+  /**
+   * Set a new password with a reset token and end all sessions of the user
+   * @param {string} token - Reset token from the email
+   * @param {string} password - New password
+   * @param {string} ipAddress - Client IP
+   * @throws {Error} 400 if the token is invalid, used or expired; 429 if the IP sent too many requests
+   */
+  async resetPassword(token, password, ipAddress) {
+    await this.assertIpAllowed(ipAddress);
+
+    const resetToken = await passwordResetTokenRepository.findByHash(hashToken(token));
+
+    if (!resetToken || resetToken.used_at || resetToken.expires_at <= new Date()) {
+      throw this.invalidTokenError();
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    const reset = await passwordResetTokenRepository.resetPassword(resetToken, passwordHash);
+
+    if (!reset) {
+      throw this.invalidTokenError();
+    }
+
+    await authSessionService.revokeAllSessions(resetToken.user_id, SESSION_REVOKE_REASON.PASSWORD_RESET);
+    console.log('[PasswordReset] Password reset, sessions revoked', { userId: resetToken.user_id });
+  }
+
+  /**
+   * Count a request against the per-IP limit
+   * @private
+   * @param {string} ipAddress - Client IP
+   * @throws {Error} 429 with retryAfter (seconds) when over the limit
+   */
+  async assertIpAllowed(ipAddress) {
+    const { allowed, retryAfterSeconds } = await ipLimiter.consume(ipAddress || 'unknown');
+
+    if (!allowed) {
+      const error = new Error('Too many password reset requests, please try again later');
+      error.statusCode = 429;
+      error.retryAfter = retryAfterSeconds;
+      throw error;
+    }
+  }
+
+  /**
+   * Error for any reset token that cannot be used
+   * @private
+   * @returns {Error} 400 error
+   */
+  invalidTokenError() {
+    const error = new Error('Invalid or expired reset token');
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Build the reset email
+   * @private
+   * @param {Object} user - User
+   * @param {string} token - Plain reset token
+   * @returns {Object} Mail message
+   */
+  renderResetEmail(user, token) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const url = `${frontendUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    const minutes = Math.round(PASSWORD_RESET_CONFIG.TOKEN_TTL_MS / 60000);
+
+    const greeting = `Hi ${user.first_name || 'there'},`;
+    const intro = 'We received a request to reset the password of your Rise Social account.';
+    const action = `Use this link within ${minutes} minutes to choose a new password. It works only once.`;
+    const footer = "If you didn't ask for this, you can ignore this email; your password stays the same.";
+
+    return {
+      to: user.email,
+      subject: 'Reset your Rise Social password',
+      text: [greeting, intro, `${action}\n${url}`, footer].join('\n\n'),
+      html: `<p>${escapeHtml(greeting)}</p><p>${intro}</p><p>${action}</p><p><a href="${url}">Reset password</a></p><p>${footer}</p>`,
+    };
+  }
+}
+
+// Export instance
+export const passwordResetService = new PasswordResetService();
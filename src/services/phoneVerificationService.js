@@ -0,0 +1,89 @@
+import { userRepository } from '../repositories/userRepository.js';
+import { otpService } from './otpService.js';
+import { normalizePhone } from '../utils/phone.js';
+import { OTP_PURPOSE, OTP_CONFIG } from '../constants/otp.js';
+
+/**
+ * Phone verification service
+ * Verifies a user's phone number with a one-time code. The number is stored on the
+ * user only once verified, so a typo never replaces a verified number.
+ */
+export class PhoneVerificationService {
+  /**
+   * Send a code to the given number, or to the user's current number
+   * @param {number} userId - User ID from JWT
+   * @param {Object} data - { phone, channel }
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Object>} { phone (masked), channel, expires_at }
+   * @throws {Error} 400 if there is no number; 409 if it is already verified; see otpService.send
+   */
+  async sendCode(userId, data, ipAddress) {
+    const user = await this.requireUser(userId);
+    const phone = data.phone || user.phone;
+
+    if (!phone) {
+      const error = new Error('Phone number is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const currentPhone = normalizePhone(user.phone, OTP_CONFIG.DEFAULT_COUNTRY_CODE);
+    if (user.phone_verified_at && currentPhone && currentPhone === normalizePhone(phone, OTP_CONFIG.DEFAULT_COUNTRY_CODE)) {
+      const error = new Error('Phone number is already verified');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return await otpService.send({
+      purpose: OTP_PURPOSE.PHONE_VERIFICATION,
+      subject: `user:${userId}`,
+      phone,
+      channel: data.channel,
+      ipAddress,
+    });
+  }
+
+  /**
+   * Verify the code and store the number as the user's verified phone
+   * @param {number} userId - User ID from JWT
+   * @param {string} code - Code from the message
+   * @returns {Promise<Object>} { phone, phone_verified_at }
+   * @throws {Error} See otpService.verify
+   */
+  async verifyCode(userId, code) {
+    await this.requireUser(userId);
+
+    const { phone, verified_at } = await otpService.verify({
+      purpose: OTP_PURPOSE.PHONE_VERIFICATION,
+      subject: `user:${userId}`,
+      code,
+    });
+
+    const user = await userRepository.update(userId, { phone, phone_verified_at: verified_at });
+    console.log('[PhoneVerification] Phone verified', { userId });
+
+    return { phone: user.phone, phone_verified_at: user.phone_verified_at };
+  }
+
+  /**
+   * Find a user or fail
+   * @private
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} User
+   * @throws {Error} If user not found
+   */
+  async requireUser(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return user;
+  }
+}
+
+// Export instance
+export const phoneVerificationService = new PhoneVerificationService();
@@ -0,0 +1,93 @@
+import { companyRecruiterRepository } from '../repositories/companyRecruiterRepository.js';
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { USER_ROLE } from '../constants/roles.js';
+
+/**
+ * Recruiter access service
+ * Decides which companies, jobs and applicants a user may manage.
+ * Admins manage everything; recruiters only the companies they are linked to.
+ * Every service that writes jobs or reads applicants checks through here,
+ * so routes that allow RECRUITER cannot leak other companies' data.
+ */
+export class RecruiterAccessService {
+  /**
+   * Check whether the actor has global access
+   * @param {Object} actor - Authenticated user ({ userId, role })
+   * @returns {boolean} True for admins
+   */
+  isAdmin(actor) {
+    return actor?.role === USER_ROLE.ADMIN;
+  }
+
+  /**
+   * Check whether the actor may manage a company's jobs and applicants
+   * @param {Object} actor - Authenticated user ({ userId, role })
+   * @param {number} companyId - Company ID
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async canManageCompany(actor, companyId) {
+    if (this.isAdmin(actor)) {
+      return true;
+    }
+
+    if (actor?.role !== USER_ROLE.RECRUITER) {
+      return false;
+    }
+
+    return await companyRecruiterRepository.isLinked(actor.userId, companyId);
+  }
+
+  /**
+   * Require that the actor may manage a company
+   * @param {Object} actor - Authenticated user ({ userId, role })
+   * @param {number} companyId - Company ID
+   * @throws {Error} If not allowed
+   */
+  async assertCanManageCompany(actor, companyId) {
+    if (!(await this.canManageCompany(actor, companyId))) {
+      const error = new Error('You do not have access to this company');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Require that the actor may manage a job
+   * @param {Object} actor - Authenticated user ({ userId, role })
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Job
+   * @throws {Error} If job not found or not allowed
+   */
+  async assertCanManageJob(actor, jobId) {
+    const job = await jobsRepository.findById(jobId);
+    if (!job) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!(await this.canManageCompany(actor, job.company_id))) {
+      const error = new Error('You do not have access to this job');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return job;
+  }
+
+  /**
+   * Get the companies a recruiter manages
+   * @param {Object} actor - Authenticated user ({ userId, role })
+   * @returns {Promise<Array>} Companies
+   */
+  async getManagedCompanies(actor) {
+    if (actor?.role !== USER_ROLE.RECRUITER) {
+      return [];
+    }
+
+    return await companyRecruiterRepository.findCompaniesByUser(actor.userId);
+  }
+}
+
+// Export instance
+export const recruiterAccessService = new RecruiterAccessService();
@@ -1,5 +1,10 @@
+import crypto from 'crypto';
 import { RylsRegistrationRepository } from '../repositories/rylsRegistrationRepository.js';
 import { FileUploadService } from './fileUploadService.js';
+import { otpService } from './otpService.js';
+import { normalizePhone } from '../utils/phone.js';
+import { OTP_PURPOSE, OTP_CHANNEL, OTP_CONFIG } from '../constants/otp.js';
+import { UPLOAD_URL_CONFIG } from '../constants/uploads.js';
 
 /**
  * RYLS Registration Service
@@ -12,12 +17,14 @@ export class RylsRegistrationService {
   }
 
   /**
-   * Get base URL for file uploads
+   * Generate a submission ID
+   * The applicant identifies their registration with it on public endpoints, so it
+   * has a random part that cannot be guessed from other registrations.
    * @private
-   * @returns {string} Base URL
+   * @returns {string} Submission ID (RYLS-XXXXX-XXXXX format)
    */
-  getBaseUrl() {
-    return process.env.BACKEND_URL || 'http://localhost:8000';
+  generateSubmissionId() {
+    return `RYLS-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
   }
 
   async createRegistration(formData) {
@@ -25,7 +32,9 @@ export class RylsRegistrationService {
       const step1 = formData.step1;
       const payment = formData.payment;
 
-      const registration = await this.registrationRepository.createRegistration(step1, payment.id);
+      const submissionId = this.generateSubmissionId();
+
+      const registration = await this.registrationRepository.createRegistration({ ...step1, submissionId }, payment.id);
 
       if (!registration) {
         throw new Error('Failed to create registration');
@@ -243,6 +252,75 @@ export class RylsRegistrationService {
     }
   }
 
+  /**
+   * Send a verification code to the WhatsApp number of a registration
+   * @param {string} submissionId - Submission ID
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Object>} { phone (masked), channel, expires_at }
+   * @throws {Error} 404 if not found; 409 if already verified; see otpService.send
+   */
+  async sendWhatsappCode(submissionId, ipAddress) {
+    const registration = await this.requireWhatsappRegistration(submissionId);
+
+    if (registration.whatsapp_verified_at) {
+      const error = new Error('WhatsApp number is already verified');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return await otpService.send({
+      purpose: OTP_PURPOSE.RYLS_WHATSAPP,
+      subject: `ryls-registration:${registration.id}`,
+      phone: registration.whatsapp,
+      channel: OTP_CHANNEL.WHATSAPP,
+      ipAddress,
+    });
+  }
+
+  /**
+   * Verify the WhatsApp number of a registration with a code
+   * @param {string} submissionId - Submission ID
+   * @param {string} code - Code from the message
+   * @returns {Promise<Object>} { id, whatsapp, whatsapp_verified_at }
+   * @throws {Error} 404 if not found; 400 if the code is invalid or the number changed since it was sent
+   */
+  async verifyWhatsappCode(submissionId, code) {
+    const registration = await this.requireWhatsappRegistration(submissionId);
+
+    const { phone, verified_at } = await otpService.verify({
+      purpose: OTP_PURPOSE.RYLS_WHATSAPP,
+      subject: `ryls-registration:${registration.id}`,
+      code,
+    });
+
+    if (normalizePhone(registration.whatsapp, OTP_CONFIG.DEFAULT_COUNTRY_CODE) !== phone) {
+      const error = new Error('WhatsApp number changed, please request a new code');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return await this.registrationRepository.markWhatsappVerified(registration.id, verified_at);
+  }
+
+  /**
+   * Find a registration's WhatsApp number or fail
+   * @private
+   * @param {string} submissionId - Submission ID
+   * @returns {Promise<Object>} { id, whatsapp, whatsapp_verified_at }
+   * @throws {Error} If registration not found
+   */
+  async requireWhatsappRegistration(submissionId) {
+    const registration = await this.registrationRepository.findWhatsappBySubmissionId(submissionId);
+
+    if (!registration) {
+      const error = new Error('Registration not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return registration;
+  }
+
   /**
    * Get registration statistics
    * @returns {Promise<Object>} Registration statistics
@@ -455,7 +533,7 @@ export class RylsRegistrationService {
           reg.self_funded_submission.passport_number || '',
           reg.self_funded_submission.need_visa ? 'Yes' : 'No',
           reg.self_funded_submission.headshot_file_id || '',
-          reg.self_funded_submission.headshot_file?.id ? `${this.getBaseUrl()}/api/uploads/${reg.self_funded_submission.headshot_file.id}` : '',
+          this.exportFileUrl(reg.self_funded_submission.headshot_file),
           reg.self_funded_submission.read_policies ? 'Yes' : 'No',
           reg.self_funded_submission.created_at ? new Date(reg.self_funded_submission.created_at).toLocaleString() : '',
         ];
@@ -482,9 +560,7 @@ export class RylsRegistrationService {
           reg.full_name || '',
           reg.fully_funded_submission.essay_topic || '',
           reg.fully_funded_submission.essay_file_id || '',
-          reg.fully_funded_submission.essay_file?.file_path
-            ? `${this.getBaseUrl()}/uploads/${this.extractUploadPath(reg.fully_funded_submission.essay_file.file_path)}`
-            : '',
+          this.exportFileUrl(reg.fully_funded_submission.essay_file),
           reg.fully_funded_submission.essay_description || '',
         ];
         rows.push(row);
@@ -511,7 +587,7 @@ export class RylsRegistrationService {
             reg.full_name || '',
             payment.amount || '',
             payment.type || '',
-            payment.payment_proof?.file_path ? `${this.getBaseUrl()}/uploads/${this.extractUploadPath(payment.payment_proof.file_path)}` : '',
+            this.exportFileUrl(payment.payment_proof),
             payment.midtrans?.order_id || '',
             payment.paid_at ? new Date(payment.paid_at).toLocaleString() : '',
           ];
@@ -524,19 +600,14 @@ export class RylsRegistrationService {
   }
 
   /**
-   * Extract upload path from full file path for URL generation
-   * @param {string} filePath - Full file path from database
-   * @returns {string|null} Upload path relative to uploads folder
+   * Build the link to an uploaded file for an export
+   * Exports are opened outside the app without an access token, so the link is signed.
+   * @param {Object|null} file - File upload record
+   * @returns {string} Signed file URL, empty without a file
    * @private
    */
-  extractUploadPath(filePath) {
-    if (!filePath) return null;
-
-    const uploadsIndex = filePath.indexOf('/uploads/');
-    if (uploadsIndex !== -1) {
-      return filePath.substring(uploadsIndex + 9); // +9 untuk skip '/uploads/'
-    }
-    return null;
+  exportFileUrl(file) {
+    return file?.id ? this.fileUploadService.generateSignedFileUrl(file.id, UPLOAD_URL_CONFIG.EXPORT_URL_TTL_MS) : '';
   }
 
   /**
@@ -0,0 +1,155 @@
+import { jobInsightsRepository } from '../repositories/jobInsightsRepository.js';
+import { getExchangeRates, convertCurrency } from '../integrations/currencyConverter.js';
+import { getAnnualMultiplier } from '../utils/salary.js';
+import { SALARY_CONFIG, SALARY_FACET_BUCKETS } from '../constants/jobs.js';
+
+/**
+ * Salary normalization service
+ * AI insights salaries come in any currency and period (hourly USD, monthly IDR, ...).
+ * They are stored as annual USD amounts so filters and sorting can run in the database,
+ * and converted to the requested currency at the edges (filters in, display out).
+ */
+export class SalaryNormalizationService {
+  /**
+   * Recompute normalized salaries of all jobs with the latest exchange rates
+   * Salaries with an unknown unit or currency are cleared so they never match a salary filter.
+   * @returns {Promise<Object>} { groups, normalized, unsupported }
+   * @throws {Error} If exchange rates are unavailable
+   */
+  async refreshAll() {
+    const rates = await getExchangeRates(SALARY_CONFIG.STORAGE_CURRENCY);
+    const groups = await jobInsightsRepository.findSalaryGroups();
+
+    let normalized = 0;
+    let unsupported = 0;
+
+    for (const group of groups) {
+      const multiplier = getAnnualMultiplier(group.ai_salary_unit_text);
+      const rate = rates[group.ai_salary_currency.toUpperCase()];
+      const factor = multiplier && rate ? multiplier / rate : null;
+
+      const count = await jobInsightsRepository.updateNormalizedSalaries(group.ai_salary_currency, group.ai_salary_unit_text, factor);
+
+      if (factor === null) {
+        unsupported += count;
+      } else {
+        normalized += count;
+      }
+    }
+
+    return { groups: groups.length, normalized, unsupported };
+  }
+
+  /**
+   * Convert minSalary/maxSalary filters to the stored annual USD amounts
+   * @param {Object} filters - Search filters with minSalary, maxSalary and salaryCurrency (annual amounts)
+   * @returns {Promise<Object>} Filters with minSalaryUsd/maxSalaryUsd added
+   * @throws {Error} 400 for an unsupported currency, 503 if exchange rates are unavailable
+   */
+  async resolveSalaryFilters(filters = {}) {
+    const { minSalary, maxSalary } = filters;
+
+    if (!minSalary && !maxSalary) {
+      return filters;
+    }
+
+    const currency = (filters.salaryCurrency || SALARY_CONFIG.DEFAULT_CURRENCY).toUpperCase();
+    const toStorage = async (amount) =>
+      amount ? Math.round(await convertCurrency(Number(amount), currency, SALARY_CONFIG.STORAGE_CURRENCY)) : undefined;
+
+    try {
+      return {
+        ...filters,
+        salaryCurrency: currency,
+        minSalaryUsd: await toStorage(minSalary),
+        maxSalaryUsd: await toStorage(maxSalary),
+      };
+    } catch (error) {
+      const conversionError = new Error(
+        error.code === 'UNSUPPORTED_CURRENCY' ? `Unsupported salary currency: ${currency}` : 'Salary conversion is temporarily unavailable'
+      );
+      conversionError.statusCode = error.code === 'UNSUPPORTED_CURRENCY' ? 400 : 503;
+      throw conversionError;
+    }
+  }
+
+  /**
+   * Get annual salary facet buckets in a currency
+   * Currencies without configured bounds get the USD bounds converted and rounded.
+   * @param {string} currency - Target currency (defaults to SALARY_CONFIG.DEFAULT_CURRENCY)
+   * @returns {Promise<Object|null>} { currency, buckets: [{ min, max, minUsd, maxUsd }] }, null when rates are unavailable
+   */
+  async getSalaryBuckets(currency) {
+    const target = (currency || SALARY_CONFIG.DEFAULT_CURRENCY).toUpperCase();
+    const storage = SALARY_CONFIG.STORAGE_CURRENCY;
+
+    try {
+      const bounds =
+        SALARY_FACET_BUCKETS[target] ||
+        (await Promise.all(SALARY_FACET_BUCKETS[storage].map(async (bound) => roundSignificant(await convertCurrency(bound, storage, target)))));
+      const storageBounds = await Promise.all(bounds.map(async (bound) => Math.round(await convertCurrency(bound, target, storage))));
+
+      return {
+        currency: target,
+        buckets: bounds.map((min, i) => ({ min, max: bounds[i + 1] ?? null, minUsd: storageBounds[i], maxUsd: storageBounds[i + 1] ?? null })),
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Attach `salary_normalized` (annual amount in the requested currency) to jobs
+   * Display only: when exchange rates are unavailable the field is null instead of failing the request.
+   * @param {Array} jobs - Jobs with ai_insights
+   * @param {string} currency - Target currency (defaults to SALARY_CONFIG.DEFAULT_CURRENCY)
+   * @returns {Promise<Array>} Jobs with salary_normalized
+   */
+  async attachNormalizedSalary(jobs, currency) {
+    const target = (currency || SALARY_CONFIG.DEFAULT_CURRENCY).toUpperCase();
+    const hasSalary = jobs.some((job) => job.ai_insights?.salary_annual_min_usd != null);
+
+    let rates = null;
+    if (hasSalary && target !== SALARY_CONFIG.STORAGE_CURRENCY) {
+      rates = await getExchangeRates(SALARY_CONFIG.STORAGE_CURRENCY).catch(() => null);
+    }
+
+    return jobs.map((job) => ({ ...job, salary_normalized: this.presentSalary(job.ai_insights, target, rates) }));
+  }
+
+  /**
+   * Convert stored annual USD amounts to a currency
+   * @private
+   * @param {Object|null} insights - JobAIInsights row
+   * @param {string} currency - Target currency
+   * @param {Object|null} rates - USD based exchange rates
+   * @returns {Object|null} { currency, period, min, max } or null
+   */
+  presentSalary(insights, currency, rates) {
+    if (insights?.salary_annual_min_usd == null) return null;
+
+    const rate = currency === SALARY_CONFIG.STORAGE_CURRENCY ? 1 : rates?.[currency];
+    if (!rate) return null;
+
+    return {
+      currency,
+      period: 'YEAR',
+      min: Math.round(insights.salary_annual_min_usd * rate),
+      max: Math.round(insights.salary_annual_max_usd * rate),
+    };
+  }
+}
+
+/**
+ * Round to two significant digits, e.g. 1234567 -> 1200000
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundSignificant = (value) => {
+  if (value === 0) return 0;
+  const magnitude = 10 ** (Math.floor(Math.log10(Math.abs(value))) - 1);
+  return Math.round(value / magnitude) * magnitude;
+};
+
+// Export instance
+export const salaryNormalizationService = new SalaryNormalizationService();
@@ -0,0 +1,64 @@
+import { savedJobRepository } from '../repositories/savedJobRepository.js';
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { jobAnalyticsService } from './jobAnalyticsService.js';
+import { JOB_ENGAGEMENT_EVENT } from '../constants/jobs.js';
+
+/**
+ * Saved jobs (bookmarks) business logic service
+ */
+export class SavedJobService {
+  /**
+   * Save a job for a user
+   * @param {number} userId - User ID
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Saved job record
+   * @throws {Error} If job not found
+   */
+  async saveJob(userId, jobId) {
+    const job = await jobsRepository.findById(jobId);
+    if (!job) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Saving is idempotent, only the first save of a job counts as engagement
+    const alreadySaved = await savedJobRepository.exists({ user_id: userId, job_id: jobId });
+    const savedJob = await savedJobRepository.saveJob(userId, jobId);
+
+    if (!alreadySaved) {
+      jobAnalyticsService.record(jobId, JOB_ENGAGEMENT_EVENT.SAVE);
+    }
+
+    return savedJob;
+  }
+
+  /**
+   * Remove a saved job of a user
+   * @param {number} userId - User ID
+   * @param {number} jobId - Job ID
+   * @returns {Promise<void>}
+   * @throws {Error} If job is not saved
+   */
+  async unsaveJob(userId, jobId) {
+    const removed = await savedJobRepository.unsaveJob(userId, jobId);
+    if (!removed) {
+      const error = new Error('Saved job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Get saved jobs of a user
+   * @param {number} userId - User ID
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Paginated saved jobs
+   */
+  async getSavedJobs(userId, options = {}) {
+    return await savedJobRepository.findByUserId(userId, options);
+  }
+}
+
+// Export instance
+export const savedJobService = new SavedJobService();
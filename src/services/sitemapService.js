@@ -0,0 +1,127 @@
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { bootcampRepository } from '../repositories/bootcampRepository.js';
+import { ProgramsRepository } from '../repositories/programsRepository.js';
+import { escapeXml } from '../utils/xml.js';
+import { SITEMAP_CONFIG } from '../constants/feeds.js';
+
+const programsRepository = new ProgramsRepository();
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+// Entities listed in the sitemap and the frontend path of their pages
+const SITEMAP_ENTITIES = {
+  jobs: { repository: jobsRepository, path: (entry) => `/jobs/${entry.id}` },
+  bootcamps: { repository: bootcampRepository, path: (entry) => `/bootcamps/${entry.path_slug}` },
+  programs: { repository: programsRepository, path: (entry) => `/programs/${entry.slug}` },
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Sitemap files must live on the site they describe, so the frontend proxies them by default
+const sitemapBaseUrl = () => process.env.SITEMAP_BASE_URL || frontendUrl();
+
+/**
+ * Sitemap service
+ * Builds /sitemap.xml for public jobs, bootcamps and programs. Past the protocol limit
+ * of 50,000 URLs it becomes a sitemap index of per-entity files.
+ */
+export class SitemapService {
+  /**
+   * Get the root sitemap
+   * @returns {Promise<string>} urlset XML, or sitemapindex XML past SITEMAP_CONFIG.MAX_URLS
+   */
+  async getSitemap() {
+    const entities = Object.keys(SITEMAP_ENTITIES);
+    const counts = await Promise.all(entities.map((entity) => SITEMAP_ENTITIES[entity].repository.countSitemapEntries()));
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    if (total <= SITEMAP_CONFIG.MAX_URLS) {
+      const urls = await Promise.all(entities.map((entity) => this.findUrls(entity, 1)));
+      return this.renderUrlset(urls.flat());
+    }
+
+    const pages = entities.flatMap((entity, i) => Array.from({ length: Math.ceil(counts[i] / SITEMAP_CONFIG.MAX_URLS) }, (_, page) => ({ entity, page: page + 1 })));
+
+    const files = await Promise.all(
+      pages.map(async ({ entity, page }) => ({
+        loc: `${sitemapBaseUrl()}/sitemaps/${entity}-${page}.xml`,
+        lastmod: await SITEMAP_ENTITIES[entity].repository.findSitemapPageLastmod((page - 1) * SITEMAP_CONFIG.MAX_URLS, SITEMAP_CONFIG.MAX_URLS),
+      }))
+    );
+
+    return this.renderIndex(files);
+  }
+
+  /**
+   * Get one page of an entity sitemap
+   * @param {string} entity - jobs, bootcamps or programs
+   * @param {number} page - Page number, from 1
+   * @returns {Promise<string>} urlset XML
+   * @throws {Error} If the entity is unknown or the page is past the last one
+   */
+  async getSitemapPage(entity, page) {
+    const config = SITEMAP_ENTITIES[entity];
+    const count = config ? await config.repository.countSitemapEntries() : 0;
+
+    // Page 1 always exists so an index built just before the last entry expired stays valid
+    if (!config || page < 1 || (page > 1 && (page - 1) * SITEMAP_CONFIG.MAX_URLS >= count)) {
+      const error = new Error('Sitemap not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return this.renderUrlset(await this.findUrls(entity, page));
+  }
+
+  /**
+   * Get the URLs of one sitemap page of an entity
+   * @private
+   * @param {string} entity - Entity key of SITEMAP_ENTITIES
+   * @param {number} page - Page number, from 1
+   * @returns {Promise<Array>} [{ loc, lastmod }]
+   */
+  async findUrls(entity, page) {
+    const { repository, path } = SITEMAP_ENTITIES[entity];
+    const entries = await repository.findSitemapEntries((page - 1) * SITEMAP_CONFIG.MAX_URLS, SITEMAP_CONFIG.MAX_URLS);
+
+    return entries.map((entry) => ({ loc: `${frontendUrl()}${path(entry)}`, lastmod: entry.updated_at }));
+  }
+
+  /**
+   * Render a urlset sitemap
+   * @private
+   * @param {Array} urls - [{ loc, lastmod }]
+   * @returns {string} XML
+   */
+  renderUrlset(urls) {
+    const items = urls.map(({ loc, lastmod }) => `  <url><loc>${escapeXml(loc)}</loc>${this.renderLastmod(lastmod)}</url>`);
+
+    return [XML_DECLARATION, `<urlset xmlns="${SITEMAP_NAMESPACE}">`, ...items, '</urlset>', ''].join('\n');
+  }
+
+  /**
+   * Render a sitemap index
+   * @private
+   * @param {Array} files - [{ loc, lastmod }] of the sitemap files
+   * @returns {string} XML
+   */
+  renderIndex(files) {
+    const items = files.map(({ loc, lastmod }) => `  <sitemap><loc>${escapeXml(loc)}</loc>${this.renderLastmod(lastmod)}</sitemap>`);
+
+    return [XML_DECLARATION, `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`, ...items, '</sitemapindex>', ''].join('\n');
+  }
+
+  /**
+   * Render the lastmod element of a url or sitemap entry
+   * @private
+   * @param {Date|string|null} lastmod - Last update
+   * @returns {string} XML, empty without a date
+   */
+  renderLastmod(lastmod) {
+    return lastmod ? `<lastmod>${new Date(lastmod).toISOString()}</lastmod>` : '';
+  }
+}
+
+// Export instance
+export const sitemapService = new SitemapService();
@@ -0,0 +1,339 @@
+import { skillRepository } from '../repositories/skillRepository.js';
+import { jobsRepository } from '../repositories/jobsRepository.js';
+import { SKILL_TAXONOMY_CONFIG } from '../constants/skills.js';
+import {
+  normalizeSkill,
+  buildSkillIndex,
+  canonicalizeSkills,
+  skillVariants,
+  rankSkillMatches,
+  countSkills,
+} from '../utils/skills.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Skill taxonomy service
+ * Maps the free-text skills of users, imported jobs and search filters onto canonical
+ * skills, so "JS", "Javascript" and "JavaScript" count as one skill. The taxonomy is
+ * small and read on every search, so it is kept in memory and reloaded after
+ * CACHE_TTL_MS or right after an admin change on this instance.
+ * Stored skill lists are not rewritten on merges: merged names become aliases and
+ * resolve to the target whenever they are read.
+ */
+export class SkillService {
+  constructor() {
+    this.cache = null;
+    this.loading = null;
+  }
+
+  /**
+   * Get the taxonomy, loading it when the cache is empty or stale
+   * @returns {Promise<Object>} { skills, index } (see buildSkillIndex)
+   */
+  async getTaxonomy() {
+    if (this.cache && Date.now() - this.cache.loadedAt < SKILL_TAXONOMY_CONFIG.CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    if (!this.loading) {
+      this.loading = skillRepository
+        .findAllWithAliases()
+        .then((skills) => {
+          this.cache = { skills, index: buildSkillIndex(skills), loadedAt: Date.now() };
+          return this.cache;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return await this.loading;
+  }
+
+  /**
+   * Drop the cached taxonomy after a change
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Replace skill names by their canonical names
+   * @param {Array|string|null} value - Skill list (array, JSON array string or comma separated)
+   * @returns {Promise<string[]>} Unique skill names, unknown skills kept as written
+   */
+  async normalizeSkills(value) {
+    const { index } = await this.getTaxonomy();
+    return canonicalizeSkills(value, index);
+  }
+
+  /**
+   * Expand skill filters to every spelling of each skill
+   * @param {Object} filters - Search filters with skills
+   * @returns {Promise<Object>} Filters with skillVariants added
+   */
+  async resolveSkillFilters(filters = {}) {
+    const { skills } = filters;
+
+    if (!Array.isArray(skills) || skills.length === 0) {
+      return filters;
+    }
+
+    const { index } = await this.getTaxonomy();
+
+    return { ...filters, skillVariants: skills.map((skill) => skillVariants(skill, index)) };
+  }
+
+  /**
+   * Suggest skills for the skill picker
+   * @param {string} query - Typed text, matched against names and aliases
+   * @param {Object} options - { limit, category }
+   * @returns {Promise<Array>} [{ id, name, category, matched_alias }]
+   */
+  async autocomplete(query, options = {}) {
+    const { limit = SKILL_TAXONOMY_CONFIG.AUTOCOMPLETE_LIMIT, category } = options;
+    const { skills } = await this.getTaxonomy();
+
+    const candidates = category ? skills.filter((skill) => skill.category === category) : skills;
+
+    return rankSkillMatches(candidates, query, Number(limit));
+  }
+
+  /**
+   * Get the most requested skills of live jobs posted in the last TRENDING_DAYS days
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} [{ skill, category, count }]
+   */
+  async getTrendingSkills(options = {}) {
+    const { limit = SKILL_TAXONOMY_CONFIG.TRENDING_LIMIT } = options;
+    const since = new Date(Date.now() - SKILL_TAXONOMY_CONFIG.TRENDING_DAYS * DAY_MS);
+
+    const [lists, { index }] = await Promise.all([jobsRepository.findRecentSkillLists(since), this.getTaxonomy()]);
+
+    return countSkills(lists, index, Number(limit));
+  }
+
+  /**
+   * Get skills with their aliases (admin)
+   * @param {Object} options - { page, limit, search, category }
+   * @returns {Promise<Object>} Paginated skills
+   */
+  async getSkills(options = {}) {
+    return await skillRepository.findList(options);
+  }
+
+  /**
+   * Create a canonical skill (admin)
+   * @param {Object} data - { name, category, aliases }
+   * @returns {Promise<Object>} Created skill with aliases
+   * @throws {Error} If the name or an alias is already used
+   */
+  async createSkill(data) {
+    const name = data.name.trim();
+    const key = this.requireKey(name);
+    await this.assertKeyAvailable(name, key);
+
+    const aliases = [];
+    const keys = new Set([key]);
+
+    for (const aliasName of data.aliases || []) {
+      const alias = aliasName.trim();
+      const aliasKey = normalizeSkill(alias);
+      if (!aliasKey || keys.has(aliasKey)) continue;
+
+      await this.assertKeyAvailable(alias, aliasKey);
+      keys.add(aliasKey);
+      aliases.push({ name: alias, normalized_name: aliasKey });
+    }
+
+    const skill = await this.withKeyConflictHandling(() =>
+      skillRepository.createWithAliases({ name, normalized_name: key, category: data.category ?? null }, aliases)
+    );
+
+    this.invalidate();
+    return skill;
+  }
+
+  /**
+   * Update a skill's name or category (admin)
+   * A new spelling of the same name (e.g. "Javascript" -> "JavaScript") is always allowed.
+   * @param {number} id - Skill ID
+   * @param {Object} data - { name, category }
+   * @returns {Promise<Object>} Updated skill with aliases
+   * @throws {Error} If skill not found or the name is already used
+   */
+  async updateSkill(id, data) {
+    const skill = await this.requireSkill(id);
+    const updateData = {};
+
+    if (data.name !== undefined) {
+      const name = data.name.trim();
+      const key = this.requireKey(name);
+
+      if (key !== skill.normalized_name) {
+        await this.assertKeyAvailable(name, key, id);
+      }
+
+      updateData.name = name;
+      updateData.normalized_name = key;
+    }
+
+    if (data.category !== undefined) {
+      updateData.category = data.category;
+    }
+
+    await this.withKeyConflictHandling(() => skillRepository.update(id, updateData));
+
+    this.invalidate();
+    return await skillRepository.findWithAliases(id);
+  }
+
+  /**
+   * Add an alias to a skill (admin)
+   * @param {number} id - Skill ID
+   * @param {string} aliasName - Alternative spelling
+   * @returns {Promise<Object>} Created alias
+   * @throws {Error} If skill not found or the spelling is already used
+   */
+  async addAlias(id, aliasName) {
+    await this.requireSkill(id);
+
+    const name = aliasName.trim();
+    const key = this.requireKey(name);
+    await this.assertKeyAvailable(name, key, id);
+
+    const alias = await this.withKeyConflictHandling(() => skillRepository.createAlias(id, { name, normalized_name: key }));
+
+    this.invalidate();
+    return alias;
+  }
+
+  /**
+   * Remove an alias from a skill (admin)
+   * @param {number} id - Skill ID
+   * @param {number} aliasId - Alias ID
+   * @throws {Error} If the skill has no such alias
+   */
+  async removeAlias(id, aliasId) {
+    const removed = await skillRepository.deleteAlias(id, aliasId);
+
+    if (!removed) {
+      const error = new Error('Skill alias not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    this.invalidate();
+  }
+
+  /**
+   * Merge duplicate skills into one (admin)
+   * The source skills are deleted; their names and aliases become aliases of the target.
+   * @param {number} id - Target skill ID
+   * @param {number[]} sourceIds - Skill IDs merged into the target
+   * @returns {Promise<Object>} Target skill with aliases
+   * @throws {Error} If a skill is not found or the target is among the sources
+   */
+  async mergeSkills(id, sourceIds) {
+    await this.requireSkill(id);
+
+    const ids = [...new Set(sourceIds)];
+    if (ids.includes(id)) {
+      const error = new Error('A skill cannot be merged into itself');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const sources = [];
+    for (const sourceId of ids) {
+      sources.push(await this.requireSkill(sourceId));
+    }
+
+    const skill = await skillRepository.merge(id, sources);
+
+    this.invalidate();
+    return skill;
+  }
+
+  /**
+   * Find a skill or fail
+   * @private
+   * @param {number} id - Skill ID
+   * @returns {Promise<Object>} Skill
+   * @throws {Error} If skill not found
+   */
+  async requireSkill(id) {
+    const skill = await skillRepository.findById(id);
+
+    if (!skill) {
+      const error = new Error(`Skill ${id} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return skill;
+  }
+
+  /**
+   * Get the comparison key of a name
+   * @private
+   * @param {string} name - Skill name or alias
+   * @returns {string} Comparison key
+   * @throws {Error} If the name has no letters or digits
+   */
+  requireKey(name) {
+    const key = normalizeSkill(name);
+
+    if (!key) {
+      const error = new Error('Skill name must contain letters or digits');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return key;
+  }
+
+  /**
+   * Require that no skill or alias uses a comparison key yet
+   * @private
+   * @param {string} name - Name being added
+   * @param {string} key - Its comparison key
+   * @param {number|null} skillId - Skill the name is added to
+   * @throws {Error} 409 if the key is taken
+   */
+  async assertKeyAvailable(name, key, skillId = null) {
+    const owner = await skillRepository.findByKey(key);
+
+    if (!owner) return;
+
+    const error =
+      owner.skill_id === skillId
+        ? new Error(`"${name}" is already a spelling of this skill`)
+        : new Error(`"${name}" is already a spelling of skill ${owner.skill_id}; merge the skills instead`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  /**
+   * Turn unique constraint violations of concurrent writes into 409 errors
+   * @private
+   * @param {Function} write - Repository call
+   * @returns {Promise<*>} Result of the write
+   */
+  async withKeyConflictHandling(write) {
+    try {
+      return await write();
+    } catch (error) {
+      if (error.code === 'P2002') {
+        const conflict = new Error('Skill name or alias is already in use');
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+  }
+}
+
+// Export instance
+export const skillService = new SkillService();
@@ -0,0 +1,439 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { userRepository } from '../repositories/userRepository.js';
+import { twoFactorRecoveryCodeRepository } from '../repositories/twoFactorRecoveryCodeRepository.js';
+import { twoFactorChallengeRepository } from '../repositories/twoFactorChallengeRepository.js';
+import { authSessionService } from './authSessionService.js';
+import { loginProtectionService } from './loginProtectionService.js';
+import { base32Encode, base32Decode, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { hashToken } from '../utils/crypto.js';
+import { TWO_FACTOR_CONFIG } from '../constants/auth.js';
+import { USER_ROLE } from '../constants/roles.js';
+
+/**
+ * Key for the stored TOTP secrets (AES-256-GCM)
+ * @returns {Buffer} 32 byte key
+ */
+const encryptionKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+/**
+ * Normalize a recovery code as typed (case and separators are ignored)
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase hex digits
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * Two-factor authentication service
+ * Users enroll an authenticator app (TOTP) in two steps: setup returns a secret and
+ * otpauth URI, and the first valid code turns 2FA on and returns one-time recovery codes.
+ * With 2FA on, a correct password only yields a short-lived challenge that is exchanged
+ * for a session together with a code. Every code works once; wrong codes count as
+ * failed logins (see loginProtectionService).
+ */
+export class TwoFactorService {
+  /**
+   * Get the two-factor state of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { enabled, enabled_at, pending_setup, required, recovery_codes_remaining }
+   * @throws {Error} If user not found
+   */
+  async getStatus(userId) {
+    const user = await this.requireUser(userId);
+    const enabled = Boolean(user.two_factor_enabled_at);
+
+    return {
+      enabled,
+      enabled_at: user.two_factor_enabled_at,
+      pending_setup: !enabled && Boolean(user.two_factor_secret),
+      required: this.isRequiredFor(user),
+      recovery_codes_remaining: enabled ? await twoFactorRecoveryCodeRepository.countUnused(userId) : 0,
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret
+   * Calling setup again before confirming replaces the secret.
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { secret (base32), otpauth_uri, issuer, account }
+   * @throws {Error} If user not found, or 409 if 2FA is already on
+   */
+  async setup(userId) {
+    const user = await this.requireUser(userId);
+
+    if (user.two_factor_enabled_at) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const secret = base32Encode(crypto.randomBytes(TWO_FACTOR_CONFIG.SECRET_BYTES));
+    await userRepository.update(userId, { two_factor_secret: this.encryptSecret(secret), two_factor_last_step: null });
+
+    return {
+      secret,
+      otpauth_uri: buildOtpauthUri({
+        secret,
+        issuer: TWO_FACTOR_CONFIG.ISSUER,
+        account: user.email,
+        digits: TWO_FACTOR_CONFIG.DIGITS,
+        period: TWO_FACTOR_CONFIG.PERIOD_SECONDS,
+      }),
+      issuer: TWO_FACTOR_CONFIG.ISSUER,
+      account: user.email,
+    };
+  }
+
+  /**
+   * Turn 2FA on with the first code from the authenticator app
+   * The session making the request counts as verified from now on.
+   * @param {Object} server - Fastify server instance for JWT
+   * @param {number} userId - User ID
+   * @param {string} code - Code from the app
+   * @param {number|null} sessionId - Session of the request (JWT sessionId)
+   * @returns {Promise<Object>} { enabled_at, recovery_codes, token } (token is null without an active session)
+   * @throws {Error} If user not found, 409 if 2FA is already on, 400 without setup or with a wrong code
+   */
+  async confirm(server, userId, code, sessionId = null) {
+    const user = await this.requireUser(userId);
+
+    if (user.two_factor_enabled_at) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (!user.two_factor_secret) {
+      const error = new Error('Start two-factor setup first');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const step = this.matchCode(user, code);
+    if (step === null) {
+      throw this.invalidCodeError(400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    const enabledAt = await twoFactorRecoveryCodeRepository.enable(userId, step, recoveryCodes.map((recoveryCode) => hashToken(normalizeRecoveryCode(recoveryCode))));
+
+    const token = sessionId ? await authSessionService.confirmTwoFactor(server, user, sessionId) : null;
+    console.log('[TwoFactor] Two-factor authentication enabled', { userId });
+
+    return { enabled_at: enabledAt, recovery_codes: recoveryCodes, token };
+  }
+
+  /**
+   * Replace the recovery codes, e.g. after using some of them
+   * @param {number} userId - User ID
+   * @param {string} code - Current code from the app
+   * @returns {Promise<Object>} { recovery_codes }
+   * @throws {Error} If user not found, 400 if 2FA is off or the code is wrong
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.requireEnabledUser(userId);
+
+    if (!(await this.useTotp(user, code))) {
+      throw this.invalidCodeError(400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await twoFactorRecoveryCodeRepository.replaceForUser(userId, recoveryCodes.map((recoveryCode) => hashToken(normalizeRecoveryCode(recoveryCode))));
+    console.log('[TwoFactor] Recovery codes regenerated', { userId });
+
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Turn 2FA off
+   * @param {number} userId - User ID
+   * @param {string} password - Current password
+   * @param {string} code - Code from the app or a recovery code
+   * @throws {Error} If user not found, 403 if 2FA is required for the role, 400 if 2FA is off or a credential is wrong
+   */
+  async disable(userId, password, code) {
+    const user = await this.requireEnabledUser(userId);
+
+    if (this.isRequiredFor(user)) {
+      const error = new Error('Two-factor authentication cannot be disabled for this account');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      const error = new Error('Password is incorrect');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!(await this.useCode(user, code))) {
+      throw this.invalidCodeError(400);
+    }
+
+    await twoFactorRecoveryCodeRepository.disable(userId);
+    console.warn('[TwoFactor] Two-factor authentication disabled', { userId });
+  }
+
+  /**
+   * Issue the second login step for a user with 2FA on
+   * @param {Object} user - User whose password was checked
+   * @param {Object} options - { rememberMe }
+   * @returns {Promise<Object>} { two_factor_required, challenge_token, challenge_expires_at }
+   */
+  async createChallenge(user, { rememberMe = false } = {}) {
+    const challengeToken = crypto.randomBytes(TWO_FACTOR_CONFIG.CHALLENGE_TOKEN_BYTES).toString('base64url');
+    const expiresAt = new Date(Date.now() + TWO_FACTOR_CONFIG.CHALLENGE_TTL_MS);
+
+    await twoFactorChallengeRepository.create({
+      user_id: user.id,
+      token_hash: hashToken(challengeToken),
+      remember_me: rememberMe,
+      expires_at: expiresAt,
+    });
+
+    return { two_factor_required: true, challenge_token: challengeToken, challenge_expires_at: expiresAt };
+  }
+
+  /**
+   * Finish a two-step login with a code or a recovery code
+   * @param {Object} server - Fastify server instance for JWT
+   * @param {Object} params - { challengeToken, code, recoveryCode }
+   * @param {Object} client - Device of the session ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} { user, token, expiresIn, refreshToken, refreshExpiresAt, sessionId, recovery_codes_remaining }
+   * @throws {Error} 401 if the challenge or code is invalid; 429 while the account or IP is locked out
+   */
+  async verifyChallenge(server, { challengeToken, code, recoveryCode }, client = {}) {
+    const challenge = await twoFactorChallengeRepository.findByHash(hashToken(challengeToken));
+
+    if (!challenge || challenge.used_at || challenge.expires_at <= new Date() || !challenge.user?.two_factor_enabled_at) {
+      throw this.invalidChallengeError();
+    }
+
+    const { user } = challenge;
+    await loginProtectionService.assertCanAttempt(user.email, client.ipAddress);
+
+    if (!(await twoFactorChallengeRepository.recordAttempt(challenge.id, TWO_FACTOR_CONFIG.CHALLENGE_MAX_ATTEMPTS))) {
+      throw this.invalidChallengeError();
+    }
+
+    const accepted = recoveryCode ? await this.useRecoveryCode(user, recoveryCode) : await this.useTotp(user, code);
+
+    if (!accepted) {
+      await loginProtectionService.recordFailure(user.email, { ipAddress: client.ipAddress, userId: user.id });
+      throw this.invalidCodeError(401);
+    }
+
+    if (!(await twoFactorChallengeRepository.markUsed(challenge.id))) {
+      throw this.invalidChallengeError();
+    }
+
+    await loginProtectionService.recordSuccess(user.email);
+
+    const tokens = await authSessionService.createSession(server, user, {
+      ...client,
+      rememberMe: challenge.remember_me,
+      twoFactorVerified: true,
+    });
+
+    if (recoveryCode) {
+      console.warn('[TwoFactor] Login with a recovery code', { userId: user.id });
+    }
+
+    const { password, two_factor_secret, two_factor_last_step, ...safeUser } = user;
+
+    return {
+      user: safeUser,
+      ...tokens,
+      recovery_codes_remaining: await twoFactorRecoveryCodeRepository.countUnused(user.id),
+    };
+  }
+
+  /**
+   * Check whether 2FA is mandatory for a user (TWO_FACTOR_CONFIG.REQUIRED_FOR_ADMIN)
+   * @param {Object} user - User ({ role })
+   * @returns {boolean} True if the user has to use 2FA
+   */
+  isRequiredFor(user) {
+    return TWO_FACTOR_CONFIG.REQUIRED_FOR_ADMIN && String(user?.role).toUpperCase() === USER_ROLE.ADMIN;
+  }
+
+  /**
+   * Delete challenges that ended more than CHALLENGE_RETENTION_MS ago
+   * @returns {Promise<Object>} { deleted }
+   */
+  async cleanup() {
+    const deleted = await twoFactorChallengeRepository.deleteEndedBefore(new Date(Date.now() - TWO_FACTOR_CONFIG.CHALLENGE_RETENTION_MS));
+    return { deleted };
+  }
+
+  /**
+   * Find a user or fail
+   * @private
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} User
+   * @throws {Error} If user not found
+   */
+  async requireUser(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Find a user with 2FA on or fail
+   * @private
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} User
+   * @throws {Error} If user not found or 2FA is off
+   */
+  async requireEnabledUser(userId) {
+    const user = await this.requireUser(userId);
+
+    if (!user.two_factor_enabled_at) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Use a code from the app or, failing that, a recovery code
+   * @private
+   * @param {Object} user - User with 2FA on
+   * @param {string} code - Code as entered
+   * @returns {Promise<boolean>} True if the code was accepted
+   */
+  async useCode(user, code) {
+    return (await this.useTotp(user, code)) || (await this.useRecoveryCode(user, code));
+  }
+
+  /**
+   * Use a code from the app; the time step is claimed so the code cannot be replayed
+   * @private
+   * @param {Object} user - User with a secret
+   * @param {string} code - Code as entered
+   * @returns {Promise<boolean>} True if the code was accepted
+   */
+  async useTotp(user, code) {
+    const step = this.matchCode(user, code);
+    return step !== null && (await userRepository.claimTwoFactorStep(user.id, step));
+  }
+
+  /**
+   * Use a recovery code
+   * @private
+   * @param {Object} user - User with 2FA on
+   * @param {string} recoveryCode - Recovery code as entered
+   * @returns {Promise<boolean>} True if the code was unused and is now used
+   */
+  async useRecoveryCode(user, recoveryCode) {
+    const normalized = normalizeRecoveryCode(recoveryCode ?? '');
+    if (normalized.length === 0) return false;
+
+    return await twoFactorRecoveryCodeRepository.use(user.id, hashToken(normalized));
+  }
+
+  /**
+   * Find the time step of a code from the user's app
+   * @private
+   * @param {Object} user - User with a secret
+   * @param {string} code - Code as entered
+   * @returns {number|null} Time step, null if the code does not match
+   */
+  matchCode(user, code) {
+    const secret = base32Decode(this.decryptSecret(user.two_factor_secret));
+    if (!secret) return null;
+
+    return verifyTotp(secret, code, {
+      period: TWO_FACTOR_CONFIG.PERIOD_SECONDS,
+      digits: TWO_FACTOR_CONFIG.DIGITS,
+      window: TWO_FACTOR_CONFIG.WINDOW,
+    });
+  }
+
+  /**
+   * Generate a set of recovery codes (xxxxx-xxxxx, hex)
+   * @private
+   * @returns {string[]} Plain codes, shown to the user once
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: TWO_FACTOR_CONFIG.RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  /**
+   * Encrypt a secret for storage
+   * @private
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv.tag.ciphertext (base64url)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+  }
+
+  /**
+   * Decrypt a stored secret
+   * @private
+   * @param {string|null} stored - Value of users.two_factor_secret
+   * @returns {string|null} Base32 secret, null if missing or unreadable (e.g. after a key change)
+   */
+  decryptSecret(stored) {
+    if (!stored) return null;
+
+    try {
+      const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+      decipher.setAuthTag(tag);
+
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+      console.error('[TwoFactor] Error decrypting two-factor secret:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Error for a wrong or reused code
+   * @private
+   * @param {number} statusCode - 400 for account settings, 401 for login
+   * @returns {Error} Error
+   */
+  invalidCodeError(statusCode) {
+    const error = new Error('Invalid authentication code');
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Error for any challenge that cannot be used
+   * @private
+   * @returns {Error} 401 error
+   */
+  invalidChallengeError() {
+    const error = new Error('Invalid or expired two-factor challenge. Please sign in again');
+    error.statusCode = 401;
+    return error;
+  }
+}
+
+// Export instance
+export const twoFactorService = new TwoFactorService();
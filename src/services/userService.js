@@ -1,12 +1,41 @@
 import bcrypt from 'bcryptjs';
 import { userRepository } from '../repositories/userRepository.js';
 import { userSettingsRepository } from '../repositories/userSettingsRepository.js';
-import { generateToken } from '../lib/jwt.js';
+import { authSessionService } from './authSessionService.js';
+import { loginProtectionService } from './loginProtectionService.js';
+import { twoFactorService } from './twoFactorService.js';
+import { skillService } from './skillService.js';
+import { emailVerificationService } from './emailVerificationService.js';
+import { FileUploadService } from './fileUploadService.js';
+import { deleteFile } from '../middleware/fileUploadMiddleware.js';
+import { SESSION_REVOKE_REASON } from '../constants/auth.js';
+import { normalizeEmail } from '../utils/email.js';
+
+/**
+ * Fields a user may change on their own profile (PATCH /api/users/me)
+ * Email, phone and role are changed through their own flows.
+ */
+const PROFILE_FIELDS = [
+  'first_name',
+  'last_name',
+  'gender',
+  'country',
+  'province',
+  'city',
+  'last_education',
+  'current_job',
+  'current_company',
+  'skills',
+];
 
 /**
  * User business logic service
  */
 export class UserService {
+  constructor() {
+    this.fileUploadService = new FileUploadService();
+  }
+
   /**
    * Get all users with pagination and filtering
    * @param {Object} options - Query options
@@ -48,6 +77,10 @@ export class UserService {
    * @throws {Error} If validation fails or user exists
    */
   async createUser(userData) {
+    if (userData.email) {
+      userData.email = normalizeEmail(userData.email);
+    }
+
     // Validate user data
     await this.validateUserCreation(userData);
 
@@ -61,6 +94,11 @@ export class UserService {
       userData.role = String(userData.role).toUpperCase();
     }
 
+    // Store skills under their canonical names
+    if (userData.skills) {
+      userData.skills = await skillService.normalizeSkills(userData.skills);
+    }
+
     // Hash password
     if (userData.password) {
       userData.password = await bcrypt.hash(userData.password, 12);
@@ -74,6 +112,7 @@ export class UserService {
 
   /**
    * Update user by ID
+   * A new password signs the user out of every device.
    * @param {number} id - User ID
    * @param {Object} updateData - Update data
    * @returns {Promise<Object>} Updated user
@@ -93,11 +132,20 @@ export class UserService {
       updateData.role = String(updateData.role).toUpperCase();
     }
 
+    // Store skills under their canonical names if provided
+    if (updateData.skills) {
+      updateData.skills = await skillService.normalizeSkills(updateData.skills);
+    }
+
     // Hash password if provided
     if (updateData.password) {
       updateData.password = await bcrypt.hash(updateData.password, 12);
     }
 
+    if (updateData.email) {
+      updateData.email = normalizeEmail(updateData.email);
+    }
+
     // Validate email uniqueness if changed
     if (updateData.email && updateData.email !== existingUser.email) {
       const emailExists = await userRepository.emailExists(updateData.email);
@@ -106,9 +154,24 @@ export class UserService {
         error.statusCode = 400;
         throw error;
       }
+
+      // A new address has to be verified again
+      updateData.email_verified_at = null;
+    }
+
+    // A new number has to be verified again
+    if (updateData.phone !== undefined && updateData.phone !== existingUser.phone) {
+      updateData.phone_verified_at = null;
     }
 
     const user = await userRepository.update(id, updateData);
+
+    // Same as a self-service change: the old password no longer keeps any device signed in
+    if (updateData.password) {
+      const revokedSessions = await authSessionService.revokeAllSessions(id, SESSION_REVOKE_REASON.PASSWORD_CHANGE);
+      console.log('[UserService] Password changed by admin, sessions revoked', { userId: id, revokedSessions });
+    }
+
     return this.excludePassword(user);
   }
 
@@ -133,15 +196,23 @@ export class UserService {
    * Login user
    * @param {string} email - User email
    * @param {string} password - User password
-   * @param {boolean} rememberMe - Remember me option
+   * @param {boolean} rememberMe - Remember me option (30 day session instead of 1 day)
    * @param {Object} server - Fastify server instance for JWT
-   * @returns {Promise<Object>} Login result with user and token
-   * @throws {Error} If credentials invalid
+   * @param {Object} client - Device of the session ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} Login result with user, access token and refresh token, or a
+   *   two-factor challenge ({ two_factor_required, challenge_token, challenge_expires_at })
+   *   when the user has 2FA on (see twoFactorService.verifyChallenge)
+   * @throws {Error} If credentials invalid, or 429 while the account or IP is locked out
    */
-  async login(email, password, rememberMe = false, server) {
+  async login(email, password, rememberMe = false, server, client = {}) {
+    email = normalizeEmail(email);
+
+    await loginProtectionService.assertCanAttempt(email, client.ipAddress);
+
     const user = await userRepository.findByEmail(email);
 
     if (!user) {
+      await loginProtectionService.recordFailure(email, { ipAddress: client.ipAddress });
       const error = new Error('Invalid email or password');
       error.statusCode = 401;
       throw error;
@@ -150,18 +221,26 @@ export class UserService {
     // Validate password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await loginProtectionService.recordFailure(email, { ipAddress: client.ipAddress, userId: user.id });
       const error = new Error('Invalid email or password');
       error.statusCode = 401;
       throw error;
     }
 
-    // Generate JWT token
-    const token = generateToken(server, user, rememberMe);
+    // With 2FA on the password only opens the second step; counters are cleared once it passes
+    if (user.two_factor_enabled_at) {
+      return await twoFactorService.createChallenge(user, { rememberMe });
+    }
+
+    await loginProtectionService.recordSuccess(email);
+
+    // Open a session with access and refresh token
+    const tokens = await authSessionService.createSession(server, user, { ...client, rememberMe });
 
     return {
       user: this.excludePassword(user),
-      token,
-      expiresIn: rememberMe ? '30 days' : '1 day',
+      ...tokens,
+      two_factor_setup_required: twoFactorService.isRequiredFor(user),
     };
   }
 
@@ -169,10 +248,15 @@ export class UserService {
    * Register new user
    * @param {Object} userData - User registration data
    * @param {Object} server - Fastify server instance for JWT
-   * @returns {Promise<Object>} Registration result with user and token
+   * @param {Object} client - Device of the session ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} Registration result with user, access token and refresh token
    * @throws {Error} If validation fails or user exists
    */
-  async register(userData, server) {
+  async register(userData, server, client = {}) {
+    if (userData.email) {
+      userData.email = normalizeEmail(userData.email);
+    }
+
     console.log('[UserService] Starting user registration', { email: userData.email });
 
     try {
@@ -205,10 +289,15 @@ export class UserService {
       const user = await userRepository.createWithSettings(userDataWithHashedPassword);
       console.log('[UserService] User created successfully', { userId: user.id });
 
-      // Generate JWT token
-      console.log('🔐 [UserService] Generating JWT token...');
-      const token = generateToken(server, user, false);
-      console.log('[UserService] JWT token generated');
+      // Open a session with access and refresh token
+      console.log('🔐 [UserService] Creating session...');
+      const tokens = await authSessionService.createSession(server, user, client);
+      console.log('[UserService] Session created', { sessionId: tokens.sessionId });
+
+      // Registration does not fail when the verification link cannot be issued; it can be resent
+      emailVerificationService
+        .sendVerification(user)
+        .catch((error) => console.error('[UserService] Error sending verification email:', error));
 
       console.log('[UserService] Registration completed successfully', {
         userId: user.id,
@@ -217,8 +306,7 @@ export class UserService {
 
       return {
         user: this.excludePassword(user),
-        token,
-        expiresIn: '1 day',
+        ...tokens,
       };
     } catch (error) {
       console.error('[UserService] Registration failed', {
@@ -247,7 +335,101 @@ export class UserService {
       throw error;
     }
 
-    return this.excludePassword(user);
+    return this.toProfile(user);
+  }
+
+  /**
+   * Update the profile fields of the current user
+   * Fields outside PROFILE_FIELDS are ignored.
+   * @param {number} userId - User ID from JWT
+   * @param {Object} data - Profile data
+   * @returns {Promise<Object>} Updated profile
+   * @throws {Error} If user not found
+   */
+  async updateProfile(userId, data) {
+    await this.requireUser(userId);
+
+    const updateData = {};
+    for (const field of PROFILE_FIELDS) {
+      if (data[field] !== undefined) {
+        updateData[field] = data[field];
+      }
+    }
+
+    // Store skills under their canonical names
+    if (updateData.skills) {
+      updateData.skills = await skillService.normalizeSkills(updateData.skills);
+    }
+
+    const user = await userRepository.update(userId, updateData);
+    return this.toProfile(user);
+  }
+
+  /**
+   * Change the password of the current user
+   * Every other session is signed out; the session making the change stays signed in.
+   * @param {number} userId - User ID from JWT
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {number|null} sessionId - Session of the request (JWT sessionId)
+   * @returns {Promise<Object>} { revoked_sessions }
+   * @throws {Error} If user not found or the current password is wrong
+   */
+  async changePassword(userId, currentPassword, newPassword, sessionId = null) {
+    const user = await this.requireUser(userId);
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!isValidPassword) {
+      const error = new Error('Current password is incorrect');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (currentPassword === newPassword) {
+      const error = new Error('New password must be different from the current password');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await userRepository.update(userId, { password: await bcrypt.hash(newPassword, 12) });
+
+    const revokedSessions = await authSessionService.revokeAllSessions(userId, SESSION_REVOKE_REASON.PASSWORD_CHANGE, sessionId);
+    console.log('[UserService] Password changed, other sessions revoked', { userId, revokedSessions });
+
+    return { revoked_sessions: revokedSessions };
+  }
+
+  /**
+   * Replace the avatar of the current user with an uploaded image
+   * The previous avatar upload is deleted once the new one is saved.
+   * @param {number} userId - User ID from JWT
+   * @param {Object} uploadedFile - File from the uploadAvatar middleware
+   * @returns {Promise<Object>} Updated profile
+   * @throws {Error} If user not found
+   */
+  async updateAvatar(userId, uploadedFile) {
+    let existingUser;
+    try {
+      existingUser = await this.requireUser(userId);
+    } catch (error) {
+      await deleteFile(uploadedFile.path);
+      throw error;
+    }
+
+    const previousAvatar = existingUser.avatar;
+    const upload = await this.fileUploadService.processFileUpload(uploadedFile, 'AVATAR', userId);
+
+    let user;
+    try {
+      user = await userRepository.update(userId, { avatar: upload.fileUrl });
+    } catch (error) {
+      await this.fileUploadService.deleteFile(upload.id).catch(() => {});
+      throw error;
+    }
+
+    await this.deletePreviousAvatar(previousAvatar);
+
+    return this.toProfile(user);
   }
 
   /**
@@ -338,15 +520,69 @@ export class UserService {
     return username;
   }
 
+  /**
+   * Find a user or fail
+   * @private
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} User
+   * @throws {Error} If user not found
+   */
+  async requireUser(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Delete the upload behind a replaced avatar
+   * Avatars set as plain URLs (or uploads of another type) are left alone.
+   * @private
+   * @param {string|null} avatarUrl - Previous avatar URL
+   */
+  async deletePreviousAvatar(avatarUrl) {
+    const match = avatarUrl?.match(/\/api\/uploads\/(\d+)$/);
+    if (!match) return;
+
+    try {
+      const file = await this.fileUploadService.getFileById(Number(match[1]));
+      if (file?.uploadType === 'AVATAR' && file.fileUrl === avatarUrl) {
+        await this.fileUploadService.deleteFile(file.id);
+      }
+    } catch (error) {
+      console.error('[UserService] Error deleting previous avatar:', error);
+    }
+  }
+
+  /**
+   * Build the profile response of a user
+   * @private
+   * @param {Object} user - User
+   * @returns {Object} User without password, with verification and two-factor flags
+   */
+  toProfile(user) {
+    return {
+      ...this.excludePassword(user),
+      email_verified: Boolean(user.email_verified_at),
+      phone_verified: Boolean(user.phone_verified_at),
+      two_factor_enabled: Boolean(user.two_factor_enabled_at),
+    };
+  }
+
   /**
    * Remove password from user object
    * @private
    * @param {Object} user - User object
-   * @returns {Object} User without password
+   * @returns {Object} User without password and two-factor secret
    */
   excludePassword(user) {
     if (!user) return null;
-    const { password, ...userWithoutPassword } = user;
+    const { password, two_factor_secret, two_factor_last_step, ...userWithoutPassword } = user;
     return userWithoutPassword;
   }
 
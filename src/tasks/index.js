@@ -0,0 +1,69 @@
+import { scheduler } from '../lib/scheduler.js';
+import { jobAlertService } from '../services/jobAlertService.js';
+import { jobsService } from '../services/jobsService.js';
+import { salaryNormalizationService } from '../services/salaryNormalizationService.js';
+import { jobAnalyticsService } from '../services/jobAnalyticsService.js';
+import { authSessionService } from '../services/authSessionService.js';
+import { otpService } from '../services/otpService.js';
+import { twoFactorService } from '../services/twoFactorService.js';
+import { JOB_ANALYTICS_CONFIG } from '../constants/jobs.js';
+import { AUTH_CONFIG, TWO_FACTOR_CONFIG } from '../constants/auth.js';
+import { OTP_CONFIG } from '../constants/otp.js';
+
+/**
+ * Background Tasks
+ * Registers every scheduled task of the app on the shared scheduler.
+ *
+ * Environment variables:
+ * - SCHEDULER_ENABLED: set to 'false' to disable all tasks (e.g. extra API replicas)
+ * - JOB_ALERT_INTERVAL_MS: how often due job alerts are checked (default 1 hour)
+ * - JOB_LIFECYCLE_INTERVAL_MS: how often stale jobs are expired/archived (default 1 hour)
+ * - SALARY_NORMALIZATION_INTERVAL_MS: how often normalized salaries follow exchange rates (default 1 day)
+ * - JOB_ANALYTICS_FLUSH_INTERVAL_MS: how often buffered job engagement counters are written (default 1 minute)
+ * - AUTH_SESSION_CLEANUP_INTERVAL_MS: how often long-ended login sessions are deleted (default 1 day)
+ * - OTP_CLEANUP_INTERVAL_MS: how often expired one-time codes are deleted (default 1 hour)
+ * - TWO_FACTOR_CLEANUP_INTERVAL_MS: how often ended two-factor login challenges are deleted (default 1 hour)
+ */
+
+/**
+ * Register and start scheduled tasks
+ * @param {Object} logger - Logger (fastify.log)
+ */
+export const startScheduledTasks = (logger) => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('[Scheduler] Disabled by SCHEDULER_ENABLED=false');
+    return;
+  }
+
+  // Alerts are due once per day/week; checking hourly keeps delivery close to that
+  scheduler.register('job-alert-digests', Number(process.env.JOB_ALERT_INTERVAL_MS || 60 * 60 * 1000), () => jobAlertService.runDigests());
+
+  scheduler.register('job-lifecycle', Number(process.env.JOB_LIFECYCLE_INTERVAL_MS || 60 * 60 * 1000), () => jobsService.runLifecycle(), {
+    runOnStart: true,
+  });
+
+  scheduler.register(
+    'salary-normalization',
+    Number(process.env.SALARY_NORMALIZATION_INTERVAL_MS || 24 * 60 * 60 * 1000),
+    () => salaryNormalizationService.refreshAll(),
+    { runOnStart: true }
+  );
+
+  // Writes the tail of the buffer on quiet instances; busy ones also flush on their own
+  scheduler.register('job-analytics-flush', JOB_ANALYTICS_CONFIG.FLUSH_INTERVAL_MS, () => jobAnalyticsService.flush());
+
+  scheduler.register('auth-session-cleanup', AUTH_CONFIG.SESSION_CLEANUP_INTERVAL_MS, () => authSessionService.cleanup());
+
+  scheduler.register('otp-cleanup', OTP_CONFIG.CLEANUP_INTERVAL_MS, () => otpService.cleanup());
+
+  scheduler.register('two-factor-cleanup', TWO_FACTOR_CONFIG.CLEANUP_INTERVAL_MS, () => twoFactorService.cleanup());
+
+  scheduler.start(logger);
+};
+
+/**
+ * Stop scheduled tasks
+ */
+export const stopScheduledTasks = () => {
+  scheduler.stop();
+};
@@ -0,0 +1,74 @@
+/**
+ * Analytics Utilities
+ * Daily series and conversion rates of job engagement counters
+ */
+
+import { JOB_ENGAGEMENT_EVENT, ENGAGEMENT_WEIGHTS } from '../constants/jobs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COUNTERS = Object.values(JOB_ENGAGEMENT_EVENT);
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+/**
+ * Day of a date in UTC
+ * @param {Date|string} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+export const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Empty counters object
+ * @returns {Object} { views: 0, apply_clicks: 0, saves: 0, applications: 0 }
+ */
+export const emptyCounters = () => Object.fromEntries(COUNTERS.map((counter) => [counter, 0]));
+
+/**
+ * Sum counter rows
+ * @param {Array} rows - Rows with counter columns
+ * @returns {Object} Counters
+ */
+export const sumCounters = (rows) =>
+  rows.reduce((totals, row) => {
+    for (const counter of COUNTERS) totals[counter] += Number(row[counter] || 0);
+    return totals;
+  }, emptyCounters());
+
+/**
+ * Daily series with one entry per day of the range, days without activity set to zero
+ * @param {Array} rows - job_daily_stats rows ({ date, views, ... }), one per day
+ * @param {Date} from - First day
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Array} [{ date: 'YYYY-MM-DD', views, apply_clicks, saves, applications }]
+ */
+export const fillDailySeries = (rows, from, to) => {
+  const byDate = new Map(rows.map((row) => [toDateKey(row.date), row]));
+  const series = [];
+
+  for (let time = Date.parse(toDateKey(from)); time <= Date.parse(toDateKey(to)); time += DAY_MS) {
+    const date = toDateKey(time);
+    const row = byDate.get(date);
+    series.push({ date, ...(row ? sumCounters([row]) : emptyCounters()) });
+  }
+
+  return series;
+};
+
+/**
+ * Conversion rates from views, as ratios (0.0523 = 5.23%)
+ * @param {Object} totals - Counters
+ * @returns {Object} { apply_click_rate, save_rate, application_rate }, null without views
+ */
+export const conversionRates = (totals) => ({
+  apply_click_rate: ratio(totals.apply_clicks, totals.views),
+  save_rate: ratio(totals.saves, totals.views),
+  application_rate: ratio(totals.applications, totals.views),
+});
+
+/**
+ * Weighted engagement score of counters (ENGAGEMENT_WEIGHTS)
+ * @param {Object} totals - Counters
+ * @returns {number} Score
+ */
+export const engagementScore = (totals) => COUNTERS.reduce((score, counter) => score + ENGAGEMENT_WEIGHTS[counter] * (totals[counter] || 0), 0);
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+/**
+ * Crypto Utilities
+ */
+
+/**
+ * Hash a token for storage and lookup
+ * Tokens sent to users (refresh, reset, verification, challenge) are only stored as this hash.
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
@@ -0,0 +1,13 @@
+/**
+ * Email Utilities
+ * Normalization of user-entered email addresses
+ */
+
+/**
+ * Normalize an email address for storage and lookup
+ * Accounts are matched by the normalized address, so "Jane@Example.com " and
+ * "jane@example.com" are the same account at register, login and password reset.
+ * @param {string} value - Email address as entered
+ * @returns {string} Trimmed, lowercase address
+ */
+export const normalizeEmail = (value) => String(value).trim().toLowerCase();
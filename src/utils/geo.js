@@ -0,0 +1,60 @@
+/**
+ * Geo Utilities
+ * Great-circle distance helpers for location based job search
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {number} lat1 - Latitude of point 1
+ * @param {number} lng1 - Longitude of point 1
+ * @param {number} lat2 - Latitude of point 2
+ * @param {number} lng2 - Longitude of point 2
+ * @returns {number} Distance in kilometers
+ */
+export const haversineDistanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Bounding box around a point, used to pre-filter on the indexed lat/lng columns
+ * Longitude bounds are null when the box would cross a pole or the antimeridian.
+ * @param {number} lat - Center latitude
+ * @param {number} lng - Center longitude
+ * @param {number} radiusKm - Radius in kilometers
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+export const getBoundingBox = (lat, lng, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const minLat = lat - latDelta;
+  const maxLat = lat + latDelta;
+
+  if (minLat <= -90 || maxLat >= 90) {
+    return { minLat: Math.max(minLat, -90), maxLat: Math.min(maxLat, 90), minLng: null, maxLng: null };
+  }
+
+  const lngDelta = latDelta / Math.cos(toRadians(lat));
+  const minLng = lng - lngDelta;
+  const maxLng = lng + lngDelta;
+
+  if (minLng < -180 || maxLng > 180) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+/**
+ * Round a distance for API responses
+ * @param {number|null} distanceKm - Distance in kilometers
+ * @returns {number|null} Distance rounded to 2 decimals
+ */
+export const roundDistance = (distanceKm) => (distanceKm === null || distanceKm === undefined ? null : Math.round(distanceKm * 100) / 100);
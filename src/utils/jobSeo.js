@@ -0,0 +1,177 @@
+/**
+ * Job SEO Utilities
+ * schema.org JobPosting structured data (Google Jobs) and meta tags of job detail pages
+ */
+
+import { normalizeSalaryUnit } from './salary.js';
+import { isRemoteJob } from './recommendation.js';
+import { parseSkillList } from './skills.js';
+import { escapeHtml } from './xml.js';
+
+const META_TITLE_MAX_LENGTH = 70;
+const META_DESCRIPTION_MAX_LENGTH = 160;
+
+// schema.org employmentType values by feed/admin spelling
+const EMPLOYMENT_TYPES = {
+  FULL_TIME: 'FULL_TIME',
+  FULLTIME: 'FULL_TIME',
+  PART_TIME: 'PART_TIME',
+  PARTTIME: 'PART_TIME',
+  CONTRACT: 'CONTRACTOR',
+  CONTRACTOR: 'CONTRACTOR',
+  FREELANCE: 'CONTRACTOR',
+  TEMPORARY: 'TEMPORARY',
+  INTERN: 'INTERN',
+  INTERNSHIP: 'INTERN',
+  VOLUNTEER: 'VOLUNTEER',
+  PER_DIEM: 'PER_DIEM',
+  OTHER: 'OTHER',
+};
+
+const toPlainText = (text) =>
+  String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Cut at a word boundary and mark the cut with an ellipsis
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+};
+
+const locationLabel = (location) => (location ? [location.city, location.country].filter(Boolean).join(', ') : '');
+
+// Drop undefined and null values so the JSON-LD only carries known fields
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+
+/**
+ * Map an employment type to its schema.org value
+ * @param {string|null} employmentType - e.g. 'FULL_TIME', 'Full-time', 'Internship'
+ * @returns {string|undefined} schema.org employmentType, undefined when unknown
+ */
+export const toSchemaEmploymentType = (employmentType) => {
+  if (!employmentType) return undefined;
+  const key = String(employmentType)
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z]+/g, '_');
+  return EMPLOYMENT_TYPES[key] || EMPLOYMENT_TYPES[key.replace(/_/g, '')];
+};
+
+/**
+ * Generate meta title and description of a job detail page
+ * @param {Object} job - Job with company and location
+ * @returns {Object} { meta_title, meta_description }
+ */
+export const buildJobMeta = (job) => {
+  const place = locationLabel(job.location);
+  const remote = isRemoteJob(job);
+
+  const title = [job.title, job.company?.name && `at ${job.company.name}`, remote ? '(Remote)' : place && `- ${place}`].filter(Boolean).join(' ');
+
+  const where = remote ? ' (remote)' : place ? ` in ${place}` : '';
+  const intro = job.company?.name ? `${job.company.name} is hiring ${job.title}${where}.` : `Hiring ${job.title}${where}.`;
+  const description = [intro, toPlainText(job.description)].filter(Boolean).join(' ');
+
+  return {
+    meta_title: truncate(title, META_TITLE_MAX_LENGTH),
+    meta_description: truncate(description, META_DESCRIPTION_MAX_LENGTH),
+  };
+};
+
+/**
+ * Build the salary of a job as a schema.org MonetaryAmount
+ * @param {Object|null} insights - JobAIInsights row
+ * @returns {Object|undefined} MonetaryAmount, undefined without currency, amount or known unit
+ */
+const buildBaseSalary = (insights) => {
+  const unitText = normalizeSalaryUnit(insights?.ai_salary_unit_text);
+  const min = insights?.ai_salary_min_value ?? insights?.ai_salary_value;
+  const max = insights?.ai_salary_max_value ?? insights?.ai_salary_value;
+
+  if (!insights?.ai_salary_currency || !unitText || (min == null && max == null)) return undefined;
+
+  const value = min === max || min == null || max == null ? { value: min ?? max } : { minValue: min, maxValue: max };
+
+  return {
+    '@type': 'MonetaryAmount',
+    currency: insights.ai_salary_currency.toUpperCase(),
+    value: { '@type': 'QuantitativeValue', ...value, unitText },
+  };
+};
+
+/**
+ * Build schema.org JobPosting structured data (JSON-LD) of a job
+ * @param {Object} job - Job with company, location and ai_insights
+ * @param {string} url - Public URL of the job page
+ * @returns {Object} JobPosting
+ */
+export const buildJobPosting = (job, url) => {
+  const { company, location, ai_insights: insights } = job;
+  const remote = isRemoteJob(job);
+  const skills = parseSkillList(insights?.ai_key_skills);
+  const remoteCountry = insights?.ai_remote_location || location?.country;
+
+  return compact({
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: job.description ? escapeHtml(job.description).replace(/\r?\n/g, '<br>') : undefined,
+    identifier: company?.name ? { '@type': 'PropertyValue', name: company.name, value: String(job.id) } : undefined,
+    datePosted: job.posted_date ? new Date(job.posted_date).toISOString() : undefined,
+    validThrough: job.valid_until ? new Date(job.valid_until).toISOString() : undefined,
+    employmentType: toSchemaEmploymentType(job.employment_type),
+    hiringOrganization: company
+      ? compact({ '@type': 'Organization', name: company.name, sameAs: company.website_url || company.linkedin_url, logo: company.logo_url })
+      : undefined,
+    jobLocation: location?.country
+      ? {
+          '@type': 'Place',
+          address: compact({
+            '@type': 'PostalAddress',
+            addressLocality: location.city,
+            addressRegion: location.region,
+            addressCountry: location.country,
+          }),
+        }
+      : undefined,
+    jobLocationType: remote ? 'TELECOMMUTE' : undefined,
+    applicantLocationRequirements: remote && remoteCountry ? { '@type': 'Country', name: remoteCountry } : undefined,
+    baseSalary: buildBaseSalary(insights),
+    directApply: typeof job.direct_apply === 'boolean' ? job.direct_apply : undefined,
+    industry: company?.industry,
+    skills: skills.length > 0 ? skills.join(', ') : undefined,
+    url,
+  });
+};
+
+/**
+ * Check the fields Google Jobs requires on a JobPosting
+ * @param {Object} posting - JobPosting built by buildJobPosting
+ * @returns {string[]} Problems, empty when the posting is valid
+ */
+export const validateJobPosting = (posting) => {
+  const errors = [];
+
+  if (!posting.title) errors.push('title is required');
+  if (!posting.description) errors.push('description is required');
+  if (!posting.datePosted || Number.isNaN(Date.parse(posting.datePosted))) errors.push('datePosted is required');
+  if (!posting.hiringOrganization?.name) errors.push('hiringOrganization.name is required');
+
+  if (posting.jobLocationType === 'TELECOMMUTE') {
+    if (!posting.applicantLocationRequirements && !posting.jobLocation) {
+      errors.push('applicantLocationRequirements is required for remote jobs without jobLocation');
+    }
+  } else if (!posting.jobLocation?.address?.addressCountry) {
+    errors.push('jobLocation.address.addressCountry is required');
+  }
+
+  if (posting.validThrough && posting.datePosted && Date.parse(posting.validThrough) < Date.parse(posting.datePosted)) {
+    errors.push('validThrough must not be before datePosted');
+  }
+
+  return errors;
+};
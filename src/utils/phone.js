@@ -0,0 +1,45 @@
+/**
+ * Phone Utilities
+ * Normalization of user-entered phone numbers for OTP delivery
+ */
+
+/**
+ * Normalize a phone number to E.164 (+<country code><number>)
+ * Spaces, dashes, dots and parentheses are ignored; "00" is read as "+" and
+ * a leading "0" as a local number of the default country.
+ * @param {string} value - Phone number as entered
+ * @param {string} defaultCountryCode - Country code for local numbers (digits only)
+ * @returns {string|null} Normalized number, null if it is not a valid number
+ */
+export const normalizePhone = (value, defaultCountryCode) => {
+  if (typeof value !== 'string') return null;
+
+  const compact = value.trim().replace(/[\s\-.()]/g, '');
+  let digits;
+
+  if (compact.startsWith('+')) {
+    digits = compact.slice(1);
+  } else if (compact.startsWith('00')) {
+    digits = compact.slice(2);
+  } else if (compact.startsWith('0') && defaultCountryCode) {
+    digits = `${defaultCountryCode}${compact.slice(1)}`;
+  } else {
+    digits = compact;
+  }
+
+  // E.164 allows up to 15 digits and country codes never start with 0
+  if (!/^[1-9]\d{7,14}$/.test(digits)) return null;
+
+  return `+${digits}`;
+};
+
+/**
+ * Hide all but the country code prefix and the last digits of a number
+ * @param {string} phone - Normalized phone number
+ * @returns {string} Masked number, e.g. "+62*******7890"
+ */
+export const maskPhone = (phone) => {
+  if (!phone || phone.length <= 7) return phone;
+
+  return `${phone.slice(0, 3)}${'*'.repeat(phone.length - 7)}${phone.slice(-4)}`;
+};
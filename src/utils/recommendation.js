@@ -0,0 +1,172 @@
+/**
+ * Recommendation Utilities
+ * Scoring of a job against a candidate profile (a user, or another job for "similar jobs")
+ */
+
+import { RECOMMENDATION_WEIGHTS, RECOMMENDATION_CONFIG } from '../constants/jobs.js';
+import { normalizeSkill, parseSkillList } from './skills.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seniority keywords of LinkedIn seniority levels and job titles, checked in order.
+// Ranks: 0 internship, 1 entry, 2 mid, 3 senior, 4 lead/manager, 5 director and up
+const SENIORITY_PATTERNS = [
+  [/\b(intern|internship|magang|trainee)\b/, 0],
+  [/\bmid[\s-]*senior\b/, 2.5],
+  [/\b(entry|junior|jr|graduate|fresh)\b/, 1],
+  [/\bassociate\b/, 1],
+  [/\b(senior|sr)\b/, 3],
+  [/\b(lead|principal|staff|head|manager|supervisor)\b/, 4],
+  [/\b(director|executive|vp|vice president|chief)\b/, 5],
+  [/\b(mid|middle|intermediate)\b/, 2],
+];
+
+// Years of experience ranges of ai_experience_level
+const EXPERIENCE_RANKS = {
+  '0-2': 1,
+  '2-5': 2,
+  '5-10': 3,
+  '10+': 4,
+};
+
+/**
+ * Resolve a seniority rank from an experience range, a seniority level or a job title
+ * @param {Object} source - { experienceLevel, seniorityLevel, title }, first known wins
+ * @returns {number|null} Rank from 0 (internship) to 5 (director), null when unknown
+ */
+export const resolveSeniorityRank = ({ experienceLevel, seniorityLevel, title } = {}) => {
+  const range = experienceLevel ? String(experienceLevel).replace(/\s/g, '') : null;
+  if (range && EXPERIENCE_RANKS[range] !== undefined) {
+    return EXPERIENCE_RANKS[range];
+  }
+
+  for (const text of [seniorityLevel, title]) {
+    if (!text) continue;
+    const lower = String(text).toLowerCase();
+    const match = SENIORITY_PATTERNS.find(([pattern]) => pattern.test(lower));
+    if (match) return match[1];
+  }
+
+  return null;
+};
+
+/**
+ * Whether a job can be done remotely
+ * @param {Object} job - Job with location and ai_insights
+ * @returns {boolean} True for remote jobs
+ */
+export const isRemoteJob = (job) => Boolean(job.location?.is_remote) || /remote/i.test(job.ai_insights?.ai_work_arrangement || '');
+
+const sameText = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Location score of a job for a profile
+ * @param {Object} profile - { location: { city, region, country }, remote }
+ * @param {Object} job - Job with location
+ * @returns {Object|null} { score, reason }, null when the profile has no location preference
+ */
+const scoreLocation = (profile, job) => {
+  const wanted = profile.location || {};
+  const hasLocation = Boolean(wanted.city || wanted.region || wanted.country);
+
+  if (isRemoteJob(job)) {
+    return { score: 1, reason: 'Remote job' };
+  }
+  if (profile.remote) {
+    return { score: 0, reason: null };
+  }
+  if (!hasLocation) {
+    return null;
+  }
+
+  const location = job.location || {};
+  if (sameText(wanted.city, location.city)) {
+    return { score: 1, reason: `Located in ${location.city}` };
+  }
+  if (sameText(wanted.region, location.region)) {
+    return { score: 0.7, reason: `Located in ${location.region}` };
+  }
+  if (sameText(wanted.country, location.country)) {
+    return { score: 0.5, reason: `Located in ${location.country}` };
+  }
+
+  return { score: 0, reason: null };
+};
+
+/**
+ * Score how well a job matches a profile
+ * @param {Object} profile - { skills, seniorityRank, location: { city, region, country }, remote }
+ * @param {Object} job - Job with ai_insights, location and posted_date
+ * @param {Date} now - Reference time for recency
+ * @returns {Object} { score (0..100), matched_skills, missing_skills, reasons, components }
+ */
+export const scoreJobMatch = (profile, job, now = new Date()) => {
+  const components = { skills: null, seniority: null, location: null, recency: null };
+  const reasons = [];
+
+  const jobSkills = parseSkillList(job.ai_insights?.ai_key_skills);
+  const profileSkills = new Set((profile.skills || []).map(normalizeSkill));
+  const matchedSkills = jobSkills.filter((skill) => profileSkills.has(normalizeSkill(skill)));
+  const missingSkills = jobSkills.filter((skill) => !profileSkills.has(normalizeSkill(skill)));
+
+  if (profileSkills.size > 0) {
+    components.skills = jobSkills.length > 0 ? matchedSkills.length / jobSkills.length : 0;
+    if (matchedSkills.length > 0) {
+      reasons.push(`Matches ${matchedSkills.length} of ${jobSkills.length} key skills: ${matchedSkills.join(', ')}`);
+    }
+  }
+
+  if (profile.seniorityRank !== null && profile.seniorityRank !== undefined) {
+    const jobRank = resolveSeniorityRank({
+      experienceLevel: job.ai_insights?.ai_experience_level,
+      seniorityLevel: job.seniority_level,
+      title: job.title,
+    });
+
+    // Unknown job seniority is neither a fit nor a mismatch
+    components.seniority = jobRank === null ? 0.5 : Math.max(0, 1 - Math.abs(jobRank - profile.seniorityRank) / 3);
+    if (jobRank !== null && Math.abs(jobRank - profile.seniorityRank) <= 0.5) {
+      reasons.push(`Seniority fits: ${job.seniority_level || `${job.ai_insights.ai_experience_level} years of experience`}`);
+    }
+  }
+
+  const location = scoreLocation(profile, job);
+  if (location) {
+    components.location = location.score;
+    if (location.reason) reasons.push(location.reason);
+  }
+
+  if (job.posted_date) {
+    const ageDays = Math.max(0, (now - new Date(job.posted_date)) / DAY_MS);
+    components.recency = 0.5 ** (ageDays / RECOMMENDATION_CONFIG.RECENCY_HALF_LIFE_DAYS);
+    if (ageDays < 7) {
+      const days = Math.floor(ageDays);
+      reasons.push(days === 0 ? 'Posted today' : `Posted ${days} ${days === 1 ? 'day' : 'days'} ago`);
+    }
+  }
+
+  const weights = {
+    skills: RECOMMENDATION_WEIGHTS.SKILLS,
+    seniority: RECOMMENDATION_WEIGHTS.SENIORITY,
+    location: RECOMMENDATION_WEIGHTS.LOCATION,
+    recency: RECOMMENDATION_WEIGHTS.RECENCY,
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, value] of Object.entries(components)) {
+    if (value === null) continue;
+    weighted += weights[name] * value;
+    totalWeight += weights[name];
+  }
+
+  return {
+    score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0,
+    matched_skills: matchedSkills,
+    missing_skills: missingSkills,
+    reasons,
+    components: Object.fromEntries(Object.entries(components).map(([name, value]) => [name, round(value)])),
+  };
+};
@@ -0,0 +1,41 @@
+/**
+ * Salary Utilities
+ * Period normalization for AI extracted salaries
+ */
+
+import { SALARY_UNIT_MULTIPLIERS } from '../constants/jobs.js';
+
+// Unit texts seen in feeds that don't match the canonical names
+const UNIT_ALIASES = {
+  HOURLY: 'HOUR',
+  DAILY: 'DAY',
+  WEEKLY: 'WEEK',
+  MONTHLY: 'MONTH',
+  ANNUAL: 'YEAR',
+  ANNUALLY: 'YEAR',
+  YEARLY: 'YEAR',
+};
+
+/**
+ * Resolve a salary unit text to a canonical period
+ * @param {string|null} unitText - e.g. 'HOUR', 'monthly'
+ * @returns {string|null} HOUR, DAY, WEEK, MONTH, YEAR or null when unknown
+ */
+export const normalizeSalaryUnit = (unitText) => {
+  if (!unitText) return null;
+
+  const unit = String(unitText).trim().toUpperCase();
+  const canonical = UNIT_ALIASES[unit] || unit;
+
+  return SALARY_UNIT_MULTIPLIERS[canonical] ? canonical : null;
+};
+
+/**
+ * Factor that turns an amount per unit into an annual amount
+ * @param {string|null} unitText - Salary unit text
+ * @returns {number|null} Multiplier, or null when the unit is unknown
+ */
+export const getAnnualMultiplier = (unitText) => {
+  const unit = normalizeSalaryUnit(unitText);
+  return unit ? SALARY_UNIT_MULTIPLIERS[unit] : null;
+};
@@ -0,0 +1,156 @@
+/**
+ * Skill Utilities
+ * Parsing of free-text skill lists and lookups against the canonical skill taxonomy
+ */
+
+/**
+ * Normalize a skill name for comparison ("Node.js", "node js" and "NodeJS" are equal)
+ * @param {string} skill - Skill name
+ * @returns {string} Comparison key
+ */
+export const normalizeSkill = (skill) => String(skill).toLowerCase().replace(/[^\p{L}\p{N}+#]/gu, '');
+
+/**
+ * Parse a skill list stored as an array, a JSON array string or a comma separated string
+ * @param {Array|string|null} value - ai_key_skills or User.skills
+ * @returns {string[]} Unique skill names, original spelling kept
+ */
+export const parseSkillList = (value) => {
+  let items = value;
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    try {
+      items = text.startsWith('[') ? JSON.parse(text) : text.split(/[,;\n]/);
+    } catch {
+      items = text.split(/[,;\n]/);
+    }
+  }
+
+  if (!Array.isArray(items)) return [];
+
+  const seen = new Set();
+  return items
+    .map((item) => String(item ?? '').trim())
+    .filter((item) => {
+      const key = normalizeSkill(item);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Build a lookup of canonical skills by comparison key of their names and aliases
+ * @param {Array} skills - Skills with aliases ({ id, name, category, aliases: [{ name }] })
+ * @returns {Map} Comparison key -> { id, name, category, variants }
+ */
+export const buildSkillIndex = (skills) => {
+  const index = new Map();
+
+  for (const skill of skills) {
+    const entry = {
+      id: skill.id,
+      name: skill.name,
+      category: skill.category ?? null,
+      variants: [skill.name, ...(skill.aliases || []).map((alias) => alias.name)],
+    };
+
+    for (const variant of entry.variants) {
+      const key = normalizeSkill(variant);
+      if (key && !index.has(key)) index.set(key, entry);
+    }
+  }
+
+  return index;
+};
+
+/**
+ * Replace skill names by their canonical names ("JS", "Javascript" -> "JavaScript")
+ * Skills missing from the taxonomy are kept as written.
+ * @param {Array|string|null} value - Skill list (see parseSkillList)
+ * @param {Map} index - Skill index (see buildSkillIndex)
+ * @returns {string[]} Unique skill names
+ */
+export const canonicalizeSkills = (value, index) => {
+  const seen = new Set();
+
+  return parseSkillList(value)
+    .map((item) => index.get(normalizeSkill(item))?.name ?? item)
+    .filter((name) => {
+      const key = normalizeSkill(name);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Spellings to search for a skill, so a filter on "JS" also finds jobs listing "JavaScript"
+ * @param {string} skill - Skill name
+ * @param {Map} index - Skill index (see buildSkillIndex)
+ * @returns {string[]} Canonical name and aliases, or the skill itself when unknown
+ */
+export const skillVariants = (skill, index) => index.get(normalizeSkill(skill))?.variants ?? [String(skill).trim()];
+
+/**
+ * Rank skills for autocomplete
+ * Order: exact match, name prefix, alias prefix, name contains, alias contains; shorter names first.
+ * @param {Array} skills - Skills with aliases ({ id, name, category, aliases: [{ name }] })
+ * @param {string} query - Typed text
+ * @param {number} limit - Maximum results
+ * @returns {Array} [{ id, name, category, matched_alias }]
+ */
+export const rankSkillMatches = (skills, query, limit) => {
+  const key = normalizeSkill(query);
+  if (!key) return [];
+
+  const rankOf = (skill) => {
+    const nameKey = normalizeSkill(skill.name);
+    const aliases = (skill.aliases || []).map((alias) => ({ name: alias.name, key: normalizeSkill(alias.name) }));
+
+    if (nameKey === key) return { rank: 0, alias: null };
+    const exactAlias = aliases.find((alias) => alias.key === key);
+    if (exactAlias) return { rank: 0, alias: exactAlias.name };
+    if (nameKey.startsWith(key)) return { rank: 1, alias: null };
+    const prefixAlias = aliases.find((alias) => alias.key.startsWith(key));
+    if (prefixAlias) return { rank: 2, alias: prefixAlias.name };
+    if (nameKey.includes(key)) return { rank: 3, alias: null };
+    const containsAlias = aliases.find((alias) => alias.key.includes(key));
+    if (containsAlias) return { rank: 4, alias: containsAlias.name };
+    return null;
+  };
+
+  return skills
+    .map((skill) => ({ skill, match: rankOf(skill) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.match.rank - b.match.rank || a.skill.name.length - b.skill.name.length || a.skill.name.localeCompare(b.skill.name))
+    .slice(0, limit)
+    .map(({ skill, match }) => ({ id: skill.id, name: skill.name, category: skill.category ?? null, matched_alias: match.alias }));
+};
+
+/**
+ * Count skills over many skill lists, spellings of one skill counted together
+ * @param {Array} lists - Skill lists (see parseSkillList)
+ * @param {Map} index - Skill index (see buildSkillIndex)
+ * @param {number} limit - Maximum results
+ * @returns {Array} [{ skill, category, count }] most frequent first
+ */
+export const countSkills = (lists, index, limit) => {
+  const counts = new Map();
+
+  for (const list of lists) {
+    for (const name of canonicalizeSkills(list, index)) {
+      const key = normalizeSkill(name);
+      const current = counts.get(key);
+
+      if (current) {
+        current.count += 1;
+      } else {
+        counts.set(key, { skill: name, category: index.get(key)?.category ?? null, count: 1 });
+      }
+    }
+  }
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.skill.localeCompare(b.skill)).slice(0, limit);
+};
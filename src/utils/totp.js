@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1) as used by authenticator apps,
+ * and the base32 encoding their secrets are shared in
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 without padding
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} value - Base32 string
+ * @returns {Buffer|null} Bytes, null if the string is not base32
+ */
+export const base32Decode = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const input = value.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let current = 0;
+
+  for (const char of input) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+
+    current = (current << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((current >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Get the time step of a moment
+ * @param {number} time - Unix time in ms
+ * @param {number} period - Step length in seconds
+ * @returns {number} Time step counter
+ */
+export const totpStep = (time, period = 30) => Math.floor(time / 1000 / period);
+
+/**
+ * Generate the code of a time step (RFC 4226 dynamic truncation)
+ * @param {Buffer} secret - Shared secret
+ * @param {number} step - Time step counter
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step, digits = 6) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Find the time step a code belongs to
+ * Steps up to `window` before and after the current one are accepted to allow for clock drift.
+ * @param {Buffer} secret - Shared secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { time, period, digits, window }
+ * @returns {number|null} Matching time step, null if the code does not match
+ */
+export const verifyTotp = (secret, code, options = {}) => {
+  const { time = Date.now(), period = 30, digits = 6, window = 1 } = options;
+  const normalized = String(code ?? '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) return null;
+
+  const current = totpStep(time, period);
+  const expected = Buffer.from(normalized);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateTotp(secret, current + offset, digits));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {Object} params - { secret (base32), issuer, account, digits, period }
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, issuer, account, digits = 6, period = 30 }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(digits), period: String(period) });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
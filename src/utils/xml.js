@@ -0,0 +1,32 @@
+/**
+ * XML Utilities
+ * Escaping for hand-built sitemaps, feeds and HTML email bodies
+ */
+
+/**
+ * Escape text for XML element content and attribute values
+ * Also drops control characters, which are not allowed in XML 1.0.
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value) =>
+  String(value ?? '')
+    // C0 control characters except tab, line feed and carriage return
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Escape text for HTML element content and double-quoted attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
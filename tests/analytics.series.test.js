@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { fillDailySeries, sumCounters, conversionRates, engagementScore, toDateKey } from '../src/utils/analytics.js';
+
+describe('Job analytics helpers', () => {
+  it('fills days without activity with zero counters', () => {
+    const rows = [
+      { date: new Date('2025-08-02T00:00:00Z'), views: 10, apply_clicks: 2, saves: 1, applications: 0 },
+      { date: new Date('2025-08-04T00:00:00Z'), views: 5, apply_clicks: 0, saves: 0, applications: 1 },
+    ];
+
+    const series = fillDailySeries(rows, '2025-08-01', '2025-08-04');
+
+    expect(series.map((day) => day.date)).toEqual(['2025-08-01', '2025-08-02', '2025-08-03', '2025-08-04']);
+    expect(series[0]).toEqual({ date: '2025-08-01', views: 0, apply_clicks: 0, saves: 0, applications: 0 });
+    expect(series[1]).toEqual({ date: '2025-08-02', views: 10, apply_clicks: 2, saves: 1, applications: 0 });
+    expect(series[3].applications).toBe(1);
+  });
+
+  it('sums counters and computes conversion rates from views', () => {
+    const totals = sumCounters([
+      { views: 200, apply_clicks: 10, saves: 6, applications: 3 },
+      { views: 100, apply_clicks: 5, saves: null, applications: 0 },
+    ]);
+
+    expect(totals).toEqual({ views: 300, apply_clicks: 15, saves: 6, applications: 3 });
+    expect(conversionRates(totals)).toEqual({ apply_click_rate: 0.05, save_rate: 0.02, application_rate: 0.01 });
+    expect(conversionRates({ views: 0, apply_clicks: 1, saves: 0, applications: 0 }).apply_click_rate).toBeNull();
+  });
+
+  it('weights events in the engagement score', () => {
+    expect(engagementScore({ views: 10, apply_clicks: 1, saves: 1, applications: 1 })).toBe(10 + 5 + 3 + 10);
+  });
+
+  it('keys dates by UTC day', () => {
+    expect(toDateKey(new Date('2025-08-24T23:59:59Z'))).toBe('2025-08-24');
+  });
+});
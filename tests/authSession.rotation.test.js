@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// In-memory sessions and refresh tokens (avoid real DB)
+const store = { sessions: [], tokens: [] };
+
+vi.mock('../src/repositories/authSessionRepository.js', () => ({
+  authSessionRepository: {
+    async createWithToken(data, tokenHash) {
+      const session = { id: store.sessions.length + 1, revoked_at: null, revoked_reason: null, two_factor_verified: false, ...data };
+      store.sessions.push(session);
+      store.tokens.push({ id: store.tokens.length + 1, session_id: session.id, token_hash: tokenHash, used_at: null, expires_at: data.expires_at });
+      return session;
+    },
+    async findTokenByHash(tokenHash) {
+      const token = store.tokens.find((t) => t.token_hash === tokenHash);
+      return token ? { ...token, session: { ...store.sessions.find((s) => s.id === token.session_id) } } : null;
+    },
+    async rotateToken(token, newTokenHash) {
+      const current = store.tokens.find((t) => t.id === token.id);
+      if (current.used_at) return false;
+      current.used_at = new Date();
+      store.tokens.push({ id: store.tokens.length + 1, session_id: token.session_id, token_hash: newTokenHash, used_at: null, expires_at: token.expires_at });
+      return true;
+    },
+    async revoke(sessionId, reason) {
+      const session = store.sessions.find((s) => s.id === sessionId && !s.revoked_at);
+      if (!session) return false;
+      Object.assign(session, { revoked_at: new Date(), revoked_reason: reason });
+      return true;
+    },
+    async revokeAllByUser(userId, reason, exceptSessionId = null) {
+      const sessions = store.sessions.filter((s) => s.user_id === userId && !s.revoked_at && s.id !== exceptSessionId);
+      sessions.forEach((s) => Object.assign(s, { revoked_at: new Date(), revoked_reason: reason }));
+      return sessions.length;
+    },
+  },
+}));
+
+vi.mock('../src/repositories/userRepository.js', () => ({
+  userRepository: {
+    async findById(id) {
+      return { id, email: 'user@example.com', role: 'USER' };
+    },
+  },
+}));
+
+const { authSessionService } = await import('../src/services/authSessionService.js');
+const { SESSION_REVOKE_REASON } = await import('../src/constants/auth.js');
+
+const server = { jwt: { sign: (payload) => JSON.stringify(payload) } };
+const user = { id: 1, email: 'user@example.com', role: 'USER' };
+
+describe('Auth session refresh token rotation', () => {
+  beforeEach(() => {
+    store.sessions = [];
+    store.tokens = [];
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('rotates the refresh token on refresh', async () => {
+    const login = await authSessionService.createSession(server, user);
+    const refreshed = await authSessionService.refresh(server, login.refreshToken);
+
+    expect(refreshed.sessionId).toBe(login.sessionId);
+    expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+    expect(JSON.parse(refreshed.token)).toMatchObject({ userId: 1, sessionId: login.sessionId });
+    await expect(authSessionService.refresh(server, refreshed.refreshToken)).resolves.toMatchObject({ sessionId: login.sessionId });
+  });
+
+  it('revokes the session when an old refresh token is reused', async () => {
+    const login = await authSessionService.createSession(server, user);
+    const refreshed = await authSessionService.refresh(server, login.refreshToken);
+
+    await expect(authSessionService.refresh(server, login.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    expect(store.sessions[0].revoked_reason).toBe(SESSION_REVOKE_REASON.TOKEN_REUSE);
+
+    // The newest token belongs to the revoked session too
+    await expect(authSessionService.refresh(server, refreshed.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    await expect(authSessionService.refresh(server, 'unknown')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('revokes every session of the user except the kept one', async () => {
+    const first = await authSessionService.createSession(server, user);
+    const second = await authSessionService.createSession(server, user);
+    const third = await authSessionService.createSession(server, user);
+
+    const revoked = await authSessionService.revokeAllSessions(1, SESSION_REVOKE_REASON.PASSWORD_CHANGE, third.sessionId);
+
+    expect(revoked).toBe(2);
+    await expect(authSessionService.refresh(server, first.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(authSessionService.refresh(server, second.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(authSessionService.refresh(server, third.refreshToken)).resolves.toMatchObject({ sessionId: third.sessionId });
+  });
+});
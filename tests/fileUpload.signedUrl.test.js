@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest';
+
+process.env.JWT_SECRET = 'test-secret-for-signed-upload-urls';
+
+// Mock repositories and services (avoid real DB)
+vi.mock('../src/lib/prisma.js', () => ({ default: {} }));
+
+vi.mock('../src/repositories/fileUploadRepository.js', () => {
+  class FileUploadRepository {
+    async createFileUpload(data) {
+      return { id: 5, uploaded_by: data.uploadedBy, upload_type: data.uploadType, created_at: new Date() };
+    }
+  }
+  return { FileUploadRepository };
+});
+
+vi.mock('../src/repositories/jobApplicationRepository.js', () => ({ jobApplicationRepository: {} }));
+vi.mock('../src/services/recruiterAccessService.js', () => ({ recruiterAccessService: {} }));
+vi.mock('../src/middleware/fileUploadMiddleware.js', () => ({ deleteFile: vi.fn() }));
+
+const { FileUploadService } = await import('../src/services/fileUploadService.js');
+
+const fileUploadService = new FileUploadService();
+const essay = { id: 5, uploadType: 'ESSAY', uploadedBy: null };
+const queryOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+describe('Signed upload URLs', () => {
+  it('returns a signed URL for public uploads that opens the file without a token', async () => {
+    const upload = await fileUploadService.processFileUpload({ path: '/tmp/essay.pdf' }, 'ESSAY');
+
+    await expect(fileUploadService.assertCanRead(essay, undefined, queryOf(upload.fileUrl))).resolves.toBeUndefined();
+  });
+
+  it('returns a plain URL for uploads of a signed-in user', async () => {
+    const upload = await fileUploadService.processFileUpload({ path: '/tmp/resume.pdf' }, 'RESUME', 3);
+
+    expect(upload.fileUrl).toMatch(/\/api\/uploads\/5$/);
+  });
+
+  it('rejects signatures of another file, changed expiries and expired URLs', async () => {
+    const query = queryOf(fileUploadService.generateSignedFileUrl(5));
+    const expired = queryOf(fileUploadService.generateSignedFileUrl(5, -1000));
+
+    await expect(fileUploadService.assertCanRead({ ...essay, id: 6 }, undefined, query)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(fileUploadService.assertCanRead(essay, undefined, { ...query, expires: String(Number(query.expires) + 60) })).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    await expect(fileUploadService.assertCanRead(essay, undefined, expired)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(fileUploadService.assertCanRead(essay, undefined)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
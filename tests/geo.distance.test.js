@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { haversineDistanceKm, getBoundingBox, roundDistance } from '../src/utils/geo.js';
+
+describe('Geo distance helpers', () => {
+  it('computes great-circle distance between two cities', () => {
+    // Jakarta to Bandung is roughly 118 km in a straight line
+    const distance = haversineDistanceKm(-6.2088, 106.8456, -6.9175, 107.6191);
+    expect(distance).toBeGreaterThan(110);
+    expect(distance).toBeLessThan(125);
+  });
+
+  it('returns zero for the same point', () => {
+    expect(haversineDistanceKm(1.3521, 103.8198, 1.3521, 103.8198)).toBe(0);
+  });
+
+  it('builds a bounding box that contains the radius', () => {
+    const box = getBoundingBox(-6.2, 106.8, 50);
+    expect(box.minLat).toBeLessThan(-6.2);
+    expect(box.maxLat).toBeGreaterThan(-6.2);
+    expect(haversineDistanceKm(-6.2, 106.8, box.maxLat, 106.8)).toBeCloseTo(50, 0);
+    expect(haversineDistanceKm(-6.2, 106.8, -6.2, box.maxLng)).toBeGreaterThanOrEqual(49.9);
+  });
+
+  it('drops longitude bounds across the antimeridian', () => {
+    const box = getBoundingBox(-17.7, 179.9, 100);
+    expect(box.minLng).toBeNull();
+    expect(box.maxLng).toBeNull();
+  });
+
+  it('rounds distances to two decimals', () => {
+    expect(roundDistance(12.3456)).toBe(12.35);
+    expect(roundDistance(null)).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const files = {
+  10: { id: 10, uploadType: 'RESUME', uploadedBy: 1, fileUrl: '/api/uploads/10' },
+  11: { id: 11, uploadType: 'RESUME', uploadedBy: 2, fileUrl: '/api/uploads/11' },
+  12: { id: 12, uploadType: 'HEADSHOT', uploadedBy: 1, fileUrl: '/api/uploads/12' },
+};
+
+// Mock repositories and services (avoid real DB)
+vi.mock('../src/repositories/jobsRepository.js', () => ({
+  jobsRepository: {
+    async findById(id) {
+      return { id, status: 'active', direct_apply: true, valid_until: null };
+    },
+  },
+}));
+
+vi.mock('../src/repositories/jobApplicationRepository.js', () => ({
+  jobApplicationRepository: {
+    findByUserAndJob: vi.fn(async () => null),
+    createWithHistory: vi.fn(async (data) => ({ id: 1, ...data })),
+  },
+}));
+
+vi.mock('../src/services/fileUploadService.js', () => {
+  class FileUploadService {
+    async getFileById(id) {
+      return files[id] || null;
+    }
+  }
+  return { FileUploadService };
+});
+
+vi.mock('../src/services/jobAnalyticsService.js', () => ({ jobAnalyticsService: { record: vi.fn() } }));
+vi.mock('../src/services/recruiterAccessService.js', () => ({ recruiterAccessService: {} }));
+
+const { jobApplicationService } = await import('../src/services/jobApplicationService.js');
+const { jobApplicationRepository } = await import('../src/repositories/jobApplicationRepository.js');
+
+describe('Job application resume attachment', () => {
+  beforeEach(() => {
+    jobApplicationRepository.createWithHistory.mockClear();
+  });
+
+  it('attaches a resume the applicant uploaded', async () => {
+    const application = await jobApplicationService.applyToJob(1, 5, { resume_file_id: 10 });
+
+    expect(application.resume_url).toBe('/api/uploads/10');
+    expect(application.user_id).toBe(1);
+  });
+
+  it("rejects another user's resume", async () => {
+    await expect(jobApplicationService.applyToJob(1, 5, { resume_file_id: 11 })).rejects.toMatchObject({ statusCode: 403 });
+    expect(jobApplicationRepository.createWithHistory).not.toHaveBeenCalled();
+  });
+
+  it('rejects uploads that are not resumes or do not exist', async () => {
+    await expect(jobApplicationService.applyToJob(1, 5, { resume_file_id: 12 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(jobApplicationService.applyToJob(1, 5, { resume_file_id: 99 })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { APPLICATION_STATUS, canTransitionApplication, canWithdrawApplication, getAllowedTransitions } from '../src/constants/jobApplications.js';
+
+describe('Job application pipeline transitions', () => {
+  it('follows the recruiter pipeline step by step', () => {
+    expect(canTransitionApplication('PENDING', 'REVIEWING')).toBe(true);
+    expect(canTransitionApplication('REVIEWING', 'SHORTLISTED')).toBe(true);
+    expect(canTransitionApplication('SHORTLISTED', 'INTERVIEW')).toBe(true);
+    expect(canTransitionApplication('INTERVIEW', 'OFFERED')).toBe(true);
+    expect(canTransitionApplication('OFFERED', 'HIRED')).toBe(true);
+  });
+
+  it('rejects skipping steps or moving backwards', () => {
+    expect(canTransitionApplication('PENDING', 'INTERVIEW')).toBe(false);
+    expect(canTransitionApplication('SHORTLISTED', 'REVIEWING')).toBe(false);
+    expect(canTransitionApplication('PENDING', 'HIRED')).toBe(false);
+  });
+
+  it('allows rejection from every open status', () => {
+    for (const status of ['PENDING', 'REVIEWING', 'SHORTLISTED', 'INTERVIEW', 'OFFERED']) {
+      expect(canTransitionApplication(status, 'REJECTED')).toBe(true);
+    }
+  });
+
+  it('treats final statuses as terminal', () => {
+    for (const status of [APPLICATION_STATUS.REJECTED, APPLICATION_STATUS.HIRED, APPLICATION_STATUS.WITHDRAWN]) {
+      expect(getAllowedTransitions(status)).toEqual([]);
+      expect(canWithdrawApplication(status)).toBe(false);
+    }
+  });
+
+  it('returns no transitions for unknown statuses', () => {
+    expect(getAllowedTransitions('UNKNOWN')).toEqual([]);
+  });
+});
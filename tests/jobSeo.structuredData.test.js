@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { buildJobMeta, buildJobPosting, validateJobPosting, toSchemaEmploymentType } from '../src/utils/jobSeo.js';
+
+const job = (overrides = {}) => ({
+  id: 42,
+  title: 'Backend Engineer',
+  description: 'Build APIs & services.\nWork with <PostgreSQL>.',
+  employment_type: 'FULL_TIME',
+  direct_apply: true,
+  posted_date: new Date('2025-08-20T00:00:00Z'),
+  valid_until: new Date('2025-09-20T00:00:00Z'),
+  company: { name: 'Acme', website_url: 'https://acme.test', logo_url: 'https://acme.test/logo.png', industry: 'Software' },
+  location: { city: 'Jakarta', region: 'DKI Jakarta', country: 'Indonesia', is_remote: false },
+  ai_insights: {
+    ai_salary_currency: 'idr',
+    ai_salary_min_value: 10000000,
+    ai_salary_max_value: 15000000,
+    ai_salary_unit_text: 'MONTH',
+    ai_key_skills: 'Node.js, PostgreSQL',
+  },
+  ...overrides,
+});
+
+describe('Job SEO helpers', () => {
+  it('builds a valid Google Jobs JobPosting', () => {
+    const posting = buildJobPosting(job(), 'https://risesocial.test/jobs/42');
+
+    expect(posting).toMatchObject({
+      '@type': 'JobPosting',
+      title: 'Backend Engineer',
+      description: 'Build APIs &amp; services.<br>Work with &lt;PostgreSQL&gt;.',
+      datePosted: '2025-08-20T00:00:00.000Z',
+      validThrough: '2025-09-20T00:00:00.000Z',
+      employmentType: 'FULL_TIME',
+      hiringOrganization: { '@type': 'Organization', name: 'Acme', sameAs: 'https://acme.test' },
+      jobLocation: { address: { addressLocality: 'Jakarta', addressCountry: 'Indonesia' } },
+      baseSalary: { currency: 'IDR', value: { minValue: 10000000, maxValue: 15000000, unitText: 'MONTH' } },
+      skills: 'Node.js, PostgreSQL',
+      url: 'https://risesocial.test/jobs/42',
+    });
+    expect(posting.jobLocationType).toBeUndefined();
+    expect(validateJobPosting(posting)).toEqual([]);
+  });
+
+  it('marks remote jobs as telecommute and reports missing required fields', () => {
+    const remote = buildJobPosting(job({ location: { country: 'Indonesia', is_remote: true }, ai_insights: null }), 'u');
+    expect(remote).toMatchObject({ jobLocationType: 'TELECOMMUTE', applicantLocationRequirements: { name: 'Indonesia' } });
+    expect(remote.baseSalary).toBeUndefined();
+    expect(validateJobPosting(remote)).toEqual([]);
+
+    const broken = buildJobPosting(job({ description: '', company: null, location: null }), 'u');
+    expect(validateJobPosting(broken)).toEqual([
+      'description is required',
+      'hiringOrganization.name is required',
+      'jobLocation.address.addressCountry is required',
+    ]);
+  });
+
+  it('maps employment types to schema.org values', () => {
+    expect(toSchemaEmploymentType('Full-time')).toBe('FULL_TIME');
+    expect(toSchemaEmploymentType('CONTRACT')).toBe('CONTRACTOR');
+    expect(toSchemaEmploymentType('Internship')).toBe('INTERN');
+    expect(toSchemaEmploymentType('Seasonal')).toBeUndefined();
+  });
+
+  it('generates meta tags within search result lengths', () => {
+    const meta = buildJobMeta(job({ description: 'word '.repeat(100) }));
+
+    expect(meta.meta_title).toBe('Backend Engineer at Acme - Jakarta, Indonesia');
+    expect(meta.meta_description.startsWith('Acme is hiring Backend Engineer in Jakarta, Indonesia. word word')).toBe(true);
+    expect(meta.meta_description.length).toBeLessThanOrEqual(160);
+    expect(meta.meta_description.endsWith('…')).toBe(true);
+  });
+});
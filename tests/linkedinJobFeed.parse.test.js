@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { parseJobFeed, validateFeedJob, mapLocation } from '../src/integrations/linkedinJobFeed.js';
+
+describe('LinkedIn job feed parsing', () => {
+  it('reads a JSON array', () => {
+    const { records, errors } = parseJobFeed('[{"id":"1"},{"id":"2"}]');
+    expect(records.map((record) => record.data.id)).toEqual(['1', '2']);
+    expect(errors).toEqual([]);
+  });
+
+  it('reads a JSON object wrapping the jobs array', () => {
+    const { records } = parseJobFeed('{"data":[{"id":"1"}]}');
+    expect(records).toEqual([{ index: 1, data: { id: '1' } }]);
+  });
+
+  it('reads NDJSON and reports broken lines by line number', () => {
+    const { records, errors } = parseJobFeed('{"id":"1"}\n\n{broken\n{"id":"2"}\n');
+    expect(records.map((record) => record.index)).toEqual([1, 4]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].index).toBe(3);
+  });
+
+  it('rejects a broken JSON array', () => {
+    expect(() => parseJobFeed('[{"id":"1"},')).toThrow(/Invalid JSON feed/);
+  });
+
+  it('validates essential fields', () => {
+    expect(validateFeedJob({ id: '1', title: 'Dev', organization: 'Acme', date_posted: '2025-01-01' })).toBeNull();
+    expect(validateFeedJob({ id: '1', title: 'Dev', organization: 'Acme', date_posted: 'soon' })).toMatch(/date_posted/);
+    expect(validateFeedJob({ id: '1', organization: 'Acme' })).toBe('Missing title');
+  });
+
+  it('falls back to Unknown country for locations', () => {
+    expect(mapLocation({})).toMatchObject({ city: null, region: null, country: 'Unknown' });
+  });
+});
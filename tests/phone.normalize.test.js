@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { normalizePhone, maskPhone } from '../src/utils/phone.js';
+
+describe('Phone helpers', () => {
+  it('normalizes international and local numbers to E.164', () => {
+    expect(normalizePhone('+62 812-3456-7890', '62')).toBe('+6281234567890');
+    expect(normalizePhone('0062 812 3456 7890', '62')).toBe('+6281234567890');
+    expect(normalizePhone('0812 3456 7890', '62')).toBe('+6281234567890');
+    expect(normalizePhone('(+1) 415.555.2671', '62')).toBe('+14155552671');
+  });
+
+  it('rejects values that are not phone numbers', () => {
+    expect(normalizePhone('12345', '62')).toBeNull();
+    expect(normalizePhone('+62 812 abc 7890', '62')).toBeNull();
+    expect(normalizePhone('+0812345678', '62')).toBeNull();
+    expect(normalizePhone('+1234567890123456', '62')).toBeNull();
+    expect(normalizePhone(null, '62')).toBeNull();
+  });
+
+  it('masks all but the prefix and last four digits', () => {
+    expect(maskPhone('+6281234567890')).toBe('+62*******7890');
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRateLimiter, createHold, setRateLimitStore, MemoryRateLimitStore } from '../src/lib/rateLimiter.js';
+
+describe('Rate limiter', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('allows hits up to the limit within a window', async () => {
+    setRateLimitStore(new MemoryRateLimitStore());
+    const limiter = createRateLimiter({ name: 'test', max: 2, windowMs: 60000 });
+
+    expect((await limiter.consume('a')).allowed).toBe(true);
+    expect((await limiter.consume('a')).remaining).toBe(0);
+
+    const blocked = await limiter.consume('a');
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.retryAfterSeconds).toBeGreaterThan(0);
+    expect(blocked.retryAfterSeconds).toBeLessThanOrEqual(60);
+
+    // Other keys and other limiters count separately
+    expect((await limiter.consume('b')).allowed).toBe(true);
+    expect((await createRateLimiter({ name: 'other', max: 1, windowMs: 60000 }).consume('a')).allowed).toBe(true);
+  });
+
+  it('starts a new window after the previous one ends, or after a reset', async () => {
+    vi.useFakeTimers();
+    setRateLimitStore(new MemoryRateLimitStore());
+    const limiter = createRateLimiter({ name: 'test', max: 1, windowMs: 1000 });
+
+    await limiter.consume('a');
+    expect((await limiter.consume('a')).allowed).toBe(false);
+
+    vi.advanceTimersByTime(1001);
+    expect((await limiter.consume('a')).allowed).toBe(true);
+
+    await limiter.reset('a');
+    expect((await limiter.consume('a')).allowed).toBe(true);
+  });
+
+  it('peeks at a counter without counting a hit', async () => {
+    setRateLimitStore(new MemoryRateLimitStore());
+    const limiter = createRateLimiter({ name: 'test', max: 2, windowMs: 60000 });
+
+    expect(await limiter.peek('a')).toEqual({ allowed: true, count: 0, retryAfterSeconds: 0 });
+
+    await limiter.consume('a');
+    await limiter.consume('a');
+    const status = await limiter.peek('a');
+    expect(status.allowed).toBe(false);
+    expect(status.count).toBe(2);
+    expect((await limiter.peek('a')).count).toBe(2);
+  });
+
+  it('holds a key for its own period until released', async () => {
+    vi.useFakeTimers();
+    setRateLimitStore(new MemoryRateLimitStore());
+    const hold = createHold('lock');
+
+    expect(await hold.remainingSeconds('a')).toBe(0);
+
+    await hold.start('a', 30000);
+    expect(await hold.remainingSeconds('a')).toBe(30);
+    expect(await hold.remainingSeconds('b')).toBe(0);
+
+    vi.advanceTimersByTime(30001);
+    expect(await hold.remainingSeconds('a')).toBe(0);
+
+    await hold.start('a', 5000);
+    expect(await hold.release('a')).toBe(true);
+    expect(await hold.release('a')).toBe(false);
+    expect(await hold.remainingSeconds('a')).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { resolveSeniorityRank, scoreJobMatch } from '../src/utils/recommendation.js';
+import { parseSkillList } from '../src/utils/skills.js';
+
+const now = new Date('2025-08-24T00:00:00Z');
+
+const job = (overrides = {}) => ({
+  title: 'Backend Engineer',
+  seniority_level: 'Mid-Senior level',
+  posted_date: new Date('2025-08-22T00:00:00Z'),
+  location: { city: 'Jakarta', region: 'DKI Jakarta', country: 'Indonesia', is_remote: false },
+  ...overrides,
+  ai_insights: { ai_key_skills: 'Node.js, PostgreSQL, Docker, Kubernetes', ai_experience_level: null, ...overrides.ai_insights },
+});
+
+describe('Job recommendation scoring', () => {
+  it('parses skill lists from arrays, JSON and comma separated strings', () => {
+    expect(parseSkillList(['React', 'react ', 'Vue'])).toEqual(['React', 'Vue']);
+    expect(parseSkillList('["Go", "SQL"]')).toEqual(['Go', 'SQL']);
+    expect(parseSkillList('Node.js, NodeJS, Docker')).toEqual(['Node.js', 'Docker']);
+    expect(parseSkillList(null)).toEqual([]);
+  });
+
+  it('resolves seniority from experience ranges, LinkedIn levels and titles', () => {
+    expect(resolveSeniorityRank({ experienceLevel: '5-10', seniorityLevel: 'Entry level' })).toBe(3);
+    expect(resolveSeniorityRank({ seniorityLevel: 'Mid-Senior level' })).toBe(2.5);
+    expect(resolveSeniorityRank({ title: 'Junior Frontend Developer' })).toBe(1);
+    expect(resolveSeniorityRank({ title: 'Engineering Manager' })).toBe(4);
+    expect(resolveSeniorityRank({ title: 'Accountant' })).toBeNull();
+  });
+
+  it('ranks skill overlap first and explains the match', () => {
+    const profile = { skills: ['nodejs', 'PostgreSQL', 'Docker'], seniorityRank: 3, location: { city: 'jakarta' } };
+
+    const strong = scoreJobMatch(profile, job(), now);
+    const weak = scoreJobMatch(profile, job({ ai_insights: { ai_key_skills: ['Java', 'Spring', 'Docker'] } }), now);
+
+    expect(strong.score).toBeGreaterThan(weak.score);
+    expect(strong.matched_skills).toEqual(['Node.js', 'PostgreSQL', 'Docker']);
+    expect(strong.missing_skills).toEqual(['Kubernetes']);
+    expect(strong.reasons).toEqual([
+      'Matches 3 of 4 key skills: Node.js, PostgreSQL, Docker',
+      'Seniority fits: Mid-Senior level',
+      'Located in Jakarta',
+      'Posted 2 days ago',
+    ]);
+  });
+
+  it('honours the remote preference and leaves out unknown profile data', () => {
+    const remoteJob = job({ location: { city: 'Singapore', country: 'Singapore', is_remote: true } });
+    const onSite = job();
+
+    expect(scoreJobMatch({ skills: [], remote: true }, remoteJob, now).components.location).toBe(1);
+    expect(scoreJobMatch({ skills: [], remote: true }, onSite, now).components.location).toBe(0);
+
+    const recencyOnly = scoreJobMatch({ skills: [] }, onSite, now);
+    expect(recencyOnly.components).toEqual({ skills: null, seniority: null, location: null, recency: 0.91 });
+    expect(recencyOnly.score).toBe(91);
+  });
+});
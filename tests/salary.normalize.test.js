@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSalaryUnit, getAnnualMultiplier } from '../src/utils/salary.js';
+
+describe('Salary normalization helpers', () => {
+  it('resolves canonical units and common aliases', () => {
+    expect(normalizeSalaryUnit('HOUR')).toBe('HOUR');
+    expect(normalizeSalaryUnit('monthly')).toBe('MONTH');
+    expect(normalizeSalaryUnit(' Yearly ')).toBe('YEAR');
+    expect(normalizeSalaryUnit('per project')).toBeNull();
+    expect(normalizeSalaryUnit(null)).toBeNull();
+  });
+
+  it('makes hourly and monthly salaries comparable as annual amounts', () => {
+    // 25 USD/hour vs 8,000,000 IDR/month
+    expect(25 * getAnnualMultiplier('HOUR')).toBe(52000);
+    expect(8000000 * getAnnualMultiplier('MONTH')).toBe(96000000);
+    expect(getAnnualMultiplier('unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { buildSkillIndex, canonicalizeSkills, skillVariants, rankSkillMatches, countSkills } from '../src/utils/skills.js';
+
+const skills = [
+  { id: 1, name: 'JavaScript', category: 'programming_language', aliases: [{ name: 'JS' }, { name: 'ECMAScript' }] },
+  { id: 2, name: 'Java', category: 'programming_language', aliases: [] },
+  { id: 3, name: 'Node.js', category: 'framework', aliases: [{ name: 'Node' }] },
+  { id: 4, name: 'PostgreSQL', category: 'database', aliases: [{ name: 'Postgres' }] },
+];
+
+const index = buildSkillIndex(skills);
+
+describe('Skill taxonomy helpers', () => {
+  it('maps spellings and aliases to the canonical name', () => {
+    expect(canonicalizeSkills(['JS', 'Javascript', 'javascript ', 'node js', 'Go'], index)).toEqual(['JavaScript', 'Node.js', 'Go']);
+    expect(canonicalizeSkills('postgres, ECMAScript', index)).toEqual(['PostgreSQL', 'JavaScript']);
+    expect(canonicalizeSkills(null, index)).toEqual([]);
+  });
+
+  it('expands a skill filter to every spelling', () => {
+    expect(skillVariants('js', index)).toEqual(['JavaScript', 'JS', 'ECMAScript']);
+    expect(skillVariants(' Rust ', index)).toEqual(['Rust']);
+  });
+
+  it('ranks exact and prefix matches before substring matches', () => {
+    expect(rankSkillMatches(skills, 'java', 10).map((skill) => skill.name)).toEqual(['Java', 'JavaScript']);
+    expect(rankSkillMatches(skills, 'js', 10)[0]).toEqual({ id: 1, name: 'JavaScript', category: 'programming_language', matched_alias: 'JS' });
+    expect(rankSkillMatches(skills, 'gres', 10).map((skill) => skill.name)).toEqual(['PostgreSQL']);
+    expect(rankSkillMatches(skills, '...', 10)).toEqual([]);
+  });
+
+  it('counts spellings of one skill together', () => {
+    const lists = ['JS, Node.js', ['Javascript', 'Postgres'], '["javascript", "JS"]', null];
+
+    expect(countSkills(lists, index, 2)).toEqual([
+      { skill: 'JavaScript', category: 'programming_language', count: 3 },
+      { skill: 'Node.js', category: 'framework', count: 1 },
+    ]);
+  });
+});
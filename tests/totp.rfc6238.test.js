@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { base32Encode, base32Decode, generateTotp, verifyTotp, totpStep, buildOtpauthUri } from '../src/utils/totp.js';
+
+// RFC 6238 appendix B test secret (SHA1)
+const secret = Buffer.from('12345678901234567890');
+
+describe('TOTP helpers', () => {
+  it('generates the RFC 6238 test vectors', () => {
+    expect(generateTotp(secret, totpStep(59 * 1000), 8)).toBe('94287082');
+    expect(generateTotp(secret, totpStep(1111111109 * 1000), 8)).toBe('07081804');
+    expect(generateTotp(secret, totpStep(1234567890 * 1000), 8)).toBe('89005924');
+    expect(generateTotp(secret, totpStep(20000000000 * 1000), 8)).toBe('65353130');
+    expect(generateTotp(secret, totpStep(59 * 1000))).toBe('287082');
+  });
+
+  it('accepts codes of neighbouring steps and returns the matched step', () => {
+    const time = 1111111109 * 1000;
+    const step = totpStep(time);
+
+    expect(verifyTotp(secret, generateTotp(secret, step), { time })).toBe(step);
+    expect(verifyTotp(secret, generateTotp(secret, step - 1), { time })).toBe(step - 1);
+    expect(verifyTotp(secret, generateTotp(secret, step + 1), { time })).toBe(step + 1);
+    expect(verifyTotp(secret, generateTotp(secret, step - 2), { time })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyTotp(secret, '12345')).toBeNull();
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+    expect(verifyTotp(secret, null)).toBeNull();
+  });
+
+  it('round-trips base32 secrets', () => {
+    expect(base32Encode(Buffer.from('12345678901234567890'))).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    expect(base32Decode('not base32!')).toBeNull();
+  });
+
+  it('builds an otpauth URI with issuer and account', () => {
+    const uri = buildOtpauthUri({ secret: 'GEZDGNBV', issuer: 'Rise Social', account: 'admin@example.com' });
+
+    expect(uri).toBe('otpauth://totp/Rise%20Social%3Aadmin%40example.com?secret=GEZDGNBV&issuer=Rise+Social&algorithm=SHA1&digits=6&period=30');
+  });
+});